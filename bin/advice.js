@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * Strategie advies vanaf de command line
+ *
+ * Gebruik:
+ *   node bin/advice.js "A7 v 9" [opties]
+ *   node bin/advice.js --dealer 10 --hand 9,7 [--actions hit,stand,surrender] [--rules toto]
+ *                      [--total 16 [--soft]] [--true-count 2.5] [--ev] [--json]
+ *                      [--decks 6] [--h17|--s17] [--das|--no-das] [--surrender none|late|early] [--peek|--enhc]
+ *                      [--lang nl|en|de]
+ *
+ * Batch: zonder --dealer wordt stdin gelezen, één hand per regel:
+ *   <dealer> <kaarten> [acties]      bijv. "10 9,7 hit,stand,surrender"
+ *   <notatie>                        bijv. "97 v T" of "s18 v A"
+ * Lege regels en regels die met # beginnen worden overgeslagen. Met --json is de
+ * uitvoer dan één JSON object per regel.
+ */
+
+const BlackjackStrategy = require('../js/strategy.js');
+const ExpectedValueEngine = require('../js/ev-engine.js');
+const HandNotation = require('../js/notation.js');
+const I18n = require('../js/i18n.js');
+
+const ACTIONS = ['hit', 'stand', 'double', 'split', 'surrender'];
+const SURRENDER_RULES = ['none', 'late', 'early'];
+
+function parseArgs(argv) {
+    const options = { preset: 'toto', overrides: {}, json: false, ev: false, lang: I18n.DEFAULT_LOCALE };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        // Een optie zonder waarde mag niet stil doorvallen naar de batch modus
+        const next = () => {
+            const value = argv[++i];
+            if (value === undefined || value.startsWith('--')) {
+                throw I18n.error('error.cli.missingValue', { option: arg });
+            }
+            return value;
+        };
+
+        switch (arg) {
+            case '--dealer': options.dealer = next(); break;
+            case '--hand': options.hand = next(); break;
+            case '--total': options.total = parseInt(next()); break;
+            case '--soft': options.soft = true; break;
+            case '--actions': options.actions = next(); break;
+            case '--rules': options.preset = next(); break;
+            case '--true-count': options.trueCount = parseFloat(next()); break;
+            case '--ev': options.ev = true; break;
+            case '--json': options.json = true; break;
+            case '--lang': options.lang = next(); break;
+            case '--decks': options.overrides.decks = Number(next()); break;
+            case '--h17': options.overrides.dealerHitsSoft17 = true; break;
+            case '--s17': options.overrides.dealerHitsSoft17 = false; break;
+            case '--das': options.overrides.doubleAfterSplit = true; break;
+            case '--no-das': options.overrides.doubleAfterSplit = false; break;
+            case '--surrender': options.overrides.surrender = next(); break;
+            case '--peek': options.overrides.holeCard = 'peek'; break;
+            case '--enhc': options.overrides.holeCard = 'enhc'; break;
+            default:
+                if (arg.startsWith('--') || options.notation) {
+                    throw I18n.error('error.cli.unknownOption', { option: arg });
+                }
+                options.notation = arg;
+        }
+    }
+
+    if (!BlackjackStrategy.RULE_PRESETS[options.preset]) {
+        throw I18n.error('error.cli.unknownPreset', {
+            preset: options.preset,
+            choices: Object.keys(BlackjackStrategy.RULE_PRESETS).join(', ')
+        });
+    }
+    if (!I18n.LOCALES[options.lang]) {
+        throw I18n.error('error.cli.unknownLocale', { locale: options.lang, choices: Object.keys(I18n.LOCALES).join(', ') });
+    }
+    if (options.trueCount !== undefined && isNaN(options.trueCount)) {
+        throw I18n.error('error.cli.trueCount');
+    }
+    if (options.overrides.decks !== undefined && !(Number.isInteger(options.overrides.decks) && options.overrides.decks >= 1)) {
+        throw I18n.error('error.cli.decks');
+    }
+    if (options.overrides.surrender !== undefined && !SURRENDER_RULES.includes(options.overrides.surrender)) {
+        throw I18n.error('error.cli.surrender', { surrender: options.overrides.surrender, choices: SURRENDER_RULES.join(', ') });
+    }
+
+    return options;
+}
+
+/**
+ * Dealer en hand uit notatie ("A7 v 9"), als velden voor advise()
+ * @param {string} text
+ * @param {Object} rules - Voor de controle dat de kaarten in de shoe passen
+ */
+function parseNotation(text, rules) {
+    const parsed = HandNotation.parse(text, { decks: rules.decks });
+    return parsed.total !== null
+        ? { dealer: parsed.dealerCard, total: parsed.total, soft: parsed.isSoft }
+        : { dealer: parsed.dealerCard, hand: parsed.playerCards };
+}
+
+function parseList(value) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Legale acties als er geen --actions is opgegeven
+ */
+function defaultActions(hand, rules) {
+    const actions = ['hit', 'stand'];
+    if (hand.cards.length === 2 || hand.cards.length === 0) {
+        actions.push('double');
+        if (hand.isPair) actions.push('split');
+        if (rules.surrender !== 'none') actions.push('surrender');
+    }
+    return actions;
+}
+
+/**
+ * Advies voor één hand, als JSON-vriendelijk object
+ * @param {Object} request - {dealer, hand ('9,7' of ['9','7']) of total (+ soft), actions, trueCount, ev}
+ * @param {Object} rules - Volledige tafelregels
+ * @param {I18n} [i18n] - Taal van de uitleg (standaard Nederlands)
+ * @returns {Object} - Met de uitleg als message en als vertaalde tekst (explanation)
+ */
+function advise(request, rules, i18n = new I18n({ storage: null })) {
+    if (!request.dealer) {
+        throw I18n.error('error.cli.dealer');
+    }
+    const dealer = HandNotation.parseCard(request.dealer);
+
+    let hand;
+    if (request.hand) {
+        const cards = (Array.isArray(request.hand) ? request.hand : parseList(request.hand)).map(card => HandNotation.parseCard(card));
+        if (cards.length < 2) {
+            throw I18n.error('error.cli.minCards');
+        }
+        hand = BlackjackStrategy.evaluateHand(cards);
+        if (hand.total > 21) {
+            throw I18n.error('error.notation.over21', { hand: cards.join(','), total: hand.total });
+        }
+        HandNotation.checkShoe([...cards, dealer], rules.decks);
+    } else if (request.total >= 4 && request.total <= 21) {
+        hand = { total: request.total, isSoft: Boolean(request.soft), isPair: false, cards: [] };
+    } else {
+        throw I18n.error('error.cli.hand');
+    }
+
+    const actions = request.actions
+        ? (Array.isArray(request.actions) ? request.actions : parseList(request.actions)).map(action => action.toLowerCase())
+        : defaultActions(hand, rules);
+    const unknown = actions.find(action => !ACTIONS.includes(action));
+    if (unknown) {
+        throw I18n.error('error.cli.unknownAction', { action: unknown, choices: ACTIONS.join(', ') });
+    }
+
+    const result = {
+        dealer,
+        hand: { cards: hand.cards, total: hand.total, isSoft: hand.isSoft, isPair: hand.isPair },
+        actions,
+        rules
+    };
+
+    const withExplanation = advice => Object.assign({}, advice, { explanation: i18n.format(advice.message) });
+
+    const blackjack = hand.cards.length === 2 && hand.total === 21;
+    const ev = request.ev && !blackjack ? new ExpectedValueEngine(rules).calculate(hand, dealer, actions) : null;
+
+    if (blackjack) {
+        Object.assign(result, withExplanation({ action: 'BLACKJACK', message: { key: 'advisor.blackjack' } }));
+    } else {
+        // Alle acties op volgorde; met --ev staan de acties na de fallback keten op EV
+        const strategy = new BlackjackStrategy(rules);
+        const options = typeof request.trueCount === 'number' ? { trueCount: request.trueCount } : {};
+        if (ev) options.evs = ev.evs;
+        Object.assign(result, withExplanation(strategy.getRankedAdvice(hand, dealer, actions, options)));
+    }
+
+    const insurance = new BlackjackStrategy(rules).getInsuranceAdvice(hand, dealer,
+        typeof request.trueCount === 'number' ? { trueCount: request.trueCount } : {});
+    if (insurance) {
+        result.insurance = withExplanation(insurance);
+    }
+
+    if (ev) {
+        result.ev = ev.evs;
+        result.bestEvAction = ev.best;
+    }
+
+    return result;
+}
+
+function formatResult(result, i18n = new I18n({ storage: null })) {
+    const handLabel = result.hand.cards.length > 0
+        ? `${result.hand.cards.join(',')} (${result.hand.isSoft ? 'soft' : 'hard'} ${result.hand.total})`
+        : `${result.hand.isSoft ? 'soft' : 'hard'} ${result.hand.total}`;
+    const lines = [
+        `${i18n.t('common.dealer')} ${result.dealer} · ${i18n.t('history.hand')} ${handLabel} · ${i18n.t('history.actions')} ${result.actions.join(', ')}`
+    ];
+
+    if (result.insurance) {
+        const name = i18n.t(`strategy.insurance.${result.insurance.type}`);
+        const decision = i18n.t(result.insurance.take ? 'insurance.take' : 'insurance.decline');
+        lines.push(`${name}: ${decision} - ${result.insurance.explanation}`);
+    }
+    lines.push(`${i18n.t('common.advice')}: ${result.action}`);
+    lines.push(result.explanation);
+
+    if (result.fallbacks && result.fallbacks.length > 1) {
+        lines.push(i18n.t('ranking.fallbacks', { chain: result.fallbacks.join(`, ${i18n.t('ranking.otherwise')} `) }));
+    }
+    if (result.ranking) {
+        const ranking = result.ranking.map(entry => `${entry.rank}. ${entry.action}` +
+            (entry.ev === null ? '' : ` ${entry.ev >= 0 ? '+' : ''}${(entry.ev * 100).toFixed(2)}%`));
+        lines.push(`${i18n.t(BlackjackStrategy.rankingTitleKey(result.ranking))}: ${ranking.join(' · ')}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Eén regel uit batch invoer: "<dealer> <kaarten> [acties]"
+ */
+function parseBatchLine(line, options, rules) {
+    const shared = { actions: options.actions, trueCount: options.trueCount, ev: options.ev };
+    // Kaarten en acties bevatten nooit een "v": dan is het notatie
+    if (/v|tegen/i.test(line)) {
+        return Object.assign(shared, parseNotation(line, rules));
+    }
+
+    const [dealer, hand, actions] = line.trim().split(/\s+/);
+    return Object.assign(shared, { dealer, hand, actions: actions || options.actions });
+}
+
+/**
+ * Taal van --lang, al voordat de andere opties gecontroleerd zijn (voor de foutmelding)
+ */
+function requestedLocale(argv) {
+    const index = argv.indexOf('--lang');
+    const locale = index >= 0 ? argv[index + 1] : undefined;
+    return I18n.LOCALES[locale] ? locale : I18n.DEFAULT_LOCALE;
+}
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let input = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => { input += chunk; });
+        process.stdin.on('end', () => resolve(input));
+        process.stdin.on('error', reject);
+    });
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    const i18n = new I18n({ locale: requestedLocale(argv), storage: null });
+    const errorMessage = error => (error.key ? i18n.t(error.key, error.params) : error.message);
+
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(errorMessage(error));
+        process.exit(1);
+    }
+
+    const rules = Object.assign({}, BlackjackStrategy.RULE_PRESETS[options.preset].rules, options.overrides);
+
+    // Eén hand vanaf de command line
+    if (options.dealer || options.notation) {
+        try {
+            const request = options.notation ? Object.assign({}, options, parseNotation(options.notation, rules)) : options;
+            const result = advise(request, rules, i18n);
+            console.log(options.json ? JSON.stringify(result, null, 2) : formatResult(result, i18n));
+        } catch (error) {
+            console.error(errorMessage(error));
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (process.stdin.isTTY) {
+        console.error(i18n.t('cli.usage'));
+        process.exit(1);
+    }
+
+    // Batch vanaf stdin
+    const lines = (await readStdin()).split('\n');
+    let failed = false;
+
+    lines.forEach((line, index) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        try {
+            const result = advise(parseBatchLine(line, options, rules), rules, i18n);
+            console.log(options.json
+                ? JSON.stringify(Object.assign({ line: index + 1 }, result))
+                : `${formatResult(result, i18n)}\n`);
+        } catch (error) {
+            failed = true;
+            if (options.json) {
+                console.log(JSON.stringify({ line: index + 1, input: line.trim(), error: errorMessage(error) }));
+            } else {
+                console.error(i18n.t('cli.line', { line: index + 1, message: errorMessage(error) }));
+            }
+        }
+    });
+
+    if (failed) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { advise, parseArgs };
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Monte Carlo simulatie vanaf de command line
+ *
+ * Gebruik:
+ *   node bin/simulate.js [--rounds 1000000] [--rules toto,european] [--strategy toto]
+ *                        [--decks 6] [--h17|--s17] [--das|--no-das] [--split-hands 4] [--rsa|--no-rsa]
+ *                        [--surrender none|late|early]
+ *                        [--peek|--enhc] [--penetration 0.75] [--seed 42] [--json] [--lang nl|en|de]
+ *
+ * Met meerdere presets in --rules worden de tafels naast elkaar vergeleken.
+ * --strategy speelt de strategie van een andere preset, om strategie varianten te vergelijken.
+ */
+
+const BlackjackStrategy = require('../js/strategy.js');
+const BlackjackSimulator = require('../js/simulator.js');
+const I18n = require('../js/i18n.js');
+
+/**
+ * Taal van --lang, al voordat de andere opties gecontroleerd zijn (voor de foutmelding)
+ */
+function requestedLocale(argv) {
+    const index = argv.indexOf('--lang');
+    const locale = index >= 0 ? argv[index + 1] : undefined;
+    return I18n.LOCALES[locale] ? locale : I18n.DEFAULT_LOCALE;
+}
+
+const argv = process.argv.slice(2);
+const i18n = new I18n({ locale: requestedLocale(argv), storage: null });
+
+function parseArgs(argv) {
+    const options = { rounds: 1000000, presets: ['toto'], overrides: {}, json: false, lang: I18n.DEFAULT_LOCALE };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+
+        switch (arg) {
+            case '--rounds': options.rounds = parseInt(next()); break;
+            case '--rules': options.presets = next().split(','); break;
+            case '--strategy': options.strategyPreset = next(); break;
+            case '--decks': options.overrides.decks = parseInt(next()); break;
+            case '--h17': options.overrides.dealerHitsSoft17 = true; break;
+            case '--s17': options.overrides.dealerHitsSoft17 = false; break;
+            case '--das': options.overrides.doubleAfterSplit = true; break;
+            case '--no-das': options.overrides.doubleAfterSplit = false; break;
+            case '--split-hands': options.overrides.maxSplitHands = parseInt(next()); break;
+            case '--rsa': options.overrides.resplitAces = true; break;
+            case '--no-rsa': options.overrides.resplitAces = false; break;
+            case '--surrender': options.overrides.surrender = next(); break;
+            case '--peek': options.overrides.holeCard = 'peek'; break;
+            case '--enhc': options.overrides.holeCard = 'enhc'; break;
+            case '--penetration': options.penetration = parseFloat(next()); break;
+            case '--seed': options.seed = parseInt(next()); break;
+            case '--json': options.json = true; break;
+            case '--lang': options.lang = next(); break;
+            default:
+                throw I18n.error('error.cli.unknownOption', { option: arg });
+        }
+    }
+
+    for (const preset of [...options.presets, options.strategyPreset].filter(Boolean)) {
+        if (!BlackjackStrategy.RULE_PRESETS[preset]) {
+            throw I18n.error('error.cli.unknownPreset', {
+                preset,
+                choices: Object.keys(BlackjackStrategy.RULE_PRESETS).join(', ')
+            });
+        }
+    }
+    if (!I18n.LOCALES[options.lang]) {
+        throw I18n.error('error.cli.unknownLocale', { locale: options.lang, choices: Object.keys(I18n.LOCALES).join(', ') });
+    }
+    if (!(options.rounds > 0)) {
+        throw I18n.error('error.cli.rounds');
+    }
+
+    return options;
+}
+
+function simulate(preset, options) {
+    const rules = Object.assign({}, BlackjackStrategy.RULE_PRESETS[preset].rules, options.overrides);
+    const strategy = options.strategyPreset
+        ? new BlackjackStrategy(Object.assign({}, BlackjackStrategy.RULE_PRESETS[options.strategyPreset].rules, options.overrides))
+        : undefined;
+
+    const simulator = new BlackjackSimulator({
+        rules,
+        strategy,
+        penetration: options.penetration,
+        seed: options.seed
+    });
+
+    return { preset, rules, report: simulator.run(options.rounds) };
+}
+
+function percentage(value, digits = 3) {
+    return `${(value * 100).toFixed(digits)}%`;
+}
+
+/**
+ * Label van een regel in het rapport, uitgelijnd op de waarden
+ */
+function label(key) {
+    return `${i18n.t(key)}:`.padEnd(19);
+}
+
+function printReport({ preset, rules, report }) {
+    console.log(`\n${i18n.t(`rules.preset.${preset}`)}`);
+    console.log(BlackjackStrategy.describeRules(rules).map(message => i18n.format(message)).join(' · '));
+    console.log('-'.repeat(50));
+    console.log(`${label('simulate.rounds')}${report.rounds.toLocaleString(i18n.tag)}`);
+    console.log(`${label('simulate.hands')}${report.hands.toLocaleString(i18n.tag)}`);
+    console.log(`${label('simulate.houseEdge')}${percentage(report.houseEdge)} ± ${percentage(1.96 * report.standardError)} (95%)`);
+    console.log(`${label('simulate.variance')}${report.variance.toFixed(4)} (sd ${report.standardDeviation.toFixed(4)})`);
+    console.log(`${label('simulate.wagered')}${(report.wagered / report.rounds).toFixed(4)}`);
+
+    console.log(`\n${i18n.t('simulate.outcomes')}:`);
+    for (const [outcome, { count, frequency }] of Object.entries(report.outcomes)) {
+        console.log(`  ${i18n.t(`simulate.outcome.${outcome}`).padEnd(16)} ${percentage(frequency, 2).padStart(8)}  (${count})`);
+    }
+
+    console.log(`\n${i18n.t('simulate.actions')}:`);
+    for (const [action, { count, frequency }] of Object.entries(report.actions)) {
+        console.log(`  ${i18n.t(`action.${action}`).padEnd(16)} ${percentage(frequency, 2).padStart(8)}  (${count})`);
+    }
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(error.key ? i18n.t(error.key, error.params) : error.message);
+        process.exit(1);
+    }
+
+    const results = options.presets.map(preset => simulate(preset, options));
+
+    if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+        return;
+    }
+
+    results.forEach(printReport);
+
+    if (results.length > 1) {
+        console.log(`\n${i18n.t('simulate.comparison')}:`);
+        results.forEach(({ preset, report }) => {
+            console.log(`  ${i18n.t(`rules.preset.${preset}`).padEnd(32)} ${percentage(report.houseEdge)}`);
+        });
+    }
+}
+
+main();
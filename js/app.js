@@ -4,19 +4,1830 @@
 
 class BlackjackApp {
     constructor() {
-        this.strategy = new BlackjackStrategy();
+        this.i18n = new I18n();
+        this.strategy = new BlackjackStrategy(BlackjackStrategy.RULE_PRESETS.toto.rules);
+        this.variant = BlackjackVariant.create('premier', this.strategy);
+        this.switchMessage = null; // Laatste switch advies (Blackjack Switch), voor een taalwissel
+        this.rescueMessage = null; // Laatste double down rescue advies (Spanish 21), voor een taalwissel
+        this.evEngine = new ExpectedValueEngine(this.strategy.rules);
+        this.dealerOdds = new DealerProbabilities(this.strategy.rules);
+        this.shoeTracker = new ShoeTracker(this.strategy.rules.decks, 'hiLo', this.variant.deck());
+        this.composition = new ShoeComposition(this.strategy.rules.decks, this.variant.deck());
+        this.compositionEnabled = false;
+        this.sideBets = new SideBetCalculator({ decks: this.strategy.rules.decks, deck: this.variant.deck() });
+        this.bankroll = new BankrollAdvisor({ rules: this.strategy.rules });
+        this.countingEnabled = false;
+        this.drill = new DrillScheduler();
+        this.trainer = new StrategyTrainer(this.strategy, { scheduler: this.drill });
+        this.game = new BlackjackGame({ rules: this.strategy.rules, strategy: this.strategy });
+        this.liveHand = new LiveHand(this.strategy.rules);
+        this.liveRecords = []; // Beslissingen in de live hand: {id, hand}, voor de uitkomst in de historie
+        this.liveMistake = null; // Kosten van de laatste afwijkende keuze in de live hand
+        this.mistakes = new MistakeTracker();
+        this.lastAdvice = null; // Laatste advies met de EV's, om een afwijkende keuze te beprijzen
+        this.history = new DecisionHistory();
+        this.profiles = new StrategyProfiles();
+        this.applyProfile();
+        this.currentRecord = null; // Laatst vastgelegde beslissing in de adviseur
+        this.resultMessages = null; // Teksten van het laatste advies, voor een taalwissel
+        this.trainerResult = null; // Antwoord op de huidige trainingsvraag
+        this.trainerShownAt = null; // Tijdstip waarop de trainingsvraag verscheen, voor de bedenktijd
+        this.activeView = 'advisor';
+        this.rulesPreset = 'toto';
         this.selectedDealerCard = null;
         this.playerCards = [];
+        this.splitHands = []; // Handen na een split; playerCards is dan de actieve hand
+        this.activeSplitIndex = 0;
         this.inputMode = 'cards'; // 'cards' or 'total'
+        this.keyboardTarget = 'player'; // 'dealer' na de sneltoets D
 
         this.init();
     }
 
     init() {
+        this.setupLanguage();
+        this.setupSideBetsPanel();
+        this.setupBankrollPanel();
+        this.setupRulesPanel();
+        this.setupVariants();
+        this.setupCountingPanel();
+        this.setupCompositionPanel();
+        this.setupMistakesPanel();
+        this.setupViewTabs();
+        this.setupTrainer();
+        this.setupTable();
+        this.setupLiveHand();
+        this.setupChart();
+        this.setupProfiles();
+        this.setupHistory();
         this.setupEventListeners();
+        this.setupKeyboardShortcuts();
+        this.setupServiceWorker();
         this.updateSplitAvailability();
     }
 
+    setupLanguage() {
+        const select = document.getElementById('languageSelect');
+        Object.entries(I18n.LOCALES).forEach(([key, locale]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = locale.name;
+            select.appendChild(option);
+        });
+        select.value = this.i18n.locale;
+
+        select.addEventListener('change', () => {
+            this.i18n.setLocale(select.value);
+            this.applyLocale();
+        });
+
+        document.documentElement.lang = this.i18n.locale;
+        this.i18n.translatePage(document);
+    }
+
+    /**
+     * Alle teksten opnieuw tonen in de gekozen taal
+     */
+    applyLocale() {
+        document.documentElement.lang = this.i18n.locale;
+        this.i18n.translatePage(document);
+
+        this.renderRulesSummary();
+        this.renderVariant();
+        this.renderChartLegend();
+        this.updateCountDisplay();
+        this.renderComposition();
+        this.renderMistakes();
+        this.updatePlayerCardsDisplay();
+        this.renderSplitHands();
+        this.renderResultMessages();
+        this.renderTrainerQuestion();
+        this.renderTrainerStats();
+        this.renderDrill();
+        this.renderTable();
+        this.renderLiveHand();
+        this.renderProfiles();
+        if (this.activeView === 'history') {
+            this.renderHistory();
+        }
+    }
+
+    /**
+     * Service worker voor offline gebruik. Een nieuwe versie wacht tot de gebruiker
+     * op "Bijwerken" klikt, zodat er niet midden in een hand herladen wordt.
+     */
+    setupServiceWorker() {
+        // Alleen via http(s); vanaf file:// draait de app zoals voorheen
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) {
+            return;
+        }
+
+        const banner = document.getElementById('updateBanner');
+        let waitingWorker = null;
+        let reloading = false;
+
+        const showUpdate = worker => {
+            waitingWorker = worker;
+            banner.classList.remove('hidden');
+        };
+
+        document.getElementById('updateBtn').addEventListener('click', () => {
+            if (waitingWorker) {
+                waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+            }
+        });
+
+        // De nieuwe worker heeft het overgenomen: herladen met de nieuwe bestanden
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) return;
+            reloading = true;
+            location.reload();
+        });
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            // Bij de eerste installatie is er nog geen controller en dus niets bij te werken
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdate(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdate(worker);
+                    }
+                });
+            });
+        }).catch(() => {
+            // Geen service worker (bijv. privé venster): de app werkt dan alleen online
+        });
+    }
+
+    /**
+     * Melding van een fout in de gekozen taal; modules geven een message key mee
+     */
+    errorMessage(error) {
+        return error.key ? this.i18n.t(error.key, error.params) : error.message;
+    }
+
+    setupRulesPanel() {
+        const presetSelect = document.getElementById('rulesPreset');
+        const customOption = presetSelect.querySelector('option[value="custom"]');
+
+        // Presets uit de strategy engine als opties toevoegen
+        Object.keys(BlackjackStrategy.RULE_PRESETS).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.dataset.i18n = `rules.preset.${key}`;
+            option.textContent = this.i18n.t(option.dataset.i18n);
+            presetSelect.insertBefore(option, customOption);
+        });
+
+        presetSelect.addEventListener('change', () => {
+            if (presetSelect.value !== 'custom') {
+                this.selectRulesPreset(presetSelect.value);
+            }
+        });
+
+        // Losse regel aangepast - preset wordt 'Aangepast' tenzij het weer exact een preset is
+        document.querySelectorAll('#rulesPanel [data-rule]').forEach(field => {
+            field.addEventListener('change', () => {
+                this.applyRules(this.readRulesFromPanel());
+            });
+        });
+
+        this.selectRulesPreset(this.rulesPreset);
+    }
+
+    selectRulesPreset(key) {
+        const rules = BlackjackStrategy.RULE_PRESETS[key].rules;
+
+        document.getElementById('rulesDecks').value = String(rules.decks);
+        document.getElementById('rulesSoft17').value = String(rules.dealerHitsSoft17);
+        document.getElementById('rulesSurrender').value = rules.surrender;
+        document.getElementById('rulesHoleCard').value = rules.holeCard;
+        document.getElementById('rulesDas').checked = rules.doubleAfterSplit;
+        document.getElementById('rulesMaxSplitHands').value = String(rules.maxSplitHands);
+        document.getElementById('rulesResplitAces').checked = rules.resplitAces;
+
+        this.applyRules(rules);
+    }
+
+    readRulesFromPanel() {
+        return {
+            decks: parseInt(document.getElementById('rulesDecks').value),
+            dealerHitsSoft17: document.getElementById('rulesSoft17').value === 'true',
+            doubleAfterSplit: document.getElementById('rulesDas').checked,
+            maxSplitHands: parseInt(document.getElementById('rulesMaxSplitHands').value),
+            resplitAces: document.getElementById('rulesResplitAces').checked,
+            surrender: document.getElementById('rulesSurrender').value,
+            holeCard: document.getElementById('rulesHoleCard').value
+        };
+    }
+
+    applyRules(rules) {
+        this.strategy.setRules(rules);
+        this.evEngine.setRules(this.strategy.rules);
+        this.dealerOdds.setRules(this.strategy.rules);
+        this.shoeTracker.setDecks(this.strategy.rules.decks);
+        this.composition.setDecks(this.strategy.rules.decks);
+        this.sideBets.setDecks(this.strategy.rules.decks);
+        this.bankroll.setRules(this.strategy.rules);
+        this.game.setRules(this.strategy.rules);
+        this.liveHand.setRules(this.strategy.rules);
+        this.refreshChart();
+        this.updateCountDisplay();
+        this.renderComposition();
+
+        // Zoek de preset die exact bij deze regels past
+        const matchingPreset = Object.keys(BlackjackStrategy.RULE_PRESETS).find(key => {
+            const presetRules = BlackjackStrategy.RULE_PRESETS[key].rules;
+            return Object.keys(presetRules).every(rule => presetRules[rule] === this.strategy.rules[rule]);
+        });
+        this.rulesPreset = matchingPreset || 'custom';
+        document.getElementById('rulesPreset').value = this.rulesPreset;
+
+        this.renderRulesSummary();
+        this.updateSurrenderAvailability();
+        this.updateSplitAvailability();
+        this.renderSplitHands();
+    }
+
+    renderRulesSummary() {
+        const presetName = this.i18n.t(this.rulesPreset === 'custom' ? 'rules.custom' : `rules.preset.${this.rulesPreset}`);
+        // De klassieke variant is de standaard en staat er niet apart bij
+        const variantName = this.variant.id === 'premier' ? '' : `${this.i18n.t(`variant.${this.variant.id}`)} - `;
+        document.getElementById('rulesSummary').textContent = `${variantName}${presetName} - ${this.formatRules()}`;
+    }
+
+    /**
+     * Keuzelijst met de geregistreerde varianten (zie BlackjackVariant.register)
+     */
+    setupVariants() {
+        const select = document.getElementById('variantSelect');
+        Object.keys(BlackjackVariant.VARIANTS).forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.dataset.i18n = `variant.${id}`;
+            option.textContent = this.i18n.t(option.dataset.i18n);
+            select.appendChild(option);
+        });
+        select.value = this.variant.id;
+
+        select.addEventListener('change', () => {
+            this.selectVariant(select.value);
+        });
+
+        document.getElementById('switchBtn').addEventListener('click', () => {
+            this.getSwitchAdvice();
+        });
+
+        document.getElementById('rescueBtn').addEventListener('click', () => {
+            this.getRescueAdvice();
+        });
+
+        this.renderVariant();
+    }
+
+    selectVariant(id) {
+        this.variant = BlackjackVariant.create(id, this.strategy);
+        this.switchMessage = null;
+        this.rescueMessage = null;
+
+        // Spaanse decks hebben geen tienen: een ander deck is een nieuwe shoe
+        this.shoeTracker.setDeck(this.variant.deck());
+        this.composition.setDeck(this.variant.deck());
+        this.sideBets.setDeck(this.variant.deck());
+        this.updateCountDisplay();
+        this.renderComposition();
+        this.renderSideBets();
+
+        // Het getoonde advies hoort bij de vorige variant
+        this.resultMessages = null;
+        document.getElementById('resultsSection').classList.add('hidden');
+
+        this.renderRulesSummary();
+        this.renderVariant();
+        this.renderLiveHand();
+    }
+
+    renderVariant() {
+        document.getElementById('variantDescription').textContent = this.i18n.t(`variant.${this.variant.id}.description`);
+        document.getElementById('switchSection').classList.toggle('hidden', this.variant.id !== 'switch');
+
+        const result = document.getElementById('switchResult');
+        result.classList.toggle('hidden', !this.switchMessage);
+        result.textContent = this.switchMessage ? this.i18n.format(this.switchMessage) : '';
+
+        document.getElementById('rescueSection').classList.toggle('hidden', this.variant.id !== 'spanish21');
+        const rescue = document.getElementById('rescueResult');
+        rescue.classList.toggle('hidden', !this.rescueMessage);
+        rescue.textContent = this.rescueMessage ? this.i18n.format(this.rescueMessage) : '';
+    }
+
+    /**
+     * Blackjack Switch: moeten de tweede kaarten van de twee handen gewisseld worden?
+     */
+    getSwitchAdvice() {
+        if (!this.selectedDealerCard) {
+            alert(this.i18n.t('alert.selectDealer'));
+            return;
+        }
+
+        let hands;
+        try {
+            hands = ['switchFirst', 'switchSecond'].map(id => {
+                const cards = HandNotation.parseCards(document.getElementById(id).value);
+                if (cards.length !== 2) {
+                    throw I18n.error('error.variant.switchHand');
+                }
+                return cards;
+            });
+        } catch (error) {
+            alert(this.errorMessage(error));
+            return;
+        }
+
+        const advice = this.variant.getSwitchAdvice(hands[0], hands[1], this.selectedDealerCard, {
+            removedCards: this.getRemovedCards()
+        });
+        this.switchMessage = {
+            key: advice.switch ? 'variant.switch.switch' : 'variant.switch.keep',
+            params: {
+                first: advice.hands[0].join('-'),
+                second: advice.hands[1].join('-'),
+                ev: this.formatEv(advice.ev),
+                otherEv: this.formatEv(advice.otherEv)
+            }
+        };
+        this.renderVariant();
+    }
+
+    /**
+     * Spanish 21: de hand na een double opgeven (double down rescue) of laten staan?
+     */
+    getRescueAdvice() {
+        if (!this.selectedDealerCard) {
+            alert(this.i18n.t('alert.selectDealer'));
+            return;
+        }
+
+        let advice;
+        try {
+            const cards = HandNotation.parseCards(document.getElementById('rescueHand').value);
+            advice = this.variant.getRescueAdvice(cards, this.selectedDealerCard, {
+                removedCards: this.getRemovedCards()
+            });
+            this.rescueMessage = {
+                key: advice.rescue ? 'variant.rescue.rescue' : 'variant.rescue.stand',
+                params: {
+                    hand: cards.join('-'),
+                    standEv: this.formatEv(advice.standEv),
+                    rescueEv: this.formatEv(advice.rescueEv)
+                }
+            };
+        } catch (error) {
+            alert(this.errorMessage(error));
+            return;
+        }
+        this.renderVariant();
+    }
+
+    /**
+     * Korte omschrijving van de tafelregels, bijv. "6 decks · S17 · DAS"
+     */
+    formatRules() {
+        return BlackjackStrategy.describeRules(this.strategy.rules)
+            .map(message => this.i18n.format(message))
+            .join(' · ');
+    }
+
+    setupViewTabs() {
+        document.querySelectorAll('.view-tab').forEach(tab => {
+            tab.addEventListener('click', (e) => {
+                this.switchView(e.target.dataset.view);
+            });
+        });
+    }
+
+    switchView(view) {
+        this.activeView = view;
+
+        document.querySelectorAll('.view-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === view);
+        });
+        document.querySelectorAll('.view').forEach(el => {
+            el.classList.toggle('hidden', el.id !== `${view}View`);
+        });
+
+        // Training start direct met een hand
+        if (view === 'trainer' && !this.trainer.question) {
+            this.nextTrainerQuestion();
+        }
+        this.refreshChart();
+        if (view === 'history') {
+            this.renderHistory();
+        }
+    }
+
+    setupTrainer() {
+        document.getElementById('trainerActions').addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (action && !e.target.disabled) {
+                this.answerTrainerQuestion(action);
+            }
+        });
+
+        document.getElementById('trainerNextBtn').addEventListener('click', () => {
+            this.nextTrainerQuestion();
+        });
+
+        document.getElementById('trainerResetBtn').addEventListener('click', () => {
+            if (confirm(this.i18n.t('confirm.resetTrainer'))) {
+                this.trainer.resetStats();
+                this.renderTrainerStats();
+            }
+        });
+
+        document.getElementById('drillResetBtn').addEventListener('click', () => {
+            if (confirm(this.i18n.t('confirm.resetDrill'))) {
+                this.drill.reset();
+                this.renderDrill();
+            }
+        });
+
+        this.renderTrainerStats();
+        this.renderDrill();
+    }
+
+    nextTrainerQuestion() {
+        const question = this.trainer.nextQuestion();
+        this.trainerResult = null;
+        this.trainerShownAt = Date.now();
+
+        document.getElementById('trainerDealer').innerHTML = this.renderPlayingCards([question.dealerCard]);
+        document.getElementById('trainerPlayer').innerHTML = this.renderPlayingCards(question.cards);
+        this.renderTrainerQuestion();
+
+        document.querySelectorAll('#trainerActions .trainer-action-btn').forEach(btn => {
+            btn.disabled = !question.availableActions.includes(btn.dataset.action);
+        });
+
+        document.getElementById('trainerFeedback').classList.add('hidden');
+        this.renderDrill();
+    }
+
+    answerTrainerQuestion(action) {
+        this.trainerResult = this.trainer.answer(action, Date.now() - this.trainerShownAt);
+
+        // Wat de fout kost: EV van de vraag met een volle shoe
+        const { question, advice, correct } = this.trainerResult;
+        if (!correct) {
+            const evResult = this.evEngine.calculate(question.hand, question.dealerCard, question.availableActions);
+            this.trainerResult.mistake = this.recordMistake({
+                hand: question.hand,
+                dealerCard: question.dealerCard,
+                action: advice.action,
+                evs: evResult.evs
+            }, action, 'trainer');
+        }
+        this.renderTrainerQuestion();
+
+        // Geen tweede antwoord op dezelfde hand
+        document.querySelectorAll('#trainerActions .trainer-action-btn').forEach(btn => {
+            btn.disabled = true;
+        });
+
+        document.getElementById('trainerFeedback').classList.remove('hidden');
+        this.renderTrainerStats();
+        this.renderDrill();
+    }
+
+    /**
+     * Teksten bij de trainingsvraag en het antwoord
+     */
+    renderTrainerQuestion() {
+        // Na een antwoord is de vraag bij de trainer al gesloten
+        const question = this.trainerResult ? this.trainerResult.question : this.trainer.question;
+        if (!question) return;
+
+        // Pairs heten naar de kaart, net als in de tabellen en de heatmap (3-3 is "Pair 3")
+        let total = question.hand.total;
+        if (question.category === 'pair') {
+            total = question.cell ? question.cell.hand : StrategyTrainer.dealerKey(question.cards[0]);
+        }
+        document.getElementById('trainerHandLabel').textContent = this.i18n.t('trainer.handLabel', {
+            type: { key: `hand.${question.category}` },
+            total
+        });
+
+        const result = this.trainerResult;
+        if (!result) return;
+
+        const verdict = document.getElementById('trainerVerdict');
+        verdict.textContent = this.i18n.t(result.correct ? 'trainer.correct' : 'trainer.incorrect', { action: result.advice.action });
+        verdict.className = 'trainer-verdict ' + (result.correct ? 'correct' : 'incorrect');
+        document.getElementById('trainerExplanation').textContent = this.i18n.format(result.advice.message);
+        this.renderMistakeMessage(document.getElementById('trainerMistake'), result.mistake);
+    }
+
+    setupMistakesPanel() {
+        document.getElementById('mistakesResetBtn').addEventListener('click', () => {
+            this.mistakes.reset();
+            this.renderMistakes();
+        });
+
+        this.renderMistakes();
+    }
+
+    /**
+     * Vergelijk een gekozen actie met het advies en tel de kosten bij de sessie op
+     * @param {Object|null} advice - {hand, dealerCard, action, evs}
+     * @param {string} action - Gekozen actie
+     * @param {string} source - 'trainer' of 'live'
+     * @returns {Object|null} - De fout uit MistakeTracker.record(), of null als het advies gevolgd is
+     */
+    recordMistake(advice, action, source) {
+        if (!advice) return null;
+
+        const mistake = this.mistakes.record(advice.hand, advice.dealerCard, action, advice.action, advice.evs, source);
+        if (mistake) {
+            this.renderMistakes();
+        }
+        return mistake;
+    }
+
+    /**
+     * Bijv. "HIT met hard 12 tegen 4 kost 1.9% van je inzet (advies: STAND)."
+     */
+    getMistakeMessage(mistake) {
+        let key = 'mistakes.cost';
+        if (mistake.cost === null) {
+            key = 'mistakes.costUnknown';
+        } else if (mistake.cost === 0) {
+            key = 'mistakes.noCost';
+        }
+        return {
+            key,
+            params: {
+                action: mistake.action,
+                advised: mistake.advisedAction,
+                hand: this.getMistakeHandMessage(mistake),
+                dealer: mistake.dealer,
+                cost: mistake.cost === null ? '' : this.formatCost(mistake.cost)
+            }
+        };
+    }
+
+    getMistakeHandMessage(mistake) {
+        return mistake.category === 'pair'
+            ? { key: 'mistakes.hand.pair', params: { card: mistake.pairCard } }
+            : { key: 'mistakes.hand.total', params: { type: { key: `hand.${mistake.category}` }, total: mistake.total } };
+    }
+
+    renderMistakeMessage(element, mistake) {
+        element.classList.toggle('hidden', !mistake);
+        element.textContent = mistake ? this.i18n.format(this.getMistakeMessage(mistake)) : '';
+    }
+
+    /**
+     * EV verlies van deze sessie: totaal, per soort hand en de duurste fouten
+     */
+    renderMistakes() {
+        const count = this.mistakes.mistakes.length;
+        document.getElementById('mistakesSummary').textContent = count > 0
+            ? this.i18n.t('mistakes.summary', { cost: this.formatCost(this.mistakes.totalCost()), count })
+            : this.i18n.t('mistakes.none');
+
+        const labels = { hard: 'hand.hard', soft: 'hand.soft', pair: 'hand.pairs' };
+        document.getElementById('mistakeCategoryStats').innerHTML = this.mistakes.byCategory()
+            .map(({ category, count: categoryCount, cost }) => `<div class="stat-cell${cost > 0 ? ' poor' : ''}">
+                <span>${this.i18n.t(labels[category])}</span>
+                <strong>${this.formatCost(cost)}</strong>
+                <small>${this.i18n.t('mistakes.count', { count: categoryCount })}</small>
+            </div>`)
+            .join('');
+
+        const worst = this.mistakes.worst();
+        document.getElementById('mistakeList').innerHTML = worst.length > 0
+            ? worst.map(mistake => `<li>${this.i18n.t('mistakes.worstEntry', {
+                action: mistake.action,
+                advised: mistake.advisedAction,
+                hand: this.getMistakeHandMessage(mistake),
+                dealer: mistake.dealer,
+                count: mistake.count,
+                cost: this.formatCost(mistake.cost)
+            })}</li>`).join('')
+            : `<li class="empty">${this.i18n.t('mistakes.none')}</li>`;
+    }
+
+    /**
+     * EV verlies als deel van de inzet, zonder teken: 0.019 wordt "1.9%"
+     */
+    formatCost(cost) {
+        return `${(cost * 100).toFixed(1)}%`;
+    }
+
+    renderTrainerStats() {
+        const labels = { hard: 'hand.hard', soft: 'hand.soft', pair: 'hand.pairs' };
+        const { categories, dealer } = this.trainer.stats;
+
+        document.getElementById('trainerCategoryStats').innerHTML = StrategyTrainer.CATEGORIES
+            .map(category => this.renderStatCell(this.i18n.t(labels[category]), categories[category]))
+            .join('');
+
+        document.getElementById('trainerDealerStats').innerHTML = StrategyTrainer.DEALER_KEYS
+            .map(key => this.renderStatCell(key, dealer[key]))
+            .join('');
+    }
+
+    /**
+     * Beheersing per cel uit het herhaalschema, in de vorm van de strategie tabellen
+     */
+    renderDrill() {
+        const summary = this.drill.summary();
+        document.getElementById('drillSummary').textContent = this.i18n.t('drill.summary', summary);
+
+        const now = Date.now();
+        const titles = { hard: 'chart.section.hard', soft: 'chart.section.soft', pair: 'chart.section.pairs' };
+        const rowLabel = (type, hand) => {
+            if (type === 'soft') return `A,${parseInt(hand) - 11}`;
+            return type === 'pair' ? `${hand},${hand}` : hand;
+        };
+        const header = DrillScheduler.DEALERS.map(dealer => `<th>${dealer}</th>`).join('');
+
+        document.getElementById('drillHeatmap').innerHTML = Object.entries(DrillScheduler.HANDS).map(([type, hands]) => `
+            <table class="strategy-chart mastery-chart">
+                <caption>${this.i18n.t(titles[type])}</caption>
+                <thead><tr><th></th>${header}</tr></thead>
+                <tbody>
+                    ${hands.map(hand => `<tr>
+                        <th>${rowLabel(type, hand)}</th>
+                        ${DrillScheduler.DEALERS.map(dealer => {
+                            const state = this.drill.state({ type, hand, dealer });
+                            if (!state) {
+                                return `<td class="mastery-new" title="${this.i18n.t('drill.cellNew')}"></td>`;
+                            }
+                            const title = this.i18n.t('drill.cellTitle', state);
+                            return `<td class="mastery-${state.box}${state.due <= now ? ' due' : ''}" title="${title}">${state.box}</td>`;
+                        }).join('')}
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        `).join('');
+
+        document.getElementById('drillLegend').textContent = this.i18n.t('drill.legend', {
+            max: DrillScheduler.INTERVALS.length - 1
+        });
+    }
+
+    renderStatCell(label, bucket) {
+        const accuracy = StrategyTrainer.accuracy(bucket);
+        let level = '';
+        if (accuracy !== null) {
+            level = accuracy >= 0.9 ? 'good' : accuracy >= 0.7 ? 'fair' : 'poor';
+        }
+
+        return `<div class="stat-cell ${level}">
+            <span>${label}</span>
+            <strong>${accuracy === null ? '-' : Math.round(accuracy * 100) + '%'}</strong>
+            <small>${bucket.correct}/${bucket.total}</small>
+        </div>`;
+    }
+
+    renderPlayingCards(cards) {
+        return cards.map(card => `<span class="playing-card">${card}</span>`).join('');
+    }
+
+    setupTable() {
+        document.getElementById('tableDealBtn').addEventListener('click', () => {
+            const bet = parseFloat(document.getElementById('tableBet').value);
+            try {
+                this.game.deal(bet);
+            } catch (error) {
+                alert(this.errorMessage(error));
+            }
+            this.renderTable();
+        });
+
+        document.getElementById('tableActions').addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (action && !e.target.disabled) {
+                this.playTableAction(action);
+            }
+        });
+
+        document.getElementById('tableHintToggle').addEventListener('change', () => {
+            this.renderTable();
+        });
+
+        document.getElementById('tableResetBtn').addEventListener('click', () => {
+            if (this.game.phase === 'playing') {
+                alert(this.i18n.t('alert.finishRound'));
+                return;
+            }
+            if (confirm(this.i18n.t('confirm.resetBalance'))) {
+                this.game.resetBankroll();
+                this.renderTable();
+            }
+        });
+
+        this.renderTable();
+    }
+
+    /**
+     * Handen van de speler aan tafel, met inzet en uitslag
+     * @param {Array<Object>} hands - Handen van BlackjackGame of LiveHand
+     * @param {number} activeIndex - Hand die aan de beurt is, -1 voor geen
+     */
+    renderPlayerHands(hands, activeIndex) {
+        // Een opgegeven hand heet aan tafel anders dan in de historie
+        const resultKey = result => (result === 'surrender' ? 'table.surrendered' : `outcome.${result}`);
+        return hands.map((hand, index) => {
+            const evaluated = this.calculateHand(hand.cards);
+            const label = this.i18n.t('table.handLabel', {
+                hand: hands.length > 1 ? { key: 'common.handNumber', params: { hand: index + 1 } } : { key: 'common.yourHand' },
+                total: hand.cards.length > 0 ? `${evaluated.isSoft ? 'Soft ' : ''}${evaluated.total}` : '-',
+                bet: hand.bet
+            });
+            return `<div class="trainer-hand table-player-hand${index === activeIndex ? ' active' : ''}">
+                <span class="trainer-label">${label}</span>
+                <div class="trainer-cards">${this.renderPlayingCards(hand.cards)}</div>
+                ${hand.result ? `<span class="hand-result">${this.i18n.t(resultKey(hand.result))}</span>` : ''}
+            </div>`;
+        }).join('');
+    }
+
+    playTableAction(action) {
+        try {
+            this.game[action]();
+        } catch (error) {
+            alert(this.errorMessage(error));
+        }
+        this.renderTable();
+    }
+
+    renderTable() {
+        const game = this.game;
+        const playing = game.phase === 'playing';
+
+        document.getElementById('tableBankroll').textContent = game.bankroll;
+
+        // Dealer: hole card verborgen tot de dealer speelt
+        const dealerCards = game.holeRevealed
+            ? this.renderPlayingCards(game.dealerCards)
+            : this.renderPlayingCards(game.dealerCards.slice(0, 1)) +
+                (game.dealerCards.length > 1 ? '<span class="playing-card card-back">?</span>' : '');
+        document.getElementById('tableDealerCards').innerHTML = dealerCards;
+        document.getElementById('tableDealerLabel').textContent = game.holeRevealed
+            ? this.i18n.t('table.dealerTotal', { total: this.calculateHand(game.dealerCards).total })
+            : this.i18n.t('common.dealer');
+
+        document.getElementById('tablePlayerHands').innerHTML = this.renderPlayerHands(game.hands, playing ? game.activeHandIndex : -1);
+
+        const message = document.getElementById('tableMessage');
+        message.textContent = this.i18n.format(game.message);
+        message.classList.toggle('hidden', !game.message);
+
+        document.getElementById('tableBetControls').classList.toggle('hidden', playing);
+        document.getElementById('tableActions').classList.toggle('hidden', !playing);
+
+        const available = game.getAvailableActions();
+        document.querySelectorAll('#tableActions .trainer-action-btn').forEach(btn => {
+            btn.disabled = !available.includes(btn.dataset.action);
+        });
+
+        // Hint van de strategy engine voor de actieve hand
+        const hint = document.getElementById('tableHint');
+        const showHint = playing && document.getElementById('tableHintToggle').checked;
+        if (showHint) {
+            const advice = game.getAdvice();
+            hint.textContent = this.i18n.t('table.hint', { action: advice.action, explanation: advice.message });
+        }
+        hint.classList.toggle('hidden', !showHint);
+    }
+
+    /**
+     * Live hand: een echte hand volgen van delen tot uitbetaling. De kaart knoppen
+     * van de adviseur voeren dan de kaarten van de hand in.
+     */
+    setupLiveHand() {
+        document.getElementById('liveStartBtn').addEventListener('click', () => {
+            if (this.liveHand.phase === 'settled') {
+                this.nextHand();
+            } else {
+                this.startLiveHand();
+            }
+        });
+
+        document.getElementById('liveActions').addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (action && !e.target.disabled) {
+                this.playLiveAction(action);
+            }
+        });
+
+        document.getElementById('liveDealerBlackjackBtn').addEventListener('click', () => {
+            this.playLiveAction('declareDealerBlackjack');
+        });
+        document.getElementById('liveUndoBtn').addEventListener('click', () => {
+            this.undoLiveHand();
+        });
+        document.getElementById('liveStopBtn').addEventListener('click', () => {
+            this.stopLiveHand();
+        });
+
+        this.renderLiveHand();
+    }
+
+    isLiveActive() {
+        return this.liveHand.phase !== 'idle';
+    }
+
+    startLiveHand() {
+        this.switchInputMode('cards');
+        this.liveHand.start();
+        this.liveRecords = [];
+        this.liveMistake = null;
+        this.onLiveHandChanged();
+    }
+
+    stopLiveHand() {
+        this.liveHand.reset();
+        this.liveRecords = [];
+        this.liveMistake = null;
+        this.selectedDealerCard = null;
+        document.querySelectorAll('#dealerCards .card-btn').forEach(btn => btn.classList.remove('active'));
+        this.clearPlayerCards();
+
+        document.getElementById('resultsSection').classList.add('hidden');
+        document.getElementById('handSummary').classList.add('hidden');
+        this.renderLiveHand();
+    }
+
+    playLiveAction(action) {
+        try {
+            this.liveHand[action]();
+        } catch (error) {
+            alert(this.errorMessage(error));
+            return;
+        }
+
+        if (action !== 'declareDealerBlackjack') {
+            this.recordLiveDecision(action);
+        }
+        this.onLiveHandChanged();
+    }
+
+    /**
+     * Voer een kaart in de live hand in
+     * @param {Function} apply - Roept de juiste methode van LiveHand aan
+     * @param {string|null} [action] - De beslissing die de kaart inhoudt ('hit'), als die er is
+     */
+    addLiveCard(apply, action = null) {
+        try {
+            apply();
+        } catch (error) {
+            alert(this.errorMessage(error));
+            return;
+        }
+        if (action) {
+            this.recordLiveDecision(action);
+        }
+        this.onLiveHandChanged();
+    }
+
+    /**
+     * Leg een beslissing in de live hand vast en vergelijk hem met het laatste advies
+     */
+    recordLiveDecision(action) {
+        this.recordTakenAction(action.toUpperCase());
+        this.liveMistake = this.recordMistake(this.lastAdvice, action, 'live');
+    }
+
+    undoLiveHand() {
+        if (this.liveHand.undo()) {
+            this.onLiveHandChanged();
+        }
+    }
+
+    /**
+     * Zet de adviseur gelijk met de live hand en vernieuw het advies zolang de speler aan de beurt is
+     */
+    onLiveHandChanged() {
+        this.syncLiveHand();
+        this.renderLiveHand();
+        this.updatePlayerCardsDisplay();
+        document.dispatchEvent(new Event('cardsChanged'));
+
+        if (this.liveHand.getAvailableActions().length > 0) {
+            this.getAdvice();
+            if (this.currentRecord) {
+                this.liveRecords.push({ id: this.currentRecord.id, hand: this.liveHand.activeHandIndex });
+            }
+        } else {
+            document.getElementById('resultsSection').classList.add('hidden');
+            document.getElementById('handSummary').classList.add('hidden');
+        }
+
+        if (this.liveHand.phase === 'settled') {
+            this.recordLiveOutcome();
+        }
+    }
+
+    /**
+     * Upcard, actieve hand en split handen uit de live hand, zodat advies, EV en tellen gewoon werken
+     */
+    syncLiveHand() {
+        const live = this.liveHand;
+        this.selectedDealerCard = live.dealerCards[0] || null;
+        document.querySelectorAll('#dealerCards .card-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.value === this.selectedDealerCard);
+        });
+
+        this.splitHands = live.hands.length > 1 ? live.hands : [];
+        this.activeSplitIndex = live.activeHandIndex;
+        this.playerCards = live.activeHand ? live.activeHand.cards : [];
+    }
+
+    /**
+     * Uitslag van elke hand bij de beslissingen in de historie
+     */
+    recordLiveOutcome() {
+        this.liveRecords.forEach(({ id, hand }) => {
+            const result = this.liveHand.hands[hand] && this.liveHand.hands[hand].result;
+            // De historie kan intussen gewist zijn
+            if (result && this.history.records.some(record => record.id === id)) {
+                this.history.update(id, { outcome: result });
+            }
+        });
+    }
+
+    renderLiveHand() {
+        const live = this.liveHand;
+        const active = this.isLiveActive();
+        const settled = live.phase === 'settled';
+
+        const startBtn = document.getElementById('liveStartBtn');
+        startBtn.textContent = this.i18n.t(settled ? 'common.nextHand' : 'live.start');
+        startBtn.classList.toggle('hidden', active && !settled);
+        document.getElementById('liveUndoBtn').classList.toggle('hidden', !active);
+        document.getElementById('liveStopBtn').classList.toggle('hidden', !active);
+        document.getElementById('liveDealerBlackjackBtn').classList.toggle('hidden', !live.canDeclareDealerBlackjack());
+        document.getElementById('liveTable').classList.toggle('hidden', !active);
+
+        // De handmatige acties en knoppen zijn in een live hand niet nodig
+        document.getElementById('actionsSection').classList.toggle('hidden', active);
+        document.getElementById('getAdviceBtn').classList.toggle('hidden', active);
+        document.getElementById('clearCards').classList.toggle('hidden', active);
+        if (!active) return;
+
+        // Hole card verborgen tot de dealer speelt
+        const hidden = live.dealerCards.length === 1 && ['deal', 'player'].includes(live.phase);
+        document.getElementById('liveDealerCards').innerHTML = this.renderPlayingCards(live.dealerCards) +
+            (hidden ? '<span class="playing-card card-back">?</span>' : '');
+        document.getElementById('liveDealerLabel').textContent = live.dealerCards.length > 1
+            ? this.i18n.t('table.dealerTotal', { total: this.calculateHand(live.dealerCards).total })
+            : this.i18n.t('common.dealer');
+
+        document.getElementById('livePlayerHands').innerHTML = this.renderPlayerHands(live.hands,
+            live.phase === 'player' ? live.activeHandIndex : -1);
+        document.getElementById('liveStatus').textContent = this.i18n.format(live.getStatus());
+        this.renderMistakeMessage(document.getElementById('liveMistake'), this.liveMistake);
+
+        const available = this.getLiveActions();
+        document.querySelectorAll('#liveActions .trainer-action-btn').forEach(btn => {
+            btn.disabled = !available.includes(btn.dataset.action);
+        });
+    }
+
+    setupChart() {
+        document.getElementById('chartPrintBtn').addEventListener('click', () => {
+            window.print();
+        });
+
+        document.getElementById('chartCsvBtn').addEventListener('click', () => {
+            this.downloadFile('blackjack-strategie.csv', this.buildChart().toCSV(), 'text/csv');
+        });
+
+        document.getElementById('chartSvgBtn').addEventListener('click', () => {
+            this.downloadFile('blackjack-strategie.svg', this.buildChart().toSVG(this.getChartTitle()), 'image/svg+xml');
+        });
+
+        this.renderChartLegend();
+    }
+
+    renderChartLegend() {
+        document.getElementById('chartLegend').textContent = this.buildChart().legend()
+            .map(([code, label]) => `${code} = ${label}`)
+            .join(' · ');
+    }
+
+    /**
+     * Tabel met de huidige regels, en count afwijkingen als er geteld wordt
+     */
+    buildChart() {
+        const options = { i18n: this.i18n };
+        if (this.countingEnabled) {
+            options.trueCount = this.shoeTracker.getTrueCount(this.getCurrentHandCards());
+        }
+        return new StrategyChart(this.strategy, options);
+    }
+
+    getChartTitle() {
+        let title = this.formatRules();
+        if (this.countingEnabled) {
+            title += ` · True count ${this.shoeTracker.getTrueCount(this.getCurrentHandCards()).toFixed(1)}`;
+        }
+        return title;
+    }
+
+    /**
+     * Alleen opnieuw tekenen als de tabellen zichtbaar zijn
+     */
+    refreshChart() {
+        if (this.activeView === 'chart') {
+            this.renderChart();
+            this.renderProfiles();
+        }
+    }
+
+    renderChart() {
+        const chart = this.buildChart();
+        const header = StrategyChart.DEALER_LABELS.map(label => `<th>${label}</th>`).join('');
+
+        document.getElementById('chartSubtitle').textContent = this.getChartTitle();
+        document.getElementById('chartContainer').innerHTML = chart.sections.map(section => `
+            <table class="strategy-chart">
+                <caption>${section.title}</caption>
+                <thead><tr><th></th>${header}</tr></thead>
+                <tbody>
+                    ${section.rows.map(row => `<tr>
+                        <th>${row.label}</th>
+                        ${row.cells.map(cell => `<td class="${cell.action.toLowerCase()}${cell.deviation ? ' deviation' : ''}${cell.override ? ' override' : ''}" data-type="${row.type}" data-hand="${row.hand}" data-dealer="${cell.dealer}">${cell.code}</td>`).join('')}
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        `).join('');
+    }
+
+    setupProfiles() {
+        const fillSelect = (id, values) => {
+            const select = document.getElementById(id);
+            values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                select.appendChild(option);
+            });
+        };
+        fillSelect('overrideDealer', StrategyProfiles.DEALERS);
+        fillSelect('overrideAction', StrategyProfiles.ACTIONS);
+        this.fillOverrideHands();
+
+        document.getElementById('profileSelect').addEventListener('change', (e) => {
+            this.profiles.setActive(e.target.value || null);
+            this.onProfileChanged();
+        });
+
+        document.getElementById('profileNewBtn').addEventListener('click', () => {
+            const name = prompt(this.i18n.t('profiles.namePrompt'));
+            if (name === null) return;
+
+            try {
+                const profile = this.profiles.create(name);
+                this.profiles.setActive(profile.name);
+            } catch (error) {
+                alert(this.errorMessage(error));
+                return;
+            }
+            this.onProfileChanged();
+        });
+
+        document.getElementById('profileDeleteBtn').addEventListener('click', () => {
+            const active = this.profiles.getActive();
+            if (active && confirm(this.i18n.t('confirm.deleteProfile', { name: active.name }))) {
+                this.profiles.remove(active.name);
+                this.onProfileChanged();
+            }
+        });
+
+        document.getElementById('profileExportBtn').addEventListener('click', () => {
+            const active = this.profiles.getActive();
+            if (active) {
+                const filename = `blackjack-profiel-${active.name.replace(/[^\w-]+/g, '-').toLowerCase()}.json`;
+                this.downloadFile(filename, this.profiles.toJSON(active.name), 'application/json');
+            }
+        });
+
+        const fileInput = document.getElementById('profileImportFile');
+        document.getElementById('profileImportBtn').addEventListener('click', () => {
+            fileInput.click();
+        });
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    const names = this.profiles.import(reader.result);
+                    this.profiles.setActive(names[0]);
+                    alert(this.i18n.t('alert.profilesImported', { count: names.length, names: names.join(', ') }));
+                } catch (error) {
+                    alert(this.errorMessage(error));
+                }
+                fileInput.value = '';
+                this.onProfileChanged();
+            };
+            reader.readAsText(file);
+        });
+
+        document.getElementById('overrideType').addEventListener('change', () => {
+            this.fillOverrideHands();
+            this.renderOverrideForm();
+        });
+        ['overrideHand', 'overrideDealer'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderOverrideForm());
+        });
+
+        document.getElementById('overrideSaveBtn').addEventListener('click', () => {
+            const active = this.profiles.getActive();
+            if (!active) return;
+
+            try {
+                this.profiles.setOverride(active.name, Object.assign(this.getOverrideCell(), {
+                    action: document.getElementById('overrideAction').value,
+                    note: document.getElementById('overrideNote').value
+                }));
+            } catch (error) {
+                alert(this.errorMessage(error));
+                return;
+            }
+            this.onProfileChanged();
+        });
+
+        document.getElementById('overrideTableBody').addEventListener('click', (e) => {
+            const active = this.profiles.getActive();
+            const row = e.target.closest('tr');
+            if (!active || !row) return;
+
+            const cell = { type: row.dataset.type, hand: row.dataset.hand, dealer: row.dataset.dealer };
+            if (e.target.dataset.remove !== undefined) {
+                this.profiles.removeOverride(active.name, cell);
+                this.onProfileChanged();
+            } else {
+                this.selectOverrideCell(cell);
+            }
+        });
+
+        // Klik op een cel in de tabellen om hem in de editor te openen
+        document.getElementById('chartContainer').addEventListener('click', (e) => {
+            const td = e.target.closest('td[data-type]');
+            if (td && this.profiles.getActive()) {
+                this.selectOverrideCell(td.dataset);
+                document.getElementById('overrideEditor').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+        });
+
+        this.renderProfiles();
+    }
+
+    /**
+     * Geef de afwijkingen van het actieve profiel aan de strategy engine
+     */
+    applyProfile() {
+        const active = this.profiles.getActive();
+        this.strategy.setOverrides(active ? active.overrides : [], active ? active.name : null);
+    }
+
+    onProfileChanged() {
+        this.applyProfile();
+        this.refreshChart();
+        this.renderTable();
+    }
+
+    renderProfiles() {
+        const active = this.profiles.getActive();
+
+        const select = document.getElementById('profileSelect');
+        select.innerHTML = `<option value="" data-i18n="profiles.none">${this.i18n.t('profiles.none')}</option>`;
+        this.profiles.names().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = active ? active.name : '';
+
+        document.getElementById('profileExportBtn').disabled = !active;
+        document.getElementById('profileDeleteBtn').disabled = !active;
+        document.getElementById('overrideEditor').classList.toggle('hidden', !active);
+        if (!active) return;
+
+        // Namen en notities kunnen geïmporteerd zijn: alleen via textContent in de tabel
+        const engineActions = this.getEngineActions();
+        const tbody = document.getElementById('overrideTableBody');
+        tbody.innerHTML = '';
+        for (const override of active.overrides) {
+            const row = document.createElement('tr');
+            row.dataset.type = override.type;
+            row.dataset.hand = override.hand;
+            row.dataset.dealer = override.dealer;
+
+            [
+                this.getOverrideHandLabel(override.type, override.hand),
+                override.dealer,
+                override.action,
+                engineActions[StrategyProfiles.cellKey(override)],
+                override.note || '-'
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const removeCell = document.createElement('td');
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'secondary-btn';
+            removeBtn.dataset.remove = '';
+            removeBtn.textContent = this.i18n.t('profiles.remove');
+            removeCell.appendChild(removeBtn);
+            row.appendChild(removeCell);
+
+            tbody.appendChild(row);
+        }
+
+        this.renderOverrideForm();
+    }
+
+    /**
+     * Actie van de engine (zonder eigen afwijkingen) per cel, zoals in de tabellen
+     * @returns {Object} - {cellKey: action}
+     */
+    getEngineActions() {
+        const actions = {};
+        for (const section of this.buildChart().sections) {
+            for (const row of section.rows) {
+                row.cells.forEach(cell => {
+                    actions[StrategyProfiles.cellKey({ type: row.type, hand: row.hand, dealer: cell.dealer })] = cell.engineAction;
+                });
+            }
+        }
+        return actions;
+    }
+
+    fillOverrideHands() {
+        const type = document.getElementById('overrideType').value;
+        const select = document.getElementById('overrideHand');
+        select.innerHTML = '';
+        StrategyProfiles.HANDS[type].forEach(hand => {
+            const option = document.createElement('option');
+            option.value = hand;
+            option.textContent = this.getOverrideHandLabel(type, hand);
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Label zoals in de tabellen: "16", "A,7" of "8,8"
+     */
+    getOverrideHandLabel(type, hand) {
+        if (type === 'soft') return `A,${parseInt(hand) - 11}`;
+        if (type === 'pair') return `${hand},${hand}`;
+        return hand;
+    }
+
+    getOverrideCell() {
+        return {
+            type: document.getElementById('overrideType').value,
+            hand: document.getElementById('overrideHand').value,
+            dealer: document.getElementById('overrideDealer').value
+        };
+    }
+
+    selectOverrideCell(cell) {
+        document.getElementById('overrideType').value = cell.type;
+        this.fillOverrideHands();
+        document.getElementById('overrideHand').value = cell.hand;
+        document.getElementById('overrideDealer').value = cell.dealer;
+        this.renderOverrideForm();
+    }
+
+    /**
+     * Vul actie en notitie in met de bestaande afwijking of het advies van de engine
+     */
+    renderOverrideForm() {
+        const active = this.profiles.getActive();
+        if (!active) return;
+
+        const cell = this.getOverrideCell();
+        const key = StrategyProfiles.cellKey(cell);
+        const existing = active.overrides.find(o => StrategyProfiles.cellKey(o) === key);
+        const engineAction = this.getEngineActions()[key];
+
+        // Split alleen bij een pair
+        document.querySelectorAll('#overrideAction option').forEach(option => {
+            option.disabled = option.value === 'SPLIT' && cell.type !== 'pair';
+        });
+        document.getElementById('overrideAction').value = existing ? existing.action : engineAction;
+        document.getElementById('overrideNote').value = existing ? existing.note : '';
+        document.getElementById('overrideEngineAction').textContent = this.i18n.t('profiles.engineAction', { action: engineAction });
+    }
+
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    setupHistory() {
+        const fillSelect = (id, entries) => {
+            const select = document.getElementById(id);
+            entries.forEach(([value, label, key]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                if (key) option.dataset.i18n = key;
+                select.appendChild(option);
+            });
+        };
+        const outcomes = DecisionHistory.OUTCOMES.map(outcome => [outcome, this.i18n.t(`outcome.${outcome}`), `outcome.${outcome}`]);
+
+        fillSelect('historyDealer', StrategyChart.DEALER_LABELS.map(card => [card, card]));
+        fillSelect('historyAdvised', Object.keys(StrategyChart.CODES).map(action => [action, action]));
+        fillSelect('historyOutcomeFilter', outcomes);
+        fillSelect('historyOutcome', outcomes);
+
+        document.querySelectorAll('#historyView [data-filter]').forEach(select => {
+            select.addEventListener('change', () => this.renderHistory());
+        });
+
+        // Genomen actie en uitkomst bij het laatste advies
+        document.getElementById('takenActions').addEventListener('click', (e) => {
+            if (e.target.dataset.action) {
+                this.recordTakenAction(e.target.dataset.action);
+            }
+        });
+        document.getElementById('historyOutcome').addEventListener('change', (e) => {
+            if (this.currentRecord) {
+                this.history.update(this.currentRecord.id, { outcome: e.target.value });
+            }
+        });
+
+        document.getElementById('historyJsonBtn').addEventListener('click', () => {
+            this.downloadFile('blackjack-historie.json', this.history.toJSON(this.getFilteredHistory()), 'application/json');
+        });
+        document.getElementById('historyCsvBtn').addEventListener('click', () => {
+            this.downloadFile('blackjack-historie.csv', this.history.toCSV(this.getFilteredHistory()), 'text/csv');
+        });
+
+        const fileInput = document.getElementById('historyImportFile');
+        document.getElementById('historyImportBtn').addEventListener('click', () => {
+            fileInput.click();
+        });
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    const added = this.history.import(reader.result);
+                    alert(this.i18n.t('alert.imported', { count: added }));
+                } catch (error) {
+                    alert(this.errorMessage(error));
+                }
+                fileInput.value = '';
+                this.renderHistory();
+            };
+            reader.readAsText(file);
+        });
+
+        document.getElementById('historyClearBtn').addEventListener('click', () => {
+            if (confirm(this.i18n.t('confirm.clearHistory'))) {
+                this.history.clear();
+                this.currentRecord = null;
+                this.renderHistory();
+            }
+        });
+    }
+
+    /**
+     * Leg de adviesvraag vast in de historie
+     */
+    recordDecision(hand, availableActions, advice) {
+        this.currentRecord = this.history.add({
+            dealerCard: this.selectedDealerCard,
+            playerCards: this.inputMode === 'cards' ? [...this.playerCards] : [],
+            total: hand.total,
+            isSoft: hand.isSoft,
+            availableActions,
+            advisedAction: advice.action
+        });
+    }
+
+    recordTakenAction(action) {
+        if (!this.currentRecord) return;
+        this.history.update(this.currentRecord.id, { takenAction: action });
+        this.renderHistoryRecord();
+    }
+
+    renderHistoryRecord() {
+        const container = document.getElementById('historyRecord');
+        const record = this.currentRecord;
+        container.classList.toggle('hidden', !record);
+        if (!record) return;
+
+        document.getElementById('takenActions').innerHTML = record.availableActions
+            .map(action => action.toUpperCase())
+            .map(action => `<button class="secondary-btn${action === record.takenAction ? ' active' : ''}" data-action="${action}">${action}</button>`)
+            .join('');
+        document.getElementById('historyOutcome').value = record.outcome || '';
+    }
+
+    getFilteredHistory() {
+        const filters = {};
+        document.querySelectorAll('#historyView [data-filter]').forEach(select => {
+            if (select.value) filters[select.dataset.filter] = select.value;
+        });
+        return this.history.filter(filters);
+    }
+
+    renderHistory() {
+        // Sessies bijwerken met behoud van de keuze
+        const sessionSelect = document.getElementById('historySession');
+        const selected = sessionSelect.value;
+        sessionSelect.innerHTML = `<option value="" data-i18n="history.allSessions">${this.i18n.t('history.allSessions')}</option>`;
+        this.history.getSessions().forEach(session => {
+            const option = document.createElement('option');
+            option.value = session;
+            option.textContent = new Date(session).toLocaleString(this.i18n.tag) +
+                (session === this.history.sessionId ? ` ${this.i18n.t('history.thisSession')}` : '');
+            sessionSelect.appendChild(option);
+        });
+        sessionSelect.value = this.history.getSessions().includes(selected) ? selected : '';
+
+        const records = this.getFilteredHistory();
+        const withAction = records.filter(record => record.takenAction);
+        const followed = withAction.filter(record => record.takenAction === record.advisedAction).length;
+        const count = this.i18n.t('history.count', { count: records.length });
+        document.getElementById('historySummary').textContent = withAction.length > 0
+            ? this.i18n.t('history.followedSummary', {
+                count,
+                followed,
+                total: withAction.length,
+                percent: Math.round(followed / withAction.length * 100)
+            })
+            : count;
+
+        // Geïmporteerde data: alleen via textContent in de tabel
+        const tbody = document.getElementById('historyTableBody');
+        tbody.innerHTML = '';
+        for (const record of records) {
+            const hand = record.playerCards.length > 0
+                ? `${record.playerCards.join(' ')} (${record.total})`
+                : `${this.i18n.t(record.isSoft ? 'hand.soft' : 'hand.hard')} ${record.total}`;
+            const cells = [
+                new Date(record.timestamp).toLocaleString(this.i18n.tag),
+                record.dealerCard,
+                hand,
+                record.availableActions.join(', '),
+                record.advisedAction,
+                record.takenAction || '-',
+                DecisionHistory.OUTCOMES.includes(record.outcome) ? this.i18n.t(`outcome.${record.outcome}`) : '-'
+            ];
+
+            const row = document.createElement('tr');
+            row.classList.toggle('deviated', Boolean(record.takenAction) && record.takenAction !== record.advisedAction);
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        }
+    }
+
+    setupCountingPanel() {
+        const systemSelect = document.getElementById('countingSystem');
+        Object.entries(ShoeTracker.SYSTEMS).forEach(([key, system]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = system.name;
+            systemSelect.appendChild(option);
+        });
+        systemSelect.value = this.shoeTracker.system;
+
+        systemSelect.addEventListener('change', () => {
+            this.shoeTracker.setSystem(systemSelect.value);
+            this.updateCountDisplay();
+        });
+
+        document.getElementById('countingEnabled').addEventListener('change', (e) => {
+            this.countingEnabled = e.target.checked;
+            this.updateCountDisplay();
+        });
+
+        // Kaarten van medespelers en dealer direct in de shoe tracker
+        document.getElementById('seenCards').addEventListener('click', (e) => {
+            if (e.target.classList.contains('card-btn')) {
+                this.shoeTracker.addCard(e.target.dataset.value);
+                this.updateCountDisplay();
+            }
+        });
+
+        document.getElementById('undoSeenCardBtn').addEventListener('click', () => {
+            this.shoeTracker.removeLastCard();
+            this.updateCountDisplay();
+        });
+
+        document.getElementById('nextHandBtn').addEventListener('click', () => {
+            this.nextHand();
+        });
+
+        document.getElementById('newShoeBtn').addEventListener('click', () => {
+            if (confirm(this.i18n.t('confirm.newShoe'))) {
+                this.shoeTracker.reset();
+                this.updateCountDisplay();
+            }
+        });
+    }
+
+    /**
+     * Exacte samenstelling van de resterende shoe: kaarten per rank weghalen of terugleggen
+     */
+    setupCompositionPanel() {
+        document.getElementById('compositionGrid').addEventListener('click', (e) => {
+            const { card, op } = e.target.dataset;
+            if (!card) return;
+            try {
+                if (op === 'remove') {
+                    this.composition.removeCard(card);
+                } else {
+                    this.composition.restoreCard(card);
+                }
+            } catch (error) {
+                alert(this.errorMessage(error));
+                return;
+            }
+            this.onCompositionChanged();
+        });
+
+        document.getElementById('compositionEnabled').addEventListener('change', (e) => {
+            this.compositionEnabled = e.target.checked;
+            this.onCompositionChanged();
+        });
+
+        // Gezien kaarten uit de shoe tracker overnemen
+        document.getElementById('compositionLoadBtn').addEventListener('click', () => {
+            const loaded = this.composition.loadCards(this.shoeTracker.seenCards);
+            alert(this.i18n.t('alert.compositionLoaded', { count: loaded }));
+            this.onCompositionChanged();
+        });
+
+        document.getElementById('compositionResetBtn').addEventListener('click', () => {
+            this.composition.reset();
+            this.onCompositionChanged();
+        });
+
+        this.renderComposition();
+    }
+
+    onCompositionChanged() {
+        this.renderComposition();
+        this.renderSideBets();
+    }
+
+    renderComposition() {
+        ShoeComposition.RANKS.forEach(({ rank, label }) => {
+            document.getElementById(`composition-${label}`).textContent =
+                `${this.composition.remaining(rank)} / ${this.composition.full(rank)}`;
+        });
+
+        document.getElementById('compositionSummary').textContent = this.compositionEnabled
+            ? this.i18n.t('composition.summary', { count: this.composition.cardsLeft(), decks: this.composition.decks })
+            : this.i18n.t('counting.off');
+    }
+
+    /**
+     * Kaarten die niet meer in de shoe zitten: de ingevoerde samenstelling, anders de getelde kaarten
+     * @returns {Array<string>}
+     */
+    getRemovedCards() {
+        if (this.compositionEnabled) {
+            return this.composition.removedCards();
+        }
+        return this.countingEnabled ? this.shoeTracker.seenCards : [];
+    }
+
+    /**
+     * Kaarten van de hand die nu ingevoerd is (tellen al mee, maar zitten nog niet in de tracker)
+     */
+    getCurrentHandCards() {
+        if (this.isLiveActive()) {
+            return this.liveHand.allCards();
+        }
+
+        const cards = this.getPlayerCards();
+        if (this.selectedDealerCard) {
+            cards.push(this.selectedDealerCard);
+        }
+        return cards;
+    }
+
+    /**
+     * Zichtbare kaarten van de speler, bij een split van alle handen
+     */
+    getPlayerCards() {
+        return this.isLiveActive() ? this.liveHand.playerCards()
+            : this.inputMode !== 'cards' ? []
+            : this.isSplitActive() ? this.splitHands.flatMap(hand => hand.cards)
+            : [...this.playerCards];
+    }
+
+    /**
+     * Sla de kaarten van de huidige hand op in de tracker en begin een nieuwe hand
+     */
+    nextHand() {
+        this.shoeTracker.addCards(this.getCurrentHandCards());
+
+        if (this.isLiveActive()) {
+            this.startLiveHand();
+            return;
+        }
+
+        this.selectedDealerCard = null;
+        document.querySelectorAll('#dealerCards .card-btn').forEach(btn => btn.classList.remove('active'));
+        this.clearPlayerCards();
+
+        document.getElementById('resultsSection').classList.add('hidden');
+        document.getElementById('handSummary').classList.add('hidden');
+    }
+
+    updateCountDisplay() {
+        const state = this.shoeTracker.getState(this.getCurrentHandCards());
+        const trueCount = state.trueCount.toFixed(1);
+
+        document.getElementById('runningCount').textContent = state.runningCount;
+        document.getElementById('trueCount').textContent = trueCount;
+        document.getElementById('decksRemaining').textContent = state.decksRemaining.toFixed(1);
+        document.getElementById('cardsSeen').textContent = state.cardsSeen;
+
+        document.getElementById('countSummary').textContent = this.countingEnabled
+            ? `${ShoeTracker.SYSTEMS[state.system].name} - RC ${state.runningCount}, TC ${trueCount}`
+            : this.i18n.t('counting.off');
+
+        this.refreshChart();
+        this.renderSideBets();
+        this.renderBankroll();
+    }
+
+    setupBankrollPanel() {
+        const kellySelect = document.getElementById('bankrollKelly');
+        BankrollAdvisor.KELLY_FRACTIONS.forEach(fraction => {
+            const option = document.createElement('option');
+            option.value = String(fraction);
+            option.dataset.i18n = `bankroll.kelly.${fraction}`;
+            option.textContent = this.i18n.t(option.dataset.i18n);
+            kellySelect.appendChild(option);
+        });
+
+        const fields = document.querySelectorAll('#bankrollSettings [data-setting]');
+        const fillFields = () => {
+            fields.forEach(field => { field.value = String(this.bankroll.settings[field.dataset.setting]); });
+        };
+        fillFields();
+
+        fields.forEach(field => {
+            field.addEventListener('change', () => {
+                try {
+                    this.bankroll.configure({ [field.dataset.setting]: parseFloat(field.value) });
+                } catch (error) {
+                    alert(this.errorMessage(error));
+                    fillFields();
+                }
+                this.renderBankroll();
+            });
+        });
+    }
+
+    renderBankroll() {
+        const trueCount = this.countingEnabled ? this.shoeTracker.getTrueCount(this.getCurrentHandCards()) : null;
+        const recommendation = this.bankroll.recommend(trueCount);
+        const analysis = this.bankroll.analyze(this.countingEnabled);
+        const percent = (value, digits = 2) => `${(value * 100).toFixed(digits)}%`;
+
+        document.getElementById('bankrollBet').textContent = recommendation.bet;
+        document.getElementById('bankrollAdvantage').textContent = `${recommendation.advantage >= 0 ? '+' : ''}${percent(recommendation.advantage)}`;
+        document.getElementById('bankrollHourly').textContent = analysis.hourlyWin.toFixed(2);
+        document.getElementById('bankrollHourlySd').textContent = analysis.hourlySd.toFixed(0);
+        document.getElementById('bankrollRuin').textContent = percent(analysis.riskOfRuin, 1);
+
+        document.getElementById('bankrollNote').textContent = this.countingEnabled
+            ? this.i18n.t('bankroll.noteCounting', { trueCount: trueCount.toFixed(1) })
+            : this.i18n.t('bankroll.noteNoCounting', { houseEdge: percent(this.bankroll.houseEdge) });
+
+        document.getElementById('bankrollRamp').classList.toggle('hidden', !this.countingEnabled);
+        document.getElementById('bankrollRampBody').innerHTML = this.countingEnabled
+            ? analysis.ramp.map((step, i) => {
+                const label = i === 0 ? `≤ ${step.trueCount}` : i === analysis.ramp.length - 1 ? `≥ ${step.trueCount}` : step.trueCount;
+                return `<tr>
+                    <td>${label}</td>
+                    <td class="${step.advantage >= 0 ? 'ev-positive' : 'ev-negative'}">${percent(step.advantage)}</td>
+                    <td>${percent(step.frequency, 1)}</td>
+                    <td>${step.bet}</td>
+                </tr>`;
+            }).join('')
+            : '';
+
+        document.getElementById('bankrollSummary').textContent = this.i18n.t('bankroll.summary', {
+            bet: recommendation.bet,
+            kelly: { key: `bankroll.kelly.${this.bankroll.settings.kellyFraction}` },
+            ror: percent(analysis.riskOfRuin, 1)
+        });
+    }
+
+    setupSideBetsPanel() {
+        const container = document.getElementById('sideBets');
+
+        container.innerHTML = Object.entries(this.sideBets.paytables).map(([bet, paytable]) => `
+            <div class="side-bet" id="sideBet-${bet}">
+                <h3 data-i18n="sideBets.${bet}">${this.i18n.t(`sideBets.${bet}`)}</h3>
+                <table class="ev-table">
+                    <thead>
+                        <tr>
+                            <th data-i18n="common.outcome">${this.i18n.t('common.outcome')}</th>
+                            <th data-i18n="sideBets.payout">${this.i18n.t('sideBets.payout')}</th>
+                            <th data-i18n="common.probability">${this.i18n.t('common.probability')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(paytable).map(([key, payout]) => `
+                            <tr>
+                                <td data-i18n="sideBets.${key}">${this.i18n.t(`sideBets.${key}`)}</td>
+                                <td><input type="number" min="0" step="1" value="${payout}" data-bet="${bet}" data-payout="${key}"></td>
+                                <td id="sideBet-${bet}-${key}"></td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+                <p class="side-bet-edge" id="sideBet-${bet}-edge"></p>
+            </div>`).join('');
+
+        container.addEventListener('change', (e) => {
+            const { bet, payout } = e.target.dataset;
+            const value = parseFloat(e.target.value);
+            if (!bet || !(value >= 0)) return;
+
+            this.sideBets.setPaytable(bet, { [payout]: value });
+            this.renderSideBets();
+        });
+
+        // Pas rekenen als het paneel open is
+        document.getElementById('sideBetsPanel').addEventListener('toggle', () => {
+            this.renderSideBets();
+        });
+    }
+
+    renderSideBets() {
+        if (!document.getElementById('sideBetsPanel').open) return;
+
+        const results = this.sideBets.calculate(this.getRemovedCards());
+        const summary = [];
+
+        for (const [bet, result] of Object.entries(results)) {
+            for (const [key, { probability }] of Object.entries(result.classes)) {
+                document.getElementById(`sideBet-${bet}-${key}`).textContent = `${(probability * 100).toFixed(3)}%`;
+            }
+
+            const edge = document.getElementById(`sideBet-${bet}-edge`);
+            edge.textContent = this.i18n.t('sideBets.edge', { edge: `${(result.houseEdge * 100).toFixed(2)}%`, ev: this.formatEv(result.ev) });
+            edge.className = `side-bet-edge ${result.ev >= 0 ? 'ev-positive' : 'ev-negative'}`;
+            document.getElementById(`sideBet-${bet}`).classList.toggle('positive', result.ev > 0);
+
+            summary.push(`${this.i18n.t(`sideBets.${bet}`)} ${this.formatEv(result.ev)}${result.ev > 0 ? ' ★' : ''}`);
+        }
+
+        document.getElementById('sideBetsSummary').textContent = summary.join(' · ');
+    }
+
+    updateSurrenderAvailability() {
+        const surrenderCheckbox = document.getElementById('surrenderAction');
+
+        // Surrender niet mogelijk als de tafelregels het niet toestaan
+        if (this.strategy.rules.surrender === 'none') {
+            surrenderCheckbox.checked = false;
+            surrenderCheckbox.disabled = true;
+        } else {
+            surrenderCheckbox.disabled = false;
+        }
+    }
+
     setupEventListeners() {
         // Dealer card selection
         const dealerCards = document.getElementById('dealerCards');
@@ -43,6 +1854,10 @@ class BlackjackApp {
         const modeBtns = document.querySelectorAll('.mode-btn');
         modeBtns.forEach(btn => {
             btn.addEventListener('click', (e) => {
+                if (this.isLiveActive()) {
+                    alert(this.i18n.t('alert.liveActive'));
+                    return;
+                }
                 this.switchInputMode(e.target.dataset.mode);
             });
         });
@@ -52,13 +1867,160 @@ class BlackjackApp {
             this.getAdvice();
         });
 
+        // Split workflow
+        document.getElementById('splitHandBtn').addEventListener('click', () => {
+            this.splitHand();
+        });
+        document.getElementById('finishSplitHandBtn').addEventListener('click', () => {
+            this.finishSplitHand();
+        });
+        document.getElementById('cancelSplitBtn').addEventListener('click', () => {
+            this.clearPlayerCards();
+        });
+
         // Player cards change - update split availability
         document.addEventListener('cardsChanged', () => {
             this.updateSplitAvailability();
+            this.renderSplitHands();
+            this.updateCountDisplay();
+        });
+    }
+
+    /**
+     * Snelle invoer in notatie ("A7 v 9") en sneltoetsen voor de adviseur
+     */
+    setupKeyboardShortcuts() {
+        const notationInput = document.getElementById('notationInput');
+        notationInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.applyNotation(notationInput.value);
+            }
+        });
+        document.getElementById('notationBtn').addEventListener('click', () => {
+            this.applyNotation(notationInput.value);
         });
+
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+    }
+
+    handleShortcut(e) {
+        if (this.activeView !== 'advisor' || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        // Niet tijdens het typen in een veld; Enter op een knop klikt die knop al
+        const tag = e.target.tagName;
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(tag) || e.target.isContentEditable) return;
+        if (e.key === 'Enter' && ['BUTTON', 'SUMMARY'].includes(tag)) return;
+
+        const key = e.key.toLowerCase();
+        const card = BlackjackApp.SHORTCUT_CARDS[key];
+
+        if (card) {
+            e.preventDefault();
+            if (this.keyboardTarget === 'dealer') {
+                this.selectDealerCard(document.querySelector(`#dealerCards .card-btn[data-value="${card}"]`));
+                this.setKeyboardTarget('player');
+            } else {
+                if (this.inputMode !== 'cards') {
+                    this.switchInputMode('cards');
+                }
+                this.addPlayerCard(card);
+            }
+        } else if (key === 'd') {
+            e.preventDefault();
+            this.setKeyboardTarget(this.keyboardTarget === 'dealer' ? 'player' : 'dealer');
+        } else if (key === 'escape') {
+            this.setKeyboardTarget('player');
+        } else if (key === 'enter') {
+            e.preventDefault();
+            this.getAdvice();
+        } else if (key === 'backspace') {
+            e.preventDefault();
+            this.removeLastPlayerCard();
+        } else if (key === '/') {
+            e.preventDefault();
+            document.getElementById('notationInput').focus();
+        }
+    }
+
+    /**
+     * Waar de volgende kaart via het toetsenbord heen gaat: 'player' of 'dealer'
+     */
+    setKeyboardTarget(target) {
+        this.keyboardTarget = target;
+        document.getElementById('dealerSection').classList.toggle('keyboard-target', target === 'dealer');
+    }
+
+    /**
+     * Vul dealer kaart en hand in vanuit notatie en vraag direct advies
+     * @param {string} text - bijv. "A7 v 9", "88 vs T" of "s18 v A"
+     */
+    applyNotation(text) {
+        if (this.isLiveActive()) {
+            alert(this.i18n.t('alert.liveActive'));
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = HandNotation.parse(text, { decks: this.strategy.rules.decks, deck: this.variant.deck() });
+        } catch (error) {
+            alert(this.errorMessage(error));
+            return;
+        }
+        if (parsed.playerCards.length > 5) {
+            alert(this.i18n.t('alert.maxCards'));
+            return;
+        }
+
+        if (parsed.dealerCard) {
+            this.selectDealerCard(document.querySelector(`#dealerCards .card-btn[data-value="${parsed.dealerCard}"]`));
+        }
+
+        if (parsed.total !== null) {
+            this.switchInputMode('total');
+            document.getElementById('handTotal').value = parsed.total;
+            document.getElementById('isSoftHand').checked = parsed.isSoft;
+        } else {
+            this.clearPlayerCards();
+            this.switchInputMode('cards');
+            this.playerCards = parsed.playerCards;
+            this.updatePlayerCardsDisplay();
+            document.dispatchEvent(new Event('cardsChanged'));
+        }
+
+        this.getAdvice();
+    }
+
+    /**
+     * Haal de laatst toegevoegde kaart weg (de gesplitste kaart van een split hand blijft staan)
+     */
+    removeLastPlayerCard() {
+        if (this.isLiveActive()) {
+            this.undoLiveHand();
+            return;
+        }
+        if (this.inputMode !== 'cards') return;
+
+        const minimum = this.isSplitActive() ? 1 : 0;
+        if (this.playerCards.length <= minimum) return;
+        if (this.isSplitActive() && this.splitHands[this.activeSplitIndex].done) return;
+
+        this.playerCards.pop();
+        this.updatePlayerCardsDisplay();
+        document.dispatchEvent(new Event('cardsChanged'));
     }
 
     selectDealerCard(cardBtn) {
+        // In een live hand is dit de upcard of, als de dealer speelt, de volgende dealer kaart
+        if (this.isLiveActive()) {
+            const card = cardBtn.dataset.value;
+            this.addLiveCard(() => (this.liveHand.phase === 'dealer'
+                ? this.liveHand.addDealerCard(card)
+                : this.liveHand.setDealerUpcard(card)));
+            return;
+        }
+
         // Remove previous selection
         const allDealerCards = document.querySelectorAll('#dealerCards .card-btn');
         allDealerCards.forEach(btn => btn.classList.remove('active'));
@@ -66,30 +2028,162 @@ class BlackjackApp {
         // Select new card
         cardBtn.classList.add('active');
         this.selectedDealerCard = cardBtn.dataset.value;
+        this.updateCountDisplay();
     }
 
     addPlayerCard(cardValue) {
+        if (this.isLiveActive()) {
+            // Een kaart op een hand die geen kaart meer wacht is een hit
+            const hit = this.liveHand.phase === 'player' && !this.liveHand.needsPlayerCard();
+            this.addLiveCard(() => this.liveHand.addPlayerCard(cardValue), hit ? 'hit' : null);
+            return;
+        }
+
+        const splitHand = this.isSplitActive() ? this.splitHands[this.activeSplitIndex] : null;
+        if (splitHand && splitHand.done) {
+            alert(this.i18n.t('alert.splitDone'));
+            return;
+        }
+        if (splitHand && splitHand.splitAces && this.playerCards.length >= 2) {
+            alert(this.i18n.t('alert.splitAcesOneCard'));
+            return;
+        }
         if (this.playerCards.length >= 5) {
-            alert('Maximaal 5 kaarten');
+            alert(this.i18n.t('alert.maxCards'));
             return;
         }
 
         this.playerCards.push(cardValue);
         this.updatePlayerCardsDisplay();
         document.dispatchEvent(new Event('cardsChanged'));
+
+        // Split azen krijgen maar één kaart (tenzij er opnieuw gesplitst mag worden)
+        if (splitHand && splitHand.splitAces && this.playerCards.length === 2 && !this.canSplitActiveHand()) {
+            const handNumber = this.activeSplitIndex + 1;
+            this.showResult({
+                action: 'STAND',
+                message: { key: 'advisor.splitAcesHandStands', params: { hand: handNumber } }
+            }, this.calculateHand(this.playerCards));
+            this.finishSplitHand();
+        }
     }
 
     clearPlayerCards() {
         this.playerCards = [];
+        this.splitHands = [];
+        this.activeSplitIndex = 0;
+        this.updatePlayerCardsDisplay();
+        this.renderSplitHands();
+        document.dispatchEvent(new Event('cardsChanged'));
+    }
+
+    isSplitActive() {
+        return this.splitHands.length > 0;
+    }
+
+    /**
+     * Mag de hand die nu ingevoerd wordt (opnieuw) gesplitst worden binnen de tafelregels
+     */
+    canSplitActiveHand() {
+        const handCount = Math.max(this.splitHands.length, 1);
+        const splitAces = this.isSplitActive() && this.splitHands[this.activeSplitIndex].splitAces;
+        return BlackjackStrategy.canSplit(this.playerCards, handCount, splitAces, this.strategy.rules);
+    }
+
+    /**
+     * Splits de actieve hand in twee handen die elk nog een tweede kaart krijgen
+     */
+    splitHand() {
+        if (this.inputMode !== 'cards' || !this.canSplitActiveHand()) {
+            alert(this.i18n.t('alert.cannotSplit'));
+            return;
+        }
+
+        // Het laatste advies is opgevolgd met een split
+        if (this.currentRecord && this.currentRecord.advisedAction === 'SPLIT') {
+            this.history.update(this.currentRecord.id, { takenAction: 'SPLIT' });
+        }
+
+        const [first, second] = this.playerCards;
+        const splitAces = first === 'A';
+        const newHands = [first, second].map(card => ({ cards: [card], splitAces, done: false }));
+
+        if (this.isSplitActive()) {
+            this.splitHands.splice(this.activeSplitIndex, 1, ...newHands);
+        } else {
+            this.splitHands = newHands;
+            this.activeSplitIndex = 0;
+        }
+
+        this.playerCards = this.splitHands[this.activeSplitIndex].cards;
+        document.getElementById('resultsSection').classList.add('hidden');
+        document.getElementById('handSummary').classList.add('hidden');
+        this.updatePlayerCardsDisplay();
+        this.renderSplitHands();
+        document.dispatchEvent(new Event('cardsChanged'));
+    }
+
+    /**
+     * Actieve split hand is klaar: door naar de volgende hand
+     */
+    finishSplitHand() {
+        if (!this.isSplitActive()) return;
+
+        const hand = this.splitHands[this.activeSplitIndex];
+        if (hand.cards.length < 2) {
+            alert(this.i18n.t('alert.secondCard'));
+            return;
+        }
+        hand.done = true;
+
+        const next = this.splitHands.findIndex(h => !h.done);
+        if (next !== -1) {
+            this.activeSplitIndex = next;
+            this.playerCards = this.splitHands[next].cards;
+        }
+
         this.updatePlayerCardsDisplay();
+        this.renderSplitHands();
         document.dispatchEvent(new Event('cardsChanged'));
     }
 
+    renderSplitHands() {
+        // De live hand toont zijn handen zelf
+        const show = this.isSplitActive() && !this.isLiveActive();
+        const container = document.getElementById('splitHands');
+        container.classList.toggle('hidden', !show);
+        if (!show) return;
+
+        document.getElementById('splitHandList').innerHTML = this.splitHands.map((hand, i) => {
+            const classes = ['split-hand'];
+            if (i === this.activeSplitIndex && !hand.done) classes.push('active');
+            if (hand.done) classes.push('done');
+            const total = hand.cards.length >= 2 ? ` (${this.calculateHand(hand.cards).total})` : '';
+            const label = this.i18n.t('common.handNumber', { hand: i + 1 });
+            return `<span class="${classes.join(' ')}">${label}: ${hand.cards.join(' ')}${total}</span>`;
+        }).join('');
+
+        const active = this.splitHands[this.activeSplitIndex];
+        const position = { hand: this.activeSplitIndex + 1, count: this.splitHands.length };
+        let status;
+        if (this.splitHands.every(hand => hand.done)) {
+            status = this.i18n.t('split.allDone');
+        } else if (active.cards.length < 2) {
+            status = this.i18n.t('split.addSecondCard', position);
+        } else {
+            status = this.i18n.t('split.askAdvice', position);
+        }
+        if (!this.strategy.rules.doubleAfterSplit) {
+            status += ` ${this.i18n.t('split.noDas')}`;
+        }
+        document.getElementById('splitStatus').textContent = status;
+    }
+
     updatePlayerCardsDisplay() {
         const container = document.getElementById('selectedCards');
 
         if (this.playerCards.length === 0) {
-            container.innerHTML = '<p class="helper-text">Klik op kaarten om je hand samen te stellen</p>';
+            container.innerHTML = `<p class="helper-text">${this.i18n.t('advisor.cardsHelp')}</p>`;
         } else {
             container.innerHTML = this.playerCards
                 .map(card => `<span class="selected-card">${card}</span>`)
@@ -111,6 +2205,7 @@ class BlackjackApp {
 
         // Update split availability
         this.updateSplitAvailability();
+        this.updateCountDisplay();
     }
 
     updateSplitAvailability() {
@@ -121,11 +2216,9 @@ class BlackjackApp {
             splitCheckbox.checked = false;
             splitCheckbox.disabled = true;
         } else {
-            // Check if player has exactly 2 cards of same value
-            if (this.playerCards.length === 2) {
-                const card1 = this.getCardValue(this.playerCards[0]);
-                const card2 = this.getCardValue(this.playerCards[1]);
-                splitCheckbox.disabled = !(card1 === card2);
+            // Pair van 2 kaarten, binnen het maximum aantal (re-)splits van de tafel
+            if (this.canSplitActiveHand()) {
+                splitCheckbox.disabled = false;
             } else {
                 splitCheckbox.checked = false;
                 splitCheckbox.disabled = true;
@@ -134,76 +2227,73 @@ class BlackjackApp {
     }
 
     getCardValue(card) {
-        if (card === 'A') return 11;
-        if (['J', 'Q', 'K'].includes(card)) return 10;
-        return parseInt(card);
+        return BlackjackStrategy.cardValue(card);
     }
 
     calculateHand(cards) {
-        let total = 0;
-        let aces = 0;
-
-        // Count total and aces
-        for (const card of cards) {
-            const value = this.getCardValue(card);
-            total += value;
-            if (card === 'A') aces++;
-        }
-
-        // Adjust for aces (convert from 11 to 1 if needed)
-        while (total > 21 && aces > 0) {
-            total -= 10;
-            aces--;
-        }
-
-        const isSoft = aces > 0 && total <= 21;
-
-        // Check for pair
-        let isPair = false;
-        if (cards.length === 2) {
-            const card1Val = this.getCardValue(cards[0]);
-            const card2Val = this.getCardValue(cards[1]);
-            isPair = card1Val === card2Val;
-        }
-
-        return {
-            total,
-            isSoft,
-            isPair,
-            cards
-        };
+        return BlackjackStrategy.evaluateHand(cards);
     }
 
     getAvailableActions() {
+        // In een live hand volgen de acties uit de stand van de hand, niet uit de checkboxes
+        if (this.isLiveActive()) {
+            return this.getLiveActions();
+        }
+
         const actions = ['hit', 'stand']; // Always available
 
+        // Na een split geldt double alleen met DAS, en surrender niet meer
+        const afterSplit = this.inputMode === 'cards' && this.isSplitActive();
+
         // Check checkboxes
-        if (document.getElementById('doubleAction').checked) {
+        if (document.getElementById('doubleAction').checked && (!afterSplit || this.strategy.rules.doubleAfterSplit)) {
             actions.push('double');
         }
         if (document.getElementById('splitAction').checked && !document.getElementById('splitAction').disabled) {
             actions.push('split');
         }
-        if (document.getElementById('surrenderAction').checked) {
+        if (document.getElementById('surrenderAction').checked && !document.getElementById('surrenderAction').disabled && !afterSplit) {
             actions.push('surrender');
         }
 
-        return actions;
+        // Een split aas kan alleen nog blijven staan of (met RSA) opnieuw splitten
+        if (afterSplit && this.splitHands[this.activeSplitIndex].splitAces) {
+            return actions.filter(action => action === 'stand' || action === 'split');
+        }
+
+        // Wat er na de eerste twee kaarten nog mag, bepaalt de variant
+        return this.variant.getLegalActions({ cards: this.inputMode === 'cards' ? this.playerCards : [] }, actions);
+    }
+
+    /**
+     * Acties van de live hand, beperkt tot wat de gekozen variant toelaat
+     */
+    getLiveActions() {
+        const actions = this.liveHand.getAvailableActions();
+        return actions.length > 0 ? this.variant.getLegalActions(this.liveHand.activeHand, actions) : actions;
     }
 
     getAdvice() {
+        this.lastAdvice = null;
+
+        // In een live hand is er pas advies als de speler aan de beurt is
+        if (this.isLiveActive() && this.getAvailableActions().length === 0) {
+            return;
+        }
+
         // Validate dealer card
         if (!this.selectedDealerCard) {
-            alert('Selecteer eerst een dealer kaart');
+            alert(this.i18n.t('alert.selectDealer'));
             return;
         }
+        this.currentRecord = null;
 
         let hand;
 
         // Get hand based on input mode
         if (this.inputMode === 'cards') {
             if (this.playerCards.length < 2) {
-                alert('Selecteer minimaal 2 kaarten');
+                alert(this.i18n.t(this.isSplitActive() ? 'alert.splitSecondCard' : 'alert.minCards'));
                 return;
             }
             hand = this.calculateHand(this.playerCards);
@@ -211,7 +2301,7 @@ class BlackjackApp {
             // Total mode
             const total = parseInt(document.getElementById('handTotal').value);
             if (!total || total < 4 || total > 21) {
-                alert('Voer een geldig totaal in (4-21)');
+                alert(this.i18n.t('alert.invalidTotal'));
                 return;
             }
 
@@ -223,39 +2313,96 @@ class BlackjackApp {
             };
         }
 
+        // Insurance / even money: alleen bij de eerste beslissing tegen een dealer aas
+        const insurance = this.getInsuranceAdvice(hand);
+
         // Check for bust
         if (hand.total > 21) {
             this.showResult({
                 action: 'BUST',
-                explanation: 'Je hand is al gebusted (over 21). Er is geen actie meer mogelijk.'
+                message: { key: 'advisor.bust' }
             });
             return;
         }
 
+        // Geen blackjack na een split: 21 betaalt gewoon 1:1
+        if (hand.total === 21 && this.playerCards.length === 2 && this.inputMode === 'cards' && this.isSplitActive()) {
+            this.showResult({
+                action: 'STAND',
+                message: { key: 'advisor.splitTwentyOne' }
+            }, hand);
+            return;
+        }
+
         // Check for blackjack
         if (hand.total === 21 && this.playerCards.length === 2) {
             this.showResult({
                 action: 'BLACKJACK',
-                explanation: 'Blackjack! Je hebt de perfecte hand.'
-            });
+                message: { key: 'advisor.blackjack' }
+            }, null, null, insurance);
             return;
         }
 
         // Get available actions
         const availableActions = this.getAvailableActions();
 
-        // Get strategy advice
-        const advice = this.strategy.getAdvice(hand, this.selectedDealerCard, availableActions);
+        if (!availableActions.includes('hit') && !availableActions.includes('split')) {
+            this.showResult({
+                action: 'STAND',
+                message: { key: 'advisor.splitAcesStand' }
+            }, hand);
+            return;
+        }
+
+        // Count afwijkingen als er geteld wordt
+        const countOptions = this.countingEnabled
+            ? { trueCount: this.shoeTracker.getTrueCount(this.getCurrentHandCards()) }
+            : {};
+
+        // Exacte EV van alle acties, zonder de kaarten die niet meer in de shoe zitten
+        // (alleen voor varianten die de EV engine kan doorrekenen)
+        const evResult = this.variant.supportsEv
+            ? this.evEngine.calculate(hand, this.selectedDealerCard, availableActions, {
+                removedCards: this.getRemovedCards(),
+                deck: this.variant.deck()
+            })
+            : null;
+        const evs = evResult ? evResult.evs : undefined;
+
+        // Advies met alle acties op volgorde; na de fallback keten beslist de EV.
+        // Met een ingevoerde samenstelling beslist de EV van de echte shoe ook het advies zelf.
+        const advice = this.variant.getRankedAdvice(hand, this.selectedDealerCard, availableActions,
+            Object.assign({ evs, shoeEvs: this.compositionEnabled ? evs : undefined }, countOptions));
+        this.lastAdvice = { hand, dealerCard: this.selectedDealerCard, action: advice.action, evs: evs || null };
 
         // Show result
-        this.showResult(advice, hand);
+        this.recordDecision(hand, availableActions, advice);
+        this.showResult(advice, hand, evResult, insurance);
+        this.renderHistoryRecord();
+    }
+
+    /**
+     * Insurance advies voor de ingevoerde hand, of null als het niet van toepassing is
+     */
+    getInsuranceAdvice(hand) {
+        const firstDecision = this.inputMode === 'total' || (this.playerCards.length === 2 && !this.isSplitActive());
+        if (!firstDecision || hand.total > 21 || !this.variant.supportsEv) {
+            return null;
+        }
+
+        return this.strategy.getInsuranceAdvice(hand, this.selectedDealerCard, {
+            removedCards: this.getRemovedCards(),
+            deck: this.variant.deck(),
+            // Een exact ingevoerde shoe is beter dan een schatting uit de count
+            trueCount: this.countingEnabled && !this.compositionEnabled
+                ? this.shoeTracker.getTrueCount(this.getCurrentHandCards())
+                : undefined
+        });
     }
 
-    showResult(advice, hand = null) {
+    showResult(advice, hand = null, evResult = null, insurance = null) {
         const resultsSection = document.getElementById('resultsSection');
         const actionResult = document.getElementById('actionResult');
-        const explanationText = document.getElementById('explanationText');
-        const handSummary = document.getElementById('handSummary');
 
         // Show results section
         resultsSection.classList.remove('hidden');
@@ -264,24 +2411,199 @@ class BlackjackApp {
         actionResult.textContent = advice.action;
         actionResult.className = 'action-result ' + advice.action.toLowerCase();
 
-        // Update explanation
-        explanationText.textContent = advice.explanation;
+        // Teksten als messages bewaren, zodat ze na een taalwissel opnieuw vertaald worden
+        this.resultMessages = {
+            explanation: advice.message,
+            override: advice.override ? { key: 'profiles.badge', params: { profile: advice.override.profile } } : null,
+            fallbacks: advice.fallbacks && advice.fallbacks.length > 1 ? advice.fallbacks : null,
+            ranking: advice.ranking ? { entries: advice.ranking, evResult } : null,
+            insurance: insurance && this.getInsuranceMessages(insurance),
+            handSummary: hand && this.inputMode === 'cards' ? this.getHandSummaryMessage(hand) : null,
+            evNote: evResult ? this.getEvNoteMessage(evResult) : advice.ranking && this.getNoEvMessage(),
+            dealerOdds: this.selectedDealerCard && advice.action !== 'BUST' ? this.getDealerOdds() : null
+        };
+        this.renderResultMessages();
+
+        // Advies uit het eigen profiel in plaats van de engine
+        document.getElementById('overrideBadge').classList.toggle('hidden', !advice.override);
+        document.getElementById('fallbackChain').classList.toggle('hidden', !this.resultMessages.fallbacks);
+
+        // Insurance beslissing komt vóór de actie op de hand
+        document.getElementById('insuranceAdvice').classList.toggle('hidden', !insurance);
+        document.getElementById('insuranceAdvice').classList.toggle('take', Boolean(insurance && insurance.take));
+
+        // Alleen het advies van getAdvice() wordt in de historie vastgelegd
+        document.getElementById('historyRecord').classList.add('hidden');
+
+        // Bij een split advies kan de speler de handen direct apart verder spelen
+        document.getElementById('splitHandBtn').classList.toggle('hidden',
+            !(advice.action === 'SPLIT' && this.inputMode === 'cards' && this.canSplitActiveHand() && !this.isLiveActive()));
 
         // Show hand summary if available
-        if (hand && this.inputMode === 'cards') {
-            const handType = hand.isSoft ? 'Soft' : 'Hard';
-            const pairInfo = hand.isPair ? ' (Pair)' : '';
-            handSummary.textContent = `Jouw hand: ${handType} ${hand.total}${pairInfo}`;
-            handSummary.classList.remove('hidden');
-        } else {
-            handSummary.classList.add('hidden');
-        }
+        document.getElementById('handSummary').classList.toggle('hidden', !this.resultMessages.handSummary);
 
         // Scroll to results
         resultsSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
+
+    /**
+     * Vertaal de teksten van het laatst getoonde advies
+     */
+    renderResultMessages() {
+        const messages = this.resultMessages;
+        if (!messages) return;
+
+        document.getElementById('explanationText').textContent = this.i18n.format(messages.explanation);
+        if (messages.override) {
+            document.getElementById('overrideBadge').textContent = this.i18n.format(messages.override);
+        }
+        // Alle acties op volgorde naast de aanbeveling
+        if (messages.ranking) {
+            this.renderRanking(messages.ranking.entries, messages.ranking.evResult);
+        } else {
+            this.renderRanking(null);
+        }
+        if (messages.fallbacks) {
+            document.getElementById('fallbackChain').textContent = this.i18n.t('ranking.fallbacks', {
+                chain: messages.fallbacks.join(`, ${this.i18n.t('ranking.otherwise')} `)
+            });
+        }
+        if (messages.insurance) {
+            document.getElementById('insuranceAction').textContent = this.i18n.format(messages.insurance.action);
+            document.getElementById('insuranceExplanation').textContent = this.i18n.format(messages.insurance.explanation);
+        }
+        if (messages.handSummary) {
+            document.getElementById('handSummary').textContent = this.i18n.format(messages.handSummary);
+        }
+        if (messages.evNote) {
+            document.getElementById('evNote').textContent = this.i18n.format(messages.evNote);
+        }
+        this.renderDealerOdds(messages.dealerOdds);
+    }
+
+    getInsuranceMessages(insurance) {
+        return {
+            action: {
+                key: 'insurance.action',
+                params: {
+                    name: { key: `strategy.insurance.${insurance.type}` },
+                    decision: { key: insurance.take ? 'insurance.take' : 'insurance.decline' },
+                    ev: this.formatEv(insurance.ev)
+                }
+            },
+            explanation: insurance.message
+        };
+    }
+
+    getHandSummaryMessage(hand) {
+        const label = this.isSplitActive()
+            ? { key: 'advisor.splitHandLabel', params: { hand: this.activeSplitIndex + 1, count: this.splitHands.length } }
+            : { key: 'common.yourHand' };
+        return {
+            key: hand.isPair ? 'advisor.handSummaryPair' : 'advisor.handSummary',
+            params: { label, type: { key: hand.isSoft ? 'hand.soft' : 'hand.hard' }, total: hand.total }
+        };
+    }
+
+    getEvNoteMessage(evResult) {
+        return evResult.conditionedOnNoBlackjack && evResult.dealerBlackjackChance > 0
+            ? { key: 'ev.noteNoBlackjack' }
+            : { key: 'ev.noteDecks', params: { count: this.strategy.rules.decks } };
+    }
+
+    getNoEvMessage() {
+        return { key: 'variant.noEv', params: { variant: { key: `variant.${this.variant.id}` } } };
+    }
+
+    /**
+     * Tabel met alle legale acties van beste naar slechtste: eerst de fallback keten
+     * van de engine, daarna de rest op EV
+     */
+    renderRanking(ranking, evResult = null) {
+        const rankingCard = document.getElementById('rankingCard');
+
+        if (!ranking) {
+            rankingCard.classList.add('hidden');
+            return;
+        }
+
+        const rows = ranking.map(entry => {
+            const classes = [];
+            if (evResult && entry.action.toLowerCase() === evResult.best) classes.push('best');
+            if (entry.fallback) classes.push('fallback');
+            const chain = entry.fallback ? this.i18n.t(entry.rank === 1 ? 'ranking.advised' : 'ranking.fallback') : '';
+            const ev = entry.ev === null
+                ? '<td>-</td>'
+                : `<td class="${entry.ev >= 0 ? 'ev-positive' : 'ev-negative'}">${this.formatEv(entry.ev)}</td>`;
+            return `<tr class="${classes.join(' ')}">
+                <td>${entry.rank}</td>
+                <td>${this.i18n.t(`action.${entry.action.toLowerCase()}`)}</td>
+                <td>${chain}</td>
+                ${ev}
+            </tr>`;
+        });
+
+        document.getElementById('rankingTableBody').innerHTML = rows.join('');
+
+        // Zonder EV staan de overige acties in de volgorde van de invoer, niet van beste naar slechtste
+        const title = document.getElementById('rankingTitle');
+        title.dataset.i18n = BlackjackStrategy.rankingTitleKey(ranking);
+        title.textContent = this.i18n.t(title.dataset.i18n);
+        rankingCard.classList.remove('hidden');
+    }
+
+    /**
+     * Eindkansen van de dealer voor de gekozen upcard; de kaarten van de speler
+     * en de bekende kaarten uit getRemovedCards() zitten niet meer in de shoe
+     */
+    getDealerOdds() {
+        const removedCards = [...this.getPlayerCards(), ...this.getRemovedCards()];
+        return this.dealerOdds.calculate(this.selectedDealerCard, { removedCards, deck: this.variant.deck() });
+    }
+
+    /**
+     * Staafgrafiek met de eindstand van de dealer, langste balk = grootste kans
+     */
+    renderDealerOdds(odds) {
+        const card = document.getElementById('dealerOddsCard');
+
+        if (!odds) {
+            card.classList.add('hidden');
+            return;
+        }
+
+        const max = Math.max(...odds.outcomes.map(entry => entry.chance));
+        const rows = odds.outcomes.map(({ outcome, chance }) => {
+            const label = /^\d+$/.test(outcome) ? outcome : this.i18n.t(`dealerOdds.${outcome}`);
+            const width = max > 0 ? (chance / max) * 100 : 0;
+            return `<div class="dealer-odds-row ${outcome}">
+                <span class="dealer-odds-label">${label}</span>
+                <span class="dealer-odds-bar"><span style="width: ${width.toFixed(1)}%"></span></span>
+                <span class="dealer-odds-value">${(chance * 100).toFixed(1)}%</span>
+            </div>`;
+        });
+
+        document.getElementById('dealerOddsChart').innerHTML = rows.join('');
+        document.getElementById('dealerOddsNote').textContent = this.i18n.t('dealerOdds.note', {
+            rule: odds.dealerHitsSoft17 ? 'H17' : 'S17',
+            count: odds.cardsLeft,
+            blackjack: odds.conditionedOnNoBlackjack ? { key: 'ev.noteNoBlackjack' } : ''
+        }).trim();
+        card.classList.remove('hidden');
+    }
+
+    formatEv(ev) {
+        const percentage = (ev * 100).toFixed(1);
+        return `${ev >= 0 ? '+' : ''}${percentage}%`;
+    }
 }
 
+// Toetsen voor kaarten in de adviseur (0 en T zijn een tien, 1 een aas)
+BlackjackApp.SHORTCUT_CARDS = {
+    '1': 'A', '2': '2', '3': '3', '4': '4', '5': '5', '6': '6', '7': '7', '8': '8', '9': '9',
+    '0': '10', 't': '10', 'j': 'J', 'q': 'Q', 'k': 'K', 'a': 'A'
+};
+
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     new BlackjackApp();
@@ -0,0 +1,259 @@
+/**
+ * Bankroll Advisor - inzetgrootte en risico
+ *
+ * Adviseert een inzet per hand op basis van het huidige voordeel: de true count
+ * als er geteld wordt, anders de house edge van de tafelregels. Gebruikt (een
+ * fractie van) Kelly, begrensd door tafelminimum, tafelmaximum en spread, en
+ * berekent voor de hele inzet ramp de verwachte winst per uur en de risk of ruin.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const BankrollDeps = typeof module !== 'undefined' && module.exports
+    ? { BlackjackStrategy: require('./strategy.js'), I18n: require('./i18n.js') }
+    : { BlackjackStrategy, I18n };
+
+class BankrollAdvisor {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.rules] - Tafelregels, zie BlackjackStrategy.DEFAULT_RULES
+     * @param {Object} [options.settings] - Startinstellingen, zie BankrollAdvisor.DEFAULT_SETTINGS
+     * @param {Storage|null} [options.storage] - Opslag voor de instellingen (standaard localStorage)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        this.settings = Object.assign({}, BankrollAdvisor.DEFAULT_SETTINGS, this.loadSettings(), options.settings);
+        this.setRules(options.rules);
+    }
+
+    setRules(rules = {}) {
+        this.rules = Object.assign({}, BankrollDeps.BlackjackStrategy.DEFAULT_RULES, rules);
+        this.houseEdge = BankrollAdvisor.estimateHouseEdge(this.rules);
+    }
+
+    /**
+     * Pas instellingen aan na controle
+     * @param {Object} settings - {bankroll, tableMin, tableMax, spread, kellyFraction, handsPerHour, penetration}
+     */
+    configure(settings) {
+        const next = Object.assign({}, this.settings, settings);
+
+        if (!(next.bankroll > 0)) {
+            throw BankrollDeps.I18n.error('error.bankroll.bankroll');
+        }
+        if (!(next.tableMin > 0) || !(next.tableMax >= next.tableMin)) {
+            throw BankrollDeps.I18n.error('error.bankroll.tableLimits');
+        }
+        if (!(next.spread >= 1)) {
+            throw BankrollDeps.I18n.error('error.bankroll.spread');
+        }
+        if (!(next.kellyFraction > 0 && next.kellyFraction <= 1)) {
+            throw BankrollDeps.I18n.error('error.bankroll.kellyFraction');
+        }
+        if (!(next.handsPerHour > 0)) {
+            throw BankrollDeps.I18n.error('error.bankroll.handsPerHour');
+        }
+
+        this.settings = next;
+        this.saveSettings();
+    }
+
+    /**
+     * Verwacht voordeel van de speler per ingezette eenheid
+     * @param {number|null} trueCount - Hi-Lo true count, of null zonder tellen
+     */
+    advantage(trueCount = null) {
+        const countEffect = typeof trueCount === 'number' ? trueCount * BankrollAdvisor.ADVANTAGE_PER_COUNT : 0;
+        return -this.houseEdge + countEffect;
+    }
+
+    /**
+     * Aanbevolen inzet voor een voordeel
+     * @returns {Object} - {advantage, kellyBet, bet, units}
+     */
+    betFor(advantage) {
+        const { bankroll, tableMin, tableMax, spread, kellyFraction } = this.settings;
+        const kellyBet = Math.max(bankroll * kellyFraction * advantage / BankrollAdvisor.VARIANCE_PER_HAND, 0);
+
+        // Afronden op hele tafelminimums, binnen de spread en het tafelmaximum
+        const maxBet = Math.min(tableMax, tableMin * spread);
+        const bet = Math.min(Math.max(Math.floor(kellyBet / tableMin) * tableMin, tableMin), maxBet);
+
+        return { advantage, kellyBet, bet, units: bet / tableMin };
+    }
+
+    /**
+     * Inzet advies voor de huidige situatie
+     * @param {number|null} trueCount
+     */
+    recommend(trueCount = null) {
+        return this.betFor(this.advantage(trueCount));
+    }
+
+    /**
+     * Kans op elke (afgeronde) true count over de shoe, benaderd met een normale verdeling
+     * van de Hi-Lo running count op elke diepte tot de penetratie.
+     * @returns {Array<Object>} - [{trueCount, frequency}]
+     */
+    trueCountFrequencies() {
+        const { decks } = this.rules;
+        const totalCards = decks * 52;
+        const counts = [];
+        for (let tc = BankrollAdvisor.MIN_COUNT; tc <= BankrollAdvisor.MAX_COUNT; tc++) {
+            counts.push({ trueCount: tc, frequency: 0 });
+        }
+
+        const steps = 20;
+        for (let step = 0; step < steps; step++) {
+            const dealt = Math.round(totalCards * this.settings.penetration * (step + 0.5) / steps);
+            const left = totalCards - dealt;
+            const sdRunning = Math.sqrt(dealt * BankrollAdvisor.TAG_VARIANCE * left / (totalCards - 1));
+            const sd = sdRunning / (left / 52);
+
+            counts.forEach((bucket, i) => {
+                const low = i === 0 ? -Infinity : bucket.trueCount - 0.5;
+                const high = i === counts.length - 1 ? Infinity : bucket.trueCount + 0.5;
+                bucket.frequency += (BankrollAdvisor.normalCdf(high / sd) - BankrollAdvisor.normalCdf(low / sd)) / steps;
+            });
+        }
+
+        return counts;
+    }
+
+    /**
+     * Inzet ramp met verwachte winst en risico
+     * @param {boolean} counting - Met tellen een ramp per true count, anders vlak inzetten
+     * @returns {Object} - {ramp, evPerHand, hourlyWin, hourlySd, riskOfRuin}
+     */
+    analyze(counting) {
+        const ramp = counting
+            ? this.trueCountFrequencies().map(({ trueCount, frequency }) =>
+                Object.assign({ trueCount, frequency }, this.betFor(this.advantage(trueCount))))
+            : [Object.assign({ trueCount: null, frequency: 1 }, this.betFor(this.advantage(null)))];
+
+        let evPerHand = 0;
+        let variancePerHand = 0;
+        for (const step of ramp) {
+            evPerHand += step.frequency * step.bet * step.advantage;
+            variancePerHand += step.frequency * step.bet * step.bet * BankrollAdvisor.VARIANCE_PER_HAND;
+        }
+
+        const { handsPerHour, bankroll } = this.settings;
+
+        // Risk of ruin bij eindeloos doorspelen (diffusie benadering)
+        const riskOfRuin = evPerHand > 0 ? Math.min(Math.exp(-2 * evPerHand * bankroll / variancePerHand), 1) : 1;
+
+        return {
+            ramp,
+            evPerHand,
+            hourlyWin: evPerHand * handsPerHour,
+            hourlySd: Math.sqrt(variancePerHand * handsPerHour),
+            riskOfRuin
+        };
+    }
+
+    loadSettings() {
+        if (!this.storage) return {};
+
+        try {
+            return JSON.parse(this.storage.getItem(BankrollAdvisor.STORAGE_KEY)) || {};
+        } catch (error) {
+            // Beschadigde opslag: standaard instellingen
+            return {};
+        }
+    }
+
+    saveSettings() {
+        if (this.storage) {
+            this.storage.setItem(BankrollAdvisor.STORAGE_KEY, JSON.stringify(this.settings));
+        }
+    }
+
+    /**
+     * Geschatte house edge van een set tafelregels bij basic strategy,
+     * opgebouwd uit het effect van elke regel ten opzichte van een basistafel
+     * (6 decks, S17, DAS, geen surrender, peek, split tot 4 handen, 3:2).
+     * @param {Object} rules
+     * @returns {number} - Als fractie, bijv. 0.005 voor 0.5%
+     */
+    static estimateHouseEdge(rules) {
+        const r = Object.assign({}, BankrollDeps.BlackjackStrategy.DEFAULT_RULES, rules);
+        const effects = BankrollAdvisor.RULE_EFFECTS;
+        let edge = effects.base;
+
+        edge += effects.decks[r.decks] !== undefined ? effects.decks[r.decks] : 0;
+        if (r.dealerHitsSoft17) edge += effects.hitSoft17;
+        if (!r.doubleAfterSplit) edge += effects.noDoubleAfterSplit;
+        if (r.surrender === 'late') edge += effects.lateSurrender;
+        if (r.surrender === 'early') edge += effects.earlySurrender;
+        if (r.holeCard === 'enhc') edge += effects.noHoleCard;
+        if (r.resplitAces) edge += effects.resplitAces;
+        edge += effects.splitHands[r.maxSplitHands] || 0;
+        edge += (1.5 - r.blackjackPayout) * effects.blackjackFrequency;
+
+        return edge;
+    }
+
+    /**
+     * Standaard normale verdelingsfunctie (Abramowitz-Stegun benadering van erf)
+     */
+    static normalCdf(z) {
+        if (z === Infinity) return 1;
+        if (z === -Infinity) return 0;
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+}
+
+BankrollAdvisor.STORAGE_KEY = 'blackjack-bankroll-settings';
+
+BankrollAdvisor.DEFAULT_SETTINGS = {
+    bankroll: 5000,
+    tableMin: 10,
+    tableMax: 500,
+    spread: 8,
+    kellyFraction: 0.5,
+    handsPerHour: 80,
+    penetration: 0.75
+};
+
+// Keuzes voor de Kelly fractie; het label staat in de catalogus onder bankroll.kelly.<fractie>
+BankrollAdvisor.KELLY_FRACTIONS = [1, 0.5, 0.25];
+
+// Elke Hi-Lo true count is ongeveer een half procent voordeel
+BankrollAdvisor.ADVANTAGE_PER_COUNT = 0.005;
+
+// Variantie van één blackjack hand (in eenheden inzet kwadraat)
+BankrollAdvisor.VARIANCE_PER_HAND = 1.3;
+
+// Variantie van de Hi-Lo tag van één kaart (10 van de 13 rangen tellen ±1)
+BankrollAdvisor.TAG_VARIANCE = 10 / 13;
+
+// True counts in de ramp; de uitersten bevatten ook alles daarbuiten
+BankrollAdvisor.MIN_COUNT = -3;
+BankrollAdvisor.MAX_COUNT = 6;
+
+/**
+ * Effect van elke regel op de house edge (fractie), ten opzichte van de basistafel
+ */
+BankrollAdvisor.RULE_EFFECTS = {
+    base: 0.0041,
+    decks: { 1: -0.0048, 2: -0.0019, 4: -0.0006, 6: 0, 8: 0.0002 },
+    hitSoft17: 0.0022,
+    noDoubleAfterSplit: 0.0014,
+    lateSurrender: -0.0008,
+    earlySurrender: -0.0039,
+    noHoleCard: 0.0011,
+    resplitAces: -0.0008,
+    splitHands: { 2: 0.0005, 3: 0.0001, 4: 0 },
+    blackjackFrequency: 0.0475
+};
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BankrollAdvisor;
+}
@@ -0,0 +1,218 @@
+/**
+ * Strategy Chart Generator
+ *
+ * Bouwt de volledige hard, soft en pair tabellen door de strategy engine voor
+ * elk totaal en elke dealer upcard te bevragen. De tabel volgt dus altijd de
+ * ingestelde tafelregels (en count afwijkingen als er een true count is), met
+ * de eigen afwijkingen van het actieve profiel. Exporteert naar CSV en SVG.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const ChartDeps = typeof module !== 'undefined' && module.exports
+    ? { I18n: require('./i18n.js') }
+    : { I18n };
+
+class StrategyChart {
+    /**
+     * @param {BlackjackStrategy} strategy
+     * @param {Object} [options]
+     * @param {number} [options.trueCount] - Pas count afwijkingen toe voor deze true count
+     * @param {I18n} [options.i18n] - Taal voor titels en legenda (standaard Nederlands)
+     */
+    constructor(strategy, options = {}) {
+        this.strategy = strategy;
+        this.trueCount = options.trueCount;
+        this.i18n = options.i18n || new ChartDeps.I18n({ storage: null });
+        this.sections = this.build();
+    }
+
+    /**
+     * @returns {Array<Object>} - [{key, title, rows: [{label, type, hand, cells: [{dealer, code, action, deviation, override, engineAction}]}]}]
+     */
+    build() {
+        const hardRows = [];
+        for (let total = 5; total <= 20; total++) {
+            hardRows.push(this.buildRow(String(total), 'hard', String(total), dealerValue =>
+                this.cellFor({ total, isSoft: false, isPair: false, cards: [] }, dealerValue,
+                    actions => this.strategy.getHardStrategy(total, dealerValue, actions))));
+        }
+
+        const softRows = [];
+        for (let total = 13; total <= 20; total++) {
+            softRows.push(this.buildRow(`A,${total - 11}`, 'soft', String(total), dealerValue =>
+                this.cellFor({ total, isSoft: true, isPair: false, cards: [] }, dealerValue,
+                    actions => this.strategy.getSoftStrategy(total, dealerValue, actions))));
+        }
+
+        const pairRows = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'A'].map(card => {
+            const value = card === 'A' ? 11 : parseInt(card);
+            const hand = {
+                total: card === 'A' ? 12 : value * 2,
+                isSoft: card === 'A',
+                isPair: true,
+                cards: [card, card]
+            };
+            return this.buildRow(`${card},${card}`, 'pair', card, dealerValue =>
+                this.cellFor(hand, dealerValue,
+                    actions => this.strategy.getPairStrategy(card, dealerValue, actions)));
+        });
+
+        return [
+            { key: 'hard', title: this.i18n.t('chart.section.hard'), rows: hardRows },
+            { key: 'soft', title: this.i18n.t('chart.section.soft'), rows: softRows },
+            { key: 'pairs', title: this.i18n.t('chart.section.pairs'), rows: pairRows }
+        ];
+    }
+
+    /**
+     * Uitleg van de codes in de tabel
+     * @returns {Array<Array<string>>} - [[code, omschrijving]]
+     */
+    legend() {
+        return StrategyChart.LEGEND.map(code => [code, this.i18n.t(`chart.legend.${code}`)]);
+    }
+
+    /**
+     * @param {string} label - Label van de rij, bijv. "A,7"
+     * @param {string} type - 'hard', 'soft' of 'pair', zoals in StrategyProfiles
+     * @param {string} hand - Totaal of pair kaart, zoals in StrategyProfiles
+     */
+    buildRow(label, type, hand, cellForDealer) {
+        return {
+            label,
+            type,
+            hand,
+            cells: StrategyChart.DEALER_VALUES.map(dealerValue => ({
+                dealer: dealerValue === 11 ? 'A' : String(dealerValue),
+                ...cellForDealer(dealerValue)
+            }))
+        };
+    }
+
+    /**
+     * Advies voor één cel, met de terugvaloptie als double of surrender niet mag (Dh, Ds, Rh, ...)
+     */
+    cellFor(hand, dealerValue, lookup) {
+        const allActions = ['hit', 'stand', 'double', 'split', 'surrender'];
+        const advice = this.adviceFor(hand, dealerValue, allActions, lookup);
+        const action = advice.action;
+
+        let code = StrategyChart.CODES[action];
+        if (action === 'DOUBLE' || action === 'SURRENDER') {
+            const without = allActions.filter(a => a !== action.toLowerCase());
+            const fallback = this.adviceFor(hand, dealerValue, without, lookup).action;
+            code += StrategyChart.CODES[fallback].toLowerCase();
+        }
+
+        return {
+            action,
+            code,
+            deviation: Boolean(advice.deviation),
+            override: Boolean(advice.override),
+            engineAction: advice.override ? advice.override.engineAction : action
+        };
+    }
+
+    adviceFor(hand, dealerValue, actions, lookup) {
+        const dealerCard = dealerValue === 11 ? 'A' : String(dealerValue);
+        let advice = lookup(actions);
+        if (typeof this.trueCount === 'number') {
+            advice = this.strategy.applyDeviations(advice, hand, dealerCard, actions, this.trueCount);
+        }
+        return this.strategy.applyOverride(advice, hand, dealerCard, actions);
+    }
+
+    /**
+     * CSV met een blok per sectie
+     */
+    toCSV() {
+        const lines = [];
+        for (const section of this.sections) {
+            lines.push([section.title, ...StrategyChart.DEALER_LABELS].join(','));
+            for (const row of section.rows) {
+                lines.push([`"${row.label}"`, ...row.cells.map(cell => cell.code)].join(','));
+            }
+            lines.push('');
+        }
+        lines.push(this.legend().map(([code, label]) => `${code} = ${label}`).join('; '));
+        return lines.join('\n');
+    }
+
+    /**
+     * Kleurgecodeerde SVG van alle drie de tabellen onder elkaar
+     * @param {string} [title]
+     */
+    toSVG(title = '') {
+        const cell = 34;
+        const labelWidth = 60;
+        const width = labelWidth + cell * StrategyChart.DEALER_VALUES.length + 20;
+        const parts = [];
+        let y = 10;
+
+        const text = (x, ty, content, attrs = '') =>
+            `<text x="${x}" y="${ty}" ${attrs}>${StrategyChart.escapeXml(content)}</text>`;
+
+        if (title) {
+            parts.push(text(10, y + 16, title, 'font-size="16" font-weight="bold"'));
+            y += 30;
+        }
+
+        for (const section of this.sections) {
+            parts.push(text(10, y + 14, section.title, 'font-size="14" font-weight="bold" fill="#1a5f3d"'));
+            y += 22;
+
+            StrategyChart.DEALER_LABELS.forEach((label, i) => {
+                parts.push(text(labelWidth + i * cell + cell / 2, y + 14, label, 'font-size="12" text-anchor="middle" font-weight="bold"'));
+            });
+            y += 20;
+
+            for (const row of section.rows) {
+                parts.push(text(labelWidth - 6, y + cell / 2 + 4, row.label, 'font-size="12" text-anchor="end"'));
+                row.cells.forEach((c, i) => {
+                    const x = labelWidth + i * cell;
+                    const stroke = c.override
+                        ? 'stroke="#2c2c2c" stroke-width="3" stroke-dasharray="4 2"'
+                        : c.deviation ? 'stroke="#2c2c2c" stroke-width="3"' : 'stroke="#ffffff"';
+                    parts.push(`<rect x="${x}" y="${y}" width="${cell}" height="${cell}" fill="${StrategyChart.COLORS[c.action]}" ${stroke}/>`);
+                    parts.push(text(x + cell / 2, y + cell / 2 + 4, c.code, 'font-size="12" text-anchor="middle" fill="#ffffff" font-weight="bold"'));
+                });
+                y += cell;
+            }
+            y += 16;
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${y}" viewBox="0 0 ${width} ${y}" font-family="sans-serif">` +
+            `<rect width="100%" height="100%" fill="#ffffff"/>${parts.join('')}</svg>`;
+    }
+
+    static escapeXml(value) {
+        return String(value).replace(/[<>&"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[ch]));
+    }
+}
+
+StrategyChart.DEALER_VALUES = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+StrategyChart.DEALER_LABELS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'A'];
+
+StrategyChart.CODES = {
+    HIT: 'H',
+    STAND: 'S',
+    DOUBLE: 'D',
+    SPLIT: 'P',
+    SURRENDER: 'R'
+};
+
+StrategyChart.COLORS = {
+    HIT: '#3498db',
+    STAND: '#2ecc71',
+    DOUBLE: '#d4af37',
+    SPLIT: '#9b59b6',
+    SURRENDER: '#c41e3a'
+};
+
+// Codes in de legenda; de omschrijving staat in de catalogus onder chart.legend.<code>
+StrategyChart.LEGEND = ['H', 'S', 'Dh', 'Ds', 'P', 'Rh', 'Rs', 'Rp'];
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StrategyChart;
+}
@@ -0,0 +1,142 @@
+/**
+ * Shoe Composition
+ *
+ * De exacte samenstelling van de resterende shoe: begint bij N volle decks en
+ * houdt per rank bij hoeveel kaarten er al uit zijn. Anders dan de ShoeTracker
+ * (die telt voor de true count) gaat het hier om welke kaarten precies weg zijn,
+ * zodat de EV engine en de dealer kansen met de echte shoe kunnen rekenen.
+ * Kaarten van de hand die nog gespeeld wordt horen er niet in; die haalt de
+ * engine er zelf uit.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const CompositionDeps = typeof module !== 'undefined' && module.exports
+    ? { ExpectedValueEngine: require('./ev-engine.js'), I18n: require('./i18n.js') }
+    : { ExpectedValueEngine, I18n };
+
+class ShoeComposition {
+    /**
+     * @param {number} decks - Aantal decks in de volle shoe
+     * @param {Array<number>} [deck] - Kaarten per rank in één deck (BlackjackVariant.deck()), standaard 52 kaarten
+     */
+    constructor(decks, deck = CompositionDeps.ExpectedValueEngine.STANDARD_DECK) {
+        this.decks = decks;
+        this.deck = deck;
+        this.reset();
+    }
+
+    /**
+     * Ander aantal decks betekent een nieuwe shoe
+     */
+    setDecks(decks) {
+        if (decks !== this.decks) {
+            this.decks = decks;
+            this.reset();
+        }
+    }
+
+    /**
+     * Ander deck (bijv. Spaanse decks zonder tienen) betekent ook een nieuwe shoe
+     * @param {Array<number>} deck - Kaarten per rank in één deck
+     */
+    setDeck(deck) {
+        if (deck !== this.deck) {
+            this.deck = deck;
+            this.reset();
+        }
+    }
+
+    /**
+     * Volle shoe: niets verwijderd
+     */
+    reset() {
+        this.removed = new Array(11).fill(0);
+    }
+
+    /**
+     * Aantal kaarten van een rank (1 = aas, 10 = tienwaardig) in de volle shoe
+     */
+    full(rank) {
+        return CompositionDeps.ExpectedValueEngine.createShoe(this.decks, this.deck)[rank];
+    }
+
+    remaining(rank) {
+        return this.full(rank) - this.removed[rank];
+    }
+
+    cardsLeft() {
+        return ShoeComposition.RANKS.reduce((sum, { rank }) => sum + this.remaining(rank), 0);
+    }
+
+    /**
+     * @param {string} card - '2'-'10', 'J', 'Q', 'K' of 'A'
+     */
+    removeCard(card) {
+        const rank = CompositionDeps.ExpectedValueEngine.cardRank(card);
+        if (this.remaining(rank) === 0) {
+            throw CompositionDeps.I18n.error('error.composition.noneLeft', { card: ShoeComposition.label(rank) });
+        }
+        this.removed[rank]++;
+    }
+
+    /**
+     * Leg een verwijderde kaart terug in de shoe
+     */
+    restoreCard(card) {
+        const rank = CompositionDeps.ExpectedValueEngine.cardRank(card);
+        if (this.removed[rank] === 0) {
+            throw CompositionDeps.I18n.error('error.composition.noneRemoved', { card: ShoeComposition.label(rank) });
+        }
+        this.removed[rank]--;
+    }
+
+    /**
+     * Vervang de verwijderde kaarten door een lijst, bijv. de gezien kaarten van de ShoeTracker.
+     * Meer kaarten van een rank dan de shoe heeft worden overgeslagen.
+     * @param {Array<string>} cards
+     * @returns {number} - Aantal verwijderde kaarten
+     */
+    loadCards(cards) {
+        this.reset();
+        let loaded = 0;
+        for (const card of cards) {
+            const rank = CompositionDeps.ExpectedValueEngine.cardRank(card);
+            if (this.remaining(rank) > 0) {
+                this.removed[rank]++;
+                loaded++;
+            }
+        }
+        return loaded;
+    }
+
+    /**
+     * De verwijderde kaarten als lijst, in het formaat van options.removedCards van de engines
+     * @returns {Array<string>}
+     */
+    removedCards() {
+        return ShoeComposition.RANKS.flatMap(({ rank, label }) => new Array(this.removed[rank]).fill(label));
+    }
+
+    static label(rank) {
+        return ShoeComposition.RANKS.find(entry => entry.rank === rank).label;
+    }
+}
+
+// Ranks zoals de EV engine ze telt; tien, boer, vrouw en heer zijn samen '10'
+ShoeComposition.RANKS = [
+    { rank: 2, label: '2' },
+    { rank: 3, label: '3' },
+    { rank: 4, label: '4' },
+    { rank: 5, label: '5' },
+    { rank: 6, label: '6' },
+    { rank: 7, label: '7' },
+    { rank: 8, label: '8' },
+    { rank: 9, label: '9' },
+    { rank: 10, label: '10' },
+    { rank: 1, label: 'A' }
+];
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShoeComposition;
+}
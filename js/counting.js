@@ -0,0 +1,178 @@
+/**
+ * Card Counting - Shoe Tracker
+ *
+ * Houdt bij welke kaarten uit de shoe gezien zijn en berekent de running
+ * count en true count voor het gekozen telsysteem (Hi-Lo, KO, Omega II).
+ */
+
+// In Node via require, in de browser via de <script> tags
+const CountingDeps = typeof module !== 'undefined' && module.exports
+    ? { I18n: require('./i18n.js'), ExpectedValueEngine: require('./ev-engine.js') }
+    : { I18n, ExpectedValueEngine };
+
+class ShoeTracker {
+    /**
+     * @param {number} decks - Aantal decks in de shoe
+     * @param {string} [system='hiLo'] - Sleutel uit ShoeTracker.SYSTEMS
+     * @param {Array<number>} [deck] - Kaarten per rank in één deck (BlackjackVariant.deck()), standaard 52 kaarten
+     */
+    constructor(decks, system = 'hiLo', deck = CountingDeps.ExpectedValueEngine.STANDARD_DECK) {
+        this.decks = decks;
+        this.deck = deck;
+        this.seenCards = [];
+        this.setSystem(system);
+    }
+
+    setSystem(system) {
+        if (!ShoeTracker.SYSTEMS[system]) {
+            throw CountingDeps.I18n.error('error.counting.unknownSystem', { system });
+        }
+        this.system = system;
+    }
+
+    /**
+     * Ander aantal decks betekent een nieuwe shoe
+     */
+    setDecks(decks) {
+        if (decks !== this.decks) {
+            this.decks = decks;
+            this.reset();
+        }
+    }
+
+    /**
+     * Ander deck (bijv. Spaanse decks zonder tienen) betekent ook een nieuwe shoe
+     * @param {Array<number>} deck - Kaarten per rank in één deck
+     */
+    setDeck(deck) {
+        if (deck !== this.deck) {
+            this.deck = deck;
+            this.reset();
+        }
+    }
+
+    /**
+     * Nieuwe shoe: alle gezien kaarten vergeten
+     */
+    reset() {
+        this.seenCards = [];
+    }
+
+    addCard(card) {
+        this.seenCards.push(card);
+    }
+
+    addCards(cards) {
+        cards.forEach(card => this.addCard(card));
+    }
+
+    /**
+     * Laatst toegevoegde kaart terugnemen (bijv. na een verkeerde klik)
+     * @returns {string|undefined}
+     */
+    removeLastCard() {
+        return this.seenCards.pop();
+    }
+
+    /**
+     * Tag van een kaart in het huidige telsysteem
+     */
+    tag(card) {
+        const rank = ['J', 'Q', 'K'].includes(card) ? '10' : card;
+        return ShoeTracker.SYSTEMS[this.system].tags[rank];
+    }
+
+    /**
+     * Running count, inclusief eventuele kaarten van de hand die nog bezig is
+     * @param {Array<string>} [extraCards]
+     */
+    getRunningCount(extraCards = []) {
+        const system = ShoeTracker.SYSTEMS[this.system];
+        const initial = system.initialCount(this.decks);
+        return [...this.seenCards, ...extraCards].reduce((count, card) => count + this.tag(card), initial);
+    }
+
+    /**
+     * Aantal kaarten in één deck (52, of 48 bij Spaanse decks)
+     */
+    getDeckSize() {
+        return this.deck.reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Som van de tags over één deck (0 = gebalanceerd). Zonder tienen wordt ook Hi-Lo ongebalanceerd.
+     */
+    getImbalance() {
+        return this.deck.reduce((sum, count, rank) => rank === 0 ? sum : sum + count * this.tag(rank === 1 ? 'A' : String(rank)), 0);
+    }
+
+    /**
+     * Geschat aantal decks dat nog in de shoe zit (minimaal een halve deck)
+     */
+    getDecksRemaining(extraCards = []) {
+        const seen = this.seenCards.length + extraCards.length;
+        const deckSize = this.getDeckSize();
+        return Math.max((this.decks * deckSize - seen) / deckSize, 0.5);
+    }
+
+    /**
+     * True count, omgerekend naar de schaal van de Hi-Lo index plays.
+     * Voor het ongebalanceerde KO wordt eerst de verwachte opbouw van de count eruit gehaald,
+     * Omega II (level 2) wordt door twee gedeeld.
+     * @param {Array<string>} [extraCards]
+     * @returns {number}
+     */
+    getTrueCount(extraCards = []) {
+        const system = ShoeTracker.SYSTEMS[this.system];
+        const seen = this.seenCards.length + extraCards.length;
+        const balanced = this.getRunningCount(extraCards)
+            - system.initialCount(this.decks)
+            - this.getImbalance() * (seen / this.getDeckSize());
+        return balanced / this.getDecksRemaining(extraCards) / system.indexScale;
+    }
+
+    /**
+     * Samenvatting voor weergave
+     */
+    getState(extraCards = []) {
+        return {
+            system: this.system,
+            cardsSeen: this.seenCards.length + extraCards.length,
+            runningCount: this.getRunningCount(extraCards),
+            trueCount: this.getTrueCount(extraCards),
+            decksRemaining: this.getDecksRemaining(extraCards)
+        };
+    }
+}
+
+/**
+ * Telsystemen
+ * - tags: waarde per kaart
+ * - initialCount: start running count voor een shoe
+ * - indexScale: deler om de true count op de Hi-Lo schaal van de index plays te brengen
+ */
+ShoeTracker.SYSTEMS = {
+    hiLo: {
+        name: 'Hi-Lo',
+        tags: { '2': 1, '3': 1, '4': 1, '5': 1, '6': 1, '7': 0, '8': 0, '9': 0, '10': -1, 'A': -1 },
+        initialCount: () => 0,
+        indexScale: 1
+    },
+    ko: {
+        name: 'KO (Knock-Out)',
+        tags: { '2': 1, '3': 1, '4': 1, '5': 1, '6': 1, '7': 1, '8': 0, '9': 0, '10': -1, 'A': -1 },
+        initialCount: decks => -4 * (decks - 1),
+        indexScale: 1
+    },
+    omegaII: {
+        name: 'Omega II',
+        tags: { '2': 1, '3': 1, '4': 2, '5': 2, '6': 2, '7': 1, '8': 0, '9': -1, '10': -2, 'A': 0 },
+        initialCount: () => 0,
+        indexScale: 2
+    }
+};
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShoeTracker;
+}
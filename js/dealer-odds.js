@@ -0,0 +1,65 @@
+/**
+ * Dealer Probabilities
+ *
+ * Kans dat de dealer eindigt op 17, 18, 19, 20, 21 of bust voor een upcard,
+ * volgens de tafelregels (H17/S17). Kaarten die niet meer in de shoe zitten
+ * (de upcard, de kaarten van de speler en getelde kaarten) worden eerst uit de
+ * shoe gehaald. Het uitspelen zelf doet ExpectedValueEngine.dealerOutcomes().
+ */
+
+// In Node via require, in de browser via de <script> tags
+const DealerOddsDeps = typeof module !== 'undefined' && module.exports
+    ? { ExpectedValueEngine: require('./ev-engine.js') }
+    : { ExpectedValueEngine };
+
+class DealerProbabilities {
+    /**
+     * @param {Object} [rules] - Tafelregels, zie BlackjackStrategy.DEFAULT_RULES
+     */
+    constructor(rules = {}) {
+        this.engine = new DealerOddsDeps.ExpectedValueEngine(rules);
+    }
+
+    setRules(rules = {}) {
+        this.engine.setRules(rules);
+    }
+
+    /**
+     * @param {string} dealerCard - Upcard ('2'-'10', 'J', 'Q', 'K', 'A')
+     * @param {Object} [options]
+     * @param {Array<string>} [options.removedCards] - Bekende kaarten buiten de shoe (speler, tracker)
+     * @param {Array<number>} [options.deck] - Kaarten per rank in één deck, voor varianten zonder 52 kaarten
+     * @returns {Object} - {outcomes: [{outcome, chance}], conditionedOnNoBlackjack, dealerHitsSoft17, cardsLeft}
+     */
+    calculate(dealerCard, options = {}) {
+        const { ExpectedValueEngine } = DealerOddsDeps;
+        const upRank = ExpectedValueEngine.cardRank(dealerCard);
+        const counts = ExpectedValueEngine.removeCards(
+            ExpectedValueEngine.createShoe(this.engine.rules.decks, options.deck),
+            [dealerCard, ...(options.removedCards || [])]
+        );
+
+        // Zelfde keuze als bij de EV: met peek is een dealer blackjack al uitgesloten
+        const conditioned = this.engine.isConditioned(upRank);
+        const result = this.engine.dealerOutcomes(upRank, counts, conditioned);
+
+        const outcomes = DealerProbabilities.OUTCOMES
+            .filter(outcome => outcome !== 'blackjack' || result.blackjack > 0)
+            .map(outcome => ({ outcome, chance: result[outcome] }));
+
+        return {
+            outcomes,
+            conditionedOnNoBlackjack: conditioned && (upRank === 1 || upRank === 10),
+            dealerHitsSoft17: this.engine.rules.dealerHitsSoft17,
+            cardsLeft: this.engine.countCards(counts)
+        };
+    }
+}
+
+// Volgorde van de balken in de grafiek
+DealerProbabilities.OUTCOMES = ['17', '18', '19', '20', '21', 'bust', 'blackjack'];
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DealerProbabilities;
+}
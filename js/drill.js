@@ -0,0 +1,179 @@
+/**
+ * Drill Scheduler
+ *
+ * Herhaalschema voor de training met Leitner boxen. Elke cel uit de strategie
+ * tabellen (soort hand, totaal of pair kaart, dealer upcard) zit in een box:
+ * een goed én snel antwoord schuift de cel een box op, een goed maar traag
+ * antwoord laat hem staan en een fout zet hem terug in box 0. Hoe hoger de
+ * box, hoe langer het duurt voor de cel terugkomt (van een minuut tot drie
+ * weken). Zo gaat de training naar de cellen die je nog niet kent in plaats
+ * van naar willekeurige handen. Het schema wordt bewaard in localStorage.
+ */
+
+class DrillScheduler {
+    /**
+     * @param {Object} [options]
+     * @param {Storage|null} [options.storage] - Opslag voor het schema (standaard localStorage)
+     * @param {Function} [options.now=Date.now] - Huidige tijd in milliseconden
+     * @param {Function} [options.random=Math.random]
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.now = options.now || Date.now;
+        this.random = options.random || Math.random;
+
+        this.cells = this.load();
+    }
+
+    /**
+     * De volgende cel om te oefenen: eerst herhalingen die aan de beurt zijn
+     * (laagste box eerst), dan nieuwe cellen, en anders de cel die het eerst
+     * aan de beurt komt
+     * @returns {Object} - {type, hand, dealer}
+     */
+    next() {
+        const now = this.now();
+        const all = DrillScheduler.allCells();
+
+        const due = all
+            .filter(cell => this.state(cell) && this.state(cell).due <= now)
+            .sort((a, b) => this.state(a).box - this.state(b).box || this.state(a).due - this.state(b).due);
+        if (due.length > 0) {
+            return due[0];
+        }
+
+        const unseen = all.filter(cell => !this.state(cell));
+        if (unseen.length > 0) {
+            return unseen[Math.floor(this.random() * unseen.length)];
+        }
+
+        return all.sort((a, b) => this.state(a).due - this.state(b).due)[0];
+    }
+
+    /**
+     * Verwerk een antwoord op een cel
+     * @param {Object} cell - {type, hand, dealer}
+     * @param {boolean} correct
+     * @param {number|null} [responseTime] - Bedenktijd in milliseconden
+     * @returns {Object} - Nieuwe staat van de cel {box, due, seen, correct}
+     */
+    record(cell, correct, responseTime = null) {
+        const previous = this.state(cell) || { box: 0, seen: 0, correct: 0 };
+        const slow = responseTime !== null && responseTime > DrillScheduler.SLOW_MS;
+
+        let box = 0;
+        if (correct) {
+            box = slow ? previous.box : Math.min(previous.box + 1, DrillScheduler.INTERVALS.length - 1);
+        }
+
+        const state = {
+            box,
+            due: this.now() + DrillScheduler.INTERVALS[box],
+            seen: previous.seen + 1,
+            correct: previous.correct + (correct ? 1 : 0)
+        };
+        this.cells[DrillScheduler.cellKey(cell)] = state;
+        this.save();
+        return state;
+    }
+
+    /**
+     * @returns {Object|null} - {box, due, seen, correct}, of null voor een cel die nog niet geoefend is
+     */
+    state(cell) {
+        return this.cells[DrillScheduler.cellKey(cell)] || null;
+    }
+
+    /**
+     * Beheersing als fractie van de hoogste box (null voor een nieuwe cel)
+     */
+    mastery(cell) {
+        const state = this.state(cell);
+        return state ? state.box / (DrillScheduler.INTERVALS.length - 1) : null;
+    }
+
+    /**
+     * @returns {Object} - {total, seen, due, mastered}; mastered telt de cellen in de hoogste twee boxen
+     */
+    summary() {
+        const now = this.now();
+        const states = DrillScheduler.allCells().map(cell => this.state(cell)).filter(Boolean);
+        return {
+            total: DrillScheduler.allCells().length,
+            seen: states.length,
+            due: states.filter(state => state.due <= now).length,
+            mastered: states.filter(state => state.box >= DrillScheduler.INTERVALS.length - 2).length
+        };
+    }
+
+    reset() {
+        this.cells = {};
+        this.save();
+    }
+
+    load() {
+        if (!this.storage) return {};
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(DrillScheduler.STORAGE_KEY));
+            if (saved && typeof saved === 'object') {
+                return saved;
+            }
+        } catch (error) {
+            // Beschadigde opslag: opnieuw beginnen
+        }
+        return {};
+    }
+
+    save() {
+        if (this.storage) {
+            this.storage.setItem(DrillScheduler.STORAGE_KEY, JSON.stringify(this.cells));
+        }
+    }
+
+    /**
+     * Alle cellen van het schema, in de volgorde van de tabellen
+     * @returns {Array<Object>} - [{type, hand, dealer}]
+     */
+    static allCells() {
+        const cells = [];
+        for (const [type, hands] of Object.entries(DrillScheduler.HANDS)) {
+            for (const hand of hands) {
+                for (const dealer of DrillScheduler.DEALERS) {
+                    cells.push({ type, hand, dealer });
+                }
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Dezelfde sleutel als StrategyProfiles.cellKey()
+     */
+    static cellKey(cell) {
+        return `${cell.type}:${cell.hand}:${cell.dealer}`;
+    }
+}
+
+DrillScheduler.STORAGE_KEY = 'blackjack-drill-schedule';
+
+// Rijen van de strategie tabellen. Hard 20 ontbreekt: met twee kaarten is dat altijd een pair tienen.
+DrillScheduler.HANDS = {
+    hard: ['5', '6', '7', '8', '9', '10', '11', '12', '13', '14', '15', '16', '17', '18', '19'],
+    soft: ['13', '14', '15', '16', '17', '18', '19', '20'],
+    pair: ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'A']
+};
+DrillScheduler.DEALERS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'A'];
+
+// Wachttijd per box: 1 minuut, 10 minuten, 1 dag, 3 dagen, 1 week, 3 weken
+DrillScheduler.INTERVALS = [60e3, 600e3, 86400e3, 3 * 86400e3, 7 * 86400e3, 21 * 86400e3];
+
+// Langer nadenken dan dit telt als goed, maar nog niet geleerd
+DrillScheduler.SLOW_MS = 6000;
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DrillScheduler;
+}
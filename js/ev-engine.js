@@ -0,0 +1,414 @@
+/**
+ * Blackjack Expected Value Engine
+ *
+ * Berekent de exacte verwachte waarde (EV) van hit, stand, double, split en
+ * surrender voor een hand tegen een dealer upcard. Alles wordt combinatorisch
+ * uitgerekend: de engine recurseert over alle trekkingen van speler en dealer
+ * en haalt getrokken kaarten uit de shoe (eindig aantal decks).
+ *
+ * EV is uitgedrukt in eenheden van de oorspronkelijke inzet (-0.5 = helft kwijt).
+ */
+
+class ExpectedValueEngine {
+    /**
+     * @param {Object} [rules] - Tafelregels, zie BlackjackStrategy.DEFAULT_RULES. Daarnaast voor
+     *                           varianten: dealer22Push (een dealer 22 is gelijkspel, Blackjack Switch)
+     */
+    constructor(rules = {}) {
+        this.setRules(rules);
+    }
+
+    setRules(rules = {}) {
+        this.rules = Object.assign({
+            decks: 6,
+            dealerHitsSoft17: true,
+            doubleAfterSplit: true,
+            surrender: 'late',
+            holeCard: 'peek',
+            blackjackPayout: 1.5,
+            dealer22Push: false
+        }, rules);
+        this.dealerCache = new Map();
+        this.resultCache = new Map();
+    }
+
+    /**
+     * Zet een kaart ('2'-'10', 'J', 'Q', 'K', 'A') om naar rank 1-10 (aas = 1)
+     */
+    static cardRank(card) {
+        if (card === 'A') return 1;
+        if (['J', 'Q', 'K', 'T'].includes(card)) return 10;
+        return parseInt(card);
+    }
+
+    /**
+     * Maak de samenstelling van een volle shoe: counts[rank] = aantal kaarten
+     * @param {number} decks
+     * @param {Array<number>} [deck] - Kaarten per rank in één deck (zie BlackjackVariant.deck())
+     * @returns {Array<number>} - Index 1 (aas) t/m 10 (tienwaardige kaarten)
+     */
+    static createShoe(decks, deck = ExpectedValueEngine.STANDARD_DECK) {
+        return deck.map(count => count * decks);
+    }
+
+    /**
+     * Kaarten van één kaart ('2'-'10', 'J', 'Q', 'K', 'A') in één deck. J, Q en K zitten in
+     * elk deck; heeft het deck minder dan 16 tienwaardige kaarten, dan ontbreken de tienen (Spanish 21).
+     * @param {string} card
+     * @param {Array<number>} [deck] - Kaarten per rank in één deck
+     * @returns {number}
+     */
+    static cardsPerDeck(card, deck = ExpectedValueEngine.STANDARD_DECK) {
+        if (['J', 'Q', 'K'].includes(card)) {
+            return 4;
+        }
+        if (card === '10') {
+            return deck[10] - 12;
+        }
+        return deck[ExpectedValueEngine.cardRank(card)];
+    }
+
+    /**
+     * Haal kaarten uit een samenstelling (kaarten die niet meer in de shoe zitten worden genegeerd)
+     */
+    static removeCards(counts, cards) {
+        const result = counts.slice();
+        for (const card of cards) {
+            const rank = ExpectedValueEngine.cardRank(card);
+            if (result[rank] > 0) result[rank]--;
+        }
+        return result;
+    }
+
+    /**
+     * Kans dat de dealer blackjack heeft met deze upcard
+     */
+    dealerBlackjackChance(upRank, counts) {
+        const total = this.countCards(counts);
+        if (upRank === 1) return counts[10] / total;
+        if (upRank === 10) return counts[1] / total;
+        return 0;
+    }
+
+    /**
+     * Kansverdeling van de eindstand van de dealer
+     * @param {number} upRank - Dealer upcard (1-10)
+     * @param {Array<number>} counts - Resterende shoe (zonder de upcard)
+     * @param {boolean} [noBlackjack=true] - Conditioneer op "dealer heeft geen blackjack" (peek)
+     * @returns {Object} - {17, 18, 19, 20, 21, 22, bust, blackjack}; 22 (gelijkspel) alleen met dealer22Push
+     */
+    dealerOutcomes(upRank, counts, noBlackjack = true) {
+        const key = `${upRank}|${noBlackjack}|${counts.join(',')}`;
+        if (this.dealerCache.has(key)) {
+            return this.dealerCache.get(key);
+        }
+
+        const dist = [0, 0, 0, 0, 0, 0, 0]; // 17, 18, 19, 20, 21, bust, 22
+        let blackjack = 0;
+        const work = counts.slice();
+        const total = this.countCards(work);
+
+        // Hole card: bij peek valt de kaart die blackjack zou maken af
+        const excluded = noBlackjack ? (upRank === 1 ? 10 : upRank === 10 ? 1 : 0) : 0;
+        const holeTotal = total - (excluded ? work[excluded] : 0);
+
+        for (let rank = 1; rank <= 10; rank++) {
+            if (work[rank] === 0 || rank === excluded) continue;
+            const p = work[rank] / holeTotal;
+
+            if ((upRank === 1 && rank === 10) || (upRank === 10 && rank === 1)) {
+                blackjack += p;
+                continue;
+            }
+
+            work[rank]--;
+            this.dealerPlay(upRank + rank, upRank === 1 || rank === 1, work, p, dist);
+            work[rank]++;
+        }
+
+        const outcomes = {
+            17: dist[0], 18: dist[1], 19: dist[2], 20: dist[3], 21: dist[4],
+            22: dist[6],
+            bust: dist[5],
+            blackjack
+        };
+        this.dealerCache.set(key, outcomes);
+        return outcomes;
+    }
+
+    /**
+     * Speel de dealer hand recursief uit en tel kansen op in dist
+     */
+    dealerPlay(hard, hasAce, counts, weight, dist) {
+        const soft = hasAce && hard + 10 <= 21;
+        const best = soft ? hard + 10 : hard;
+
+        if (best > 21) {
+            dist[best === 22 && this.rules.dealer22Push ? 6 : 5] += weight;
+            return;
+        }
+        if (best > 17 || (best === 17 && !(soft && this.rules.dealerHitsSoft17))) {
+            dist[best - 17] += weight;
+            return;
+        }
+
+        const total = this.countCards(counts);
+        for (let rank = 1; rank <= 10; rank++) {
+            if (counts[rank] === 0) continue;
+            const p = counts[rank] / total;
+            counts[rank]--;
+            this.dealerPlay(hard + rank, hasAce || rank === 1, counts, weight * p, dist);
+            counts[rank]++;
+        }
+    }
+
+    /**
+     * EV van blijven staan op een totaal tegen een dealer verdeling
+     */
+    standEV(playerTotal, outcomes) {
+        if (playerTotal > 21) return -1;
+
+        let ev = outcomes.bust - outcomes.blackjack;
+        for (let dealerTotal = 17; dealerTotal <= 21; dealerTotal++) {
+            if (playerTotal > dealerTotal) ev += outcomes[dealerTotal];
+            else if (playerTotal < dealerTotal) ev -= outcomes[dealerTotal];
+        }
+        return ev;
+    }
+
+    /**
+     * Hoofdfunctie: EV van alle beschikbare acties
+     * @param {Object} hand - Speler hand info {total, isSoft, isPair, cards}
+     * @param {string} dealerCard - Dealer upcard
+     * @param {Array} availableActions - Beschikbare acties ['hit', 'stand', 'double', 'split', 'surrender']
+     * @param {Object} [options]
+     * @param {Array<string>} [options.removedCards] - Extra kaarten die al uit de shoe zijn
+     * @param {Array<number>} [options.deck] - Kaarten per rank in één deck, voor varianten zonder 52 kaarten
+     * @param {boolean} [options.natural] - Twee kaarten 21 is een blackjack: alleen stand, tegen blackjackPayout
+     * @returns {Object} - {evs: {action: ev}, best: string, dealerBlackjackChance: number, conditionedOnNoBlackjack: boolean}
+     */
+    calculate(hand, dealerCard, availableActions, options = {}) {
+        const upRank = ExpectedValueEngine.cardRank(dealerCard);
+        const knownCards = [dealerCard, ...hand.cards, ...(options.removedCards || [])];
+        const counts = ExpectedValueEngine.removeCards(
+            ExpectedValueEngine.createShoe(this.rules.decks, options.deck), knownCards
+        );
+
+        // Zonder kaarten (totaal invoer) rekenen we met een representatieve hard/soft hand
+        const situation = {
+            total: hand.total,
+            hard: hand.isSoft ? hand.total - 10 : hand.total,
+            hasAce: hand.isSoft || hand.cards.includes('A'),
+            natural: Boolean(options.natural) && hand.cards.length === 2 && hand.total === 21,
+            splitRank: hand.isPair && hand.cards.length === 2 ? ExpectedValueEngine.cardRank(hand.cards[0]) : 0,
+            upRank
+        };
+
+        // Een split kan ruim een seconde rekenen: dezelfde vraag met dezelfde shoe niet opnieuw
+        const key = [...Object.values(situation), availableActions.slice().sort().join(','), counts.join(',')].join('|');
+        if (!this.resultCache.has(key)) {
+            if (this.resultCache.size >= ExpectedValueEngine.RESULT_CACHE_SIZE) {
+                this.resultCache.delete(this.resultCache.keys().next().value);
+            }
+            this.resultCache.set(key, this.calculateSituation(situation, availableActions, counts));
+        }
+
+        // Een kopie, zodat de aanroeper de cache niet kan veranderen
+        const result = this.resultCache.get(key);
+        return Object.assign({}, result, { evs: Object.assign({}, result.evs) });
+    }
+
+    /**
+     * EV van alle acties voor een hand waarvan de kaarten al uit counts zijn gehaald
+     * @param {Object} situation - {total, hard, hasAce, natural, splitRank, upRank}
+     */
+    calculateSituation({ total, hard, hasAce, natural, splitRank, upRank }, availableActions, counts) {
+        if (natural) {
+            return {
+                evs: { stand: this.naturalEV(upRank, counts) },
+                best: 'stand',
+                dealerBlackjackChance: this.dealerBlackjackChance(upRank, counts),
+                conditionedOnNoBlackjack: this.isConditioned(upRank)
+            };
+        }
+
+        const memo = new Map();
+        const conditional = {
+            stand: this.standEV(total, this.dealerOutcomes(upRank, counts)),
+            hit: this.hitEV(hard, hasAce, upRank, counts, memo)
+        };
+
+        if (availableActions.includes('double')) {
+            conditional.double = this.doubleEV(hard, hasAce, upRank, counts);
+        }
+        if (availableActions.includes('split') && splitRank) {
+            conditional.split = this.splitEV(splitRank, upRank, counts);
+        }
+        if (availableActions.includes('surrender') && this.rules.surrender !== 'none') {
+            conditional.surrender = -0.5;
+        }
+
+        const evs = this.applyDealerBlackjack(conditional, upRank, counts);
+        const best = Object.keys(evs).reduce((a, b) => (evs[b] > evs[a] ? b : a));
+
+        return {
+            evs,
+            best,
+            dealerBlackjackChance: this.dealerBlackjackChance(upRank, counts),
+            conditionedOnNoBlackjack: this.isConditioned(upRank)
+        };
+    }
+
+    /**
+     * Bij peek + late/geen surrender telt alleen de situatie waarin de dealer geen blackjack heeft.
+     * Anders (early surrender of geen hole card) wordt de dealer blackjack meegewogen.
+     */
+    isConditioned(upRank) {
+        if (upRank !== 1 && upRank !== 10) return true;
+        return this.rules.holeCard === 'peek' && this.rules.surrender !== 'early';
+    }
+
+    applyDealerBlackjack(conditional, upRank, counts) {
+        if (this.isConditioned(upRank)) {
+            return conditional;
+        }
+
+        const pBlackjack = this.dealerBlackjackChance(upRank, counts);
+        const noHoleCard = this.rules.holeCard === 'enhc';
+
+        // Verlies bij dealer blackjack: zonder hole card ook de extra double/split inzet
+        const blackjackLoss = {
+            stand: -1,
+            hit: -1,
+            double: noHoleCard ? -2 : -1,
+            split: noHoleCard ? -2 : -1,
+            surrender: this.rules.surrender === 'early' ? -0.5 : -1
+        };
+
+        const evs = {};
+        for (const action of Object.keys(conditional)) {
+            evs[action] = pBlackjack * blackjackLoss[action] + (1 - pBlackjack) * conditional[action];
+        }
+        return evs;
+    }
+
+    /**
+     * EV van een blackjack van de speler: wint blackjackPayout, gelijkspel tegen een dealer blackjack
+     */
+    naturalEV(upRank, counts) {
+        const payout = this.rules.blackjackPayout;
+        return this.isConditioned(upRank) ? payout : (1 - this.dealerBlackjackChance(upRank, counts)) * payout;
+    }
+
+    /**
+     * EV van een kaart nemen en daarna optimaal verder spelen (hit/stand)
+     */
+    hitEV(hard, hasAce, upRank, counts, memo) {
+        const key = `${hard}|${hasAce}|${counts.join(',')}`;
+        if (memo.has(key)) {
+            return memo.get(key);
+        }
+
+        const total = this.countCards(counts);
+        let ev = 0;
+
+        for (let rank = 1; rank <= 10; rank++) {
+            if (counts[rank] === 0) continue;
+            const p = counts[rank] / total;
+            const newHard = hard + rank;
+
+            if (newHard > 21) {
+                ev -= p;
+                continue;
+            }
+
+            const newAce = hasAce || rank === 1;
+            const best = newAce && newHard + 10 <= 21 ? newHard + 10 : newHard;
+
+            counts[rank]--;
+            let value = this.standEV(best, this.dealerOutcomes(upRank, counts));
+            if (best < 21) {
+                value = Math.max(value, this.hitEV(newHard, newAce, upRank, counts, memo));
+            }
+            counts[rank]++;
+
+            ev += p * value;
+        }
+
+        memo.set(key, ev);
+        return ev;
+    }
+
+    /**
+     * EV van doublen: precies één kaart, dubbele inzet
+     */
+    doubleEV(hard, hasAce, upRank, counts) {
+        const total = this.countCards(counts);
+        let ev = 0;
+
+        for (let rank = 1; rank <= 10; rank++) {
+            if (counts[rank] === 0) continue;
+            const p = counts[rank] / total;
+            const newHard = hard + rank;
+            const newAce = hasAce || rank === 1;
+            const best = newAce && newHard + 10 <= 21 ? newHard + 10 : newHard;
+
+            counts[rank]--;
+            ev += p * this.standEV(best, this.dealerOutcomes(upRank, counts));
+            counts[rank]++;
+        }
+
+        return 2 * ev;
+    }
+
+    /**
+     * EV van splitten: twee handen die elk met één pair kaart beginnen.
+     * Re-splitten wordt niet meegenomen; split aces krijgen één kaart en 21 telt niet als blackjack.
+     */
+    splitEV(pairRank, upRank, counts) {
+        const total = this.countCards(counts);
+        const memo = new Map();
+        let ev = 0;
+
+        for (let rank = 1; rank <= 10; rank++) {
+            if (counts[rank] === 0) continue;
+            const p = counts[rank] / total;
+            const hard = pairRank + rank;
+            const hasAce = pairRank === 1 || rank === 1;
+            const best = hasAce && hard + 10 <= 21 ? hard + 10 : hard;
+
+            counts[rank]--;
+            let value = this.standEV(best, this.dealerOutcomes(upRank, counts));
+            if (pairRank !== 1) {
+                if (best < 21) {
+                    value = Math.max(value, this.hitEV(hard, hasAce, upRank, counts, memo));
+                }
+                if (this.rules.doubleAfterSplit) {
+                    value = Math.max(value, this.doubleEV(hard, hasAce, upRank, counts));
+                }
+            }
+            counts[rank]++;
+
+            ev += p * value;
+        }
+
+        return 2 * ev;
+    }
+
+    countCards(counts) {
+        let total = 0;
+        for (let rank = 1; rank <= 10; rank++) total += counts[rank];
+        return total;
+    }
+}
+
+// Eén deck van 52 kaarten: index 1 (aas) t/m 10, met tien, boer, vrouw en heer samen als 10
+ExpectedValueEngine.STANDARD_DECK = [0, 4, 4, 4, 4, 4, 4, 4, 4, 4, 16];
+
+// Aantal uitkomsten van calculate() dat bewaard blijft (de oudste valt eerst af)
+ExpectedValueEngine.RESULT_CACHE_SIZE = 200;
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExpectedValueEngine;
+}
@@ -0,0 +1,394 @@
+/**
+ * Blackjack Game - speelbare tafel
+ *
+ * Deelt uit een echte shoe, laat de speler handen spelen met hit, stand,
+ * double, split en surrender, speelt de dealer volgens de tafelregels en
+ * rekent inzetten af tegen een bankroll.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const GameDeps = typeof module !== 'undefined' && module.exports
+    ? { BlackjackStrategy: require('./strategy.js'), Shoe: require('./shoe.js'), I18n: require('./i18n.js') }
+    : { BlackjackStrategy, Shoe, I18n };
+
+class BlackjackGame {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.rules] - Tafelregels, zie BlackjackStrategy.DEFAULT_RULES
+     * @param {BlackjackStrategy} [options.strategy] - Engine voor de hints
+     * @param {number} [options.bankroll=1000] - Start bankroll (als er niets bewaard is)
+     * @param {Storage|null} [options.storage] - Opslag voor de bankroll (standaard localStorage)
+     * @param {Function} [options.random=Math.random]
+     */
+    constructor(options = {}) {
+        const { BlackjackStrategy } = GameDeps;
+
+        this.rules = Object.assign({}, BlackjackStrategy.DEFAULT_RULES, options.rules);
+        this.strategy = options.strategy || new BlackjackStrategy(this.rules);
+        this.random = options.random || Math.random;
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.startingBankroll = options.bankroll || 1000;
+
+        this.bankroll = this.loadBankroll();
+        this.phase = 'betting';
+        this.hands = [];
+        this.activeHandIndex = 0;
+        this.dealerCards = [];
+        this.holeRevealed = false;
+        this.pendingPeek = false;
+        this.message = null; // Uitslag van de ronde als message {key, params}
+        this.lastRoundNet = 0;
+
+        this.newShoe();
+    }
+
+    /**
+     * Nieuwe regels gaan in bij de volgende ronde, met een nieuwe shoe
+     */
+    setRules(rules) {
+        this.rules = Object.assign({}, GameDeps.BlackjackStrategy.DEFAULT_RULES, rules);
+        this.rulesChanged = true;
+    }
+
+    newShoe() {
+        this.shoe = new GameDeps.Shoe(this.rules.decks, { random: this.random });
+        this.rulesChanged = false;
+    }
+
+    /**
+     * Start een ronde met een inzet
+     * @param {number} bet
+     */
+    deal(bet) {
+        if (this.phase === 'playing') {
+            throw GameDeps.I18n.error('error.game.roundInProgress');
+        }
+        if (!(bet > 0)) {
+            throw GameDeps.I18n.error('error.game.invalidBet');
+        }
+        if (bet > this.bankroll) {
+            throw GameDeps.I18n.error('error.game.insufficientFunds');
+        }
+
+        if (this.rulesChanged || this.shoe.needsShuffle()) {
+            this.newShoe();
+        }
+
+        this.bankroll -= bet;
+        this.hands = [this.createHand([this.shoe.draw()], bet)];
+        this.dealerCards = [this.shoe.draw()];
+        this.hands[0].cards.push(this.shoe.draw());
+        this.dealerCards.push(this.shoe.draw());
+
+        this.activeHandIndex = 0;
+        this.holeRevealed = false;
+        this.phase = 'playing';
+        this.message = null;
+        this.lastRoundNet = 0;
+
+        const playerBlackjack = this.isBlackjack(this.hands[0].cards);
+        const dealerBlackjack = this.isBlackjack(this.dealerCards);
+        const upcardCanBlackjack = ['A', '10', 'J', 'Q', 'K'].includes(this.dealerCards[0]);
+        const peek = this.rules.holeCard === 'peek';
+
+        // Early surrender: de dealer checkt pas na de eerste beslissing
+        this.pendingPeek = peek && upcardCanBlackjack && this.rules.surrender === 'early' && !playerBlackjack;
+
+        if (playerBlackjack || (peek && dealerBlackjack && !this.pendingPeek)) {
+            this.finishRound();
+        }
+
+        this.saveBankroll();
+    }
+
+    createHand(cards, bet, fromSplit = false) {
+        return {
+            cards,
+            bet,
+            fromSplit,
+            splitAces: false,
+            doubled: false,
+            surrendered: false,
+            done: false,
+            result: null
+        };
+    }
+
+    get activeHand() {
+        return this.hands[this.activeHandIndex];
+    }
+
+    /**
+     * Legale acties voor de actieve hand
+     * @returns {Array<string>}
+     */
+    getAvailableActions() {
+        if (this.phase !== 'playing') {
+            return [];
+        }
+
+        const hand = this.activeHand;
+        const canAfford = this.bankroll >= hand.bet;
+
+        // Een split aas mag alleen nog opnieuw gesplitst worden (RSA)
+        if (hand.splitAces) {
+            return canAfford && this.canSplit(hand) ? ['stand', 'split'] : ['stand'];
+        }
+
+        const actions = ['hit', 'stand'];
+
+        if (hand.cards.length === 2) {
+            if (canAfford && (!hand.fromSplit || this.rules.doubleAfterSplit)) {
+                actions.push('double');
+            }
+            if (canAfford && this.canSplit(hand)) {
+                actions.push('split');
+            }
+            if (this.hands.length === 1 && this.rules.surrender !== 'none') {
+                actions.push('surrender');
+            }
+        }
+
+        return actions;
+    }
+
+    /**
+     * Mag deze hand (opnieuw) gesplitst worden binnen de tafelregels
+     */
+    canSplit(hand) {
+        return GameDeps.BlackjackStrategy.canSplit(hand.cards, this.hands.length, hand.splitAces, this.rules);
+    }
+
+    /**
+     * Split aces krijgen één kaart; de hand is klaar tenzij er opnieuw gesplitst mag worden
+     */
+    isFinishedSplitAce(hand) {
+        return hand.splitAces && !(this.bankroll >= hand.bet && this.canSplit(hand));
+    }
+
+    /**
+     * Advies van de strategy engine voor de actieve hand
+     */
+    getAdvice() {
+        if (this.phase !== 'playing') {
+            return null;
+        }
+        return this.strategy.getAdvice(this.evaluate(this.activeHand.cards), this.dealerCards[0], this.getAvailableActions());
+    }
+
+    hit() {
+        if (!this.beginAction('hit')) return;
+        const hand = this.activeHand;
+        hand.cards.push(this.shoe.draw());
+
+        if (this.evaluate(hand.cards).total >= 21) {
+            this.completeHand();
+        }
+    }
+
+    stand() {
+        if (!this.beginAction('stand')) return;
+        this.completeHand();
+    }
+
+    double() {
+        if (!this.beginAction('double')) return;
+        const hand = this.activeHand;
+
+        this.bankroll -= hand.bet;
+        hand.bet *= 2;
+        hand.doubled = true;
+        hand.cards.push(this.shoe.draw());
+        this.completeHand();
+    }
+
+    split() {
+        if (!this.beginAction('split')) return;
+        const hand = this.activeHand;
+        const splitAces = hand.cards[0] === 'A';
+
+        this.bankroll -= hand.bet;
+        const newHand = this.createHand([hand.cards[1], this.shoe.draw()], hand.bet, true);
+        hand.cards = [hand.cards[0], this.shoe.draw()];
+        hand.fromSplit = true;
+        hand.splitAces = splitAces;
+        newHand.splitAces = splitAces;
+        this.hands.splice(this.activeHandIndex + 1, 0, newHand);
+
+        // Split aces krijgen één kaart; 21 is klaar
+        if (this.isFinishedSplitAce(hand) || this.evaluate(hand.cards).total === 21) {
+            this.completeHand();
+        }
+    }
+
+    surrender() {
+        this.checkAction('surrender');
+        this.pendingPeek = false;
+        this.activeHand.surrendered = true;
+        this.completeHand();
+    }
+
+    /**
+     * Controleer of de actie mag en voer een uitgestelde dealer peek uit
+     * @returns {boolean} - false als de ronde door een dealer blackjack al voorbij is
+     */
+    beginAction(action) {
+        this.checkAction(action);
+
+        if (this.pendingPeek) {
+            this.pendingPeek = false;
+            if (this.isBlackjack(this.dealerCards)) {
+                this.finishRound();
+                return false;
+            }
+        }
+        return true;
+    }
+
+    checkAction(action) {
+        if (!this.getAvailableActions().includes(action)) {
+            throw GameDeps.I18n.error('error.game.actionNotAllowed', { action: action.toUpperCase() });
+        }
+    }
+
+    /**
+     * Actieve hand is klaar: door naar de volgende hand of de dealer
+     */
+    completeHand() {
+        this.activeHand.done = true;
+
+        while (this.activeHandIndex < this.hands.length - 1) {
+            this.activeHandIndex++;
+            const hand = this.activeHand;
+            if (this.isFinishedSplitAce(hand) || this.evaluate(hand.cards).total === 21) {
+                hand.done = true;
+                continue;
+            }
+            return;
+        }
+
+        this.finishRound();
+    }
+
+    /**
+     * Dealer speelt (indien nodig) en alle handen worden afgerekend
+     */
+    finishRound() {
+        this.holeRevealed = true;
+        this.phase = 'settled';
+
+        const dealerBlackjack = this.isBlackjack(this.dealerCards);
+        const playerBlackjack = this.hands.length === 1 && this.isBlackjack(this.hands[0].cards) && !this.hands[0].fromSplit;
+
+        const liveHands = this.hands.filter(hand => !hand.surrendered && this.evaluate(hand.cards).total <= 21);
+        if (!dealerBlackjack && !playerBlackjack && liveHands.length > 0) {
+            this.playDealer();
+        }
+
+        const dealerTotal = this.evaluate(this.dealerCards).total;
+        let net = 0;
+
+        for (const hand of this.hands) {
+            const payout = this.settleHand(hand, dealerTotal, dealerBlackjack, playerBlackjack);
+            this.bankroll += payout;
+            net += payout - hand.bet;
+        }
+
+        this.lastRoundNet = net;
+        const prefix = dealerBlackjack ? { key: 'game.dealerBlackjack' } : playerBlackjack ? { key: 'game.playerBlackjack' } : '';
+        this.message = {
+            key: net > 0 ? 'game.win' : net < 0 ? 'game.lose' : 'game.push',
+            params: { prefix, amount: Math.abs(net) }
+        };
+        this.saveBankroll();
+    }
+
+    /**
+     * Uitbetaling (inclusief inzet) voor één hand
+     */
+    settleHand(hand, dealerTotal, dealerBlackjack, playerBlackjack) {
+        const total = this.evaluate(hand.cards).total;
+
+        // Late surrender zonder hole card beschermt niet tegen een dealer blackjack
+        if (hand.surrendered && dealerBlackjack && this.rules.surrender !== 'early') {
+            hand.result = 'lose';
+            return 0;
+        }
+        if (hand.surrendered) {
+            hand.result = 'surrender';
+            return hand.bet / 2;
+        }
+        if (playerBlackjack) {
+            hand.result = dealerBlackjack ? 'push' : 'blackjack';
+            return dealerBlackjack ? hand.bet : hand.bet * (1 + this.rules.blackjackPayout);
+        }
+        if (dealerBlackjack) {
+            // Met peek is alleen de oorspronkelijke inzet in het spel geweest
+            hand.result = 'lose';
+            return 0;
+        }
+        if (total > 21) {
+            hand.result = 'bust';
+            return 0;
+        }
+        if (dealerTotal > 21 || total > dealerTotal) {
+            hand.result = 'win';
+            return hand.bet * 2;
+        }
+        if (total < dealerTotal) {
+            hand.result = 'lose';
+            return 0;
+        }
+        hand.result = 'push';
+        return hand.bet;
+    }
+
+    playDealer() {
+        while (true) {
+            const { total, isSoft } = this.evaluate(this.dealerCards);
+            if (total > 17 || (total === 17 && !(isSoft && this.rules.dealerHitsSoft17))) {
+                return;
+            }
+            this.dealerCards.push(this.shoe.draw());
+        }
+    }
+
+    evaluate(cards) {
+        return GameDeps.BlackjackStrategy.evaluateHand(cards);
+    }
+
+    isBlackjack(cards) {
+        return cards.length === 2 && this.evaluate(cards).total === 21;
+    }
+
+    /**
+     * Zet de bankroll terug naar het startbedrag
+     */
+    resetBankroll() {
+        this.bankroll = this.startingBankroll;
+        this.saveBankroll();
+    }
+
+    loadBankroll() {
+        if (this.storage) {
+            const saved = parseFloat(this.storage.getItem(BlackjackGame.STORAGE_KEY));
+            if (!isNaN(saved)) return saved;
+        }
+        return this.startingBankroll;
+    }
+
+    saveBankroll() {
+        if (this.storage) {
+            this.storage.setItem(BlackjackGame.STORAGE_KEY, String(this.bankroll));
+        }
+    }
+}
+
+BlackjackGame.STORAGE_KEY = 'blackjack-game-bankroll';
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BlackjackGame;
+}
@@ -0,0 +1,277 @@
+/**
+ * Decision History
+ *
+ * Logboek van elke adviesvraag: dealer kaart, speler kaarten, beschikbare
+ * acties, het advies, de actie die de speler echt nam en de uitkomst.
+ * Wordt bewaard in localStorage en kan als JSON of CSV geëxporteerd en
+ * weer geïmporteerd worden om sessies te delen.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const HistoryDeps = typeof module !== 'undefined' && module.exports
+    ? { I18n: require('./i18n.js') }
+    : { I18n };
+
+class DecisionHistory {
+    /**
+     * @param {Object} [options]
+     * @param {Storage|null} [options.storage] - Opslag voor de historie (standaard localStorage)
+     * @param {Function} [options.now] - Klok voor de timestamp (standaard Date.now)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.now = options.now || Date.now;
+
+        // Elke keer dat de app opent is een nieuwe sessie
+        this.sessionId = new Date(this.now()).toISOString();
+        this.records = this.load();
+    }
+
+    /**
+     * Leg een nieuwe beslissing vast
+     * @param {Object} decision - {dealerCard, playerCards, total, isSoft, availableActions, advisedAction}
+     * @returns {Object} - Het opgeslagen record
+     */
+    add(decision) {
+        const timestamp = this.now();
+        const record = DecisionHistory.normalize(Object.assign({
+            id: `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            timestamp: new Date(timestamp).toISOString(),
+            session: this.sessionId,
+            takenAction: null,
+            outcome: null
+        }, decision));
+
+        this.records.push(record);
+        if (this.records.length > DecisionHistory.MAX_RECORDS) {
+            this.records.splice(0, this.records.length - DecisionHistory.MAX_RECORDS);
+        }
+        this.save();
+        return record;
+    }
+
+    /**
+     * Vul de genomen actie of uitkomst van een record aan
+     * @param {string} id
+     * @param {Object} changes - {takenAction?, outcome?}
+     */
+    update(id, changes) {
+        const record = this.records.find(r => r.id === id);
+        if (!record) {
+            throw HistoryDeps.I18n.error('error.history.notFound');
+        }
+        if ('takenAction' in changes) record.takenAction = changes.takenAction || null;
+        if ('outcome' in changes) record.outcome = changes.outcome || null;
+        this.save();
+        return record;
+    }
+
+    /**
+     * Records die aan alle opgegeven filters voldoen, nieuwste eerst
+     * @param {Object} [filters] - {dealerCard, advisedAction, outcome, followed ('yes'|'no'), session}
+     * @returns {Array<Object>}
+     */
+    filter(filters = {}) {
+        return this.records.filter(record => {
+            if (filters.dealerCard && DecisionHistory.dealerKey(record.dealerCard) !== filters.dealerCard) return false;
+            if (filters.advisedAction && record.advisedAction !== filters.advisedAction) return false;
+            if (filters.outcome && record.outcome !== filters.outcome) return false;
+            if (filters.session && record.session !== filters.session) return false;
+            if (filters.followed) {
+                if (!record.takenAction) return false;
+                const followed = record.takenAction === record.advisedAction;
+                if (followed !== (filters.followed === 'yes')) return false;
+            }
+            return true;
+        }).reverse();
+    }
+
+    /**
+     * Alle sessies in de historie, nieuwste eerst
+     */
+    getSessions() {
+        return [...new Set(this.records.map(record => record.session))].sort().reverse();
+    }
+
+    clear() {
+        this.records = [];
+        this.save();
+    }
+
+    toJSON(records = this.records) {
+        return JSON.stringify({ version: 1, records }, null, 2);
+    }
+
+    toCSV(records = this.records) {
+        const lines = [DecisionHistory.CSV_COLUMNS.join(',')];
+        for (const record of records) {
+            lines.push(DecisionHistory.CSV_COLUMNS.map(column => {
+                const value = record[column];
+                return DecisionHistory.csvField(Array.isArray(value) ? value.join(' ') : value);
+            }).join(','));
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Importeer een JSON of CSV export. Records die er al zijn (zelfde id) worden overgeslagen;
+     * is één record ongeldig, dan wordt er niets geïmporteerd.
+     * @param {string} text
+     * @returns {number} - Aantal nieuwe records dat bewaard is
+     */
+    import(text) {
+        const trimmed = String(text).trim();
+        let records;
+
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                throw HistoryDeps.I18n.error('error.history.invalidJson');
+            }
+            records = Array.isArray(data) ? data : data.records;
+        } else {
+            records = DecisionHistory.parseCSV(trimmed);
+        }
+
+        if (!Array.isArray(records)) {
+            throw HistoryDeps.I18n.error('error.history.noRecords');
+        }
+
+        // Eerst alles controleren: één fout record importeert niets
+        const normalized = records.map(raw => DecisionHistory.normalize(raw));
+
+        const known = new Set(this.records.map(record => record.id));
+        const added = [];
+        for (const record of normalized) {
+            if (known.has(record.id)) continue;
+            known.add(record.id);
+            added.push(record);
+        }
+
+        // Net als bij add() blijven alleen de nieuwste MAX_RECORDS bewaard
+        const merged = [...this.records, ...added].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        this.records = merged.slice(Math.max(merged.length - DecisionHistory.MAX_RECORDS, 0));
+        this.save();
+
+        const kept = new Set(this.records);
+        return added.filter(record => kept.has(record)).length;
+    }
+
+    load() {
+        if (!this.storage) return [];
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(DecisionHistory.STORAGE_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            // Beschadigde opslag: opnieuw beginnen
+            return [];
+        }
+    }
+
+    save() {
+        if (this.storage) {
+            this.storage.setItem(DecisionHistory.STORAGE_KEY, JSON.stringify(this.records));
+        }
+    }
+
+    /**
+     * Controleer en vul een record aan (ook voor geïmporteerde records)
+     */
+    static normalize(raw) {
+        if (!raw || typeof raw !== 'object' || !raw.id || !raw.timestamp || !raw.dealerCard || !raw.advisedAction) {
+            throw HistoryDeps.I18n.error('error.history.invalidRecord');
+        }
+
+        const list = value => (Array.isArray(value) ? value : String(value || '').split(' ').filter(Boolean));
+        const optional = value => (value === undefined || value === '' ? null : value);
+
+        return {
+            id: String(raw.id),
+            timestamp: String(raw.timestamp),
+            session: String(raw.session || raw.timestamp),
+            dealerCard: String(raw.dealerCard),
+            playerCards: list(raw.playerCards),
+            total: Number(raw.total),
+            isSoft: raw.isSoft === true || raw.isSoft === 'true',
+            availableActions: list(raw.availableActions),
+            advisedAction: String(raw.advisedAction),
+            takenAction: optional(raw.takenAction),
+            outcome: optional(raw.outcome)
+        };
+    }
+
+    static dealerKey(card) {
+        return ['J', 'Q', 'K'].includes(card) ? '10' : card;
+    }
+
+    static csvField(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * CSV met een kopregel naar objecten (ondersteunt velden tussen aanhalingstekens)
+     */
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n') {
+                row.push(field.replace(/\r$/, ''));
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        const [header, ...data] = rows;
+        if (!header || !header.includes('id')) {
+            throw HistoryDeps.I18n.error('error.history.invalidCsv');
+        }
+        return data
+            .filter(values => values.some(value => value !== ''))
+            .map(values => Object.fromEntries(header.map((column, i) => [column, values[i]])));
+    }
+}
+
+DecisionHistory.STORAGE_KEY = 'blackjack-decision-history';
+DecisionHistory.MAX_RECORDS = 5000;
+DecisionHistory.CSV_COLUMNS = [
+    'id', 'timestamp', 'session', 'dealerCard', 'playerCards', 'total', 'isSoft',
+    'availableActions', 'advisedAction', 'takenAction', 'outcome'
+];
+// Mogelijke uitkomsten; het label staat in de catalogus onder outcome.<uitkomst>
+DecisionHistory.OUTCOMES = ['win', 'lose', 'push', 'bust', 'blackjack', 'surrender'];
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DecisionHistory;
+}
@@ -0,0 +1,160 @@
+/**
+ * I18n - vertalingen voor de app en de strategy engine
+ *
+ * Teksten staan als message keys in een catalogus per taal (js/locales). De
+ * engine en de andere modules geven een message terug ({key, params}) in
+ * plaats van een vaste zin; de app vertaalt die pas bij het tonen. Params
+ * kunnen zelf weer een message zijn. Heeft een key een variant `<key>.one`,
+ * dan wordt die gebruikt als params.count 1 is.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const I18nDeps = typeof module !== 'undefined' && module.exports
+    ? {
+        catalogues: {
+            nl: require('./locales/nl.js'),
+            en: require('./locales/en.js'),
+            de: require('./locales/de.js')
+        }
+    }
+    : { catalogues: { nl: MessagesNl, en: MessagesEn, de: MessagesDe } };
+
+class I18n {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.locale] - Taal, zie I18n.LOCALES (standaard de bewaarde taal of I18n.DEFAULT_LOCALE)
+     * @param {Storage|null} [options.storage] - Opslag voor de gekozen taal (standaard localStorage)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        const locale = options.locale || this.loadLocale();
+        this.locale = I18n.LOCALES[locale] ? locale : I18n.DEFAULT_LOCALE;
+    }
+
+    /**
+     * Kies een andere taal en onthoud hem
+     * @param {string} locale - 'nl', 'en' of 'de'
+     */
+    setLocale(locale) {
+        if (!I18n.LOCALES[locale]) {
+            throw I18n.error('error.unknownLocale', { locale });
+        }
+        this.locale = locale;
+        if (this.storage) {
+            this.storage.setItem(I18n.STORAGE_KEY, locale);
+        }
+    }
+
+    loadLocale() {
+        if (!this.storage) return null;
+
+        try {
+            return this.storage.getItem(I18n.STORAGE_KEY);
+        } catch (error) {
+            // Opslag niet beschikbaar: standaard taal
+            return null;
+        }
+    }
+
+    /**
+     * Vertaal een key met params, bijv. t('strategy.hard.17Stand', { total: 18 })
+     * @param {string} key
+     * @param {Object} [params]
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        return I18n.translate(this.locale, key, params);
+    }
+
+    /**
+     * Vertaal een message ({key, params}); gewone tekst blijft staan
+     * @param {Object|string|null} message
+     * @returns {string}
+     */
+    format(message) {
+        if (message === null || message === undefined) return '';
+        if (typeof message !== 'object') return String(message);
+        return this.t(message.key, message.params);
+    }
+
+    /**
+     * Taal tag voor datums en getallen, bijv. 'nl-NL'
+     */
+    get tag() {
+        return I18n.LOCALES[this.locale].tag;
+    }
+
+    /**
+     * Vertaal alle elementen met data-i18n (tekst), data-i18n-placeholder en data-i18n-title
+     * @param {ParentNode} root
+     */
+    translatePage(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = this.t(el.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.title = this.t(el.dataset.i18nTitle);
+        });
+    }
+
+    /**
+     * Message object voor later vertalen
+     */
+    static message(key, params = {}) {
+        return { key, params };
+    }
+
+    /**
+     * Error met een Nederlandse tekst (standaard taal) en de message key,
+     * zodat de app de melding in de gekozen taal kan tonen
+     */
+    static error(key, params = {}) {
+        const error = new Error(I18n.translate(I18n.DEFAULT_LOCALE, key, params));
+        error.key = key;
+        error.params = params;
+        return error;
+    }
+
+    /**
+     * Opzoeken in de catalogus van een taal, met de standaard taal als terugval
+     */
+    static translate(locale, key, params = {}) {
+        const catalogues = I18nDeps.catalogues;
+        const lookup = name => {
+            const own = catalogues[locale] && catalogues[locale][name];
+            return own !== undefined ? own : catalogues[I18n.DEFAULT_LOCALE][name];
+        };
+
+        const plural = params.count === 1 ? lookup(`${key}.one`) : undefined;
+        const template = plural !== undefined ? plural : lookup(key);
+        if (template === undefined) {
+            return key;
+        }
+
+        return template.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return match;
+            return typeof value === 'object' ? I18n.translate(locale, value.key, value.params) : String(value);
+        });
+    }
+}
+
+I18n.STORAGE_KEY = 'blackjack-locale';
+I18n.DEFAULT_LOCALE = 'nl';
+
+I18n.LOCALES = {
+    nl: { name: 'Nederlands', tag: 'nl-NL' },
+    en: { name: 'English', tag: 'en-GB' },
+    de: { name: 'Deutsch', tag: 'de-DE' }
+};
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
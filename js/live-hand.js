@@ -0,0 +1,473 @@
+/**
+ * Live Hand - volgt een echte hand aan tafel
+ *
+ * De kaarten komen niet uit een shoe maar worden door de gebruiker ingevoerd.
+ * De hand doorloopt vaste fasen: 'deal' (upcard en twee kaarten), 'player'
+ * (beslissingen per hand, na een split hand voor hand), 'dealer' (hole card en
+ * extra kaarten volgens H17/S17) en 'settled' (uitslag per hand). In elke fase
+ * zijn alleen de acties en kaarten toegestaan die aan tafel ook kunnen.
+ * Uitslagen zijn in eenheden van de oorspronkelijke inzet.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const LiveHandDeps = typeof module !== 'undefined' && module.exports
+    ? { BlackjackStrategy: require('./strategy.js'), I18n: require('./i18n.js') }
+    : { BlackjackStrategy, I18n };
+
+class LiveHand {
+    /**
+     * @param {Object} [rules] - Tafelregels, zie BlackjackStrategy.DEFAULT_RULES
+     */
+    constructor(rules = {}) {
+        this.setRules(rules);
+        this.reset();
+    }
+
+    setRules(rules) {
+        this.rules = Object.assign({}, LiveHandDeps.BlackjackStrategy.DEFAULT_RULES, rules);
+    }
+
+    /**
+     * Geen hand bezig
+     */
+    reset() {
+        this.phase = 'idle';
+        this.hands = [];
+        this.activeHandIndex = 0;
+        this.dealerCards = [];
+        this.decided = false; // Eerste beslissing genomen (daarna geen dealer peek meer)
+        this.net = 0;
+        this.message = null; // Uitslag als message {key, params}
+        this.undoStack = [];
+    }
+
+    /**
+     * Begin een nieuwe hand: eerst upcard en twee kaarten
+     */
+    start() {
+        this.reset();
+        this.phase = 'deal';
+        this.hands = [this.createHand([])];
+    }
+
+    createHand(cards, fromSplit = false, splitAces = false) {
+        return {
+            cards,
+            bet: 1,
+            fromSplit,
+            splitAces,
+            doubled: false,
+            surrendered: false,
+            awaitingCard: false, // Na een double volgt nog precies één kaart
+            done: false,
+            result: null
+        };
+    }
+
+    get activeHand() {
+        return this.hands[this.activeHandIndex];
+    }
+
+    /**
+     * @param {string} card - Upcard, mag tijdens het delen nog gewijzigd worden
+     */
+    setDealerUpcard(card) {
+        if (this.phase !== 'deal') {
+            throw LiveHandDeps.I18n.error('error.live.upcardFixed');
+        }
+        this.saveUndo();
+        this.dealerCards = [card];
+        this.checkDealt();
+    }
+
+    /**
+     * Kaart voor de speler: bij het delen, de tweede kaart na een split, de kaart
+     * na een double of anders een hit
+     */
+    addPlayerCard(card) {
+        if (this.phase === 'deal') {
+            if (this.hands[0].cards.length >= 2) {
+                throw LiveHandDeps.I18n.error('error.live.needUpcard');
+            }
+            this.saveUndo();
+            this.hands[0].cards.push(card);
+            this.checkDealt();
+            return;
+        }
+        if (this.phase !== 'player') {
+            throw LiveHandDeps.I18n.error('error.live.noPlayerCard');
+        }
+
+        const hand = this.activeHand;
+        if (hand.cards.length < 2 || hand.awaitingCard) {
+            this.saveUndo();
+            hand.cards.push(card);
+            hand.awaitingCard = false;
+
+            // Double krijgt één kaart; split azen ook, tenzij er opnieuw gesplitst mag worden
+            if (hand.doubled || this.isFinishedSplitAce(hand) || this.evaluate(hand.cards).total >= 21) {
+                this.completeHand();
+            }
+            return;
+        }
+
+        // Een losse kaart op een hand van twee of meer kaarten is een hit
+        this.checkAction('hit');
+        this.saveUndo();
+        this.decided = true;
+        hand.cards.push(card);
+        if (this.evaluate(hand.cards).total >= 21) {
+            this.completeHand();
+        }
+    }
+
+    /**
+     * Kaart voor de dealer: eerst de hole card, daarna getrokken kaarten
+     */
+    addDealerCard(card) {
+        if (this.phase !== 'dealer') {
+            throw LiveHandDeps.I18n.error('error.live.noDealerCard');
+        }
+
+        // Met peek heeft de dealer al gekeken: een blackjack was dan direct gemeld
+        const cards = [...this.dealerCards, card];
+        if (cards.length === 2 && this.isBlackjack(cards) && this.rules.holeCard === 'peek') {
+            throw LiveHandDeps.I18n.error('error.live.peekBlackjack');
+        }
+
+        this.saveUndo();
+        this.dealerCards.push(card);
+        if (!this.dealerNeedsCard()) {
+            this.settle();
+        }
+    }
+
+    /**
+     * Legale acties voor de actieve hand; leeg zolang er eerst een kaart moet komen
+     * @returns {Array<string>}
+     */
+    getAvailableActions() {
+        if (this.phase !== 'player') {
+            return [];
+        }
+
+        const hand = this.activeHand;
+        if (hand.cards.length < 2 || hand.awaitingCard) {
+            return [];
+        }
+
+        // Een split aas mag alleen nog opnieuw gesplitst worden (RSA)
+        if (hand.splitAces) {
+            return this.canSplit(hand) ? ['stand', 'split'] : ['stand'];
+        }
+
+        const actions = ['hit', 'stand'];
+        if (hand.cards.length === 2) {
+            if (!hand.fromSplit || this.rules.doubleAfterSplit) {
+                actions.push('double');
+            }
+            if (this.canSplit(hand)) {
+                actions.push('split');
+            }
+            if (this.hands.length === 1 && !this.decided && this.rules.surrender !== 'none') {
+                actions.push('surrender');
+            }
+        }
+        return actions;
+    }
+
+    /**
+     * Wacht de actieve hand op een kaart (tweede kaart na split, kaart na double)
+     */
+    needsPlayerCard() {
+        const hand = this.activeHand;
+        return this.phase === 'deal' ? this.hands[0].cards.length < 2
+            : this.phase === 'player' && (hand.cards.length < 2 || hand.awaitingCard);
+    }
+
+    canSplit(hand) {
+        return LiveHandDeps.BlackjackStrategy.canSplit(hand.cards, this.hands.length, hand.splitAces, this.rules);
+    }
+
+    /**
+     * Een hit gaat via addPlayerCard(); hit() meldt alleen dat de volgende kaart voor deze hand is
+     */
+    hit() {
+        this.checkAction('hit');
+        this.saveUndo();
+        this.decided = true;
+        this.activeHand.awaitingCard = true;
+    }
+
+    stand() {
+        this.checkAction('stand');
+        this.saveUndo();
+        this.decided = true;
+        this.completeHand();
+    }
+
+    double() {
+        this.checkAction('double');
+        this.saveUndo();
+        this.decided = true;
+        const hand = this.activeHand;
+        hand.bet *= 2;
+        hand.doubled = true;
+        hand.awaitingCard = true;
+    }
+
+    split() {
+        this.checkAction('split');
+        this.saveUndo();
+        this.decided = true;
+
+        const hand = this.activeHand;
+        const splitAces = hand.cards[0] === 'A';
+        const newHand = this.createHand([hand.cards[1]], true, splitAces);
+        hand.cards = [hand.cards[0]];
+        hand.fromSplit = true;
+        hand.splitAces = splitAces;
+        this.hands.splice(this.activeHandIndex + 1, 0, newHand);
+    }
+
+    surrender() {
+        this.checkAction('surrender');
+        this.saveUndo();
+        this.decided = true;
+        this.activeHand.surrendered = true;
+        this.completeHand();
+    }
+
+    checkAction(action) {
+        if (!this.getAvailableActions().includes(action)) {
+            throw LiveHandDeps.I18n.error('error.game.actionNotAllowed', { action: action.toUpperCase() });
+        }
+    }
+
+    /**
+     * Met peek meldt de dealer een blackjack vóór de eerste beslissing
+     */
+    canDeclareDealerBlackjack() {
+        return this.phase === 'player' && !this.decided && this.rules.holeCard === 'peek'
+            && ['A', '10', 'J', 'Q', 'K'].includes(this.dealerCards[0]);
+    }
+
+    declareDealerBlackjack() {
+        if (!this.canDeclareDealerBlackjack()) {
+            throw LiveHandDeps.I18n.error('error.live.noDealerBlackjack');
+        }
+        this.saveUndo();
+        this.dealerCards.push(this.dealerCards[0] === 'A' ? '10' : 'A');
+        this.settle();
+    }
+
+    /**
+     * Upcard en twee kaarten binnen: een blackjack van de speler is meteen klaar
+     */
+    checkDealt() {
+        if (this.dealerCards.length === 0 || this.hands[0].cards.length < 2) {
+            return;
+        }
+
+        this.phase = 'player';
+        if (this.isBlackjack(this.hands[0].cards)) {
+            this.completeHand();
+        }
+    }
+
+    /**
+     * Actieve hand is klaar: door naar de volgende hand of de dealer
+     */
+    completeHand() {
+        const hand = this.activeHand;
+        hand.done = true;
+        hand.awaitingCard = false;
+
+        if (this.activeHandIndex < this.hands.length - 1) {
+            // De volgende split hand wacht eerst op zijn tweede kaart
+            this.activeHandIndex++;
+            return;
+        }
+
+        this.startDealer();
+    }
+
+    /**
+     * De dealer speelt alleen als er een hand is om tegen te spelen. Bij een blackjack
+     * van de speler is de hole card alleen nodig als de dealer nog niet gekeken heeft.
+     */
+    startDealer() {
+        this.phase = 'dealer';
+
+        const playerBlackjack = this.isPlayerBlackjack();
+        const liveHands = this.hands.filter(hand => !hand.surrendered && this.evaluate(hand.cards).total <= 21);
+        const upcardCanBlackjack = ['A', '10', 'J', 'Q', 'K'].includes(this.dealerCards[0]);
+        const needsHoleCard = playerBlackjack
+            ? upcardCanBlackjack && this.rules.holeCard !== 'peek'
+            : liveHands.length > 0;
+
+        if (!needsHoleCard) {
+            this.settle();
+        }
+    }
+
+    dealerNeedsCard() {
+        if (this.dealerCards.length < 2) return true;
+        if (this.isBlackjack(this.dealerCards)) return false;
+
+        // Na een blackjack van de speler hoeft de dealer niet verder te trekken
+        if (this.isPlayerBlackjack()) return false;
+
+        const { total, isSoft } = this.evaluate(this.dealerCards);
+        return total < 17 || (total === 17 && isSoft && this.rules.dealerHitsSoft17);
+    }
+
+    /**
+     * Reken alle handen af, zelfde regels als BlackjackGame
+     */
+    settle() {
+        this.phase = 'settled';
+
+        const dealerBlackjack = this.dealerCards.length === 2 && this.isBlackjack(this.dealerCards);
+        const playerBlackjack = this.isPlayerBlackjack();
+        const dealerTotal = this.dealerCards.length >= 2 ? this.evaluate(this.dealerCards).total : 0;
+
+        this.net = 0;
+        for (const hand of this.hands) {
+            this.net += this.settleHand(hand, dealerTotal, dealerBlackjack, playerBlackjack) - hand.bet;
+        }
+
+        const prefix = dealerBlackjack ? { key: 'game.dealerBlackjack' } : playerBlackjack ? { key: 'game.playerBlackjack' } : '';
+        this.message = {
+            key: 'live.result',
+            params: { prefix, units: `${this.net > 0 ? '+' : ''}${this.net}` }
+        };
+    }
+
+    /**
+     * Uitbetaling (inclusief inzet) voor één hand
+     */
+    settleHand(hand, dealerTotal, dealerBlackjack, playerBlackjack) {
+        const total = this.evaluate(hand.cards).total;
+
+        // Late surrender zonder hole card beschermt niet tegen een dealer blackjack
+        if (hand.surrendered && dealerBlackjack && this.rules.surrender !== 'early') {
+            hand.result = 'lose';
+            return 0;
+        }
+        if (hand.surrendered) {
+            hand.result = 'surrender';
+            return hand.bet / 2;
+        }
+        if (playerBlackjack) {
+            hand.result = dealerBlackjack ? 'push' : 'blackjack';
+            return dealerBlackjack ? hand.bet : hand.bet * (1 + this.rules.blackjackPayout);
+        }
+        if (total > 21) {
+            hand.result = 'bust';
+            return 0;
+        }
+        if (dealerBlackjack) {
+            hand.result = 'lose';
+            return 0;
+        }
+        if (dealerTotal > 21 || total > dealerTotal) {
+            hand.result = 'win';
+            return hand.bet * 2;
+        }
+        if (total < dealerTotal) {
+            hand.result = 'lose';
+            return 0;
+        }
+        hand.result = 'push';
+        return hand.bet;
+    }
+
+    isPlayerBlackjack() {
+        return this.hands.length === 1 && !this.hands[0].fromSplit && this.isBlackjack(this.hands[0].cards);
+    }
+
+    isFinishedSplitAce(hand) {
+        return hand.splitAces && hand.cards.length === 2 && !this.canSplit(hand);
+    }
+
+    evaluate(cards) {
+        return LiveHandDeps.BlackjackStrategy.evaluateHand(cards);
+    }
+
+    isBlackjack(cards) {
+        return cards.length === 2 && this.evaluate(cards).total === 21;
+    }
+
+    /**
+     * Wat de gebruiker nu moet doen, als message {key, params}
+     */
+    getStatus() {
+        const position = { hand: this.activeHandIndex + 1, count: this.hands.length };
+        switch (this.phase) {
+            case 'deal':
+                return { key: this.dealerCards.length === 0 ? 'live.status.upcard' : 'live.status.playerCards' };
+            case 'player':
+                if (this.needsPlayerCard()) {
+                    const hand = this.activeHand;
+                    const key = hand.cards.length < 2 ? 'live.status.splitCard'
+                        : hand.doubled ? 'live.status.doubleCard' : 'live.status.hitCard';
+                    return { key, params: position };
+                }
+                return { key: this.hands.length > 1 ? 'live.status.decideHand' : 'live.status.decide', params: position };
+            case 'dealer':
+                return {
+                    key: this.dealerCards.length < 2 ? 'live.status.holeCard' : 'live.status.dealerDraws',
+                    params: { total: this.evaluate(this.dealerCards).total }
+                };
+            case 'settled':
+                return this.message;
+            default:
+                return { key: 'live.status.idle' };
+        }
+    }
+
+    /**
+     * Alle kaarten van de speler, over alle handen
+     */
+    playerCards() {
+        return this.hands.flatMap(hand => hand.cards);
+    }
+
+    /**
+     * Alle kaarten op tafel, voor de shoe tracker
+     */
+    allCards() {
+        return [...this.playerCards(), ...this.dealerCards];
+    }
+
+    saveUndo() {
+        this.undoStack.push(JSON.stringify({
+            phase: this.phase,
+            hands: this.hands,
+            activeHandIndex: this.activeHandIndex,
+            dealerCards: this.dealerCards,
+            decided: this.decided
+        }));
+    }
+
+    /**
+     * Draai de laatste kaart of actie terug
+     * @returns {boolean} - false als er niets terug te draaien is
+     */
+    undo() {
+        if (this.undoStack.length === 0) {
+            return false;
+        }
+        const state = JSON.parse(this.undoStack.pop());
+        Object.assign(this, state);
+        this.net = 0;
+        this.message = null;
+        return true;
+    }
+}
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveHand;
+}
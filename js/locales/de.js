@@ -0,0 +1,543 @@
+/**
+ * Duitse teksten
+ *
+ * Zelfde keys als js/locales/nl.js; ontbrekende keys vallen terug op het Nederlands.
+ */
+
+const MessagesDe = {
+    // Algemeen
+    'language.label': 'Sprache',
+    'update.available': 'Eine neue Version ist verfügbar',
+    'update.reload': 'Aktualisieren',
+    'common.advice': 'Empfehlung',
+    'common.dealer': 'Dealer',
+    'common.yourHand': 'Deine Hand',
+    'common.handNumber': 'Hand {hand}',
+    'common.outcome': 'Ergebnis',
+    'common.probability': 'Wahrscheinlichkeit',
+    'common.bet': 'Einsatz',
+    'common.all': 'Alle',
+    'common.yes': 'Ja',
+    'common.no': 'Nein',
+    'common.nextHand': 'Nächste Hand',
+    'common.exportCsv': 'CSV exportieren',
+    'common.exportJson': 'JSON exportieren',
+    'common.exportSvg': 'SVG exportieren',
+    'hand.hard': 'Hard',
+    'hand.soft': 'Soft',
+    'hand.pair': 'Paar',
+    'hand.pairs': 'Paare',
+    'action.hit': 'Hit',
+    'action.stand': 'Stand',
+    'action.double': 'Double',
+    'action.split': 'Split',
+    'action.surrender': 'Surrender',
+    'tab.trainer': 'Training',
+    'tab.table': 'Spieltisch',
+    'tab.chart': 'Tabellen',
+    'tab.history': 'Verlauf',
+    'footer.text': 'Basisstrategie für Premier Blackjack (TOTO)',
+    'footer.disclaimer': 'Lernwerkzeug - Nutzung auf eigene Gefahr',
+
+    // Tafelregels
+    'rules.title': 'Tischregeln',
+    'rules.custom': 'Benutzerdefiniert',
+    'rules.preset.toto': 'Premier Blackjack (TOTO)',
+    'rules.preset.vegasStrip': 'Vegas Strip (4 Decks, S17)',
+    'rules.preset.european': 'Europäisch (keine Hole Card)',
+    'rules.preset.doubleDeck': 'Double Deck (H17, kein DAS)',
+    'rules.preset.singleDeck': 'Single Deck (H17, kein DAS)',
+    'rules.decks': 'Anzahl Decks',
+    'rules.soft17': 'Dealer Soft 17',
+    'rules.soft17.hit': 'Hit (H17)',
+    'rules.soft17.stand': 'Stand (S17)',
+    'rules.surrender.none': 'Nicht erlaubt',
+    'rules.surrender.late': 'Late Surrender',
+    'rules.surrender.early': 'Early Surrender',
+    'rules.holeCard.peek': 'Dealer prüft (Peek)',
+    'rules.holeCard.enhc': 'Keine Hole Card (ENHC)',
+    'rules.maxSplitHands': 'Max. Hände nach Split',
+    'rules.maxSplitHands.noResplit': '2 (kein erneutes Splitten)',
+    'rules.das': 'Double nach Split (DAS)',
+    'rules.rsa': 'Asse erneut splitten (RSA)',
+    'rules.summary.decks': '{count} Decks',
+    'rules.summary.decks.one': '{count} Deck',
+    'rules.summary.h17': 'H17',
+    'rules.summary.s17': 'S17',
+    'rules.summary.das': 'DAS',
+    'rules.summary.noDas': 'Kein DAS',
+    'rules.summary.splitHands': 'Split bis {count} Hände',
+    'rules.summary.splitHandsRsa': 'Split bis {count} Hände (RSA)',
+    'rules.summary.surrender.none': 'Kein Surrender',
+    'rules.summary.surrender.late': 'Late Surrender',
+    'rules.summary.surrender.early': 'Early Surrender',
+    'rules.summary.enhc': 'Keine Hole Card',
+    'rules.summary.peek': 'Peek',
+
+    // Kaarten tellen
+    'counting.title': 'Kartenzählen',
+    'counting.off': 'Aus',
+    'counting.enabled': 'Count-Abweichungen anwenden',
+    'counting.system': 'Zählsystem',
+    'counting.decksRemaining': 'Decks übrig',
+    'counting.cardsSeen': 'Gesehene Karten',
+    'counting.otherCards': 'Andere Karten auf dem Tisch',
+    'counting.otherCardsHelp': 'Karten der Mitspieler und des Dealers (Hole Card, weitere Karten)',
+    'counting.undo': 'Letzte Karte zurück',
+    'counting.newShoe': 'Neuer Shoe',
+
+    // Samenstelling shoe
+    'composition.title': 'Zusammensetzung des Shoes',
+    'composition.help': 'Wenn du genau weißt, welche Karten aus dem Shoe sind, entferne sie hier. Die Anzahl der Decks folgt den Tischregeln; die Karten der laufenden Hand werden automatisch entfernt.',
+    'composition.enabled': 'Rat, EV und Dealer-Wahrscheinlichkeiten auf diesen Shoe stützen',
+    'composition.load': 'Gesehene Karten laden',
+    'composition.reset': 'Voller Shoe',
+    'composition.summary': '{count} Karten übrig von {decks} Decks',
+    'composition.summary.one': '{count} Karten übrig von {decks} Deck',
+
+    // Varianten
+    'variant.label': 'Variante',
+    'variant.premier': 'Premier Blackjack (klassisch)',
+    'variant.spanish21': 'Spanish 21',
+    'variant.freeBet': 'Free Bet Blackjack',
+    'variant.switch': 'Blackjack Switch',
+    'variant.premier.description': 'Klassisches Blackjack mit 52 Karten pro Deck: Basisstrategie, Index Plays, eigene Profile und die EV-Engine.',
+    'variant.spanish21.description': 'Keine Zehnen in den Decks, eine 21 des Spielers gewinnt immer und fünf oder mehr Karten zu 21 zahlen einen Bonus. Verdoppeln ist mit beliebig vielen Karten erlaubt; nach dem Verdoppeln darfst du die Hand noch aufgeben (Double Down Rescue).',
+    'variant.freeBet.description': 'Gratis-Verdoppeln auf harte 9-11 und Gratis-Teilen aller Paare außer Zehnen, dafür ist eine Dealer-22 unentschieden. Kein Surrender.',
+    'variant.switch.description': 'Zwei Hände, deren zweite Karten du tauschen darfst. Blackjack zahlt 1:1, eine Dealer-22 ist unentschieden und Surrender gibt es nicht.',
+    'variant.advice': '{variant}: {action} mit {hand} gegen {dealer}.',
+    'variant.adviceCards': '{variant}: {action} mit {hand} gegen {dealer}. Diese Zelle hängt auch von der Kartenzahl ab: die Empfehlung gilt bis einschließlich {max} Karten.',
+    'variant.freeBet.free': '{variant}: gratis {action} mit {hand} gegen {dealer} - das Casino zahlt den zusätzlichen Einsatz.',
+    'variant.hand.total': '{type} {total}',
+    'variant.hand.pair': 'Paar {card}',
+    'variant.noEv': 'Die EV-Engine rechnet nur klassisches Blackjack; die Reihenfolge stammt aus der Tabelle von {variant}.',
+    'variant.switch.title': 'Switch',
+    'variant.switch.help': 'Gib beide Hände ein und wähle die Dealerkarte: die Empfehlung sagt, ob du die zweiten Karten tauschst.',
+    'variant.switch.first': 'Hand 1, z.B. T5',
+    'variant.switch.second': 'Hand 2, z.B. 6T',
+    'variant.switch.submit': 'Switch-Empfehlung',
+    'variant.switch.switch': 'Tauschen: spiele {first} und {second} (EV zusammen {ev}, ohne Tausch {otherEv}).',
+    'variant.switch.keep': 'Nicht tauschen: spiele {first} und {second} (EV zusammen {ev}, mit Tausch {otherEv}).',
+    'variant.rescue.title': 'Double Down Rescue',
+    'variant.rescue.help': 'Gib die Hand nach dem Verdoppeln ein, mit der Karte des Doubles, und wähle die Dealerkarte: die Empfehlung sagt, ob du die Hand aufgibst. Du verlierst dann nur den ursprünglichen Einsatz.',
+    'variant.rescue.hand': 'Hand nach dem Double, z.B. 562',
+    'variant.rescue.submit': 'Rescue-Empfehlung',
+    'variant.rescue.rescue': 'Rescue: gib {hand} auf und erhalte das Double zurück (EV {rescueEv}, Stehen {standEv}).',
+    'variant.rescue.stand': 'Kein Rescue: bleib mit {hand} stehen (EV {standEv}, Rescue {rescueEv}).',
+
+    // EV verlies door fouten
+    'mistakes.title': 'EV-Verlust durch Fehler',
+    'mistakes.help': 'Wählst du im Training oder in einer Live-Hand eine andere Aktion als die Empfehlung, wird der Unterschied im EV hier addiert. So siehst du, welche Fehler wirklich Geld kosten.',
+    'mistakes.byCategory': 'Nach Handart',
+    'mistakes.worst': 'Teuerste Fehler',
+    'mistakes.reset': 'Neue Sitzung',
+    'mistakes.none': 'Noch keine Fehler in dieser Sitzung',
+    'mistakes.summary': '{cost} eines Einsatzes durch {count} Fehler verloren',
+    'mistakes.summary.one': '{cost} eines Einsatzes durch {count} Fehler verloren',
+    'mistakes.count': '{count} Fehler',
+    'mistakes.count.one': '{count} Fehler',
+    'mistakes.cost': '{action} mit {hand} gegen {dealer} kostet {cost} deines Einsatzes (Empfehlung: {advised}).',
+    'mistakes.noCost': '{action} mit {hand} gegen {dealer} weicht von der Empfehlung ab ({advised}), kostet laut EV aber nichts.',
+    'mistakes.costUnknown': '{action} mit {hand} gegen {dealer} weicht von der Empfehlung ab ({advised}). Die Kosten sind unbekannt: die EV-Engine rechnet diese Variante nicht.',
+    'mistakes.worstEntry': '{action} mit {hand} gegen {dealer} statt {advised}: {cost} ({count}×)',
+    'mistakes.hand.total': '{type} {total}',
+    'mistakes.hand.pair': 'Paar {card}',
+
+    // Inzet en bankroll
+    'bankroll.title': 'Einsatz & Bankroll',
+    'bankroll.tableMin': 'Tischminimum',
+    'bankroll.tableMax': 'Tischmaximum',
+    'bankroll.spread': 'Spread (1 bis …)',
+    'bankroll.handsPerHour': 'Hände pro Stunde',
+    'bankroll.betNow': 'Einsatz jetzt',
+    'bankroll.advantage': 'Vorteil',
+    'bankroll.hourlyWin': 'Gewinn pro Stunde',
+    'bankroll.hourlySd': 'SD pro Stunde',
+    'bankroll.kelly.1': 'Voller Kelly',
+    'bankroll.kelly.0.5': 'Halber Kelly',
+    'bankroll.kelly.0.25': 'Viertel Kelly',
+    'bankroll.noteCounting': 'Vorteil aus dem True Count ({trueCount}), etwa 0,5% pro Punkt. Gewinn pro Stunde und Risk of Ruin gelten für die gesamte Einsatzrampe unten.',
+    'bankroll.noteNoCounting': 'Ohne Zählen gilt der geschätzte Hausvorteil der Tischregeln ({houseEdge}): es gibt keinen Vorteil, also setze das Minimum.',
+    'bankroll.summary': 'Einsatz {bet} · {kelly} · RoR {ror}',
+
+    // Side bets
+    'sideBets.summary': 'Perfect Pairs und 21+3',
+    'sideBets.help': 'Passe die Auszahlungen (x:1) an den Tisch an. Ist Kartenzählen aktiv, wird mit den Karten gerechnet, die noch im Shoe sind (Farben sind unbekannt und gleich verteilt).',
+    'sideBets.payout': 'Auszahlung',
+    'sideBets.edge': 'Hausvorteil {edge} (EV {ev})',
+    'sideBets.perfectPairs': 'Perfect Pairs',
+    'sideBets.twentyOnePlusThree': '21+3',
+    'sideBets.mixed': 'Gemischtes Paar',
+    'sideBets.coloured': 'Farbiges Paar',
+    'sideBets.perfect': 'Perfektes Paar',
+    'sideBets.flush': 'Flush',
+    'sideBets.straight': 'Straße',
+    'sideBets.threeOfAKind': 'Drilling',
+    'sideBets.straightFlush': 'Straight Flush',
+    'sideBets.suitedTrips': 'Drilling in einer Farbe',
+
+    // Snelle invoer
+    'notation.title': 'Schnelleingabe',
+    'notation.placeholder': 'z.B. A7 v 9, 88 vs T oder s18 v A',
+    'notation.submit': 'Eingeben',
+    'notation.shortcuts': 'Tastenkürzel: 2-9, 0 oder T (Zehn), J, Q, K und 1 oder A fügen eine Karte hinzu · D und dann eine Karte wählt die Dealerkarte · Enter fragt nach einer Empfehlung · Backspace entfernt die letzte Karte · / springt in dieses Feld',
+
+    // Adviseur
+    'advisor.dealerCard': 'Dealerkarte',
+    'advisor.yourHand': 'Deine Hand',
+    'advisor.mode.cards': 'Karten eingeben',
+    'advisor.mode.total': 'Summe eingeben',
+    'advisor.cardsHelp': 'Klicke auf Karten, um deine Hand zusammenzustellen',
+    'advisor.clearCards': 'Karten löschen',
+    'advisor.handTotal': 'Handsumme:',
+    'advisor.handTotalPlaceholder': 'z.B. 16',
+    'advisor.softHand': 'Soft Hand (enthält ein Ass als 11)',
+    'advisor.actions': 'Verfügbare Aktionen',
+    'advisor.action.hit': 'Hit (Karte)',
+    'advisor.action.stand': 'Stand (Stehen)',
+    'advisor.action.double': 'Double (Verdoppeln)',
+    'advisor.action.split': 'Split (Teilen)',
+    'advisor.action.surrender': 'Surrender (Aufgeben)',
+    'advisor.actionsHelp': 'Hit und Stand sind immer verfügbar',
+    'advisor.getAdvice': 'Strategie-Empfehlung holen',
+    'advisor.bust': 'Deine Hand hat sich bereits überkauft (über 21). Keine weitere Aktion möglich.',
+    'advisor.splitTwentyOne': '21 nach einem Split zählt nicht als Blackjack (Auszahlung 1:1) - stehen bleiben.',
+    'advisor.blackjack': 'Blackjack! Du hast die perfekte Hand.',
+    'advisor.splitAcesStand': 'Geteilte Asse erhalten nur eine Karte - diese Hand steht, außer du teilst die Asse erneut.',
+    'advisor.splitAcesHandStands': 'Hand {hand}: geteilte Asse erhalten nur eine Karte - diese Hand steht.',
+    'advisor.handSummary': '{label}: {type} {total}',
+    'advisor.handSummaryPair': '{label}: {type} {total} (Paar)',
+    'advisor.splitHandLabel': 'Split-Hand {hand}/{count}',
+
+    // Split
+    'split.execute': 'Split ausführen',
+    'split.finishHand': 'Hand fertig',
+    'split.cancel': 'Split beenden',
+    'split.allDone': 'Alle Split-Hände sind gespielt.',
+    'split.addSecondCard': 'Hand {hand} von {count}: füge die zweite Karte hinzu.',
+    'split.askAdvice': 'Hand {hand} von {count}: frage nach einer Empfehlung oder klicke auf "Hand fertig".',
+    'split.noDas': 'Double nach Split ist an diesem Tisch nicht erlaubt.',
+
+    // Meldingen
+    'alert.maxCards': 'Höchstens 5 Karten',
+    'alert.splitDone': 'Alle Split-Hände sind gespielt - lösche die Karten für eine neue Hand',
+    'alert.splitAcesOneCard': 'Geteilte Asse erhalten nur eine Karte pro Hand',
+    'alert.cannotSplit': 'Diese Hand kann nicht (mehr) geteilt werden',
+    'alert.secondCard': 'Füge dieser Hand zuerst die zweite Karte hinzu',
+    'alert.selectDealer': 'Wähle zuerst eine Dealerkarte',
+    'alert.splitSecondCard': 'Füge dieser Split-Hand zuerst die zweite Karte hinzu',
+    'alert.minCards': 'Wähle mindestens 2 Karten',
+    'alert.invalidTotal': 'Gib eine gültige Summe ein (4-21)',
+    'alert.finishRound': 'Beende zuerst die aktuelle Runde',
+    'alert.liveActive': 'Beende zuerst die Live-Hand',
+    'alert.compositionLoaded': '{count} gesehene Karten aus dem Shoe entfernt',
+    'alert.compositionLoaded.one': '{count} gesehene Karte aus dem Shoe entfernt',
+    'alert.imported': '{count} Entscheidungen importiert',
+    'alert.imported.one': '{count} Entscheidung importiert',
+    'confirm.resetTrainer': 'Alle Trainingsstatistiken löschen?',
+    'confirm.resetDrill': 'Den gesamten Fortschritt im Wiederholungsplan löschen?',
+    'confirm.resetBalance': 'Guthaben auf den Startbetrag zurücksetzen?',
+    'confirm.clearHistory': 'Gesamten Verlauf löschen? Dies kann nicht rückgängig gemacht werden.',
+    'confirm.newShoe': 'Neuen Shoe starten? Alle gezählten Karten werden gelöscht.',
+    'confirm.deleteProfile': 'Profil "{name}" löschen?',
+    'alert.profilesImported': '{count} Profile importiert: {names}',
+    'alert.profilesImported.one': 'Profil "{names}" importiert',
+
+    // Insurance en EV
+    'insurance.action': '{name}: {decision} (EV {ev})',
+    'insurance.take': 'nehmen',
+    'insurance.decline': 'nicht nehmen',
+    'ev.action': 'Aktion',
+    'ev.perBet': 'EV pro Einsatz',
+    'ev.noteNoBlackjack': 'Vorausgesetzt, der Dealer hat keinen Blackjack.',
+    'ev.noteDecks': 'Berechnet mit {count} Decks, bekannte Karten aus dem Shoe entfernt.',
+    'ev.noteDecks.one': 'Berechnet mit {count} Deck, bekannte Karten aus dem Shoe entfernt.',
+    'ranking.title': 'Alle Aktionen, beste zuerst',
+    'ranking.titleUnordered': 'Alle Aktionen, Empfehlung und Ablehnungskette zuerst',
+    'ranking.chain': 'Bei Ablehnung',
+    'ranking.advised': 'Empfehlung',
+    'ranking.fallback': 'Sonst',
+    'ranking.fallbacks': 'Bei Ablehnung: {chain}',
+    'ranking.otherwise': 'sonst',
+
+    // Eindstand van de dealer
+    'dealerOdds.title': 'Endstand des Dealers',
+    'dealerOdds.bust': 'Bust',
+    'dealerOdds.blackjack': 'Blackjack',
+    'dealerOdds.note': '{rule}, {count} Karten im Shoe. {blackjack}',
+
+    // Training
+    'trainer.handLabel': 'Deine Hand ({type} {total})',
+    'trainer.correct': 'Richtig! {action}',
+    'trainer.incorrect': 'Falsch - richtige Aktion: {action}',
+    'trainer.stats': 'Statistiken',
+    'trainer.statsByCategory': 'Nach Handtyp',
+    'trainer.statsByDealer': 'Nach Dealerkarte',
+    'trainer.resetStats': 'Statistiken löschen',
+    'drill.title': 'Beherrschung',
+    'drill.help': 'Das Training fragt zuerst nach den fälligen Zellen. Eine richtige und schnelle Antwort schiebt eine Zelle eine Box weiter und sie kommt später wieder; ein Fehler setzt sie zurück in Box 0. Je dunkler die Zelle, desto besser kennst du sie.',
+    'drill.summary': '{seen} von {total} Zellen geübt · {due} fällig · {mastered} beherrscht',
+    'drill.legend': 'Leer = noch nicht geübt · 0-{max} = Box (Wartezeit von 1 Minute bis 3 Wochen) · Umrandet = fällig',
+    'drill.cellNew': 'Noch nicht geübt',
+    'drill.cellTitle': 'Box {box} · {correct} von {seen} richtig',
+    'drill.reset': 'Plan löschen',
+
+    // Speeltafel
+    'table.balance': 'Guthaben:',
+    'table.bet': 'Einsatz:',
+    'table.deal': 'Geben',
+    'table.showHint': 'Empfehlung für jede Aktion zeigen',
+    'table.resetBalance': 'Guthaben zurücksetzen',
+    'table.dealerTotal': 'Dealer ({total})',
+    'table.handLabel': '{hand} ({total}) - Einsatz {bet}',
+    'table.surrendered': 'Aufgegeben',
+    'table.hint': 'Empfehlung: {action} - {explanation}',
+    'game.win': '{prefix}Du gewinnst {amount}',
+    'game.lose': '{prefix}Du verlierst {amount}',
+    'game.push': '{prefix}Push - Einsatz zurück',
+    'game.dealerBlackjack': 'Dealer hat Blackjack. ',
+    'game.playerBlackjack': 'Blackjack! ',
+
+    // Live hand
+    'live.title': 'Live-Hand',
+    'live.help': 'Verfolge eine echte Hand vom Austeilen bis zur Auszahlung: der Rat wird nach jeder Karte erneuert und nur am Tisch erlaubte Aktionen sind verfügbar.',
+    'live.start': 'Live-Hand starten',
+    'live.dealerBlackjack': 'Dealer hat Blackjack',
+    'live.undo': 'Rückgängig',
+    'live.stop': 'Live-Hand beenden',
+    'live.status.idle': 'Keine Live-Hand aktiv',
+    'live.status.upcard': 'Wähle die Upcard des Dealers und deine zwei Karten',
+    'live.status.playerCards': 'Füge deine zwei Karten hinzu',
+    'live.status.decide': 'Wähle deine Aktion; eine neue Karte zählt als Hit',
+    'live.status.decideHand': 'Hand {hand} von {count}: wähle deine Aktion',
+    'live.status.splitCard': 'Hand {hand}: füge die zweite Karte hinzu',
+    'live.status.hitCard': 'Füge die gezogene Karte hinzu',
+    'live.status.doubleCard': 'Füge die Karte für dein Double hinzu',
+    'live.status.holeCard': 'Dealer spielt: wähle die Hole Card bei den Dealerkarten',
+    'live.status.dealerDraws': 'Dealer hat {total} und zieht: wähle die nächste Dealerkarte',
+    'live.result': '{prefix}Ergebnis: {units} × Einsatz',
+
+    // Strategie tabellen
+    'chart.title': 'Strategietabellen',
+    'chart.print': 'Drucken',
+    'chart.section.hard': 'Harte Summen',
+    'chart.section.soft': 'Weiche Summen',
+    'chart.section.pairs': 'Paare',
+    'chart.legend.H': 'Hit',
+    'chart.legend.S': 'Stand',
+    'chart.legend.Dh': 'Double, sonst Hit',
+    'chart.legend.Ds': 'Double, sonst Stand',
+    'chart.legend.P': 'Split',
+    'chart.legend.Rh': 'Surrender, sonst Hit',
+    'chart.legend.Rs': 'Surrender, sonst Stand',
+    'chart.legend.Rp': 'Surrender, sonst Split',
+
+    // Historie
+    'history.whatDidYouDo': 'Was hast du gemacht?',
+    'history.outcomeUnknown': 'Noch unbekannt',
+    'history.session': 'Sitzung',
+    'history.allSessions': 'Alle Sitzungen',
+    'history.thisSession': '(diese Sitzung)',
+    'history.dealerCard': 'Dealerkarte',
+    'history.followed': 'Empfehlung befolgt',
+    'history.import': 'Importieren',
+    'history.clear': 'Verlauf löschen',
+    'history.time': 'Zeit',
+    'history.hand': 'Hand',
+    'history.actions': 'Aktionen',
+    'history.taken': 'Gewählt',
+    'history.count': '{count} Entscheidungen',
+    'history.count.one': '{count} Entscheidung',
+    'history.followedSummary': '{count} · Empfehlung befolgt bei {followed} von {total} ({percent}%)',
+    'outcome.win': 'Gewonnen',
+    'outcome.lose': 'Verloren',
+    'outcome.push': 'Push',
+    'outcome.bust': 'Bust',
+    'outcome.blackjack': 'Blackjack',
+    'outcome.surrender': 'Surrender',
+
+    // Eigen strategie
+    'profiles.title': 'Eigene Strategie',
+    'profiles.help': 'Überschreibe eine Zelle aus den Tabellen mit deiner eigenen Aktion und Notiz. Das aktive Profil gilt für die Empfehlung, das Training und den Spieltisch. Klicke auf eine Zelle, um sie auszuwählen.',
+    'profiles.active': 'Aktives Profil',
+    'profiles.none': 'Keins (Standardstrategie)',
+    'profiles.new': 'Neues Profil',
+    'profiles.delete': 'Profil löschen',
+    'profiles.namePrompt': 'Name des neuen Profils',
+    'profiles.editCell': 'Zelle überschreiben',
+    'profiles.handType': 'Art der Hand',
+    'profiles.action': 'Eigene Aktion',
+    'profiles.note': 'Notiz',
+    'profiles.notePlaceholder': 'Warum weichst du hier ab?',
+    'profiles.save': 'Speichern',
+    'profiles.engine': 'Engine',
+    'profiles.engineAction': 'Empfehlung der Engine: {action}',
+    'profiles.remove': 'Entfernen',
+    'profiles.badge': 'Eigene Strategie: {profile}',
+
+    // Strategy engine: pairs
+    'strategy.pair.surrender': '{card},{card} gegen diese Dealerkarte ist so ungünstig, dass Surrender besser ist als Splitten.',
+    'strategy.pair.acesNoHoleCard': 'Ohne Hole Card verlierst du beide Einsätze, wenn der Dealer Blackjack hat - nicht gegen ein A splitten.',
+    'strategy.pair.aces': 'Asse immer splitten - ergibt zwei Chancen auf eine starke Hand.',
+    'strategy.pair.tens': '20 ist eine zu gute Hand zum Splitten.',
+    'strategy.pair.ninesStand': '18 ist stark genug gegen diese Dealerkarte.',
+    'strategy.pair.ninesSplit': '9er gegen schwächere Dealerkarten splitten für mehr Gewinn.',
+    'strategy.pair.eightsNoHoleCard': 'Ohne Hole Card riskierst du zwei Einsätze gegen einen möglichen Blackjack - nicht splitten.',
+    'strategy.pair.eights': '8er immer splitten - 16 ist eine schlechte Hand, zweimal 18 ist besser.',
+    'strategy.pair.splitWeakDealer': '{card}er gegen schwächere Dealerkarten splitten.',
+    'strategy.pair.sevensHit': '14 ist zu schwach - nimm eine Karte.',
+    'strategy.pair.sixesSplit': '6er splitten, wenn der Dealer schwach ist (Bust-Chance).',
+    'strategy.pair.sixesHit': '12 ist zu schwach gegen eine starke Dealerkarte.',
+    'strategy.pair.foursSplit': '4er nur gegen die schwächsten Dealerkarten splitten.',
+    'strategy.pair.foursHit': '8 ist zu niedrig - nimm eine Karte.',
+    'strategy.pair.foursHitNoDas': '8 ist zu niedrig - ohne Double nach Split lohnt sich Splitten nicht.',
+    'strategy.pair.threesHit': '6 ist zu niedrig gegen eine starke Dealerkarte.',
+    'strategy.pair.twosHit': '4 ist zu niedrig - nimm Karten bis 12+.',
+
+    // Strategy engine: soft totalen
+    'strategy.soft.21': '21 - stehen bleiben.',
+    'strategy.soft.20': 'Soft 20 ist fast perfekt - stehen bleiben.',
+    'strategy.soft.19Double': 'Soft 19 gegen 6 verdoppeln für zusätzlichen Gewinn (Dealer hat hohe Bust-Chance).',
+    'strategy.soft.19Stand': 'Soft 19 ist stark - stehen bleiben.',
+    'strategy.soft.18Hit': 'Soft 18 ist schwach gegen 9-A - versuche zu verbessern.',
+    'strategy.soft.18Double': 'Soft 18 gegen einen schwachen Dealer verdoppeln für mehr Gewinn.',
+    'strategy.soft.18DoubleVs2': 'Soft 18 gegen 2 verdoppeln - ein Dealer, der auf Soft 17 zieht, überkauft sich öfter.',
+    'strategy.soft.18Stand': 'Soft 18 ist ordentlich gegen diese Karte.',
+    'strategy.soft.17Double': 'Soft 17 gegen einen schwachen Dealer verdoppeln - kann sich nicht überkaufen.',
+    'strategy.soft.17Hit': 'Soft 17 ist schwach - nimm eine Karte (kann sich nicht überkaufen).',
+    'strategy.soft.15Double': 'Gegen Dealer 4-6 verdoppeln für optimalen Gewinn.',
+    'strategy.soft.15Hit': 'Hand ist zu schwach - nimm Karten (kann sich nicht überkaufen).',
+    'strategy.soft.13Double': 'Gegen die schwächsten Dealerkarten verdoppeln.',
+    'strategy.soft.13Hit': 'Hand ist schwach - nimm weiter Karten.',
+    'strategy.soft.low': 'Hand ist zu niedrig - nimm weiter Karten.',
+
+    // Strategy engine: hard totalen
+    'strategy.hard.17Stand': '{total} ist hoch genug - das Risiko, sich zu überkaufen, ist zu groß.',
+    'strategy.hard.16Stand': 'Dealer hat eine hohe Bust-Chance - bei 16 stehen bleiben.',
+    'strategy.hard.16Hit': '16 ist schwach gegen einen starken Dealer - Risiko eingehen.',
+    'strategy.hard.15Stand': 'Dealer kann sich leicht überkaufen - stehen bleiben.',
+    'strategy.hard.15Hit': '15 ist zu schwach - Risiko eingehen.',
+    'strategy.hard.13Stand': 'Dealer hat eine schwache Karte - lass den Dealer sich überkaufen.',
+    'strategy.hard.13Hit': '{total} ist zu niedrig gegen einen starken Dealer.',
+    'strategy.hard.12Stand': 'Dealer hat die höchste Bust-Chance - stehen bleiben.',
+    'strategy.hard.12Hit': '12 ist zu niedrig - die Bust-Chance ist akzeptabel (nur 10,J,Q,K).',
+    'strategy.hard.11NoHoleCard': 'Ohne Hole Card riskierst du einen doppelten Einsatz gegen einen möglichen Blackjack - einfach ziehen.',
+    'strategy.hard.11Double': '11 ist perfekt zum Verdoppeln - gute Chance auf 21.',
+    'strategy.hard.11Hit': '11 kann sich nicht überkaufen - nimm eine Karte.',
+    'strategy.hard.10Double': '10 ist stark zum Verdoppeln gegen diese Dealerkarte.',
+    'strategy.hard.10Hit': '10 kann sich nicht überkaufen - nimm eine Karte.',
+    'strategy.hard.9Double': '9 gegen schwache Dealerkarten verdoppeln.',
+    'strategy.hard.9Hit': '9 ist zu niedrig - nimm weiter Karten.',
+    'strategy.hard.8DoubleSingleDeck': 'Mit 1 Deck ist Verdoppeln von 8 gegen 5-6 knapp profitabel.',
+    'strategy.hard.low': 'Hand ist zu niedrig - kann sich nicht überkaufen, nimm weiter Karten.',
+
+    // Strategy engine: surrender, compositie, count en insurance
+    'strategy.surrender.16': '16 gegen 9-A ist sehr ungünstig - Surrender minimiert den Verlust.',
+    'strategy.surrender.15': '15 gegen 10 ist sehr ungünstig - Surrender ist die beste Option.',
+    'strategy.surrender.early': 'Early Surrender: {total} gegen {dealer} aufgeben, bevor der Dealer auf Blackjack prüft.',
+    'strategy.surrender.hitsSoft17': '{total} gegen {dealer} ist ungünstig, wenn der Dealer auf Soft 17 zieht - Surrender minimiert den Verlust.',
+    'strategy.composition': '{play} Kompositionsabhängig: nur nach der Summe wäre es {totalAction}.',
+    'strategy.composition.threeCard16': 'Diese 16 aus drei Karten hat niedrige Karten aus dem Shoe genommen - die Chance zu verbessern ist kleiner, also stehen bleiben.',
+    'strategy.composition.multiCard16': 'Eine 16 aus vier oder mehr Karten ohne 6, 9 oder 10 hat viele niedrige Karten aus dem Shoe genommen - die Chance zu verbessern ist kleiner, also stehen bleiben.',
+    'strategy.composition.tenTwo': 'Mit einer 10 in der Hand sind weniger Zehnen in einem kleinen Shoe - 10-2 darf gegen 4 noch ziehen (8-4 und 7-5 bleiben stehen).',
+    'strategy.composition.sixTwo': 'Mit 1 Deck ist Verdoppeln von 8 gegen 6 nur mit 5-3 oder 4-4 profitabel; bei 6-2 fehlt eine 6, die den Dealer hätte überkaufen lassen können.',
+    'strategy.composition.eightSeven': 'Mit 8-7 gegen ein Ass ist Ziehen besser als Aufgeben; 10-5 und 9-6 gibst du auf.',
+    'strategy.composition.twelveVsThree': 'Ohne 10 in der Hand sind mehr Zehnen in einem kleinen Shoe - 8-4 und 7-5 bleiben gegen 3 stehen (10-2 und 9-3 ziehen).',
+    'strategy.deviation': 'Count-Abweichung ({group}: {name}, Index {index}): bei True Count {trueCount} ist {action} besser als {basicAction}.',
+    'strategy.shoe': 'Mit den Karten, die noch im Shoe sind, ist {action} besser als {basicAction} (EV {ev} gegen {basicEv}).',
+    'strategy.override': 'Eigene Strategie ({profile}): {action} statt {engineAction}.{note}',
+    'strategy.override.same': 'Eigene Strategie ({profile}): {action}, gleich der Empfehlung der Engine.{note}',
+    'strategy.override.note': ' Notiz: {note}',
+    'strategy.insurance.insurance': 'Versicherung',
+    'strategy.insurance.evenMoney': 'Even Money',
+    'strategy.insurance.take': 'Chance auf eine 10 unter dem Ass: {probability} (Break-even {breakEven}). {name} bringt im Schnitt {ev} deines Einsatzes - nehmen.',
+    'strategy.insurance.decline': 'Chance auf eine 10 unter dem Ass: {probability} (Break-even {breakEven}). {name} kostet im Schnitt {ev} deines Einsatzes - nicht nehmen.',
+    'strategy.insurance.withIndex': 'Geschätzt aus True Count {trueCount}: {advice} Illustrious 18: Versicherung ab +{index}.',
+
+    // Command line
+    'cli.usage': 'Gib eine Hand an ("A7 v 9" oder --dealer und --hand) oder liefere Hände über stdin (eine pro Zeile)',
+    'cli.line': 'Zeile {line}: {message}',
+    'simulate.rounds': 'Runden',
+    'simulate.hands': 'Hände',
+    'simulate.houseEdge': 'House Edge',
+    'simulate.variance': 'Varianz',
+    'simulate.wagered': 'Einsatz pro Runde',
+    'simulate.outcomes': 'Ergebnisse (pro Hand)',
+    'simulate.actions': 'Aktionen (pro Entscheidung)',
+    'simulate.comparison': 'Vergleich House Edge',
+    'simulate.outcome.win': 'Gewonnen',
+    'simulate.outcome.loss': 'Verloren',
+    'simulate.outcome.push': 'Push',
+    'simulate.outcome.bust': 'Bust',
+    'simulate.outcome.blackjack': 'Blackjack',
+    'simulate.outcome.dealerBlackjack': 'Dealer-Blackjack',
+    'simulate.outcome.surrender': 'Surrender',
+
+    // Foutmeldingen
+    'error.unknownLocale': 'Unbekannte Sprache: {locale}',
+    'error.counting.unknownSystem': 'Unbekanntes Zählsystem: {system}',
+    'error.composition.noneLeft': 'Es ist keine {card} mehr im Shoe',
+    'error.composition.noneRemoved': 'Es wurde keine {card} entfernt, die zurückgelegt werden kann',
+    'error.variant.unknown': 'Unbekannte Variante: {variant}',
+    'error.variant.switchHand': 'Gib für beide Hände genau zwei Karten ein, z.B. T5 und 6T',
+    'error.variant.rescueHand': 'Gib die Hand nach dem Double ein: mindestens drei Karten und nicht über 21, z.B. 562',
+    'error.history.notFound': 'Entscheidung nicht im Verlauf gefunden',
+    'error.history.invalidJson': 'Ungültige JSON-Datei',
+    'error.history.noRecords': 'Keine Entscheidungen in der Datei gefunden',
+    'error.history.invalidRecord': 'Ungültige Entscheidung: id, timestamp, dealerCard und advisedAction sind erforderlich',
+    'error.history.invalidCsv': 'Ungültige CSV-Datei: Kopfzeile fehlt',
+    'error.profiles.nameRequired': 'Gib dem Profil einen Namen',
+    'error.profiles.exists': 'Es gibt bereits ein Profil mit dem Namen "{name}"',
+    'error.profiles.notFound': 'Profil "{name}" nicht gefunden',
+    'error.profiles.invalidJson': 'Ungültige JSON-Datei',
+    'error.profiles.noProfiles': 'Keine Profile in der Datei gefunden',
+    'error.profiles.invalidProfile': 'Ungültiges Profil: name und overrides sind erforderlich',
+    'error.profiles.invalidOverride': 'Ungültige Abweichung: wähle eine bestehende Zelle (Typ, Hand, Dealer) und eine dort mögliche Aktion',
+    'error.sideBets.unknownBet': 'Unbekannte Side Bet: {bet}',
+    'error.notation.empty': 'Gib eine Hand ein, z.B. "A7 v 9"',
+    'error.notation.separator': 'Verwende "v" genau einmal zwischen Hand und Dealerkarte: "{input}"',
+    'error.notation.noHand': 'Keine Hand vor "v" gefunden in "{input}"',
+    'error.notation.dealer': 'Der Dealer hat eine offene Karte, z.B. "v 9" (gefunden: "{dealer}")',
+    'error.notation.minCards': 'Eine Hand hat mindestens 2 Karten (gefunden: "{hand}")',
+    'error.notation.softRange': 'Eine weiche Summe liegt zwischen 12 und 21 (gefunden: {total})',
+    'error.notation.hardRange': 'Eine harte Summe liegt zwischen 4 und 21 (gefunden: {total})',
+    'error.notation.unknownCard': 'Unbekannte Karte "{card}" - verwende 2-9, T/10, J, Q, K oder A',
+    'error.notation.bareTotal': '"{hand}" sind keine Karten - schreibe eine Summe als h{hand} (hard) oder s{hand} (soft)',
+    'error.notation.over21': '"{hand}" zählt {total} und ist schon bust - eine Hand für eine Empfehlung zählt höchstens 21',
+    'error.notation.shoe': 'Unmögliche Hand: {cards}x {card}, obwohl es nur {available} in {count} Decks gibt',
+    'error.notation.shoe.one': 'Unmögliche Hand: {cards}x {card}, obwohl es nur {available} in {count} Deck gibt',
+    'error.notation.notInDeck': 'Die Decks dieser Variante haben keine {card}',
+    'error.trainer.noQuestion': 'Es gibt keine offene Frage',
+    'error.bankroll.bankroll': 'Gib eine gültige Bankroll ein',
+    'error.bankroll.tableLimits': 'Das Tischmaximum muss mindestens das Tischminimum sein',
+    'error.bankroll.spread': 'Der Spread muss mindestens 1 sein',
+    'error.bankroll.kellyFraction': 'Wähle einen Kelly-Anteil zwischen 0 und 1',
+    'error.bankroll.handsPerHour': 'Gib eine gültige Anzahl Hände pro Stunde ein',
+    'error.game.roundInProgress': 'Die aktuelle Runde ist noch nicht beendet',
+    'error.game.invalidBet': 'Gib einen gültigen Einsatz ein',
+    'error.game.insufficientFunds': 'Nicht genug Guthaben für diesen Einsatz',
+    'error.game.actionNotAllowed': '{action} ist jetzt nicht erlaubt',
+    'error.live.upcardFixed': 'Die Upcard steht schon fest - mit Rückgängig kannst du sie ändern',
+    'error.live.needUpcard': 'Du hast schon zwei Karten - wähle jetzt die Upcard des Dealers',
+    'error.live.noPlayerCard': 'Deine Hand ist fertig - die Karten sind jetzt für den Dealer',
+    'error.live.noDealerCard': 'Der Dealer spielt erst, wenn alle Hände fertig sind',
+    'error.live.peekBlackjack': 'Der Dealer hat schon nachgesehen und hatte keinen Blackjack',
+    'error.live.noDealerBlackjack': 'Ein Dealer-Blackjack ist nur mit Ass oder Zehn vor der ersten Entscheidung möglich',
+    'error.cli.unknownOption': 'Unbekannte Option: {option}',
+    'error.cli.unknownPreset': 'Unbekanntes Preset: {preset} (wähle aus {choices})',
+    'error.cli.unknownLocale': 'Unbekannte Sprache: {locale} (wähle aus {choices})',
+    'error.cli.trueCount': '--true-count muss eine Zahl sein',
+    'error.cli.missingValue': '{option} erwartet einen Wert',
+    'error.cli.decks': '--decks muss eine ganze Zahl von mindestens 1 sein',
+    'error.cli.surrender': 'Unbekannte Surrender-Regel: {surrender} (wähle aus {choices})',
+    'error.cli.rounds': '--rounds muss eine positive Zahl sein',
+    'error.cli.dealer': 'Gib eine Dealerkarte an (--dealer)',
+    'error.cli.minCards': 'Eine Hand hat mindestens 2 Karten',
+    'error.cli.hand': 'Gib eine Hand (--hand 9,7) oder eine Summe zwischen 4 und 21 (--total 16) an',
+    'error.cli.unknownAction': 'Unbekannte Aktion: {action} (wähle aus {choices})'
+};
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessagesDe;
+}
@@ -0,0 +1,543 @@
+/**
+ * Engelse teksten
+ *
+ * Zelfde keys als js/locales/nl.js; ontbrekende keys vallen terug op het Nederlands.
+ */
+
+const MessagesEn = {
+    // Algemeen
+    'language.label': 'Language',
+    'update.available': 'A new version is available',
+    'update.reload': 'Update',
+    'common.advice': 'Advice',
+    'common.dealer': 'Dealer',
+    'common.yourHand': 'Your hand',
+    'common.handNumber': 'Hand {hand}',
+    'common.outcome': 'Outcome',
+    'common.probability': 'Probability',
+    'common.bet': 'Bet',
+    'common.all': 'All',
+    'common.yes': 'Yes',
+    'common.no': 'No',
+    'common.nextHand': 'Next Hand',
+    'common.exportCsv': 'Export CSV',
+    'common.exportJson': 'Export JSON',
+    'common.exportSvg': 'Export SVG',
+    'hand.hard': 'Hard',
+    'hand.soft': 'Soft',
+    'hand.pair': 'Pair',
+    'hand.pairs': 'Pairs',
+    'action.hit': 'Hit',
+    'action.stand': 'Stand',
+    'action.double': 'Double',
+    'action.split': 'Split',
+    'action.surrender': 'Surrender',
+    'tab.trainer': 'Training',
+    'tab.table': 'Table',
+    'tab.chart': 'Charts',
+    'tab.history': 'History',
+    'footer.text': 'Basic strategy for Premier Blackjack (TOTO)',
+    'footer.disclaimer': 'Educational tool - use at your own risk',
+
+    // Tafelregels
+    'rules.title': 'Table rules',
+    'rules.custom': 'Custom',
+    'rules.preset.toto': 'Premier Blackjack (TOTO)',
+    'rules.preset.vegasStrip': 'Vegas Strip (4 decks, S17)',
+    'rules.preset.european': 'European (no hole card)',
+    'rules.preset.doubleDeck': 'Double Deck (H17, no DAS)',
+    'rules.preset.singleDeck': 'Single Deck (H17, no DAS)',
+    'rules.decks': 'Number of decks',
+    'rules.soft17': 'Dealer soft 17',
+    'rules.soft17.hit': 'Hit (H17)',
+    'rules.soft17.stand': 'Stand (S17)',
+    'rules.surrender.none': 'Not allowed',
+    'rules.surrender.late': 'Late surrender',
+    'rules.surrender.early': 'Early surrender',
+    'rules.holeCard.peek': 'Dealer checks (peek)',
+    'rules.holeCard.enhc': 'No hole card (ENHC)',
+    'rules.maxSplitHands': 'Max. hands after split',
+    'rules.maxSplitHands.noResplit': '2 (no resplit)',
+    'rules.das': 'Double after split (DAS)',
+    'rules.rsa': 'Resplit aces (RSA)',
+    'rules.summary.decks': '{count} decks',
+    'rules.summary.decks.one': '{count} deck',
+    'rules.summary.h17': 'H17',
+    'rules.summary.s17': 'S17',
+    'rules.summary.das': 'DAS',
+    'rules.summary.noDas': 'No DAS',
+    'rules.summary.splitHands': 'Split to {count} hands',
+    'rules.summary.splitHandsRsa': 'Split to {count} hands (RSA)',
+    'rules.summary.surrender.none': 'No surrender',
+    'rules.summary.surrender.late': 'Late surrender',
+    'rules.summary.surrender.early': 'Early surrender',
+    'rules.summary.enhc': 'No hole card',
+    'rules.summary.peek': 'Peek',
+
+    // Kaarten tellen
+    'counting.title': 'Card Counting',
+    'counting.off': 'Off',
+    'counting.enabled': 'Apply count deviations',
+    'counting.system': 'Counting system',
+    'counting.decksRemaining': 'Decks left',
+    'counting.cardsSeen': 'Cards seen',
+    'counting.otherCards': 'Other cards on the table',
+    'counting.otherCardsHelp': 'Cards of other players and the dealer (hole card, extra cards)',
+    'counting.undo': 'Undo Last Card',
+    'counting.newShoe': 'New Shoe',
+
+    // Samenstelling shoe
+    'composition.title': 'Shoe Composition',
+    'composition.help': 'If you know exactly which cards have left the shoe, remove them here. The number of decks follows the table rules; the cards of the hand you are playing are removed automatically.',
+    'composition.enabled': 'Base advice, EV and dealer odds on this shoe',
+    'composition.load': 'Load seen cards',
+    'composition.reset': 'Full Shoe',
+    'composition.summary': '{count} cards left of {decks} decks',
+    'composition.summary.one': '{count} cards left of {decks} deck',
+
+    // Varianten
+    'variant.label': 'Variant',
+    'variant.premier': 'Premier Blackjack (classic)',
+    'variant.spanish21': 'Spanish 21',
+    'variant.freeBet': 'Free Bet Blackjack',
+    'variant.switch': 'Blackjack Switch',
+    'variant.premier.description': 'Classic blackjack with 52 cards per deck: basic strategy, index plays, custom profiles and the EV engine.',
+    'variant.spanish21.description': 'No tens in the decks, a player 21 always wins and five or more cards to 21 pay a bonus. You may double on any number of cards; after a double you may still surrender the hand (double down rescue).',
+    'variant.freeBet.description': 'Free doubles on hard 9-11 and free splits of all pairs except tens, but a dealer 22 is a push. No surrender.',
+    'variant.switch.description': 'Two hands whose second cards you may swap. Blackjack pays 1:1, a dealer 22 is a push and surrender is not offered.',
+    'variant.advice': '{variant}: {action} on {hand} against {dealer}.',
+    'variant.adviceCards': '{variant}: {action} on {hand} against {dealer}. This chart cell also depends on the number of cards: the advice holds up to and including {max} cards.',
+    'variant.freeBet.free': '{variant}: free {action} on {hand} against {dealer} - the casino pays the extra bet.',
+    'variant.hand.total': '{type} {total}',
+    'variant.hand.pair': 'pair of {card}s',
+    'variant.noEv': 'The EV engine only models classic blackjack; the order comes from the {variant} chart.',
+    'variant.switch.title': 'Switch',
+    'variant.switch.help': 'Enter both hands and pick the dealer card: the advice tells you whether to swap the second cards.',
+    'variant.switch.first': 'Hand 1, e.g. T5',
+    'variant.switch.second': 'Hand 2, e.g. 6T',
+    'variant.switch.submit': 'Switch advice',
+    'variant.switch.switch': 'Switch: play {first} and {second} (combined EV {ev}, {otherEv} without switching).',
+    'variant.switch.keep': 'Do not switch: play {first} and {second} (combined EV {ev}, {otherEv} when switching).',
+    'variant.rescue.title': 'Double down rescue',
+    'variant.rescue.help': 'Enter the hand after the double, including the double card, and pick the dealer card: the advice tells you whether to give up the hand. You then lose only the original bet.',
+    'variant.rescue.hand': 'Hand after the double, e.g. 562',
+    'variant.rescue.submit': 'Rescue advice',
+    'variant.rescue.rescue': 'Rescue: give up {hand} and get the double back (EV {rescueEv}, standing {standEv}).',
+    'variant.rescue.stand': 'No rescue: stand with {hand} (EV {standEv}, rescue {rescueEv}).',
+
+    // EV verlies door fouten
+    'mistakes.title': 'EV lost to mistakes',
+    'mistakes.help': 'When you pick a different action than the advice in training or a live hand, the difference in EV adds up here. This shows which mistakes actually cost money.',
+    'mistakes.byCategory': 'By hand type',
+    'mistakes.worst': 'Most expensive mistakes',
+    'mistakes.reset': 'New Session',
+    'mistakes.none': 'No mistakes this session yet',
+    'mistakes.summary': '{cost} of a bet lost to {count} mistakes',
+    'mistakes.summary.one': '{cost} of a bet lost to {count} mistake',
+    'mistakes.count': '{count} mistakes',
+    'mistakes.count.one': '{count} mistake',
+    'mistakes.cost': '{action} on {hand} against {dealer} costs {cost} of your bet (advised: {advised}).',
+    'mistakes.noCost': '{action} on {hand} against {dealer} differs from the advice ({advised}), but costs nothing in EV.',
+    'mistakes.costUnknown': '{action} on {hand} against {dealer} differs from the advice ({advised}). The cost is unknown: the EV engine does not model this variant.',
+    'mistakes.worstEntry': '{action} on {hand} against {dealer} instead of {advised}: {cost} ({count}×)',
+    'mistakes.hand.total': '{type} {total}',
+    'mistakes.hand.pair': 'pair of {card}s',
+
+    // Inzet en bankroll
+    'bankroll.title': 'Bet & Bankroll',
+    'bankroll.tableMin': 'Table minimum',
+    'bankroll.tableMax': 'Table maximum',
+    'bankroll.spread': 'Spread (1 to …)',
+    'bankroll.handsPerHour': 'Hands per hour',
+    'bankroll.betNow': 'Bet now',
+    'bankroll.advantage': 'Advantage',
+    'bankroll.hourlyWin': 'Win per hour',
+    'bankroll.hourlySd': 'SD per hour',
+    'bankroll.kelly.1': 'Full Kelly',
+    'bankroll.kelly.0.5': 'Half Kelly',
+    'bankroll.kelly.0.25': 'Quarter Kelly',
+    'bankroll.noteCounting': 'Advantage from the true count ({trueCount}), about 0.5% per point. Win per hour and risk of ruin apply to the whole bet ramp below.',
+    'bankroll.noteNoCounting': 'Without counting the estimated house edge of the table rules applies ({houseEdge}): there is no advantage, so bet the minimum.',
+    'bankroll.summary': 'Bet {bet} · {kelly} · RoR {ror}',
+
+    // Side bets
+    'sideBets.summary': 'Perfect Pairs and 21+3',
+    'sideBets.help': 'Adjust the payouts (x:1) to match the table. With card counting on, the calculation uses the cards still in the shoe (suits are unknown and spread evenly).',
+    'sideBets.payout': 'Payout',
+    'sideBets.edge': 'House edge {edge} (EV {ev})',
+    'sideBets.perfectPairs': 'Perfect Pairs',
+    'sideBets.twentyOnePlusThree': '21+3',
+    'sideBets.mixed': 'Mixed pair',
+    'sideBets.coloured': 'Coloured pair',
+    'sideBets.perfect': 'Perfect pair',
+    'sideBets.flush': 'Flush',
+    'sideBets.straight': 'Straight',
+    'sideBets.threeOfAKind': 'Three of a kind',
+    'sideBets.straightFlush': 'Straight flush',
+    'sideBets.suitedTrips': 'Suited trips',
+
+    // Snelle invoer
+    'notation.title': 'Quick Entry',
+    'notation.placeholder': 'e.g. A7 v 9, 88 vs T or s18 v A',
+    'notation.submit': 'Enter',
+    'notation.shortcuts': 'Shortcuts: 2-9, 0 or T (ten), J, Q, K and 1 or A add a card · D followed by a card picks the dealer card · Enter asks for advice · Backspace removes the last card · / jumps to this field',
+
+    // Adviseur
+    'advisor.dealerCard': 'Dealer Card',
+    'advisor.yourHand': 'Your Hand',
+    'advisor.mode.cards': 'Enter Cards',
+    'advisor.mode.total': 'Enter Total',
+    'advisor.cardsHelp': 'Click cards to build your hand',
+    'advisor.clearCards': 'Clear Cards',
+    'advisor.handTotal': 'Hand Total:',
+    'advisor.handTotalPlaceholder': 'e.g. 16',
+    'advisor.softHand': 'Soft hand (contains an Ace counted as 11)',
+    'advisor.actions': 'Available Actions',
+    'advisor.action.hit': 'Hit (take a card)',
+    'advisor.action.stand': 'Stand (stay)',
+    'advisor.action.double': 'Double (double down)',
+    'advisor.action.split': 'Split (split the pair)',
+    'advisor.action.surrender': 'Surrender (give up)',
+    'advisor.actionsHelp': 'Hit and Stand are always available',
+    'advisor.getAdvice': 'Get Strategy Advice',
+    'advisor.bust': 'Your hand has already busted (over 21). No further action is possible.',
+    'advisor.splitTwentyOne': '21 after a split does not count as blackjack (pays 1:1) - stand.',
+    'advisor.blackjack': 'Blackjack! You have the perfect hand.',
+    'advisor.splitAcesStand': 'Split aces receive only one card - this hand stands unless you resplit the aces.',
+    'advisor.splitAcesHandStands': 'Hand {hand}: split aces receive only one card - this hand stands.',
+    'advisor.handSummary': '{label}: {type} {total}',
+    'advisor.handSummaryPair': '{label}: {type} {total} (Pair)',
+    'advisor.splitHandLabel': 'Split hand {hand}/{count}',
+
+    // Split
+    'split.execute': 'Play the split',
+    'split.finishHand': 'Hand done',
+    'split.cancel': 'Stop split',
+    'split.allDone': 'All split hands have been played.',
+    'split.addSecondCard': 'Hand {hand} of {count}: add the second card.',
+    'split.askAdvice': 'Hand {hand} of {count}: ask for advice or click "Hand done".',
+    'split.noDas': 'Double after split is not allowed at this table.',
+
+    // Meldingen
+    'alert.maxCards': 'At most 5 cards',
+    'alert.splitDone': 'All split hands have been played - clear the cards for a new hand',
+    'alert.splitAcesOneCard': 'Split aces receive only one card per hand',
+    'alert.cannotSplit': 'This hand cannot be split (again)',
+    'alert.secondCard': 'Add the second card to this hand first',
+    'alert.selectDealer': 'Select a dealer card first',
+    'alert.splitSecondCard': 'Add the second card to this split hand first',
+    'alert.minCards': 'Select at least 2 cards',
+    'alert.invalidTotal': 'Enter a valid total (4-21)',
+    'alert.finishRound': 'Finish the current round first',
+    'alert.liveActive': 'Stop the live hand first',
+    'alert.compositionLoaded': '{count} seen cards removed from the shoe',
+    'alert.compositionLoaded.one': '{count} seen card removed from the shoe',
+    'alert.imported': '{count} decisions imported',
+    'alert.imported.one': '{count} decision imported',
+    'confirm.resetTrainer': 'Clear all training statistics?',
+    'confirm.resetDrill': 'Clear all progress in the review schedule?',
+    'confirm.resetBalance': 'Reset the balance to the starting amount?',
+    'confirm.clearHistory': 'Clear the entire history? This cannot be undone.',
+    'confirm.newShoe': 'Start a new shoe? All counted cards will be cleared.',
+    'confirm.deleteProfile': 'Delete profile "{name}"?',
+    'alert.profilesImported': '{count} profiles imported: {names}',
+    'alert.profilesImported.one': 'Profile "{names}" imported',
+
+    // Insurance en EV
+    'insurance.action': '{name}: {decision} (EV {ev})',
+    'insurance.take': 'take',
+    'insurance.decline': 'decline',
+    'ev.action': 'Action',
+    'ev.perBet': 'EV per bet',
+    'ev.noteNoBlackjack': 'Given that the dealer does not have blackjack.',
+    'ev.noteDecks': 'Calculated with {count} decks, known cards removed from the shoe.',
+    'ev.noteDecks.one': 'Calculated with {count} deck, known cards removed from the shoe.',
+    'ranking.title': 'All actions, best first',
+    'ranking.titleUnordered': 'All actions, advice and refusal chain first',
+    'ranking.chain': 'If refused',
+    'ranking.advised': 'Advice',
+    'ranking.fallback': 'Otherwise',
+    'ranking.fallbacks': 'If refused: {chain}',
+    'ranking.otherwise': 'otherwise',
+
+    // Eindstand van de dealer
+    'dealerOdds.title': 'Dealer final total',
+    'dealerOdds.bust': 'Bust',
+    'dealerOdds.blackjack': 'Blackjack',
+    'dealerOdds.note': '{rule}, {count} cards in the shoe. {blackjack}',
+
+    // Training
+    'trainer.handLabel': 'Your hand ({type} {total})',
+    'trainer.correct': 'Correct! {action}',
+    'trainer.incorrect': 'Wrong - correct action: {action}',
+    'trainer.stats': 'Statistics',
+    'trainer.statsByCategory': 'By hand type',
+    'trainer.statsByDealer': 'By dealer card',
+    'trainer.resetStats': 'Clear Statistics',
+    'drill.title': 'Mastery',
+    'drill.help': 'Training asks about the cells that are due first. A correct and fast answer moves a cell up one box and it comes back later; a mistake puts it back in box 0. The darker the cell, the better you know it.',
+    'drill.summary': '{seen} of {total} cells practised · {due} due · {mastered} mastered',
+    'drill.legend': 'Empty = not practised yet · 0-{max} = box (wait from 1 minute to 3 weeks) · Outlined = due',
+    'drill.cellNew': 'Not practised yet',
+    'drill.cellTitle': 'Box {box} · {correct} of {seen} correct',
+    'drill.reset': 'Clear Schedule',
+
+    // Speeltafel
+    'table.balance': 'Balance:',
+    'table.bet': 'Bet:',
+    'table.deal': 'Deal',
+    'table.showHint': 'Show advice for every action',
+    'table.resetBalance': 'Reset Balance',
+    'table.dealerTotal': 'Dealer ({total})',
+    'table.handLabel': '{hand} ({total}) - bet {bet}',
+    'table.surrendered': 'Surrendered',
+    'table.hint': 'Advice: {action} - {explanation}',
+    'game.win': '{prefix}You win {amount}',
+    'game.lose': '{prefix}You lose {amount}',
+    'game.push': '{prefix}Push - bet returned',
+    'game.dealerBlackjack': 'Dealer has blackjack. ',
+    'game.playerBlackjack': 'Blackjack! ',
+
+    // Live hand
+    'live.title': 'Live Hand',
+    'live.help': 'Follow a real hand from deal to settlement: the advice is refreshed after every card and only actions the table allows are available.',
+    'live.start': 'Start live hand',
+    'live.dealerBlackjack': 'Dealer has blackjack',
+    'live.undo': 'Undo',
+    'live.stop': 'Stop live hand',
+    'live.status.idle': 'No live hand in progress',
+    'live.status.upcard': 'Choose the dealer upcard and your two cards',
+    'live.status.playerCards': 'Add your two cards',
+    'live.status.decide': 'Choose your action; entering a new card counts as a hit',
+    'live.status.decideHand': 'Hand {hand} of {count}: choose your action',
+    'live.status.splitCard': 'Hand {hand}: add the second card',
+    'live.status.hitCard': 'Add the card you drew',
+    'live.status.doubleCard': 'Add the card for your double',
+    'live.status.holeCard': 'Dealer plays: choose the hole card from the dealer cards',
+    'live.status.dealerDraws': 'Dealer has {total} and draws: choose the next dealer card',
+    'live.result': '{prefix}Result: {units} × bet',
+
+    // Strategie tabellen
+    'chart.title': 'Strategy Charts',
+    'chart.print': 'Print',
+    'chart.section.hard': 'Hard totals',
+    'chart.section.soft': 'Soft totals',
+    'chart.section.pairs': 'Pairs',
+    'chart.legend.H': 'Hit',
+    'chart.legend.S': 'Stand',
+    'chart.legend.Dh': 'Double, otherwise hit',
+    'chart.legend.Ds': 'Double, otherwise stand',
+    'chart.legend.P': 'Split',
+    'chart.legend.Rh': 'Surrender, otherwise hit',
+    'chart.legend.Rs': 'Surrender, otherwise stand',
+    'chart.legend.Rp': 'Surrender, otherwise split',
+
+    // Historie
+    'history.whatDidYouDo': 'What did you do?',
+    'history.outcomeUnknown': 'Not known yet',
+    'history.session': 'Session',
+    'history.allSessions': 'All sessions',
+    'history.thisSession': '(this session)',
+    'history.dealerCard': 'Dealer card',
+    'history.followed': 'Advice followed',
+    'history.import': 'Import',
+    'history.clear': 'Clear History',
+    'history.time': 'Time',
+    'history.hand': 'Hand',
+    'history.actions': 'Actions',
+    'history.taken': 'Taken',
+    'history.count': '{count} decisions',
+    'history.count.one': '{count} decision',
+    'history.followedSummary': '{count} · advice followed in {followed} of {total} ({percent}%)',
+    'outcome.win': 'Won',
+    'outcome.lose': 'Lost',
+    'outcome.push': 'Push',
+    'outcome.bust': 'Bust',
+    'outcome.blackjack': 'Blackjack',
+    'outcome.surrender': 'Surrender',
+
+    // Eigen strategie
+    'profiles.title': 'Custom Strategy',
+    'profiles.help': 'Override a cell from the charts with your own action and note. The active profile is used for advice, training and the table. Click a cell to select it.',
+    'profiles.active': 'Active profile',
+    'profiles.none': 'None (standard strategy)',
+    'profiles.new': 'New profile',
+    'profiles.delete': 'Delete profile',
+    'profiles.namePrompt': 'Name of the new profile',
+    'profiles.editCell': 'Override cell',
+    'profiles.handType': 'Hand type',
+    'profiles.action': 'Own action',
+    'profiles.note': 'Note',
+    'profiles.notePlaceholder': 'Why do you deviate here?',
+    'profiles.save': 'Save',
+    'profiles.engine': 'Engine',
+    'profiles.engineAction': 'Engine advice: {action}',
+    'profiles.remove': 'Remove',
+    'profiles.badge': 'Custom strategy: {profile}',
+
+    // Strategy engine: pairs
+    'strategy.pair.surrender': '{card},{card} against this dealer card is so unfavourable that surrender beats splitting.',
+    'strategy.pair.acesNoHoleCard': 'Without a hole card you lose both bets if the dealer has blackjack - do not split against an A.',
+    'strategy.pair.aces': 'Always split aces - gives two chances at a strong hand.',
+    'strategy.pair.tens': '20 is too good a hand to split.',
+    'strategy.pair.ninesStand': '18 is strong enough against this dealer card.',
+    'strategy.pair.ninesSplit': 'Split 9s against weaker dealer cards for more profit.',
+    'strategy.pair.eightsNoHoleCard': 'Without a hole card you risk two bets against a possible blackjack - do not split.',
+    'strategy.pair.eights': 'Always split 8s - 16 is a bad hand, two 18s are better.',
+    'strategy.pair.splitWeakDealer': 'Split {card}s against weaker dealer cards.',
+    'strategy.pair.sevensHit': '14 is too weak - take a card.',
+    'strategy.pair.sixesSplit': 'Split 6s when the dealer is weak (bust chance).',
+    'strategy.pair.sixesHit': '12 is too weak against a strong dealer card.',
+    'strategy.pair.foursSplit': 'Split 4s only against the weakest dealer cards.',
+    'strategy.pair.foursHit': '8 is too low - take a card.',
+    'strategy.pair.foursHitNoDas': '8 is too low - without double after split, splitting does not pay.',
+    'strategy.pair.threesHit': '6 is too low against a strong dealer card.',
+    'strategy.pair.twosHit': '4 is too low - take cards until 12+.',
+
+    // Strategy engine: soft totalen
+    'strategy.soft.21': '21 - stand.',
+    'strategy.soft.20': 'Soft 20 is nearly perfect - stand.',
+    'strategy.soft.19Double': 'Double soft 19 against 6 for extra profit (dealer has a high bust chance).',
+    'strategy.soft.19Stand': 'Soft 19 is strong - stand.',
+    'strategy.soft.18Hit': 'Soft 18 is weak against 9-A - try to improve.',
+    'strategy.soft.18Double': 'Double soft 18 against a weak dealer for more profit.',
+    'strategy.soft.18DoubleVs2': 'Double soft 18 against 2 - a dealer who hits soft 17 busts more often.',
+    'strategy.soft.18Stand': 'Soft 18 is fair against this card.',
+    'strategy.soft.17Double': 'Double soft 17 against a weak dealer - cannot bust.',
+    'strategy.soft.17Hit': 'Soft 17 is weak - take a card (cannot bust).',
+    'strategy.soft.15Double': 'Double against dealer 4-6 for optimal profit.',
+    'strategy.soft.15Hit': 'Hand is too weak - take cards (cannot bust).',
+    'strategy.soft.13Double': 'Double against the weakest dealer cards.',
+    'strategy.soft.13Hit': 'Hand is weak - keep taking cards.',
+    'strategy.soft.low': 'Hand is too low - keep taking cards.',
+
+    // Strategy engine: hard totalen
+    'strategy.hard.17Stand': '{total} is high enough - the risk of busting is too great.',
+    'strategy.hard.16Stand': 'Dealer has a high bust chance - stand on 16.',
+    'strategy.hard.16Hit': '16 is weak against a strong dealer - take the risk.',
+    'strategy.hard.15Stand': 'Dealer can easily bust - stand.',
+    'strategy.hard.15Hit': '15 is too weak - take the risk.',
+    'strategy.hard.13Stand': 'Dealer has a weak card - let the dealer bust.',
+    'strategy.hard.13Hit': '{total} is too low against a strong dealer.',
+    'strategy.hard.12Stand': 'Dealer has the highest bust chance - stand.',
+    'strategy.hard.12Hit': '12 is too low - the bust chance is acceptable (only 10,J,Q,K).',
+    'strategy.hard.11NoHoleCard': 'Without a hole card you risk a doubled bet against a possible blackjack - just hit.',
+    'strategy.hard.11Double': '11 is perfect for doubling - good chance of 21.',
+    'strategy.hard.11Hit': '11 cannot bust - take a card.',
+    'strategy.hard.10Double': '10 is strong for doubling against this dealer card.',
+    'strategy.hard.10Hit': '10 cannot bust - take a card.',
+    'strategy.hard.9Double': 'Double 9 against weak dealer cards.',
+    'strategy.hard.9Hit': '9 is too low - keep taking cards.',
+    'strategy.hard.8DoubleSingleDeck': 'With 1 deck, doubling 8 against 5-6 is just profitable.',
+    'strategy.hard.low': 'Hand is too low - cannot bust, keep taking cards.',
+
+    // Strategy engine: surrender, compositie, count en insurance
+    'strategy.surrender.16': '16 against 9-A is very unfavourable - surrender minimises the loss.',
+    'strategy.surrender.15': '15 against 10 is very unfavourable - surrender is the best option.',
+    'strategy.surrender.early': 'Early surrender: give up {total} against {dealer} before the dealer checks for blackjack.',
+    'strategy.surrender.hitsSoft17': '{total} against {dealer} is unfavourable when the dealer hits soft 17 - surrender minimises the loss.',
+    'strategy.composition': '{play} Composition dependent: based on the total alone it would be {totalAction}.',
+    'strategy.composition.threeCard16': 'This three-card 16 has taken low cards out of the shoe - the chance to improve is smaller, so stand.',
+    'strategy.composition.multiCard16': 'A 16 of four or more cards without a 6, 9 or 10 has taken many low cards out of the shoe - the chance to improve is smaller, so stand.',
+    'strategy.composition.tenTwo': 'With a 10 in your hand there are fewer tens in a small shoe - 10-2 may hit against 4 (8-4 and 7-5 stand).',
+    'strategy.composition.sixTwo': 'With 1 deck, doubling 8 against 6 is only profitable with 5-3 or 4-4; with 6-2 a 6 is missing that could have busted the dealer.',
+    'strategy.composition.eightSeven': 'With 8-7 against an ace, hitting is better than surrendering; 10-5 and 9-6 do surrender.',
+    'strategy.composition.twelveVsThree': 'Without a 10 in your hand there are more tens in a small shoe - 8-4 and 7-5 stand against 3 (10-2 and 9-3 hit).',
+    'strategy.deviation': 'Count deviation ({group}: {name}, index {index}): at true count {trueCount}, {action} beats {basicAction}.',
+    'strategy.shoe': 'With the cards left in the shoe, {action} beats {basicAction} (EV {ev} vs {basicEv}).',
+    'strategy.override': 'Custom strategy ({profile}): {action} instead of {engineAction}.{note}',
+    'strategy.override.same': 'Custom strategy ({profile}): {action}, same as the engine advice.{note}',
+    'strategy.override.note': ' Note: {note}',
+    'strategy.insurance.insurance': 'Insurance',
+    'strategy.insurance.evenMoney': 'Even money',
+    'strategy.insurance.take': 'Chance of a 10 under the ace: {probability} (break-even {breakEven}). {name} returns {ev} of your bet on average - take it.',
+    'strategy.insurance.decline': 'Chance of a 10 under the ace: {probability} (break-even {breakEven}). {name} costs {ev} of your bet on average - decline.',
+    'strategy.insurance.withIndex': 'Estimated from true count {trueCount}: {advice} Illustrious 18: insurance from +{index}.',
+
+    // Command line
+    'cli.usage': 'Give a hand ("A7 v 9" or --dealer and --hand), or pipe hands through stdin (one per line)',
+    'cli.line': 'Line {line}: {message}',
+    'simulate.rounds': 'Rounds',
+    'simulate.hands': 'Hands',
+    'simulate.houseEdge': 'House edge',
+    'simulate.variance': 'Variance',
+    'simulate.wagered': 'Bet per round',
+    'simulate.outcomes': 'Outcomes (per hand)',
+    'simulate.actions': 'Actions (per decision)',
+    'simulate.comparison': 'House edge comparison',
+    'simulate.outcome.win': 'Won',
+    'simulate.outcome.loss': 'Lost',
+    'simulate.outcome.push': 'Push',
+    'simulate.outcome.bust': 'Bust',
+    'simulate.outcome.blackjack': 'Blackjack',
+    'simulate.outcome.dealerBlackjack': 'Dealer blackjack',
+    'simulate.outcome.surrender': 'Surrender',
+
+    // Foutmeldingen
+    'error.unknownLocale': 'Unknown language: {locale}',
+    'error.counting.unknownSystem': 'Unknown counting system: {system}',
+    'error.composition.noneLeft': 'There is no {card} left in the shoe',
+    'error.composition.noneRemoved': 'No {card} has been removed to put back',
+    'error.variant.unknown': 'Unknown variant: {variant}',
+    'error.variant.switchHand': 'Enter exactly two cards for both hands, e.g. T5 and 6T',
+    'error.variant.rescueHand': 'Enter the hand after the double: at least three cards and not over 21, e.g. 562',
+    'error.history.notFound': 'Decision not found in the history',
+    'error.history.invalidJson': 'Invalid JSON file',
+    'error.history.noRecords': 'No decisions found in the file',
+    'error.history.invalidRecord': 'Invalid decision: id, timestamp, dealerCard and advisedAction are required',
+    'error.history.invalidCsv': 'Invalid CSV file: header row missing',
+    'error.profiles.nameRequired': 'Give the profile a name',
+    'error.profiles.exists': 'A profile named "{name}" already exists',
+    'error.profiles.notFound': 'Profile "{name}" not found',
+    'error.profiles.invalidJson': 'Invalid JSON file',
+    'error.profiles.noProfiles': 'No profiles found in the file',
+    'error.profiles.invalidProfile': 'Invalid profile: name and overrides are required',
+    'error.profiles.invalidOverride': 'Invalid override: choose an existing cell (type, hand, dealer) and an action that is possible there',
+    'error.sideBets.unknownBet': 'Unknown side bet: {bet}',
+    'error.notation.empty': 'Enter a hand, e.g. "A7 v 9"',
+    'error.notation.separator': 'Use "v" once between hand and dealer card: "{input}"',
+    'error.notation.noHand': 'No hand found before "v" in "{input}"',
+    'error.notation.dealer': 'The dealer has one upcard, e.g. "v 9" (found: "{dealer}")',
+    'error.notation.minCards': 'A hand has at least 2 cards (found: "{hand}")',
+    'error.notation.softRange': 'A soft total is between 12 and 21 (found: {total})',
+    'error.notation.hardRange': 'A hard total is between 4 and 21 (found: {total})',
+    'error.notation.unknownCard': 'Unknown card "{card}" - use 2-9, T/10, J, Q, K or A',
+    'error.notation.bareTotal': '"{hand}" is not a set of cards - write a total as h{hand} (hard) or s{hand} (soft)',
+    'error.notation.over21': '"{hand}" counts {total} and is already bust - a hand to advise on counts 21 at most',
+    'error.notation.shoe': 'Impossible hand: {cards}x {card} while there are only {available} in {count} decks',
+    'error.notation.shoe.one': 'Impossible hand: {cards}x {card} while there are only {available} in {count} deck',
+    'error.notation.notInDeck': 'The decks of this variant have no {card}',
+    'error.trainer.noQuestion': 'There is no open question',
+    'error.bankroll.bankroll': 'Enter a valid bankroll',
+    'error.bankroll.tableLimits': 'The table maximum must be at least the table minimum',
+    'error.bankroll.spread': 'The spread must be at least 1',
+    'error.bankroll.kellyFraction': 'Choose a Kelly fraction between 0 and 1',
+    'error.bankroll.handsPerHour': 'Enter a valid number of hands per hour',
+    'error.game.roundInProgress': 'The current round is not finished yet',
+    'error.game.invalidBet': 'Enter a valid bet',
+    'error.game.insufficientFunds': 'Insufficient balance for this bet',
+    'error.game.actionNotAllowed': '{action} is not allowed now',
+    'error.live.upcardFixed': 'The upcard is already set - use Undo to change it',
+    'error.live.needUpcard': 'You already have two cards - choose the dealer upcard now',
+    'error.live.noPlayerCard': 'Your hand is finished - the cards are for the dealer now',
+    'error.live.noDealerCard': 'The dealer only plays once all hands are finished',
+    'error.live.peekBlackjack': 'The dealer already peeked and did not have blackjack',
+    'error.live.noDealerBlackjack': 'A dealer blackjack is only possible with an ace or ten before the first decision',
+    'error.cli.unknownOption': 'Unknown option: {option}',
+    'error.cli.unknownPreset': 'Unknown preset: {preset} (choose from {choices})',
+    'error.cli.unknownLocale': 'Unknown language: {locale} (choose from {choices})',
+    'error.cli.trueCount': '--true-count must be a number',
+    'error.cli.missingValue': '{option} needs a value',
+    'error.cli.decks': '--decks must be a whole number of at least 1',
+    'error.cli.surrender': 'Unknown surrender rule: {surrender} (choose from {choices})',
+    'error.cli.rounds': '--rounds must be a positive number',
+    'error.cli.dealer': 'Give a dealer card (--dealer)',
+    'error.cli.minCards': 'A hand has at least 2 cards',
+    'error.cli.hand': 'Give a hand (--hand 9,7) or a total between 4 and 21 (--total 16)',
+    'error.cli.unknownAction': 'Unknown action: {action} (choose from {choices})'
+};
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessagesEn;
+}
@@ -0,0 +1,545 @@
+/**
+ * Nederlandse teksten (standaard taal)
+ *
+ * Catalogus van message keys voor I18n. Params staan tussen accolades, bijv.
+ * {total}; een key met `.one` is de variant voor count 1. Ontbreekt een key in
+ * een andere taal, dan wordt deze Nederlandse tekst gebruikt.
+ */
+
+const MessagesNl = {
+    // Algemeen
+    'language.label': 'Taal',
+    'update.available': 'Er is een nieuwe versie beschikbaar',
+    'update.reload': 'Bijwerken',
+    'common.advice': 'Advies',
+    'common.dealer': 'Dealer',
+    'common.yourHand': 'Jouw hand',
+    'common.handNumber': 'Hand {hand}',
+    'common.outcome': 'Uitkomst',
+    'common.probability': 'Kans',
+    'common.bet': 'Inzet',
+    'common.all': 'Alle',
+    'common.yes': 'Ja',
+    'common.no': 'Nee',
+    'common.nextHand': 'Volgende Hand',
+    'common.exportCsv': 'Export CSV',
+    'common.exportJson': 'Export JSON',
+    'common.exportSvg': 'Export SVG',
+    'hand.hard': 'Hard',
+    'hand.soft': 'Soft',
+    'hand.pair': 'Pair',
+    'hand.pairs': 'Pairs',
+    'action.hit': 'Hit',
+    'action.stand': 'Stand',
+    'action.double': 'Double',
+    'action.split': 'Split',
+    'action.surrender': 'Surrender',
+    'tab.trainer': 'Training',
+    'tab.table': 'Speeltafel',
+    'tab.chart': 'Tabellen',
+    'tab.history': 'Historie',
+    'footer.text': 'Basic Strategy voor Premier Blackjack (TOTO)',
+    'footer.disclaimer': 'Educatieve tool - Gebruik op eigen risico',
+
+    // Tafelregels
+    'rules.title': 'Tafelregels',
+    'rules.custom': 'Aangepast',
+    'rules.preset.toto': 'Premier Blackjack (TOTO)',
+    'rules.preset.vegasStrip': 'Vegas Strip (4 decks, S17)',
+    'rules.preset.european': 'Europees (geen hole card)',
+    'rules.preset.doubleDeck': 'Double Deck (H17, geen DAS)',
+    'rules.preset.singleDeck': 'Single Deck (H17, geen DAS)',
+    'rules.decks': 'Aantal decks',
+    'rules.soft17': 'Dealer soft 17',
+    'rules.soft17.hit': 'Hit (H17)',
+    'rules.soft17.stand': 'Stand (S17)',
+    'rules.surrender.none': 'Niet toegestaan',
+    'rules.surrender.late': 'Late surrender',
+    'rules.surrender.early': 'Early surrender',
+    'rules.holeCard.peek': 'Dealer checkt (peek)',
+    'rules.holeCard.enhc': 'Geen hole card (ENHC)',
+    'rules.maxSplitHands': 'Max. handen na split',
+    'rules.maxSplitHands.noResplit': '2 (niet opnieuw splitten)',
+    'rules.das': 'Double na split (DAS)',
+    'rules.rsa': 'Azen opnieuw splitten (RSA)',
+    'rules.summary.decks': '{count} decks',
+    'rules.summary.decks.one': '{count} deck',
+    'rules.summary.h17': 'H17',
+    'rules.summary.s17': 'S17',
+    'rules.summary.das': 'DAS',
+    'rules.summary.noDas': 'Geen DAS',
+    'rules.summary.splitHands': 'Split tot {count} handen',
+    'rules.summary.splitHandsRsa': 'Split tot {count} handen (RSA)',
+    'rules.summary.surrender.none': 'Geen surrender',
+    'rules.summary.surrender.late': 'Late surrender',
+    'rules.summary.surrender.early': 'Early surrender',
+    'rules.summary.enhc': 'No hole card',
+    'rules.summary.peek': 'Peek',
+
+    // Kaarten tellen
+    'counting.title': 'Kaarten Tellen',
+    'counting.off': 'Uit',
+    'counting.enabled': 'Count afwijkingen toepassen',
+    'counting.system': 'Telsysteem',
+    'counting.decksRemaining': 'Decks over',
+    'counting.cardsSeen': 'Kaarten gezien',
+    'counting.otherCards': 'Andere kaarten op tafel',
+    'counting.otherCardsHelp': 'Kaarten van medespelers en de dealer (hole card, extra kaarten)',
+    'counting.undo': 'Laatste Kaart Terug',
+    'counting.newShoe': 'Nieuwe Shoe',
+
+    // Samenstelling shoe
+    'composition.title': 'Samenstelling Shoe',
+    'composition.help': 'Weet je precies welke kaarten uit de shoe zijn, haal ze dan hier weg. Het aantal decks volgt de tafelregels; de kaarten van de hand die je speelt gaan er vanzelf af.',
+    'composition.enabled': 'Advies, EV en dealer kansen op deze shoe baseren',
+    'composition.load': 'Gezien kaarten laden',
+    'composition.reset': 'Volle Shoe',
+    'composition.summary': '{count} kaarten over van {decks} decks',
+    'composition.summary.one': '{count} kaarten over van {decks} deck',
+
+    // Varianten
+    'variant.label': 'Variant',
+    'variant.premier': 'Premier Blackjack (klassiek)',
+    'variant.spanish21': 'Spanish 21',
+    'variant.freeBet': 'Free Bet Blackjack',
+    'variant.switch': 'Blackjack Switch',
+    'variant.premier.description': 'Klassiek blackjack met 52 kaarten per deck: basic strategy, index plays, eigen profielen en de EV engine.',
+    'variant.spanish21.description': 'Geen tienen in de decks, een 21 van de speler wint altijd en vijf of meer kaarten naar 21 betalen een bonus. Double mag met elk aantal kaarten; na een double mag je de hand nog opgeven (double down rescue).',
+    'variant.freeBet.description': 'Gratis double op hard 9-11 en gratis split van alle pairs behalve tienen, maar een dealer 22 is gelijkspel. Geen surrender.',
+    'variant.switch.description': 'Twee handen waarvan je de tweede kaarten mag wisselen. Blackjack betaalt 1:1, een dealer 22 is gelijkspel en surrender kan niet.',
+    'variant.advice': '{variant}: {action} met {hand} tegen {dealer}.',
+    'variant.adviceCards': '{variant}: {action} met {hand} tegen {dealer}. De tabel kijkt hier ook naar het aantal kaarten: het advies geldt tot en met {max} kaarten.',
+    'variant.freeBet.free': '{variant}: gratis {action} met {hand} tegen {dealer} - het casino betaalt de extra inzet.',
+    'variant.hand.total': '{type} {total}',
+    'variant.hand.pair': 'pair {card}',
+    'variant.noEv': 'De EV engine rekent alleen klassiek blackjack door; de volgorde komt uit de tabel van {variant}.',
+    'variant.switch.title': 'Switch',
+    'variant.switch.help': 'Vul beide handen in en kies de dealer kaart: het advies zegt of je de tweede kaarten wisselt.',
+    'variant.switch.first': 'Hand 1, bijv. T5',
+    'variant.switch.second': 'Hand 2, bijv. 6T',
+    'variant.switch.submit': 'Switch advies',
+    'variant.switch.switch': 'Switchen: speel {first} en {second} (EV samen {ev}, zonder switch {otherEv}).',
+    'variant.switch.keep': 'Niet switchen: speel {first} en {second} (EV samen {ev}, met switch {otherEv}).',
+    'variant.rescue.title': 'Double down rescue',
+    'variant.rescue.help': 'Vul de hand na de double in, met de kaart van de double, en kies de dealer kaart: het advies zegt of je de hand opgeeft. Je verliest dan alleen de oorspronkelijke inzet.',
+    'variant.rescue.hand': 'Hand na de double, bijv. 562',
+    'variant.rescue.submit': 'Rescue advies',
+    'variant.rescue.rescue': 'Rescue: geef {hand} op en krijg de double terug (EV {rescueEv}, staan {standEv}).',
+    'variant.rescue.stand': 'Geen rescue: blijf staan met {hand} (EV {standEv}, rescue {rescueEv}).',
+
+    // EV verlies door fouten
+    'mistakes.title': 'EV verlies door fouten',
+    'mistakes.help': 'Kies je in de training of een live hand een andere actie dan het advies, dan telt het verschil in EV hier op. Zo zie je welke fouten echt geld kosten.',
+    'mistakes.byCategory': 'Per soort hand',
+    'mistakes.worst': 'Duurste fouten',
+    'mistakes.reset': 'Nieuwe Sessie',
+    'mistakes.none': 'Nog geen fouten deze sessie',
+    'mistakes.summary': '{cost} van een inzet verloren aan {count} fouten',
+    'mistakes.summary.one': '{cost} van een inzet verloren aan {count} fout',
+    'mistakes.count': '{count} fouten',
+    'mistakes.count.one': '{count} fout',
+    'mistakes.cost': '{action} met {hand} tegen {dealer} kost {cost} van je inzet (advies: {advised}).',
+    'mistakes.noCost': '{action} met {hand} tegen {dealer} wijkt af van het advies ({advised}), maar kost volgens de EV niets.',
+    'mistakes.costUnknown': '{action} met {hand} tegen {dealer} wijkt af van het advies ({advised}). Wat dat kost is onbekend: de EV engine rekent deze variant niet door.',
+    'mistakes.worstEntry': '{action} met {hand} tegen {dealer} in plaats van {advised}: {cost} ({count}×)',
+    'mistakes.hand.total': '{type} {total}',
+    'mistakes.hand.pair': 'pair {card}',
+
+    // Inzet en bankroll
+    'bankroll.title': 'Inzet & Bankroll',
+    'bankroll.tableMin': 'Tafelminimum',
+    'bankroll.tableMax': 'Tafelmaximum',
+    'bankroll.spread': 'Spread (1 tot …)',
+    'bankroll.handsPerHour': 'Handen per uur',
+    'bankroll.betNow': 'Inzet nu',
+    'bankroll.advantage': 'Voordeel',
+    'bankroll.hourlyWin': 'Winst per uur',
+    'bankroll.hourlySd': 'SD per uur',
+    'bankroll.kelly.1': 'Volledige Kelly',
+    'bankroll.kelly.0.5': 'Halve Kelly',
+    'bankroll.kelly.0.25': 'Kwart Kelly',
+    'bankroll.noteCounting': 'Voordeel uit de true count ({trueCount}), ongeveer 0.5% per punt. Winst per uur en risk of ruin gelden voor de hele inzet ramp hieronder.',
+    'bankroll.noteNoCounting': 'Zonder tellen geldt de geschatte house edge van de tafelregels ({houseEdge}): er is geen voordeel, dus zet het minimum in.',
+    'bankroll.summary': 'Inzet {bet} · {kelly} · RoR {ror}',
+
+    // Side bets
+    'sideBets.summary': 'Perfect Pairs en 21+3',
+    'sideBets.help': 'Pas de uitbetalingen (x:1) aan naar de tafel. Staat kaarten tellen aan, dan wordt gerekend met de kaarten die nog in de shoe zitten (kleuren zijn onbekend en worden gelijk verdeeld).',
+    'sideBets.payout': 'Uitbetaling',
+    'sideBets.edge': 'House edge {edge} (EV {ev})',
+    'sideBets.perfectPairs': 'Perfect Pairs',
+    'sideBets.twentyOnePlusThree': '21+3',
+    'sideBets.mixed': 'Mixed pair',
+    'sideBets.coloured': 'Coloured pair',
+    'sideBets.perfect': 'Perfect pair',
+    'sideBets.flush': 'Flush',
+    'sideBets.straight': 'Straight',
+    'sideBets.threeOfAKind': 'Three of a kind',
+    'sideBets.straightFlush': 'Straight flush',
+    'sideBets.suitedTrips': 'Suited trips',
+
+    // Snelle invoer
+    'notation.title': 'Snelle Invoer',
+    'notation.placeholder': 'bijv. A7 v 9, 88 vs T of s18 v A',
+    'notation.submit': 'Invoeren',
+    'notation.shortcuts': 'Sneltoetsen: 2-9, 0 of T (tien), J, Q, K en 1 of A voegen een kaart toe · D en dan een kaart kiest de dealer kaart · Enter vraagt advies · Backspace haalt de laatste kaart weg · / springt naar dit veld',
+
+    // Adviseur
+    'advisor.dealerCard': 'Dealer Kaart',
+    'advisor.yourHand': 'Jouw Hand',
+    'advisor.mode.cards': 'Kaarten Invoer',
+    'advisor.mode.total': 'Totaal Invoer',
+    'advisor.cardsHelp': 'Klik op kaarten om je hand samen te stellen',
+    'advisor.clearCards': 'Wis Kaarten',
+    'advisor.handTotal': 'Hand Totaal:',
+    'advisor.handTotalPlaceholder': 'bijv. 16',
+    'advisor.softHand': 'Soft hand (bevat Aas als 11)',
+    'advisor.actions': 'Beschikbare Acties',
+    'advisor.action.hit': 'Hit (Kaart)',
+    'advisor.action.stand': 'Stand (Blijven)',
+    'advisor.action.double': 'Double (Dubbel)',
+    'advisor.action.split': 'Split (Splitsen)',
+    'advisor.action.surrender': 'Surrender (Opgeven)',
+    'advisor.actionsHelp': 'Hit en Stand zijn altijd beschikbaar',
+    'advisor.getAdvice': 'Krijg Strategie Advies',
+    'advisor.bust': 'Je hand is al gebusted (over 21). Er is geen actie meer mogelijk.',
+    'advisor.splitTwentyOne': '21 na een split telt niet als blackjack (uitbetaling 1:1) - blijf staan.',
+    'advisor.blackjack': 'Blackjack! Je hebt de perfecte hand.',
+    'advisor.splitAcesStand': 'Na het splitten van azen krijg je maar één kaart - deze hand staat, tenzij je de azen opnieuw splitst.',
+    'advisor.splitAcesHandStands': 'Hand {hand}: na het splitten van azen krijg je maar één kaart - deze hand staat.',
+    'advisor.handSummary': '{label}: {type} {total}',
+    'advisor.handSummaryPair': '{label}: {type} {total} (Pair)',
+    'advisor.splitHandLabel': 'Split hand {hand}/{count}',
+
+    // Split
+    'split.execute': 'Split uitvoeren',
+    'split.finishHand': 'Hand klaar',
+    'split.cancel': 'Stop split',
+    'split.allDone': 'Alle split handen zijn gespeeld.',
+    'split.addSecondCard': 'Hand {hand} van {count}: voeg de tweede kaart toe.',
+    'split.askAdvice': 'Hand {hand} van {count}: vraag advies of klik op "Hand klaar".',
+    'split.noDas': 'Double na split is aan deze tafel niet toegestaan.',
+
+    // Meldingen
+    'alert.maxCards': 'Maximaal 5 kaarten',
+    'alert.splitDone': 'Alle split handen zijn gespeeld - wis de kaarten voor een nieuwe hand',
+    'alert.splitAcesOneCard': 'Na het splitten van azen krijg je maar één kaart per hand',
+    'alert.cannotSplit': 'Deze hand kan niet (meer) gesplitst worden',
+    'alert.secondCard': 'Voeg eerst de tweede kaart toe aan deze hand',
+    'alert.selectDealer': 'Selecteer eerst een dealer kaart',
+    'alert.splitSecondCard': 'Voeg eerst de tweede kaart toe aan deze split hand',
+    'alert.minCards': 'Selecteer minimaal 2 kaarten',
+    'alert.invalidTotal': 'Voer een geldig totaal in (4-21)',
+    'alert.finishRound': 'Maak eerst de huidige ronde af',
+    'alert.liveActive': 'Stop eerst de live hand',
+    'alert.compositionLoaded': '{count} gezien kaarten uit de shoe gehaald',
+    'alert.compositionLoaded.one': '{count} gezien kaart uit de shoe gehaald',
+    'alert.imported': '{count} beslissingen geïmporteerd',
+    'alert.imported.one': '{count} beslissing geïmporteerd',
+    'confirm.resetTrainer': 'Alle trainingsstatistieken wissen?',
+    'confirm.resetDrill': 'Alle voortgang in het herhaalschema wissen?',
+    'confirm.resetBalance': 'Saldo terugzetten naar het startbedrag?',
+    'confirm.clearHistory': 'Hele historie wissen? Dit kan niet ongedaan gemaakt worden.',
+    'confirm.newShoe': 'Nieuwe shoe starten? Alle getelde kaarten worden gewist.',
+    'confirm.deleteProfile': 'Profiel "{name}" verwijderen?',
+    'alert.profilesImported': '{count} profielen geïmporteerd: {names}',
+    'alert.profilesImported.one': 'Profiel "{names}" geïmporteerd',
+
+    // Insurance en EV
+    'insurance.action': '{name}: {decision} (EV {ev})',
+    'insurance.take': 'nemen',
+    'insurance.decline': 'niet nemen',
+    'ev.action': 'Actie',
+    'ev.perBet': 'EV per inzet',
+    'ev.noteNoBlackjack': 'Gegeven dat de dealer geen blackjack heeft.',
+    'ev.noteDecks': 'Berekend met {count} decks, bekende kaarten uit de shoe.',
+    'ev.noteDecks.one': 'Berekend met {count} deck, bekende kaarten uit de shoe.',
+    'ranking.title': 'Alle acties, beste eerst',
+    'ranking.titleUnordered': 'Alle acties, eerst advies en keten bij weigering',
+    'ranking.chain': 'Bij weigering',
+    'ranking.advised': 'Advies',
+    'ranking.fallback': 'Anders',
+    'ranking.fallbacks': 'Volgorde bij weigering: {chain}',
+    'ranking.otherwise': 'anders',
+
+    // Eindstand van de dealer
+    'dealerOdds.title': 'Eindstand van de dealer',
+    'dealerOdds.bust': 'Bust',
+    'dealerOdds.blackjack': 'Blackjack',
+    'dealerOdds.note': '{rule}, {count} kaarten in de shoe. {blackjack}',
+
+    // Training
+    'trainer.handLabel': 'Jouw hand ({type} {total})',
+    'trainer.correct': 'Goed! {action}',
+    'trainer.incorrect': 'Fout - juiste actie: {action}',
+    'trainer.stats': 'Statistieken',
+    'trainer.statsByCategory': 'Per soort hand',
+    'trainer.statsByDealer': 'Per dealer kaart',
+    'trainer.resetStats': 'Statistieken Wissen',
+    'drill.title': 'Beheersing',
+    'drill.help': 'De training vraagt eerst naar de cellen die aan de beurt zijn. Een goed en snel antwoord schuift een cel een box op en hij komt later terug; een fout zet hem terug in box 0. Hoe donkerder de cel, hoe beter je hem kent.',
+    'drill.summary': '{seen} van {total} cellen geoefend · {due} aan de beurt · {mastered} beheerst',
+    'drill.legend': 'Leeg = nog niet geoefend · 0-{max} = box (wachttijd van 1 minuut tot 3 weken) · Omlijnd = aan de beurt',
+    'drill.cellNew': 'Nog niet geoefend',
+    'drill.cellTitle': 'Box {box} · {correct} van {seen} goed',
+    'drill.reset': 'Schema Wissen',
+
+    // Speeltafel
+    'table.balance': 'Saldo:',
+    'table.bet': 'Inzet:',
+    'table.deal': 'Delen',
+    'table.showHint': 'Toon advies voor elke actie',
+    'table.resetBalance': 'Saldo Resetten',
+    'table.dealerTotal': 'Dealer ({total})',
+    'table.handLabel': '{hand} ({total}) - inzet {bet}',
+    'table.surrendered': 'Opgegeven',
+    'table.hint': 'Advies: {action} - {explanation}',
+    'game.win': '{prefix}Je wint {amount}',
+    'game.lose': '{prefix}Je verliest {amount}',
+    'game.push': '{prefix}Push - inzet terug',
+    'game.dealerBlackjack': 'Dealer heeft blackjack. ',
+    'game.playerBlackjack': 'Blackjack! ',
+
+    // Live hand
+    'live.title': 'Live Hand',
+    'live.help': 'Volg een echte hand van delen tot uitbetaling: het advies wordt na elke kaart vernieuwd en alleen acties die aan tafel mogen zijn beschikbaar.',
+    'live.start': 'Start live hand',
+    'live.dealerBlackjack': 'Dealer heeft blackjack',
+    'live.undo': 'Ongedaan maken',
+    'live.stop': 'Stop live hand',
+    'live.status.idle': 'Geen live hand bezig',
+    'live.status.upcard': 'Kies de upcard van de dealer en je twee kaarten',
+    'live.status.playerCards': 'Voeg je twee kaarten toe',
+    'live.status.decide': 'Kies je actie; een nieuwe kaart invoeren telt als hit',
+    'live.status.decideHand': 'Hand {hand} van {count}: kies je actie',
+    'live.status.splitCard': 'Hand {hand}: voeg de tweede kaart toe',
+    'live.status.hitCard': 'Voeg de getrokken kaart toe',
+    'live.status.doubleCard': 'Voeg de kaart van je double toe',
+    'live.status.holeCard': 'Dealer speelt: kies de hole card bij de dealer kaarten',
+    'live.status.dealerDraws': 'Dealer heeft {total} en trekt: kies de volgende dealer kaart',
+    'live.result': '{prefix}Resultaat: {units} × inzet',
+
+    // Strategie tabellen
+    'chart.title': 'Strategie Tabellen',
+    'chart.print': 'Printen',
+    'chart.section.hard': 'Hard totalen',
+    'chart.section.soft': 'Soft totalen',
+    'chart.section.pairs': 'Pairs',
+    'chart.legend.H': 'Hit',
+    'chart.legend.S': 'Stand',
+    'chart.legend.Dh': 'Double, anders hit',
+    'chart.legend.Ds': 'Double, anders stand',
+    'chart.legend.P': 'Split',
+    'chart.legend.Rh': 'Surrender, anders hit',
+    'chart.legend.Rs': 'Surrender, anders stand',
+    'chart.legend.Rp': 'Surrender, anders split',
+
+    // Historie
+    'history.whatDidYouDo': 'Wat heb je gedaan?',
+    'history.outcomeUnknown': 'Nog onbekend',
+    'history.session': 'Sessie',
+    'history.allSessions': 'Alle sessies',
+    'history.thisSession': '(deze sessie)',
+    'history.dealerCard': 'Dealer kaart',
+    'history.followed': 'Advies gevolgd',
+    'history.import': 'Importeren',
+    'history.clear': 'Wis Historie',
+    'history.time': 'Tijd',
+    'history.hand': 'Hand',
+    'history.actions': 'Acties',
+    'history.taken': 'Gekozen',
+    'history.count': '{count} beslissingen',
+    'history.count.one': '{count} beslissing',
+    'history.followedSummary': '{count} · advies gevolgd bij {followed} van {total} ({percent}%)',
+    'outcome.win': 'Gewonnen',
+    'outcome.lose': 'Verloren',
+    'outcome.push': 'Push',
+    'outcome.bust': 'Bust',
+    'outcome.blackjack': 'Blackjack',
+    'outcome.surrender': 'Surrender',
+
+    // Eigen strategie
+    'profiles.title': 'Eigen Strategie',
+    'profiles.help': 'Overschrijf een cel uit de tabellen met je eigen actie en notitie. Het actieve profiel geldt voor het advies, de training en de speeltafel. Klik op een cel om hem te kiezen.',
+    'profiles.active': 'Actief profiel',
+    'profiles.none': 'Geen (standaard strategie)',
+    'profiles.new': 'Nieuw profiel',
+    'profiles.delete': 'Verwijder profiel',
+    'profiles.namePrompt': 'Naam van het nieuwe profiel',
+    'profiles.editCell': 'Cel overschrijven',
+    'profiles.handType': 'Soort hand',
+    'profiles.action': 'Eigen actie',
+    'profiles.note': 'Notitie',
+    'profiles.notePlaceholder': 'Waarom wijk je hier af?',
+    'profiles.save': 'Opslaan',
+    'profiles.engine': 'Engine',
+    'profiles.engineAction': 'Advies van de engine: {action}',
+    'profiles.remove': 'Verwijderen',
+    'profiles.badge': 'Eigen strategie: {profile}',
+
+    // Strategy engine: pairs
+    'strategy.pair.surrender': '{card},{card} tegen deze dealer kaart is zo ongunstig dat surrender beter is dan splitten.',
+    'strategy.pair.acesNoHoleCard': 'Zonder hole card verlies je beide inzetten als dealer blackjack heeft - niet splitten tegen A.',
+    'strategy.pair.aces': 'Split aces altijd - geeft twee kansen op blackjack.',
+    'strategy.pair.tens': '20 is een te goede hand om te splitten.',
+    'strategy.pair.ninesStand': '18 is sterk genoeg tegen deze dealer kaart.',
+    'strategy.pair.ninesSplit': 'Split 9s tegen zwakkere dealer kaarten voor meer winst.',
+    'strategy.pair.eightsNoHoleCard': 'Zonder hole card riskeer je twee inzetten tegen een mogelijke blackjack - niet splitten.',
+    'strategy.pair.eights': 'Split 8s altijd - 16 is een slechte hand, twee 18s is beter.',
+    'strategy.pair.splitWeakDealer': 'Split {card}s tegen zwakkere dealer kaarten.',
+    'strategy.pair.sevensHit': '14 is te zwak - neem een kaart.',
+    'strategy.pair.sixesSplit': 'Split 6s wanneer dealer zwak is (bust kans).',
+    'strategy.pair.sixesHit': '12 is te zwak tegen sterke dealer kaart.',
+    'strategy.pair.foursSplit': 'Split 4s alleen tegen de zwakste dealer kaarten.',
+    'strategy.pair.foursHit': '8 is te laag - neem een kaart.',
+    'strategy.pair.foursHitNoDas': '8 is te laag - zonder double after split loont splitten niet.',
+    'strategy.pair.threesHit': '6 is te laag tegen sterke dealer kaart.',
+    'strategy.pair.twosHit': '4 is te laag - neem kaarten tot 12+.',
+
+    // Strategy engine: soft totalen
+    'strategy.soft.21': '21 - blijf staan.',
+    'strategy.soft.20': 'Soft 20 is bijna perfect - blijf staan.',
+    'strategy.soft.19Double': 'Double soft 19 tegen 6 voor extra winst (dealer heeft hoge bust kans).',
+    'strategy.soft.19Stand': 'Soft 19 is sterk - blijf staan.',
+    'strategy.soft.18Hit': 'Soft 18 is zwak tegen 9-A - probeer te verbeteren.',
+    'strategy.soft.18Double': 'Double soft 18 tegen zwakke dealer voor meer winst.',
+    'strategy.soft.18DoubleVs2': 'Double soft 18 tegen 2 - dealer die soft 17 hit bust vaker.',
+    'strategy.soft.18Stand': 'Soft 18 is redelijk tegen deze kaart.',
+    'strategy.soft.17Double': 'Double soft 17 tegen zwakke dealer - kan niet busten.',
+    'strategy.soft.17Hit': 'Soft 17 is zwak - neem een kaart (kan niet busten).',
+    'strategy.soft.15Double': 'Double tegen dealer 4-6 voor optimale winst.',
+    'strategy.soft.15Hit': 'Hand is te zwak - neem kaarten (kan niet busten).',
+    'strategy.soft.13Double': 'Double tegen de zwakste dealer kaarten.',
+    'strategy.soft.13Hit': 'Hand is zwak - blijf kaarten nemen.',
+    'strategy.soft.low': 'Hand is te laag - blijf kaarten nemen.',
+
+    // Strategy engine: hard totalen
+    'strategy.hard.17Stand': '{total} is hoog genoeg - risico op busten is te groot.',
+    'strategy.hard.16Stand': 'Dealer heeft hoge bust kans - blijf staan met 16.',
+    'strategy.hard.16Hit': '16 is zwak tegen sterke dealer - risico nemen.',
+    'strategy.hard.15Stand': 'Dealer kan gemakkelijk busten - blijf staan.',
+    'strategy.hard.15Hit': '15 is te zwak - neem het risico.',
+    'strategy.hard.13Stand': 'Dealer heeft zwakke kaart - laat dealer busten.',
+    'strategy.hard.13Hit': '{total} is te laag tegen sterke dealer.',
+    'strategy.hard.12Stand': 'Dealer heeft hoogste bust kans - blijf staan.',
+    'strategy.hard.12Hit': '12 is te laag - bust kans is acceptabel (alleen 10,J,Q,K).',
+    'strategy.hard.11NoHoleCard': 'Zonder hole card riskeer je een dubbele inzet tegen een mogelijke blackjack - gewoon hitten.',
+    'strategy.hard.11Double': '11 is perfect voor doubling - grote kans op 21.',
+    'strategy.hard.11Hit': '11 kan niet busten - neem een kaart.',
+    'strategy.hard.10Double': '10 is sterk voor doubling tegen deze dealer kaart.',
+    'strategy.hard.10Hit': '10 kan niet busten - neem een kaart.',
+    'strategy.hard.9Double': 'Double 9 tegen zwakke dealer kaarten.',
+    'strategy.hard.9Hit': '9 is te laag - blijf kaarten nemen.',
+    'strategy.hard.8DoubleSingleDeck': 'Bij 1 deck is double 8 tegen 5-6 net winstgevend.',
+    'strategy.hard.low': 'Hand is te laag - kan niet busten, blijf kaarten nemen.',
+
+    // Strategy engine: surrender, compositie, count en insurance
+    'strategy.surrender.16': '16 tegen 9-A is zeer ongunstig - surrender minimaliseert verlies.',
+    'strategy.surrender.15': '15 tegen 10 is zeer ongunstig - surrender is beste optie.',
+    'strategy.surrender.early': 'Early surrender: {total} tegen {dealer} opgeven voordat de dealer op blackjack checkt.',
+    'strategy.surrender.hitsSoft17': '{total} tegen {dealer} is ongunstig wanneer dealer soft 17 hit - surrender minimaliseert verlies.',
+    'strategy.composition': '{play} Compositie afhankelijk: op basis van alleen het totaal zou het {totalAction} zijn.',
+    'strategy.composition.threeCard16': 'Deze 16 van drie kaarten heeft lage kaarten uit de shoe gehaald - de kans op verbeteren is kleiner, dus blijf staan.',
+    'strategy.composition.multiCard16': 'Een 16 van vier of meer kaarten zonder 6, 9 of 10 heeft veel lage kaarten uit de shoe gehaald - de kans op verbeteren is kleiner, dus blijf staan.',
+    'strategy.composition.tenTwo': 'Met een 10 in je hand zitten er minder tienen in een kleine shoe - 10-2 mag tegen 4 nog een kaart nemen (8-4 en 7-5 blijven staan).',
+    'strategy.composition.sixTwo': 'Bij 1 deck is double 8 tegen 6 alleen winstgevend met 5-3 of 4-4; met 6-2 ontbreekt een 6 die de dealer had kunnen laten busten.',
+    'strategy.composition.eightSeven': 'Met 8-7 tegen een aas is een kaart nemen beter dan opgeven; 10-5 en 9-6 geef je wel op.',
+    'strategy.composition.twelveVsThree': 'Zonder 10 in je hand zitten er meer tienen in een kleine shoe - 8-4 en 7-5 blijven tegen 3 staan (10-2 en 9-3 nemen een kaart).',
+    'strategy.deviation': 'Count afwijking ({group}: {name}, index {index}): bij true count {trueCount} is {action} beter dan {basicAction}.',
+    'strategy.shoe': 'Met de kaarten die nog in de shoe zitten is {action} beter dan {basicAction} (EV {ev} tegen {basicEv}).',
+    'strategy.override': 'Eigen strategie ({profile}): {action} in plaats van {engineAction}.{note}',
+    'strategy.override.same': 'Eigen strategie ({profile}): {action}, gelijk aan het advies van de engine.{note}',
+    'strategy.override.note': ' Notitie: {note}',
+    'strategy.insurance.insurance': 'Insurance',
+    'strategy.insurance.evenMoney': 'Even money',
+    'strategy.insurance.take': 'Kans op een 10 onder de aas: {probability} (break-even {breakEven}). {name} levert gemiddeld {ev} van je inzet op - nemen.',
+    'strategy.insurance.decline': 'Kans op een 10 onder de aas: {probability} (break-even {breakEven}). {name} kost gemiddeld {ev} van je inzet - niet nemen.',
+    'strategy.insurance.withIndex': 'Geschat uit true count {trueCount}: {advice} Illustrious 18: insurance vanaf +{index}.',
+
+    // Command line
+    'cli.usage': 'Geef een hand op ("A7 v 9" of --dealer en --hand), of lever handen via stdin (één per regel)',
+    'cli.line': 'Regel {line}: {message}',
+    'simulate.rounds': 'Rondes',
+    'simulate.hands': 'Handen',
+    'simulate.houseEdge': 'House edge',
+    'simulate.variance': 'Variantie',
+    'simulate.wagered': 'Inzet per ronde',
+    'simulate.outcomes': 'Uitkomsten (per hand)',
+    'simulate.actions': 'Acties (per beslissing)',
+    'simulate.comparison': 'Vergelijking house edge',
+    'simulate.outcome.win': 'Gewonnen',
+    'simulate.outcome.loss': 'Verloren',
+    'simulate.outcome.push': 'Push',
+    'simulate.outcome.bust': 'Bust',
+    'simulate.outcome.blackjack': 'Blackjack',
+    'simulate.outcome.dealerBlackjack': 'Dealer blackjack',
+    'simulate.outcome.surrender': 'Surrender',
+
+    // Foutmeldingen
+    'error.unknownLocale': 'Onbekende taal: {locale}',
+    'error.counting.unknownSystem': 'Onbekend telsysteem: {system}',
+    'error.composition.noneLeft': 'Er zit geen {card} meer in de shoe',
+    'error.composition.noneRemoved': 'Er is geen {card} verwijderd om terug te leggen',
+    'error.variant.unknown': 'Onbekende variant: {variant}',
+    'error.variant.switchHand': 'Vul voor beide handen precies twee kaarten in, bijv. T5 en 6T',
+    'error.variant.rescueHand': 'Vul de hand na de double in: minstens drie kaarten en niet boven 21, bijv. 562',
+    'error.history.notFound': 'Beslissing niet gevonden in de historie',
+    'error.history.invalidJson': 'Ongeldig JSON bestand',
+    'error.history.noRecords': 'Geen beslissingen gevonden in het bestand',
+    'error.history.invalidRecord': 'Ongeldige beslissing: id, timestamp, dealerCard en advisedAction zijn verplicht',
+    'error.history.invalidCsv': 'Ongeldig CSV bestand: kopregel ontbreekt',
+    'error.profiles.nameRequired': 'Geef het profiel een naam',
+    'error.profiles.exists': 'Er is al een profiel met de naam "{name}"',
+    'error.profiles.notFound': 'Profiel "{name}" niet gevonden',
+    'error.profiles.invalidJson': 'Ongeldig JSON bestand',
+    'error.profiles.noProfiles': 'Geen profielen gevonden in het bestand',
+    'error.profiles.invalidProfile': 'Ongeldig profiel: name en overrides zijn verplicht',
+    'error.profiles.invalidOverride': 'Ongeldige afwijking: kies een bestaande cel (type, hand, dealer) en een actie die daar kan',
+    'error.sideBets.unknownBet': 'Onbekende side bet: {bet}',
+    'error.notation.empty': 'Voer een hand in, bijv. "A7 v 9"',
+    'error.notation.separator': 'Gebruik één keer "v" tussen hand en dealer kaart: "{input}"',
+    'error.notation.noHand': 'Geen hand gevonden voor "v" in "{input}"',
+    'error.notation.dealer': 'De dealer heeft één upcard, bijv. "v 9" (gevonden: "{dealer}")',
+    'error.notation.minCards': 'Een hand heeft minimaal 2 kaarten (gevonden: "{hand}")',
+    'error.notation.softRange': 'Een soft totaal ligt tussen 12 en 21 (gevonden: {total})',
+    'error.notation.hardRange': 'Een hard totaal ligt tussen 4 en 21 (gevonden: {total})',
+    'error.notation.unknownCard': 'Onbekende kaart "{card}" - gebruik 2-9, T/10, J, Q, K of A',
+    'error.notation.bareTotal': '"{hand}" zijn geen kaarten - schrijf een totaal als h{hand} (hard) of s{hand} (soft)',
+    'error.notation.over21': '"{hand}" telt {total} en is al bust - een hand om advies over telt hooguit 21',
+    'error.notation.shoe': 'Onmogelijke hand: {cards}x {card} terwijl er maar {available} in {count} decks zitten',
+    'error.notation.shoe.one': 'Onmogelijke hand: {cards}x {card} terwijl er maar {available} in {count} deck zitten',
+    'error.notation.notInDeck': 'Er zit geen {card} in de decks van deze variant',
+    'error.trainer.noQuestion': 'Er is geen open vraag',
+    'error.bankroll.bankroll': 'Voer een geldige bankroll in',
+    'error.bankroll.tableLimits': 'Het tafelmaximum moet minstens het tafelminimum zijn',
+    'error.bankroll.spread': 'De spread moet minimaal 1 zijn',
+    'error.bankroll.kellyFraction': 'Kies een Kelly fractie tussen 0 en 1',
+    'error.bankroll.handsPerHour': 'Voer een geldig aantal handen per uur in',
+    'error.game.roundInProgress': 'De huidige ronde is nog niet afgelopen',
+    'error.game.invalidBet': 'Voer een geldige inzet in',
+    'error.game.insufficientFunds': 'Onvoldoende saldo voor deze inzet',
+    'error.game.actionNotAllowed': '{action} is nu niet toegestaan',
+    'error.live.upcardFixed': 'De upcard ligt al vast - gebruik Ongedaan maken om hem te wijzigen',
+    'error.live.needUpcard': 'Je hebt al twee kaarten - kies nu de upcard van de dealer',
+    'error.live.noPlayerCard': 'Je hand is klaar - de kaarten zijn nu voor de dealer',
+    'error.live.noDealerCard': 'De dealer speelt pas als alle handen klaar zijn',
+    'error.live.peekBlackjack': 'De dealer heeft al gekeken en had geen blackjack',
+    'error.live.noDealerBlackjack': 'Een dealer blackjack kan alleen met een aas of tien voor de eerste beslissing',
+    'error.cli.unknownOption': 'Onbekende optie: {option}',
+    'error.cli.unknownPreset': 'Onbekende preset: {preset} (kies uit {choices})',
+    'error.cli.unknownLocale': 'Onbekende taal: {locale} (kies uit {choices})',
+    'error.cli.trueCount': '--true-count moet een getal zijn',
+    'error.cli.missingValue': '{option} verwacht een waarde',
+    'error.cli.decks': '--decks moet een geheel getal van minimaal 1 zijn',
+    'error.cli.surrender': 'Onbekende surrender regel: {surrender} (kies uit {choices})',
+    'error.cli.rounds': '--rounds moet een positief getal zijn',
+    'error.cli.dealer': 'Geef een dealer kaart op (--dealer)',
+    'error.cli.minCards': 'Een hand heeft minimaal 2 kaarten',
+    'error.cli.hand': 'Geef een hand op (--hand 9,7) of een totaal tussen 4 en 21 (--total 16)',
+    'error.cli.unknownAction': 'Onbekende actie: {action} (kies uit {choices})'
+};
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessagesNl;
+}
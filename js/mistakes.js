@@ -0,0 +1,133 @@
+/**
+ * Mistake Tracker
+ *
+ * Houdt per sessie bij hoeveel EV de speler verliest door van het advies af te
+ * wijken, in de training en in de live hand. De kosten van een fout zijn het
+ * verschil in EV tussen de geadviseerde en de gekozen actie, in eenheden van
+ * de inzet (0.019 = 1,9% van je inzet). Fouten worden gegroepeerd per soort
+ * hand (hard, soft, pair), zodat je ziet welke fouten echt geld kosten in
+ * plaats van elke fout even zwaar te tellen. Een sessie duurt tot de pagina
+ * herladen wordt, net als in de historie.
+ */
+
+class MistakeTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.mistakes = [];
+    }
+
+    /**
+     * Vergelijk een gekozen actie met het advies en leg een afwijking vast
+     * @param {Object} hand - Uit BlackjackStrategy.evaluateHand() ({total, isSoft, isPair, cards})
+     * @param {string} dealerCard
+     * @param {string} action - Gekozen actie ('hit' of 'HIT', ...)
+     * @param {string} advisedAction - Actie uit getAdvice() ('HIT', ...)
+     * @param {Object|null} evs - EV per actie ({hit: -0.2, ...}); null als de EV niet bekend is
+     * @param {string} source - 'trainer' of 'live'
+     * @returns {Object|null} - De fout {category, total, pairCard, dealer, action, advisedAction, cost, source},
+     *                          of null als de actie het advies volgde
+     */
+    record(hand, dealerCard, action, advisedAction, evs, source) {
+        action = action.toUpperCase();
+        if (action === advisedAction) {
+            return null;
+        }
+
+        const mistake = {
+            category: MistakeTracker.category(hand),
+            total: hand.total,
+            pairCard: hand.isPair ? MistakeTracker.dealerKey(hand.cards[0]) : null,
+            dealer: MistakeTracker.dealerKey(dealerCard),
+            action,
+            advisedAction,
+            cost: evs ? MistakeTracker.cost(evs, action, advisedAction) : null,
+            source
+        };
+        this.mistakes.push(mistake);
+        return mistake;
+    }
+
+    /**
+     * Totale EV die deze sessie aan fouten verloren is
+     */
+    totalCost() {
+        return this.mistakes.reduce((sum, mistake) => sum + (mistake.cost || 0), 0);
+    }
+
+    /**
+     * Fouten per soort hand, duurste eerst
+     * @returns {Array<Object>} - [{category, count, cost}]
+     */
+    byCategory() {
+        return MistakeTracker.CATEGORIES
+            .map(category => {
+                const mistakes = this.mistakes.filter(mistake => mistake.category === category);
+                return {
+                    category,
+                    count: mistakes.length,
+                    cost: mistakes.reduce((sum, mistake) => sum + (mistake.cost || 0), 0)
+                };
+            })
+            .sort((a, b) => b.cost - a.cost || b.count - a.count);
+    }
+
+    /**
+     * Dezelfde fout (hand, dealer kaart en gekozen actie) samengenomen, duurste eerst
+     * @param {number} [limit=5]
+     * @returns {Array<Object>} - [{category, total, pairCard, dealer, action, advisedAction, count, cost}]
+     */
+    worst(limit = 5) {
+        const groups = new Map();
+        for (const mistake of this.mistakes) {
+            const key = [mistake.category, mistake.pairCard || mistake.total, mistake.dealer, mistake.action].join('|');
+            if (!groups.has(key)) {
+                groups.set(key, Object.assign({}, mistake, { count: 0, cost: 0 }));
+            }
+            const group = groups.get(key);
+            group.count++;
+            group.cost += mistake.cost || 0;
+        }
+        return [...groups.values()]
+            .sort((a, b) => b.cost - a.cost || b.count - a.count)
+            .slice(0, limit);
+    }
+
+    /**
+     * EV verschil tussen advies en gekozen actie. Een keuze die volgens de EV
+     * niet slechter is (bijv. een eigen afwijking) kost niets.
+     * @returns {number|null} - null als een van beide EV's ontbreekt
+     */
+    static cost(evs, action, advisedAction) {
+        const chosen = evs[action.toLowerCase()];
+        const advised = evs[advisedAction.toLowerCase()];
+        if (typeof chosen !== 'number' || typeof advised !== 'number') {
+            return null;
+        }
+        return Math.max(0, advised - chosen);
+    }
+
+    /**
+     * Soort hand zoals calculateHand() hem ziet
+     */
+    static category(hand) {
+        if (hand.isPair) return 'pair';
+        return hand.isSoft ? 'soft' : 'hard';
+    }
+
+    /**
+     * J, Q en K vallen samen met 10
+     */
+    static dealerKey(card) {
+        return ['J', 'Q', 'K'].includes(card) ? '10' : card;
+    }
+}
+
+MistakeTracker.CATEGORIES = ['hard', 'soft', 'pair'];
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MistakeTracker;
+}
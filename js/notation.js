@@ -0,0 +1,154 @@
+/**
+ * Hand Notation Parser
+ *
+ * Leest een hand in korte notatie, zoals "A7 v 9", "88 vs T", "10,6 tegen A"
+ * of "s18 v A" (soft 18). Zonder "v <dealer>" blijft de dealer kaart leeg.
+ * Cijfers zijn altijd kaarten: "22" is een pair 2 en "18" is geen hand. Een
+ * totaal krijgt s of h (hard) ervoor, bijv. "h18".
+ */
+
+// In Node via require, in de browser via de <script> tags
+const NotationDeps = typeof module !== 'undefined' && module.exports
+    ? { I18n: require('./i18n.js'), BlackjackStrategy: require('./strategy.js'), ExpectedValueEngine: require('./ev-engine.js') }
+    : { I18n, BlackjackStrategy, ExpectedValueEngine };
+
+class HandNotation {
+    /**
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {number} [options.decks] - Controleer dat er niet meer kaarten van een rang zijn dan in de shoe
+     * @param {Array<number>} [options.deck] - Kaarten per waarde in één deck (BlackjackVariant.deck()), standaard 52 kaarten
+     * @returns {Object} - {dealerCard, playerCards, total, isSoft} (playerCards is leeg bij totaal notatie)
+     */
+    static parse(text, options = {}) {
+        const input = String(text || '').trim();
+        if (!input) {
+            throw NotationDeps.I18n.error('error.notation.empty');
+        }
+
+        const parts = input.split(/\s*(?:\bvs\.?|v|tegen)\s*/i);
+        if (parts.length > 2) {
+            throw NotationDeps.I18n.error('error.notation.separator', { input });
+        }
+
+        const [handPart, dealerPart] = parts;
+        if (!handPart) {
+            throw NotationDeps.I18n.error('error.notation.noHand', { input });
+        }
+
+        let dealerCard = null;
+        if (dealerPart !== undefined) {
+            const dealerCards = HandNotation.parseCards(dealerPart);
+            if (dealerCards.length !== 1) {
+                throw NotationDeps.I18n.error('error.notation.dealer', { dealer: dealerPart });
+            }
+            dealerCard = dealerCards[0];
+        }
+
+        const result = Object.assign({ dealerCard }, HandNotation.parseHand(handPart));
+
+        if (options.decks) {
+            HandNotation.checkShoe([...result.playerCards, dealerCard].filter(Boolean), options.decks, options.deck);
+        }
+        return result;
+    }
+
+    /**
+     * Hand deel: kaarten ("A7", "10,6", "T 6") of een totaal ("s18", "hard 16", "16")
+     */
+    static parseHand(text) {
+        const totalMatch = text.match(/^(s|soft|h|hard)\s*(\d+)$/i);
+        if (totalMatch) {
+            return HandNotation.parseTotal(parseInt(totalMatch[2]), /^s/i.test(totalMatch[1]));
+        }
+
+        let cards;
+        try {
+            cards = HandNotation.parseCards(text);
+        } catch (error) {
+            // Een los getal dat geen kaarten zijn (bijv. "16"): een totaal moet h of s krijgen
+            if (/^\d+$/.test(text)) {
+                throw NotationDeps.I18n.error('error.notation.bareTotal', { hand: text });
+            }
+            throw error;
+        }
+
+        if (cards.length < 2) {
+            throw NotationDeps.I18n.error('error.notation.minCards', { hand: text });
+        }
+        const { total } = NotationDeps.BlackjackStrategy.evaluateHand(cards);
+        if (total > 21) {
+            throw NotationDeps.I18n.error('error.notation.over21', { hand: text, total });
+        }
+        return { playerCards: cards, total: null, isSoft: null };
+    }
+
+    static parseTotal(total, isSoft) {
+        if (isSoft && (total < 12 || total > 21)) {
+            throw NotationDeps.I18n.error('error.notation.softRange', { total });
+        }
+        if (!isSoft && (total < 4 || total > 21)) {
+            throw NotationDeps.I18n.error('error.notation.hardRange', { total });
+        }
+        return { playerCards: [], total, isSoft };
+    }
+
+    /**
+     * Reeks kaarten, met of zonder scheidingstekens (spatie, komma, -, +)
+     * @returns {Array<string>}
+     */
+    static parseCards(text) {
+        const compact = String(text).replace(/[\s,+-]/g, '').toUpperCase();
+        const cards = [];
+
+        for (let i = 0; i < compact.length; i++) {
+            if (compact.startsWith('10', i)) {
+                cards.push('10');
+                i++;
+                continue;
+            }
+            cards.push(HandNotation.parseCard(compact[i]));
+        }
+        return cards;
+    }
+
+    /**
+     * Eén kaart: 2-9, 10 of T, J, Q, K, A
+     */
+    static parseCard(token) {
+        const card = String(token).trim().toUpperCase();
+        if (card === 'T') return '10';
+        if (!HandNotation.CARDS.includes(card)) {
+            throw NotationDeps.I18n.error('error.notation.unknownCard', { card: token });
+        }
+        return card;
+    }
+
+    /**
+     * Niet meer kaarten van een rang dan er in de shoe zitten (tienen per rang, niet per waarde)
+     * @param {Array<string>} cards
+     * @param {number} decks
+     * @param {Array<number>} [deck] - Kaarten per waarde in één deck, standaard 52 kaarten
+     */
+    static checkShoe(cards, decks, deck) {
+        const counts = {};
+        cards.forEach(card => { counts[card] = (counts[card] || 0) + 1; });
+
+        for (const [card, count] of Object.entries(counts)) {
+            const available = decks * NotationDeps.ExpectedValueEngine.cardsPerDeck(card, deck);
+            if (available === 0) {
+                throw NotationDeps.I18n.error('error.notation.notInDeck', { card });
+            }
+            if (count > available) {
+                throw NotationDeps.I18n.error('error.notation.shoe', { cards: count, card, available, count: decks });
+            }
+        }
+    }
+}
+
+HandNotation.CARDS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandNotation;
+}
@@ -0,0 +1,271 @@
+/**
+ * Strategy Profiles
+ *
+ * Benoemde profielen met eigen afwijkingen van de engine: per cel (soort hand,
+ * totaal of pair kaart tegen een dealer upcard) een eigen actie en notitie.
+ * Het actieve profiel wordt aan BlackjackStrategy.setOverrides() gegeven.
+ * Profielen worden bewaard in localStorage en kunnen als JSON gedeeld worden.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const ProfilesDeps = typeof module !== 'undefined' && module.exports
+    ? { I18n: require('./i18n.js') }
+    : { I18n };
+
+class StrategyProfiles {
+    /**
+     * @param {Object} [options]
+     * @param {Storage|null} [options.storage] - Opslag voor de profielen (standaard localStorage)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        const saved = this.load();
+        this.profiles = saved.profiles;
+        this.active = saved.active;
+    }
+
+    /**
+     * Namen van alle profielen, op alfabet
+     */
+    names() {
+        return this.profiles.map(profile => profile.name).sort((a, b) => a.localeCompare(b));
+    }
+
+    get(name) {
+        return this.profiles.find(profile => profile.name === name) || null;
+    }
+
+    /**
+     * Het actieve profiel, of null voor de standaard strategie
+     */
+    getActive() {
+        return this.active ? this.get(this.active) : null;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object} - Het nieuwe (lege) profiel
+     */
+    create(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw ProfilesDeps.I18n.error('error.profiles.nameRequired');
+        }
+        if (this.get(trimmed)) {
+            throw ProfilesDeps.I18n.error('error.profiles.exists', { name: trimmed });
+        }
+
+        const profile = { name: trimmed, overrides: [] };
+        this.profiles.push(profile);
+        this.save();
+        return profile;
+    }
+
+    remove(name) {
+        this.profiles = this.profiles.filter(profile => profile.name !== name);
+        if (this.active === name) {
+            this.active = null;
+        }
+        this.save();
+    }
+
+    /**
+     * @param {string|null} name - null voor de standaard strategie
+     */
+    setActive(name) {
+        if (name && !this.get(name)) {
+            throw ProfilesDeps.I18n.error('error.profiles.notFound', { name });
+        }
+        this.active = name || null;
+        this.save();
+    }
+
+    /**
+     * Voeg een afwijking toe; een bestaande afwijking voor dezelfde cel wordt vervangen
+     * @param {string} name - Profiel
+     * @param {Object} override - {type, hand, dealer, action, note}
+     * @returns {Object} - De opgeslagen afwijking
+     */
+    setOverride(name, override) {
+        const profile = this.requireProfile(name);
+        const normalized = StrategyProfiles.normalizeOverride(override);
+        const key = StrategyProfiles.cellKey(normalized);
+
+        profile.overrides = profile.overrides.filter(o => StrategyProfiles.cellKey(o) !== key);
+        profile.overrides.push(normalized);
+        profile.overrides.sort(StrategyProfiles.compareOverrides);
+        this.save();
+        return normalized;
+    }
+
+    /**
+     * @param {string} name - Profiel
+     * @param {Object} cell - {type, hand, dealer}
+     */
+    removeOverride(name, cell) {
+        const profile = this.requireProfile(name);
+        const key = StrategyProfiles.cellKey(cell);
+        profile.overrides = profile.overrides.filter(o => StrategyProfiles.cellKey(o) !== key);
+        this.save();
+    }
+
+    requireProfile(name) {
+        const profile = this.get(name);
+        if (!profile) {
+            throw ProfilesDeps.I18n.error('error.profiles.notFound', { name });
+        }
+        return profile;
+    }
+
+    /**
+     * Eén profiel als JSON om te delen
+     */
+    toJSON(name) {
+        const profile = this.requireProfile(name);
+        return JSON.stringify({ version: 1, profile }, null, 2);
+    }
+
+    /**
+     * Importeer een JSON export ({profile} of {profiles: [...]}). Bestaat de naam
+     * al, dan krijgt het geïmporteerde profiel een nummer, bijv. "Thuis (2)".
+     * @param {string} text
+     * @returns {Array<string>} - Namen van de geïmporteerde profielen
+     */
+    import(text) {
+        let data;
+        try {
+            data = JSON.parse(String(text).trim());
+        } catch (error) {
+            throw ProfilesDeps.I18n.error('error.profiles.invalidJson');
+        }
+
+        const raw = data && (data.profiles || (data.profile ? [data.profile] : [data]));
+        if (!Array.isArray(raw) || raw.length === 0) {
+            throw ProfilesDeps.I18n.error('error.profiles.noProfiles');
+        }
+
+        // Eerst alles controleren, zodat een fout halverwege niets half importeert
+        const profiles = raw.map(StrategyProfiles.normalizeProfile);
+        const names = [];
+        for (const profile of profiles) {
+            profile.name = this.uniqueName(profile.name);
+            this.profiles.push(profile);
+            names.push(profile.name);
+        }
+
+        this.save();
+        return names;
+    }
+
+    uniqueName(name) {
+        let candidate = name;
+        for (let i = 2; this.get(candidate); i++) {
+            candidate = `${name} (${i})`;
+        }
+        return candidate;
+    }
+
+    load() {
+        const empty = { profiles: [], active: null };
+        if (!this.storage) return empty;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(StrategyProfiles.STORAGE_KEY));
+            if (!saved || !Array.isArray(saved.profiles)) return empty;
+
+            const profiles = saved.profiles.map(StrategyProfiles.normalizeProfile);
+            const active = profiles.some(profile => profile.name === saved.active) ? saved.active : null;
+            return { profiles, active };
+        } catch (error) {
+            // Beschadigde opslag: opnieuw beginnen
+            return empty;
+        }
+    }
+
+    save() {
+        if (this.storage) {
+            this.storage.setItem(StrategyProfiles.STORAGE_KEY, JSON.stringify({
+                active: this.active,
+                profiles: this.profiles
+            }));
+        }
+    }
+
+    /**
+     * Controleer een profiel (ook voor geïmporteerde profielen)
+     */
+    static normalizeProfile(raw) {
+        if (!raw || typeof raw !== 'object' || !String(raw.name || '').trim() || !Array.isArray(raw.overrides)) {
+            throw ProfilesDeps.I18n.error('error.profiles.invalidProfile');
+        }
+
+        const overrides = new Map();
+        raw.overrides.forEach(o => {
+            const override = StrategyProfiles.normalizeOverride(o);
+            overrides.set(StrategyProfiles.cellKey(override), override);
+        });
+
+        return {
+            name: String(raw.name).trim(),
+            overrides: [...overrides.values()].sort(StrategyProfiles.compareOverrides)
+        };
+    }
+
+    /**
+     * Controleer een afwijking: een bestaande cel uit de tabellen en een actie die daar kan
+     * @returns {Object} - {type, hand, dealer, action, note}
+     */
+    static normalizeOverride(raw) {
+        const invalid = () => ProfilesDeps.I18n.error('error.profiles.invalidOverride');
+        if (!raw || typeof raw !== 'object') {
+            throw invalid();
+        }
+
+        const type = String(raw.type);
+        const hands = StrategyProfiles.HANDS[type];
+        const hand = String(raw.hand).toUpperCase();
+        const dealer = ['J', 'Q', 'K'].includes(String(raw.dealer).toUpperCase()) ? '10' : String(raw.dealer).toUpperCase();
+        const action = String(raw.action).toUpperCase();
+
+        if (!hands || !hands.includes(hand) || !StrategyProfiles.DEALERS.includes(dealer)
+            || !StrategyProfiles.ACTIONS.includes(action) || (action === 'SPLIT' && type !== 'pair')) {
+            throw invalid();
+        }
+
+        return { type, hand, dealer, action, note: String(raw.note || '').trim() };
+    }
+
+    static cellKey(cell) {
+        return `${cell.type}:${cell.hand}:${cell.dealer}`;
+    }
+
+    /**
+     * Volgorde zoals in de tabellen: hard, soft, pairs; dan per hand en dealer kaart
+     */
+    static compareOverrides(a, b) {
+        const { HANDS, DEALERS } = StrategyProfiles;
+        const types = Object.keys(HANDS);
+        return (types.indexOf(a.type) - types.indexOf(b.type))
+            || (HANDS[a.type].indexOf(a.hand) - HANDS[b.type].indexOf(b.hand))
+            || (DEALERS.indexOf(a.dealer) - DEALERS.indexOf(b.dealer));
+    }
+}
+
+StrategyProfiles.STORAGE_KEY = 'blackjack-strategy-profiles';
+
+// Cellen die overschreven kunnen worden, dezelfde rijen als in de strategie tabellen
+StrategyProfiles.HANDS = {
+    hard: ['5', '6', '7', '8', '9', '10', '11', '12', '13', '14', '15', '16', '17', '18', '19', '20'],
+    soft: ['13', '14', '15', '16', '17', '18', '19', '20'],
+    pair: ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'A']
+};
+StrategyProfiles.DEALERS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'A'];
+StrategyProfiles.ACTIONS = ['HIT', 'STAND', 'DOUBLE', 'SPLIT', 'SURRENDER'];
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StrategyProfiles;
+}
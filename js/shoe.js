@@ -0,0 +1,88 @@
+/**
+ * Blackjack Shoe
+ *
+ * Een geschudde shoe van meerdere decks waaruit kaarten getrokken worden.
+ * Kaarten hebben dezelfde notatie als in de UI: '2'-'10', 'J', 'Q', 'K', 'A'.
+ */
+
+class Shoe {
+    /**
+     * @param {number} decks - Aantal decks in de shoe
+     * @param {Object} [options]
+     * @param {number} [options.penetration=0.75] - Deel van de shoe dat gedeeld wordt voor er geschud wordt
+     * @param {Function} [options.random=Math.random] - Random generator die een getal in [0, 1) teruggeeft
+     */
+    constructor(decks, options = {}) {
+        this.decks = decks;
+        this.penetration = options.penetration || 0.75;
+        this.random = options.random || Math.random;
+        this.cards = [];
+        this.position = 0;
+
+        this.shuffle();
+    }
+
+    /**
+     * Vul de shoe opnieuw met alle decks en schud (Fisher-Yates)
+     */
+    shuffle() {
+        this.cards = [];
+        for (let deck = 0; deck < this.decks; deck++) {
+            for (let suit = 0; suit < 4; suit++) {
+                this.cards.push(...Shoe.RANKS);
+            }
+        }
+
+        for (let i = this.cards.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
+        }
+
+        this.position = 0;
+    }
+
+    /**
+     * Trek de volgende kaart (schudt automatisch als de shoe leeg is)
+     * @returns {string}
+     */
+    draw() {
+        if (this.position >= this.cards.length) {
+            this.shuffle();
+        }
+        return this.cards[this.position++];
+    }
+
+    /**
+     * Is de cut card bereikt?
+     */
+    needsShuffle() {
+        return this.position >= this.cards.length * this.penetration;
+    }
+
+    get remaining() {
+        return this.cards.length - this.position;
+    }
+}
+
+Shoe.RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+
+/**
+ * Reproduceerbare random generator (mulberry32), handig voor simulaties met een seed
+ * @param {number} seed
+ * @returns {Function} - Geeft bij elke aanroep een getal in [0, 1)
+ */
+Shoe.seededRandom = function (seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Shoe;
+}
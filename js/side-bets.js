@@ -0,0 +1,221 @@
+/**
+ * Side Bet Calculator - Perfect Pairs en 21+3
+ *
+ * Berekent de kans op elke uitbetaling en de house edge van de side bets
+ * voor een instelbare uitbetalingstabel en aantal decks. Met bekende kaarten
+ * uit de shoe tracker wordt gerekend met wat er nog in de shoe zit.
+ * De tracker kent alleen rangen, geen kleuren: weggehaalde kaarten worden
+ * gelijk over de vier kleuren verdeeld.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const SideBetDeps = typeof module !== 'undefined' && module.exports
+    ? { I18n: require('./i18n.js'), ExpectedValueEngine: require('./ev-engine.js') }
+    : { I18n, ExpectedValueEngine };
+
+class SideBetCalculator {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.decks=6]
+     * @param {Array<number>} [options.deck] - Kaarten per rank in één deck (BlackjackVariant.deck()), standaard 52 kaarten
+     * @param {Object} [options.paytables] - Afwijkende uitbetalingen, zie SideBetCalculator.PAYTABLES
+     */
+    constructor(options = {}) {
+        this.decks = options.decks || 6;
+        this.deck = options.deck || SideBetDeps.ExpectedValueEngine.STANDARD_DECK;
+        this.paytables = {};
+        Object.keys(SideBetCalculator.PAYTABLES).forEach(bet => {
+            this.setPaytable(bet, (options.paytables || {})[bet]);
+        });
+    }
+
+    setDecks(decks) {
+        this.decks = decks;
+    }
+
+    /**
+     * @param {Array<number>} deck - Kaarten per rank in één deck
+     */
+    setDeck(deck) {
+        this.deck = deck;
+    }
+
+    /**
+     * Pas (een deel van) de uitbetalingstabel van een side bet aan
+     * @param {string} bet - 'perfectPairs' of 'twentyOnePlusThree'
+     * @param {Object} [payouts] - {klasse: uitbetaling x:1}
+     */
+    setPaytable(bet, payouts = {}) {
+        if (!SideBetCalculator.PAYTABLES[bet]) {
+            throw SideBetDeps.I18n.error('error.sideBets.unknownBet', { bet });
+        }
+        this.paytables[bet] = Object.assign({}, SideBetCalculator.PAYTABLES[bet], this.paytables[bet], payouts);
+    }
+
+    /**
+     * Aantal kaarten per rang en kleur dat nog in de shoe zit
+     * @param {Array<string>} [removedCards] - Bekende kaarten (rangen) die al gedeeld zijn
+     * @returns {Array<Object>} - [{rank, suit, count}]
+     */
+    composition(removedCards = []) {
+        const removed = {};
+        removedCards.forEach(card => { removed[card] = (removed[card] || 0) + 1; });
+
+        const cards = [];
+        for (const rank of SideBetCalculator.RANKS) {
+            const inShoe = this.decks * SideBetDeps.ExpectedValueEngine.cardsPerDeck(rank, this.deck);
+            const perSuit = Math.max(inShoe - (removed[rank] || 0), 0) / 4;
+            for (const suit of SideBetCalculator.SUITS) {
+                cards.push({ rank, suit, count: perSuit });
+            }
+        }
+        return cards;
+    }
+
+    /**
+     * Perfect Pairs: de eerste twee kaarten van de speler
+     * @param {Array<string>} [removedCards]
+     * @returns {Object} - {classes: {klasse: {probability, payout}}, ev, houseEdge}
+     */
+    perfectPairs(removedCards = []) {
+        const cards = this.composition(removedCards);
+        const total = cards.reduce((sum, card) => sum + card.count, 0);
+        const probabilities = { mixed: 0, coloured: 0, perfect: 0 };
+
+        for (const a of cards) {
+            for (const b of cards) {
+                if (a.rank !== b.rank) continue;
+                const ways = a.count * (a === b ? a.count - 1 : b.count);
+                probabilities[SideBetCalculator.pairClass(a, b)] += ways / (total * (total - 1));
+            }
+        }
+
+        return this.summarize('perfectPairs', probabilities);
+    }
+
+    /**
+     * 21+3: de eerste twee kaarten van de speler plus de dealer upcard als pokerhand
+     * @param {Array<string>} [removedCards]
+     * @returns {Object} - {classes: {klasse: {probability, payout}}, ev, houseEdge}
+     */
+    twentyOnePlusThree(removedCards = []) {
+        const cards = this.composition(removedCards);
+        const total = cards.reduce((sum, card) => sum + card.count, 0);
+        const probabilities = {};
+        Object.keys(this.paytables.twentyOnePlusThree).forEach(key => { probabilities[key] = 0; });
+
+        // Alle geordende trekkingen van drie kaarten zonder terugleggen
+        for (const a of cards) {
+            if (a.count <= 0) continue;
+            const pa = a.count / total;
+            for (const b of cards) {
+                const countB = b.count - (b === a ? 1 : 0);
+                if (countB <= 0) continue;
+                const pb = pa * countB / (total - 1);
+                for (const c of cards) {
+                    const countC = c.count - (c === a ? 1 : 0) - (c === b ? 1 : 0);
+                    if (countC <= 0) continue;
+                    const hand = SideBetCalculator.pokerClass(a, b, c);
+                    if (hand && hand in probabilities) {
+                        probabilities[hand] += pb * countC / (total - 2);
+                    }
+                }
+            }
+        }
+
+        return this.summarize('twentyOnePlusThree', probabilities);
+    }
+
+    /**
+     * Beide side bets in één keer
+     */
+    calculate(removedCards = []) {
+        return {
+            perfectPairs: this.perfectPairs(removedCards),
+            twentyOnePlusThree: this.twentyOnePlusThree(removedCards)
+        };
+    }
+
+    summarize(bet, probabilities) {
+        const paytable = this.paytables[bet];
+        const classes = {};
+        let winChance = 0;
+        let ev = 0;
+
+        for (const [key, payout] of Object.entries(paytable)) {
+            const probability = probabilities[key] || 0;
+            classes[key] = { probability, payout };
+            winChance += probability;
+            ev += probability * payout;
+        }
+        ev -= 1 - winChance;
+
+        return { classes, ev, houseEdge: -ev };
+    }
+
+    /**
+     * Soort pair voor twee kaarten van dezelfde rang
+     */
+    static pairClass(a, b) {
+        if (a.suit === b.suit) return 'perfect';
+        return SideBetCalculator.COLORS[a.suit] === SideBetCalculator.COLORS[b.suit] ? 'coloured' : 'mixed';
+    }
+
+    /**
+     * Hoogste 21+3 klasse van drie kaarten, of null zonder uitbetaling
+     */
+    static pokerClass(a, b, c) {
+        const flush = a.suit === b.suit && b.suit === c.suit;
+        const trips = a.rank === b.rank && b.rank === c.rank;
+
+        if (trips) return flush ? 'suitedTrips' : 'threeOfAKind';
+
+        const straight = SideBetCalculator.isStraight([a.rank, b.rank, c.rank]);
+        if (straight && flush) return 'straightFlush';
+        if (straight) return 'straight';
+        if (flush) return 'flush';
+        return null;
+    }
+
+    /**
+     * Drie opeenvolgende rangen; de aas telt hoog (Q-K-A) en laag (A-2-3)
+     */
+    static isStraight(ranks) {
+        const consecutive = positions => {
+            const sorted = [...positions].sort((x, y) => x - y);
+            return sorted[0] + 1 === sorted[1] && sorted[1] + 1 === sorted[2];
+        };
+        const positions = ranks.map(rank => SideBetCalculator.RANKS.indexOf(rank));
+
+        // Aas laag (index 0), of hoog als 13 voor Q-K-A
+        return consecutive(positions) || consecutive(positions.map(position => (position === 0 ? 13 : position)));
+    }
+}
+
+// Volgorde voor straights, met de aas laag
+SideBetCalculator.RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+SideBetCalculator.SUITS = ['♠', '♥', '♦', '♣'];
+SideBetCalculator.COLORS = { '♠': 'black', '♣': 'black', '♥': 'red', '♦': 'red' };
+
+/**
+ * Standaard uitbetalingen (x:1); de namen staan in de catalogus onder sideBets.<key>
+ */
+SideBetCalculator.PAYTABLES = {
+    perfectPairs: {
+        mixed: 6,
+        coloured: 12,
+        perfect: 25
+    },
+    twentyOnePlusThree: {
+        flush: 5,
+        straight: 10,
+        threeOfAKind: 30,
+        straightFlush: 40,
+        suitedTrips: 100
+    }
+};
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SideBetCalculator;
+}
@@ -0,0 +1,320 @@
+/**
+ * Blackjack Monte Carlo Simulator
+ *
+ * Speelt headless rondes uit een geschudde shoe: de dealer speelt volgens de
+ * tafelregels, de speler volgt BlackjackStrategy.getAdvice(). Het resultaat
+ * is een rapport met house edge, variantie en de frequentie van elke uitkomst
+ * en actie. Werkt in de browser en onder Node (zie bin/simulate.js).
+ */
+
+// In Node via require, in de browser via de <script> tags
+const SimulatorDeps = typeof module !== 'undefined' && module.exports
+    ? { BlackjackStrategy: require('./strategy.js'), Shoe: require('./shoe.js') }
+    : { BlackjackStrategy, Shoe };
+
+class BlackjackSimulator {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.rules] - Tafelregels, zie BlackjackStrategy.DEFAULT_RULES
+     * @param {Object} [options.strategy] - Object met getAdvice(hand, dealerCard, actions); standaard BlackjackStrategy met dezelfde regels
+     * @param {number} [options.penetration=0.75] - Deel van de shoe dat gedeeld wordt voor er geschud wordt
+     * @param {number} [options.maxHands] - Maximaal aantal handen na (re-)splitten (standaard rules.maxSplitHands)
+     * @param {number} [options.seed] - Seed voor reproduceerbare resultaten
+     */
+    constructor(options = {}) {
+        const { BlackjackStrategy, Shoe } = SimulatorDeps;
+
+        this.rules = Object.assign({}, BlackjackStrategy.DEFAULT_RULES, options.rules);
+        this.strategy = options.strategy || new BlackjackStrategy(this.rules);
+        this.maxHands = options.maxHands || this.rules.maxSplitHands;
+        this.shoe = new Shoe(this.rules.decks, {
+            penetration: options.penetration,
+            random: options.seed !== undefined ? Shoe.seededRandom(options.seed) : Math.random
+        });
+
+        this.reset();
+    }
+
+    /**
+     * Zet alle statistieken op nul
+     */
+    reset() {
+        this.stats = {
+            rounds: 0,
+            hands: 0,
+            wagered: 0,
+            net: 0,
+            sumSquares: 0,
+            outcomes: {
+                win: 0, loss: 0, push: 0, bust: 0,
+                blackjack: 0, dealerBlackjack: 0, surrender: 0
+            },
+            actions: {
+                hit: 0, stand: 0, double: 0, split: 0, surrender: 0
+            }
+        };
+    }
+
+    /**
+     * Simuleer een aantal rondes
+     * @param {number} rounds - Aantal rondes (één startinzet per ronde)
+     * @returns {Object} - Rapport, zie getReport()
+     */
+    run(rounds) {
+        for (let i = 0; i < rounds; i++) {
+            const net = this.playRound();
+            this.stats.rounds++;
+            this.stats.net += net;
+            this.stats.sumSquares += net * net;
+        }
+        return this.getReport();
+    }
+
+    /**
+     * Speel één ronde en geef het netto resultaat in eenheden van de startinzet
+     */
+    playRound() {
+        const { BlackjackStrategy } = SimulatorDeps;
+
+        if (this.shoe.needsShuffle()) {
+            this.shoe.shuffle();
+        }
+
+        const playerCards = [this.shoe.draw()];
+        const dealerCards = [this.shoe.draw()];
+        playerCards.push(this.shoe.draw());
+        dealerCards.push(this.shoe.draw());
+
+        const upcard = dealerCards[0];
+        const playerBlackjack = this.isBlackjack(playerCards);
+        const dealerBlackjack = this.isBlackjack(dealerCards);
+        const peek = this.rules.holeCard === 'peek';
+
+        // Early surrender: opgeven voordat de dealer op blackjack checkt
+        if (this.rules.surrender === 'early' && !playerBlackjack) {
+            const advice = this.strategy.getAdvice(
+                BlackjackStrategy.evaluateHand(playerCards), upcard, this.getActions(playerCards, 1, false)
+            );
+            if (advice.action === 'SURRENDER') {
+                return this.settleSurrender(1);
+            }
+        }
+
+        // Naturals (zonder hole card komt de dealer blackjack pas aan het eind)
+        if (playerBlackjack || (dealerBlackjack && peek)) {
+            this.stats.hands++;
+            this.stats.wagered++;
+            if (playerBlackjack && dealerBlackjack) {
+                this.stats.outcomes.push++;
+                return 0;
+            }
+            if (playerBlackjack) {
+                this.stats.outcomes.blackjack++;
+                return this.rules.blackjackPayout;
+            }
+            this.stats.outcomes.dealerBlackjack++;
+            return -1;
+        }
+
+        const hands = [{ cards: playerCards, bet: 1, fromSplit: false, splitAces: false, surrendered: false }];
+        for (let i = 0; i < hands.length; i++) {
+            this.playHand(hands[i], hands, upcard);
+        }
+
+        this.stats.hands += hands.length;
+        hands.forEach(hand => { this.stats.wagered += hand.bet; });
+
+        // Geen hole card: dealer blackjack pakt alle inzetten, ook doubles en splits
+        if (dealerBlackjack) {
+            this.stats.outcomes.dealerBlackjack += hands.length;
+            return -hands.reduce((sum, hand) => sum + hand.bet, 0);
+        }
+
+        const liveHands = hands.filter(hand => !hand.surrendered && this.handTotal(hand.cards) <= 21);
+        if (liveHands.length > 0) {
+            this.playDealer(dealerCards);
+        }
+
+        const dealerTotal = this.handTotal(dealerCards);
+        return hands.reduce((net, hand) => net + this.settleHand(hand, dealerTotal), 0);
+    }
+
+    /**
+     * Speel een speler hand uit volgens de strategy (kan nieuwe handen toevoegen bij split)
+     */
+    playHand(hand, hands, upcard) {
+        const { BlackjackStrategy } = SimulatorDeps;
+
+        while (true) {
+            const evaluated = BlackjackStrategy.evaluateHand(hand.cards);
+
+            // 21 of bust: klaar
+            if (evaluated.total >= 21) {
+                return;
+            }
+
+            // Split aces krijgen maar één kaart; alleen een nieuw paar azen mag (met RSA) nog gesplitst worden
+            if (hand.splitAces && !this.canSplit(hand.cards, hands.length, true)) {
+                return;
+            }
+
+            const actions = hand.splitAces
+                ? ['stand', 'split']
+                : this.getActions(hand.cards, hands.length, hand.fromSplit);
+            const advice = this.strategy.getAdvice(evaluated, upcard, actions);
+            const action = advice.action.toLowerCase();
+            this.stats.actions[action]++;
+
+            switch (advice.action) {
+                case 'HIT':
+                    hand.cards.push(this.shoe.draw());
+                    break;
+                case 'DOUBLE':
+                    hand.bet *= 2;
+                    hand.cards.push(this.shoe.draw());
+                    return;
+                case 'SPLIT': {
+                    const splitAces = hand.cards[0] === 'A';
+                    const newHand = {
+                        cards: [hand.cards[1], this.shoe.draw()],
+                        bet: 1,
+                        fromSplit: true,
+                        splitAces,
+                        surrendered: false
+                    };
+                    hand.cards = [hand.cards[0], this.shoe.draw()];
+                    hand.fromSplit = true;
+                    hand.splitAces = splitAces;
+                    hands.splice(hands.indexOf(hand) + 1, 0, newHand);
+                    break;
+                }
+                case 'SURRENDER':
+                    hand.surrendered = true;
+                    return;
+                default:
+                    return;
+            }
+        }
+    }
+
+    /**
+     * Legale acties voor een hand
+     */
+    getActions(cards, handCount, fromSplit) {
+        const actions = ['hit', 'stand'];
+
+        if (cards.length === 2) {
+            if (!fromSplit || this.rules.doubleAfterSplit) {
+                actions.push('double');
+            }
+            if (this.canSplit(cards, handCount, false)) {
+                actions.push('split');
+            }
+            if (!fromSplit && handCount === 1 && this.rules.surrender !== 'none') {
+                actions.push('surrender');
+            }
+        }
+
+        return actions;
+    }
+
+    /**
+     * Split regels van de tafel, met maxHands als limiet
+     */
+    canSplit(cards, handCount, splitAces) {
+        const rules = Object.assign({}, this.rules, { maxSplitHands: this.maxHands });
+        return SimulatorDeps.BlackjackStrategy.canSplit(cards, handCount, splitAces, rules);
+    }
+
+    /**
+     * Dealer trekt tot 17 (en hit soft 17 bij H17)
+     */
+    playDealer(cards) {
+        const { BlackjackStrategy } = SimulatorDeps;
+
+        while (true) {
+            const { total, isSoft } = BlackjackStrategy.evaluateHand(cards);
+            if (total > 17 || (total === 17 && !(isSoft && this.rules.dealerHitsSoft17))) {
+                return;
+            }
+            cards.push(this.shoe.draw());
+        }
+    }
+
+    settleHand(hand, dealerTotal) {
+        if (hand.surrendered) {
+            this.stats.outcomes.surrender++;
+            return -hand.bet / 2;
+        }
+
+        const total = this.handTotal(hand.cards);
+        if (total > 21) {
+            this.stats.outcomes.bust++;
+            return -hand.bet;
+        }
+        if (dealerTotal > 21 || total > dealerTotal) {
+            this.stats.outcomes.win++;
+            return hand.bet;
+        }
+        if (total < dealerTotal) {
+            this.stats.outcomes.loss++;
+            return -hand.bet;
+        }
+        this.stats.outcomes.push++;
+        return 0;
+    }
+
+    settleSurrender(bet) {
+        this.stats.hands++;
+        this.stats.wagered += bet;
+        this.stats.actions.surrender++;
+        this.stats.outcomes.surrender++;
+        return -bet / 2;
+    }
+
+    isBlackjack(cards) {
+        return cards.length === 2 && this.handTotal(cards) === 21;
+    }
+
+    handTotal(cards) {
+        return SimulatorDeps.BlackjackStrategy.evaluateHand(cards).total;
+    }
+
+    /**
+     * Rapport van de simulatie tot nu toe
+     * @returns {Object} - {rounds, hands, wagered, net, houseEdge, variance, standardDeviation, standardError, outcomes, actions}
+     */
+    getReport() {
+        const { rounds, hands, wagered, net, sumSquares } = this.stats;
+        const mean = rounds > 0 ? net / rounds : 0;
+        const variance = rounds > 0 ? sumSquares / rounds - mean * mean : 0;
+        const standardDeviation = Math.sqrt(variance);
+        const totalActions = Object.values(this.stats.actions).reduce((a, b) => a + b, 0);
+
+        const frequencies = (counts, total) => {
+            const result = {};
+            for (const [key, count] of Object.entries(counts)) {
+                result[key] = { count, frequency: total > 0 ? count / total : 0 };
+            }
+            return result;
+        };
+
+        return {
+            rounds,
+            hands,
+            wagered,
+            net,
+            houseEdge: -mean,
+            variance,
+            standardDeviation,
+            standardError: rounds > 0 ? standardDeviation / Math.sqrt(rounds) : 0,
+            outcomes: frequencies(this.stats.outcomes, hands),
+            actions: frequencies(this.stats.actions, totalActions)
+        };
+    }
+}
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BlackjackSimulator;
+}
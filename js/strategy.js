@@ -6,12 +6,91 @@
  */
 
 class BlackjackStrategy {
-    constructor() {
+    /**
+     * @param {Object} [rules] - Tafelregels, zie BlackjackStrategy.DEFAULT_RULES.
+     *                           Ontbrekende velden vallen terug op de standaard regels.
+     */
+    constructor(rules = {}) {
         // Dealer kaart waarden voor logica
         this.dealerValues = {
             '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, '10': 10,
             'J': 10, 'Q': 10, 'K': 10, 'A': 11
         };
+
+        this.setRules(rules);
+        this.setOverrides([]);
+    }
+
+    /**
+     * Stel de tafelregels in waarop het advies gebaseerd wordt
+     * @param {Object} rules - {decks, dealerHitsSoft17, doubleAfterSplit, maxSplitHands, resplitAces, surrender, holeCard}
+     */
+    setRules(rules = {}) {
+        this.rules = Object.assign({}, BlackjackStrategy.DEFAULT_RULES, rules);
+    }
+
+    /**
+     * Eigen afwijkingen per cel die boven het advies van de engine gaan (zie StrategyProfiles)
+     * @param {Array<Object>} overrides - [{type: 'hard'|'soft'|'pair', hand, dealer, action, note}]
+     * @param {string|null} [profile] - Naam van het profiel, voor de uitleg
+     */
+    setOverrides(overrides, profile = null) {
+        this.overrides = overrides || [];
+        this.overrideProfile = profile;
+    }
+
+    /**
+     * Dealer kijkt niet onder zijn kaart (European No Hole Card):
+     * tegen 10 en A verlies je ook je double/split inzet als dealer blackjack heeft
+     */
+    isNoHoleCard() {
+        return this.rules.holeCard === 'enhc';
+    }
+
+    /**
+     * Bepaal of surrender de beste actie is voor dit totaal (of pair)
+     * @param {number} total - Hard totaal van de hand
+     * @param {number} dealerValue - Waarde van de dealer upcard
+     * @param {number|null} pairCard - Waarde van de pair kaart, of null als het geen pair is
+     * @returns {boolean}
+     */
+    shouldSurrender(total, dealerValue, pairCard = null) {
+        const { surrender, dealerHitsSoft17 } = this.rules;
+
+        if (surrender === 'none') {
+            return false;
+        }
+
+        // Early surrender: opgeven vóór de dealer op blackjack checkt
+        if (surrender === 'early') {
+            if (dealerValue === 11) {
+                if (pairCard !== null) {
+                    return [3, 6, 7, 8].includes(pairCard);
+                }
+                return (total >= 5 && total <= 7) || (total >= 12 && total <= 17);
+            }
+            if (dealerValue === 10) {
+                if (pairCard !== null) {
+                    return pairCard === 7;
+                }
+                return total >= 14 && total <= 16;
+            }
+        }
+
+        // Late surrender
+        if (pairCard !== null) {
+            return pairCard === 8 && dealerValue === 11 && dealerHitsSoft17;
+        }
+        if (total === 16) {
+            return dealerValue >= 9;
+        }
+        if (total === 15) {
+            return dealerValue === 10 || (dealerValue === 11 && dealerHitsSoft17);
+        }
+        if (total === 17) {
+            return dealerValue === 11 && dealerHitsSoft17;
+        }
+        return false;
     }
 
     /**
@@ -19,15 +98,100 @@ class BlackjackStrategy {
      * @param {Object} hand - Speler hand info
      * @param {string} dealerCard - Dealer upcard
      * @param {Array} availableActions - Beschikbare acties ['hit', 'stand', 'double', 'split', 'surrender']
-     * @returns {Object} - {action: string, explanation: string}
+     * @param {Object} [options]
+     * @param {number} [options.trueCount] - True count (Hi-Lo schaal); activeert de index plays
+     * @param {Object} [options.shoeEvs] - EV per actie voor de echte resterende shoe ({hit: -0.5, ...});
+     *                                     de beste actie gaat dan boven basic strategy en de count
+     * @returns {Object} - {action: string, message: {key, params}, composition?: Object, deviation?: Object,
+     *                      shoe?: Object, override?: Object}
+     *                      (message is een message key voor I18n, geen vaste zin)
+     */
+    getAdvice(hand, dealerCard, availableActions, options = {}) {
+        availableActions = this.getLegalActions(hand, availableActions);
+
+        let advice = this.getBasicAdvice(hand, dealerCard, availableActions);
+
+        // Compositie afhankelijke uitzonderingen (alleen als de losse kaarten bekend zijn)
+        if (hand.cards && hand.cards.length >= 2) {
+            advice = this.applyComposition(advice, hand, dealerCard, availableActions);
+        }
+
+        if (typeof options.trueCount === 'number') {
+            advice = this.applyDeviations(advice, hand, dealerCard, availableActions, options.trueCount);
+        }
+
+        if (options.shoeEvs) {
+            advice = this.applyShoeEvs(advice, availableActions, options.shoeEvs);
+        }
+
+        // Eigen afwijkingen van de speler gaan boven alles
+        return this.applyOverride(advice, hand, dealerCard, availableActions);
+    }
+
+    /**
+     * Advies met alle legale acties op volgorde, voor als de gekozen actie geweigerd wordt
+     * @param {Object} hand
+     * @param {string} dealerCard
+     * @param {Array} availableActions
+     * @param {Object} [options]
+     * @param {number} [options.trueCount] - Zie getAdvice()
+     * @param {Object} [options.evs] - EV per actie ({hit: -0.5, ...}); ordent de acties na de fallback keten
+     * @returns {Object} - Het advies van getAdvice() plus fallbacks (bijv. ['DOUBLE', 'STAND'])
+     *                      en ranking: [{action, rank, ev, fallback}] van beste naar slechtste
+     */
+    getRankedAdvice(hand, dealerCard, availableActions, options = {}) {
+        const advice = this.getAdvice(hand, dealerCard, availableActions, options);
+
+        // Fallback keten: zonder de vorige actie opnieuw vragen, tot een hit of stand
+        // (die kan niet geweigerd worden)
+        const fallbacks = [];
+        let remaining = this.getLegalActions(hand, availableActions);
+        let current = advice;
+        while (remaining.includes(current.action.toLowerCase())) {
+            fallbacks.push(current.action);
+            remaining = remaining.filter(action => action !== current.action.toLowerCase());
+            if (current.action === 'HIT' || current.action === 'STAND' || remaining.length === 0) break;
+            current = this.getAdvice(hand, dealerCard, remaining, options);
+        }
+
+        // De overige acties op EV, of in de volgorde van availableActions als er geen EV is
+        const evs = options.evs || null;
+        const evOf = action => (evs && typeof evs[action] === 'number' ? evs[action] : null);
+        if (evs) {
+            const sortValue = action => (evOf(action) === null ? -Infinity : evOf(action));
+            remaining = [...remaining].sort((a, b) => sortValue(b) - sortValue(a));
+        }
+
+        const ranking = [...fallbacks.map(action => action.toLowerCase()), ...remaining].map((action, i) => ({
+            action: action.toUpperCase(),
+            rank: i + 1,
+            ev: evOf(action),
+            fallback: i < fallbacks.length
+        }));
+
+        return Object.assign({}, advice, { fallbacks, ranking });
+    }
+
+    /**
+     * Double, split en surrender kunnen alleen op de eerste twee kaarten
+     */
+    getLegalActions(hand, availableActions) {
+        if (hand.cards && hand.cards.length > 2) {
+            return availableActions.filter(action => action === 'hit' || action === 'stand');
+        }
+        return availableActions;
+    }
+
+    /**
+     * Basic strategy advies (zonder count afwijkingen)
      */
-    getAdvice(hand, dealerCard, availableActions) {
+    getBasicAdvice(hand, dealerCard, availableActions) {
         const dealerValue = this.dealerValues[dealerCard];
 
         // Check voor pair eerst (als er precies 2 kaarten zijn met dezelfde waarde)
         if (hand.isPair && availableActions.includes('split')) {
             const pairAdvice = this.getPairStrategy(hand.cards[0], dealerValue, availableActions);
-            if (pairAdvice.action === 'SPLIT') {
+            if (pairAdvice.action === 'SPLIT' || pairAdvice.action === 'SURRENDER') {
                 return pairAdvice;
             }
         }
@@ -41,17 +205,246 @@ class BlackjackStrategy {
         return this.getHardStrategy(hand.total, dealerValue, availableActions);
     }
 
+    /**
+     * Pas compositie afhankelijke uitzonderingen toe: dezelfde hard total kan
+     * anders gespeeld worden afhankelijk van welke kaarten hem vormen
+     * @returns {Object} - Het oorspronkelijke advies, of de uitzondering met composition info
+     */
+    applyComposition(advice, hand, dealerCard, availableActions) {
+        if (hand.isSoft || advice.action === 'SPLIT') {
+            return advice;
+        }
+
+        const dealerValue = this.dealerValues[dealerCard];
+        const values = hand.cards.map(card => BlackjackStrategy.cardValue(card));
+
+        const play = BlackjackStrategy.COMPOSITION_PLAYS.find(p =>
+            p.total === hand.total &&
+            p.dealers.includes(dealerValue) &&
+            p.applies(values, this.rules)
+        );
+
+        if (!play || play.action === advice.action || !availableActions.includes(play.action.toLowerCase())) {
+            return advice;
+        }
+
+        return {
+            action: play.action,
+            message: {
+                key: 'strategy.composition',
+                params: { play: { key: play.messageKey }, totalAction: advice.action }
+            },
+            composition: {
+                name: play.name,
+                totalAction: advice.action
+            }
+        };
+    }
+
+    /**
+     * Met een bekende shoe samenstelling wint de actie met de hoogste exacte EV. Zo draait
+     * een marginale beslissing (bijv. 12 tegen 3) om als de verwijderde kaarten dat vragen.
+     * @param {Object} shoeEvs - EV per actie van de ExpectedValueEngine
+     * @returns {Object} - Het oorspronkelijke advies, of de betere actie met shoe info
+     */
+    applyShoeEvs(advice, availableActions, shoeEvs) {
+        const current = shoeEvs[advice.action.toLowerCase()];
+        if (typeof current !== 'number') {
+            return advice;
+        }
+
+        const best = availableActions
+            .filter(action => typeof shoeEvs[action] === 'number')
+            .reduce((a, b) => (shoeEvs[b] > shoeEvs[a] ? b : a), advice.action.toLowerCase());
+
+        // Verschillen in de afronding van de berekening zijn geen reden om af te wijken
+        if (shoeEvs[best] - current < BlackjackStrategy.SHOE_EV_MARGIN) {
+            return advice;
+        }
+
+        const formatEv = ev => `${ev >= 0 ? '+' : ''}${(ev * 100).toFixed(1)}%`;
+        const action = best.toUpperCase();
+        return {
+            action,
+            message: {
+                key: 'strategy.shoe',
+                params: { action, basicAction: advice.action, ev: formatEv(shoeEvs[best]), basicEv: formatEv(current) }
+            },
+            shoe: {
+                ev: shoeEvs[best],
+                basicAction: advice.action,
+                basicEv: current
+            }
+        };
+    }
+
+    /**
+     * Eigen afwijking voor de cel van deze hand. Een pair dat gesplitst mag worden
+     * valt onder de pair rij, anders telt de hard of soft rij van het totaal.
+     * @returns {Object|null}
+     */
+    findOverride(hand, dealerCard, availableActions) {
+        if (this.overrides.length === 0) {
+            return null;
+        }
+
+        const dealer = ['J', 'Q', 'K'].includes(dealerCard) ? '10' : dealerCard;
+        let type = hand.isSoft ? 'soft' : 'hard';
+        let key = String(hand.total);
+
+        if (hand.isPair && availableActions.includes('split')) {
+            const value = BlackjackStrategy.cardValue(hand.cards[0]);
+            type = 'pair';
+            key = value === 11 ? 'A' : String(value);
+        }
+
+        return this.overrides.find(o => o.type === type && o.hand === key && o.dealer === dealer) || null;
+    }
+
+    /**
+     * Vervang het advies door de eigen afwijking voor deze cel, als die actie nu mag
+     * @returns {Object} - Het oorspronkelijke advies, of de afwijking met override info
+     */
+    applyOverride(advice, hand, dealerCard, availableActions) {
+        const override = this.findOverride(hand, dealerCard, availableActions);
+        if (!override || !availableActions.includes(override.action.toLowerCase())) {
+            return advice;
+        }
+
+        return {
+            action: override.action,
+            message: {
+                key: override.action === advice.action ? 'strategy.override.same' : 'strategy.override',
+                params: {
+                    profile: this.overrideProfile || '',
+                    action: override.action,
+                    engineAction: advice.action,
+                    note: override.note ? { key: 'strategy.override.note', params: { note: override.note } } : ''
+                }
+            },
+            override: {
+                profile: this.overrideProfile,
+                note: override.note,
+                engineAction: advice.action
+            }
+        };
+    }
+
+    /**
+     * Pas count afwijkingen (Illustrious 18 en Fab 4) toe op het basic strategy advies
+     * @returns {Object} - Het oorspronkelijke advies, of een afwijking met deviation info
+     */
+    applyDeviations(advice, hand, dealerCard, availableActions, trueCount) {
+        if (hand.isSoft) {
+            return advice;
+        }
+
+        const dealerValue = this.dealerValues[dealerCard];
+        const canSurrender = availableActions.includes('surrender') && this.rules.surrender !== 'none';
+        const pairValue = hand.isPair ? BlackjackStrategy.cardValue(hand.cards[0]) : null;
+
+        const plays = BlackjackStrategy.INDEX_PLAYS.filter(play => {
+            if (play.dealer !== dealerValue) return false;
+            if (play.pair) {
+                return pairValue === play.pair && availableActions.includes('split');
+            }
+            // Een pair dat gesplitst wordt valt niet onder de hard total afwijkingen
+            return play.total === hand.total && advice.action !== 'SPLIT';
+        });
+
+        // Surrender afwijkingen eerst, daarna de speel afwijkingen
+        plays.sort((a, b) => (b.above === 'SURRENDER') - (a.above === 'SURRENDER'));
+
+        let current = advice;
+        let cause = null;
+        for (const play of plays) {
+            const isSurrenderPlay = play.above === 'SURRENDER';
+            if (isSurrenderPlay && !canSurrender) continue;
+            // Surrender uit basic strategy gaat alleen opzij voor een surrender afwijking
+            if (!isSurrenderPlay && current.action === 'SURRENDER') continue;
+
+            const index = this.getPlayIndex(play);
+            const action = trueCount >= index ? play.above : play.below;
+
+            // Onder de index: basic strategy zonder surrender
+            if (action === null) {
+                if (current.action === 'SURRENDER') {
+                    current = this.getBasicAdvice(hand, dealerCard, availableActions.filter(a => a !== 'surrender'));
+                    cause = play;
+                }
+                continue;
+            }
+
+            if (!availableActions.includes(action.toLowerCase())) continue;
+            if (action !== current.action) {
+                current = { action };
+                cause = play;
+            }
+            break;
+        }
+
+        if (!cause || current.action === advice.action) {
+            return advice;
+        }
+
+        const index = this.getPlayIndex(cause);
+        return {
+            action: current.action,
+            message: {
+                key: 'strategy.deviation',
+                params: {
+                    group: cause.group,
+                    name: cause.name,
+                    index: `${index >= 0 ? '+' : ''}${index}`,
+                    trueCount: trueCount.toFixed(1),
+                    action: current.action,
+                    basicAction: advice.action
+                }
+            },
+            deviation: {
+                group: cause.group,
+                name: cause.name,
+                index,
+                trueCount,
+                basicAction: advice.action
+            }
+        };
+    }
+
+    /**
+     * Index van een count afwijking onder de huidige tafelregels
+     */
+    getPlayIndex(play) {
+        return typeof play.index === 'function' ? play.index(this.rules) : play.index;
+    }
+
     /**
      * Strategy voor pairs
      */
     getPairStrategy(cardValue, dealerValue, availableActions) {
         const card = this.dealerValues[cardValue] || parseInt(cardValue);
+        const das = this.rules.doubleAfterSplit;
+        const noHoleCard = this.isNoHoleCard();
 
-        // A,A - Altijd split
+        // Surrender gaat voor split als de regels het toelaten
+        if (availableActions.includes('surrender') && this.shouldSurrender(card * 2, dealerValue, card)) {
+            return {
+                action: 'SURRENDER',
+                message: { key: 'strategy.pair.surrender', params: { card: cardValue } }
+            };
+        }
+
+        // A,A - Altijd split (behalve tegen A zonder hole card)
         if (cardValue === 'A') {
+            if (noHoleCard && dealerValue === 11) {
+                return {
+                    action: 'HIT',
+                    message: { key: 'strategy.pair.acesNoHoleCard' }
+                };
+            }
             return {
                 action: 'SPLIT',
-                explanation: 'Split aces altijd - geeft twee kansen op blackjack.'
+                message: { key: 'strategy.pair.aces' }
             };
         }
 
@@ -59,7 +452,7 @@ class BlackjackStrategy {
         if (card === 10) {
             return {
                 action: 'STAND',
-                explanation: '20 is een te goede hand om te splitten.'
+                message: { key: 'strategy.pair.tens' }
             };
         }
 
@@ -68,20 +461,26 @@ class BlackjackStrategy {
             if (dealerValue === 7 || dealerValue >= 10) {
                 return {
                     action: 'STAND',
-                    explanation: '18 is sterk genoeg tegen deze dealer kaart.'
+                    message: { key: 'strategy.pair.ninesStand' }
                 };
             }
             return {
                 action: 'SPLIT',
-                explanation: 'Split 9s tegen zwakkere dealer kaarten voor meer winst.'
+                message: { key: 'strategy.pair.ninesSplit' }
             };
         }
 
-        // 8,8 - Altijd split
+        // 8,8 - Altijd split (behalve tegen 10/A zonder hole card)
         if (card === 8) {
+            if (noHoleCard && dealerValue >= 10) {
+                return {
+                    action: 'HIT',
+                    message: { key: 'strategy.pair.eightsNoHoleCard' }
+                };
+            }
             return {
                 action: 'SPLIT',
-                explanation: 'Split 8s altijd - 16 is een slechte hand, twee 18s is beter.'
+                message: { key: 'strategy.pair.eights' }
             };
         }
 
@@ -90,26 +489,26 @@ class BlackjackStrategy {
             if (dealerValue >= 2 && dealerValue <= 7) {
                 return {
                     action: 'SPLIT',
-                    explanation: 'Split 7s tegen zwakkere dealer kaarten.'
+                    message: { key: 'strategy.pair.splitWeakDealer', params: { card } }
                 };
             }
             return {
                 action: 'HIT',
-                explanation: '14 is te zwak - neem een kaart.'
+                message: { key: 'strategy.pair.sevensHit' }
             };
         }
 
-        // 6,6
+        // 6,6 (tegen 2 alleen met double after split)
         if (card === 6) {
-            if (dealerValue >= 2 && dealerValue <= 6) {
+            if (dealerValue >= (das ? 2 : 3) && dealerValue <= 6) {
                 return {
                     action: 'SPLIT',
-                    explanation: 'Split 6s wanneer dealer zwak is (bust kans).'
+                    message: { key: 'strategy.pair.sixesSplit' }
                 };
             }
             return {
                 action: 'HIT',
-                explanation: '12 is te zwak tegen sterke dealer kaart.'
+                message: { key: 'strategy.pair.sixesHit' }
             };
         }
 
@@ -118,45 +517,31 @@ class BlackjackStrategy {
             return this.getHardStrategy(10, dealerValue, availableActions);
         }
 
-        // 4,4
+        // 4,4 - Alleen splitten als je daarna mag doublen
         if (card === 4) {
-            if (dealerValue === 5 || dealerValue === 6) {
-                return {
-                    action: 'SPLIT',
-                    explanation: 'Split 4s alleen tegen de zwakste dealer kaarten.'
-                };
-            }
-            return {
-                action: 'HIT',
-                explanation: '8 is te laag - neem een kaart.'
-            };
-        }
-
-        // 3,3
-        if (card === 3) {
-            if (dealerValue >= 2 && dealerValue <= 7) {
+            if (das && (dealerValue === 5 || dealerValue === 6)) {
                 return {
                     action: 'SPLIT',
-                    explanation: 'Split 3s tegen zwakkere dealer kaarten.'
+                    message: { key: 'strategy.pair.foursSplit' }
                 };
             }
             return {
                 action: 'HIT',
-                explanation: '6 is te laag tegen sterke dealer kaart.'
+                message: { key: das ? 'strategy.pair.foursHit' : 'strategy.pair.foursHitNoDas' }
             };
         }
 
-        // 2,2
-        if (card === 2) {
-            if (dealerValue >= 2 && dealerValue <= 7) {
+        // 3,3 en 2,2 (tegen 2-3 alleen met double after split)
+        if (card === 3 || card === 2) {
+            if (dealerValue >= (das ? 2 : 4) && dealerValue <= 7) {
                 return {
                     action: 'SPLIT',
-                    explanation: 'Split 2s tegen zwakkere dealer kaarten.'
+                    message: { key: 'strategy.pair.splitWeakDealer', params: { card } }
                 };
             }
             return {
                 action: 'HIT',
-                explanation: '4 is te laag - neem kaarten tot 12+.'
+                message: { key: card === 3 ? 'strategy.pair.threesHit' : 'strategy.pair.twosHit' }
             };
         }
 
@@ -169,27 +554,36 @@ class BlackjackStrategy {
      */
     getSoftStrategy(total, dealerValue, availableActions) {
         const canDouble = availableActions.includes('double');
+        const { decks, dealerHitsSoft17 } = this.rules;
+
+        // Soft 21 (bijv. A,10 na een split - telt niet als blackjack)
+        if (total === 21) {
+            return {
+                action: 'STAND',
+                message: { key: 'strategy.soft.21' }
+            };
+        }
 
         // Soft 20 (A,9) - Altijd stand
         if (total === 20) {
             return {
                 action: 'STAND',
-                explanation: 'Soft 20 is bijna perfect - blijf staan.'
+                message: { key: 'strategy.soft.20' }
             };
         }
 
         // Soft 19 (A,8)
         if (total === 19) {
-            // Double tegen 6 als het kan
-            if (dealerValue === 6 && canDouble) {
+            // Double tegen 6 als het kan (alleen als dealer soft 17 hit of bij 1 deck)
+            if (dealerValue === 6 && canDouble && (dealerHitsSoft17 || decks === 1)) {
                 return {
                     action: 'DOUBLE',
-                    explanation: 'Double soft 19 tegen 6 voor extra winst (dealer heeft hoge bust kans).'
+                    message: { key: 'strategy.soft.19Double' }
                 };
             }
             return {
                 action: 'STAND',
-                explanation: 'Soft 19 is sterk - blijf staan.'
+                message: { key: 'strategy.soft.19Stand' }
             };
         }
 
@@ -198,32 +592,38 @@ class BlackjackStrategy {
             if (dealerValue >= 9) {
                 return {
                     action: 'HIT',
-                    explanation: 'Soft 18 is zwak tegen 9-A - probeer te verbeteren.'
+                    message: { key: 'strategy.soft.18Hit' }
                 };
             }
             if ((dealerValue >= 3 && dealerValue <= 6) && canDouble) {
                 return {
                     action: 'DOUBLE',
-                    explanation: 'Double soft 18 tegen zwakke dealer voor meer winst.'
+                    message: { key: 'strategy.soft.18Double' }
+                };
+            }
+            if (dealerValue === 2 && canDouble && (dealerHitsSoft17 || decks === 1)) {
+                return {
+                    action: 'DOUBLE',
+                    message: { key: 'strategy.soft.18DoubleVs2' }
                 };
             }
             return {
                 action: 'STAND',
-                explanation: 'Soft 18 is redelijk tegen deze kaart.'
+                message: { key: 'strategy.soft.18Stand' }
             };
         }
 
         // Soft 17 (A,6)
         if (total === 17) {
-            if ((dealerValue >= 3 && dealerValue <= 6) && canDouble) {
+            if ((dealerValue >= (decks === 1 ? 2 : 3) && dealerValue <= 6) && canDouble) {
                 return {
                     action: 'DOUBLE',
-                    explanation: 'Double soft 17 tegen zwakke dealer - kan niet busten.'
+                    message: { key: 'strategy.soft.17Double' }
                 };
             }
             return {
                 action: 'HIT',
-                explanation: 'Soft 17 is zwak - neem een kaart (kan niet busten).'
+                message: { key: 'strategy.soft.17Hit' }
             };
         }
 
@@ -232,12 +632,12 @@ class BlackjackStrategy {
             if ((dealerValue >= 4 && dealerValue <= 6) && canDouble) {
                 return {
                     action: 'DOUBLE',
-                    explanation: 'Double tegen dealer 4-6 voor optimale winst.'
+                    message: { key: 'strategy.soft.15Double' }
                 };
             }
             return {
                 action: 'HIT',
-                explanation: 'Hand is te zwak - neem kaarten (kan niet busten).'
+                message: { key: 'strategy.soft.15Hit' }
             };
         }
 
@@ -246,76 +646,167 @@ class BlackjackStrategy {
             if ((dealerValue === 5 || dealerValue === 6) && canDouble) {
                 return {
                     action: 'DOUBLE',
-                    explanation: 'Double tegen de zwakste dealer kaarten.'
+                    message: { key: 'strategy.soft.13Double' }
                 };
             }
             return {
                 action: 'HIT',
-                explanation: 'Hand is zwak - blijf kaarten nemen.'
+                message: { key: 'strategy.soft.13Hit' }
             };
         }
 
         // Soft 12 en lager (meerdere kaarten)
         return {
             action: 'HIT',
-            explanation: 'Hand is te laag - blijf kaarten nemen.'
+            message: { key: 'strategy.soft.low' }
         };
     }
 
+    /**
+     * Insurance (of even money met een blackjack) als de dealer een aas laat zien.
+     * De kans op een 10 onder de aas volgt uit de kaarten die nog in de shoe zitten,
+     * of met een true count uit de count: elke punt true count schuift de kans een
+     * vast stuk op, zodat insurance precies op de Illustrious 18 index break-even is.
+     * Insurance is alleen de eerste beslissing: met meer dan twee kaarten is er geen advies.
+     * @param {Object} hand - Speler hand info (hand.cards worden uit de shoe gehaald)
+     * @param {string} dealerCard - Dealer upcard
+     * @param {Object} [options]
+     * @param {Array<string>} [options.removedCards] - Overige bekende kaarten die al uit de shoe zijn
+     * @param {number} [options.trueCount] - True count (Hi-Lo schaal); bepaalt dan de kans op een 10
+     * @param {Array<number>} [options.deck] - Kaarten per rank in één deck (BlackjackVariant.deck()), standaard 52 kaarten
+     * @returns {Object|null} - {type, take, tenProbability, breakEven, ev, message, index?},
+     *                          of null zonder dealer aas of na de eerste beslissing
+     */
+    getInsuranceAdvice(hand, dealerCard, options = {}) {
+        if (dealerCard !== 'A' || (hand.cards && hand.cards.length > 2) || hand.total > 21) {
+            return null;
+        }
+
+        const index = BlackjackStrategy.insuranceIndex(options.deck);
+        const counted = typeof options.trueCount === 'number';
+        const p = counted
+            ? BlackjackStrategy.tenProbabilityFromCount(options.trueCount, options.deck)
+            : this.tenProbability([dealerCard, ...(hand.cards || []), ...(options.removedCards || [])], options.deck);
+
+        const evenMoney = Boolean(hand.cards) && hand.cards.length === 2 && hand.total === 21;
+        const payout = this.rules.blackjackPayout;
+
+        // Insurance kost een halve inzet en betaalt 2:1; even money ruilt de blackjack uitbetaling in voor 1:1
+        const breakEven = evenMoney ? 1 - 1 / payout : 1 / 3;
+        const ev = evenMoney ? 1 - payout * (1 - p) : 0.5 * (3 * p - 1);
+        // Met de count volgt insurance de index; precies op de index is de EV nul
+        const take = counted && !evenMoney ? options.trueCount >= index : ev > 0;
+
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        const type = evenMoney ? 'evenMoney' : 'insurance';
+
+        const advice = {
+            type,
+            take,
+            tenProbability: p,
+            breakEven,
+            ev,
+            message: {
+                key: take ? 'strategy.insurance.take' : 'strategy.insurance.decline',
+                params: {
+                    name: { key: `strategy.insurance.${type}` },
+                    probability: percent(p),
+                    breakEven: percent(breakEven),
+                    ev: percent(Math.abs(ev))
+                }
+            }
+        };
+
+        if (counted) {
+            advice.index = { index, trueCount: options.trueCount };
+            advice.message = {
+                key: 'strategy.insurance.withIndex',
+                params: { advice: advice.message, index, trueCount: options.trueCount.toFixed(1) }
+            };
+        }
+
+        return advice;
+    }
+
+    /**
+     * Kans dat de volgende kaart een 10 is, na de bekende kaarten
+     * @param {Array<string>} known - Kaarten die uit de shoe zijn
+     * @param {Array<number>} [deck] - Kaarten per rank in één deck, standaard 52 kaarten
+     */
+    tenProbability(known, deck) {
+        const { size, tens } = BlackjackStrategy.deckTens(deck);
+        const remaining = this.rules.decks * size - known.length;
+        const tensLeft = this.rules.decks * tens - known.filter(card => BlackjackStrategy.cardValue(card) === 10).length;
+        return Math.max(tensLeft, 0) / Math.max(remaining, 1);
+    }
+
+    /**
+     * Uitleg bij een surrender advies
+     * @returns {Object} - Message {key, params}
+     */
+    getSurrenderMessage(total, dealerValue) {
+        if (total === 16 && dealerValue >= 9) {
+            return { key: 'strategy.surrender.16' };
+        }
+        if (total === 15 && dealerValue === 10) {
+            return { key: 'strategy.surrender.15' };
+        }
+        const dealer = dealerValue === 11 ? 'A' : dealerValue;
+        if (this.rules.surrender === 'early') {
+            return { key: 'strategy.surrender.early', params: { total, dealer } };
+        }
+        return { key: 'strategy.surrender.hitsSoft17', params: { total, dealer } };
+    }
+
     /**
      * Strategy voor hard hands (geen aas of aas telt als 1)
      */
     getHardStrategy(total, dealerValue, availableActions) {
         const canDouble = availableActions.includes('double');
         const canSurrender = availableActions.includes('surrender');
+        const { decks, dealerHitsSoft17 } = this.rules;
+
+        // Surrender waar de tafelregels het toelaten en het verlies minimaliseert
+        if (canSurrender && total < 21 && this.shouldSurrender(total, dealerValue)) {
+            return {
+                action: 'SURRENDER',
+                message: this.getSurrenderMessage(total, dealerValue)
+            };
+        }
 
         // 17+ - Altijd stand
         if (total >= 17) {
             return {
                 action: 'STAND',
-                explanation: `${total} is hoog genoeg - risico op busten is te groot.`
+                message: { key: 'strategy.hard.17Stand', params: { total } }
             };
         }
 
         // 16
         if (total === 16) {
-            // Surrender tegen 9, 10, A als beschikbaar
-            if ((dealerValue >= 9) && canSurrender) {
-                return {
-                    action: 'SURRENDER',
-                    explanation: '16 tegen 9-A is zeer ongunstig - surrender minimaliseert verlies.'
-                };
-            }
             if (dealerValue >= 2 && dealerValue <= 6) {
                 return {
                     action: 'STAND',
-                    explanation: 'Dealer heeft hoge bust kans - blijf staan met 16.'
+                    message: { key: 'strategy.hard.16Stand' }
                 };
             }
             return {
                 action: 'HIT',
-                explanation: '16 is zwak tegen sterke dealer - risico nemen.'
+                message: { key: 'strategy.hard.16Hit' }
             };
         }
 
         // 15
         if (total === 15) {
-            // Surrender tegen 10 als beschikbaar
-            if (dealerValue === 10 && canSurrender) {
-                return {
-                    action: 'SURRENDER',
-                    explanation: '15 tegen 10 is zeer ongunstig - surrender is beste optie.'
-                };
-            }
             if (dealerValue >= 2 && dealerValue <= 6) {
                 return {
                     action: 'STAND',
-                    explanation: 'Dealer kan gemakkelijk busten - blijf staan.'
+                    message: { key: 'strategy.hard.15Stand' }
                 };
             }
             return {
                 action: 'HIT',
-                explanation: '15 is te zwak - neem het risico.'
+                message: { key: 'strategy.hard.15Hit' }
             };
         }
 
@@ -324,12 +815,12 @@ class BlackjackStrategy {
             if (dealerValue >= 2 && dealerValue <= 6) {
                 return {
                     action: 'STAND',
-                    explanation: 'Dealer heeft zwakke kaart - laat dealer busten.'
+                    message: { key: 'strategy.hard.13Stand' }
                 };
             }
             return {
                 action: 'HIT',
-                explanation: `${total} is te laag tegen sterke dealer.`
+                message: { key: 'strategy.hard.13Hit', params: { total } }
             };
         }
 
@@ -338,26 +829,32 @@ class BlackjackStrategy {
             if (dealerValue >= 4 && dealerValue <= 6) {
                 return {
                     action: 'STAND',
-                    explanation: 'Dealer heeft hoogste bust kans - blijf staan.'
+                    message: { key: 'strategy.hard.12Stand' }
                 };
             }
             return {
                 action: 'HIT',
-                explanation: '12 is te laag - bust kans is acceptabel (alleen 10,J,Q,K).'
+                message: { key: 'strategy.hard.12Hit' }
             };
         }
 
-        // 11 - Altijd double als mogelijk
+        // 11 - Double als mogelijk, tegen A alleen als dealer soft 17 hit of bij weinig decks
         if (total === 11) {
-            if (canDouble) {
+            if (canDouble && this.isNoHoleCard() && dealerValue >= 10) {
+                return {
+                    action: 'HIT',
+                    message: { key: 'strategy.hard.11NoHoleCard' }
+                };
+            }
+            if (canDouble && (dealerValue !== 11 || dealerHitsSoft17 || decks <= 2)) {
                 return {
                     action: 'DOUBLE',
-                    explanation: '11 is perfect voor doubling - grote kans op 21.'
+                    message: { key: 'strategy.hard.11Double' }
                 };
             }
             return {
                 action: 'HIT',
-                explanation: '11 kan niet busten - neem een kaart.'
+                message: { key: 'strategy.hard.11Hit' }
             };
         }
 
@@ -366,37 +863,340 @@ class BlackjackStrategy {
             if (dealerValue >= 2 && dealerValue <= 9 && canDouble) {
                 return {
                     action: 'DOUBLE',
-                    explanation: '10 is sterk voor doubling tegen deze dealer kaart.'
+                    message: { key: 'strategy.hard.10Double' }
                 };
             }
             return {
                 action: 'HIT',
-                explanation: '10 kan niet busten - neem een kaart.'
+                message: { key: 'strategy.hard.10Hit' }
             };
         }
 
-        // 9
+        // 9 (tegen 2 alleen bij 1-2 decks)
         if (total === 9) {
-            if (dealerValue >= 3 && dealerValue <= 6 && canDouble) {
+            if (dealerValue >= (decks <= 2 ? 2 : 3) && dealerValue <= 6 && canDouble) {
                 return {
                     action: 'DOUBLE',
-                    explanation: 'Double 9 tegen zwakke dealer kaarten.'
+                    message: { key: 'strategy.hard.9Double' }
                 };
             }
             return {
                 action: 'HIT',
-                explanation: '9 is te laag - blijf kaarten nemen.'
+                message: { key: 'strategy.hard.9Hit' }
+            };
+        }
+
+        // 8 - Alleen bij 1 deck doublen tegen 5-6
+        if (total === 8 && decks === 1 && (dealerValue === 5 || dealerValue === 6) && canDouble) {
+            return {
+                action: 'DOUBLE',
+                message: { key: 'strategy.hard.8DoubleSingleDeck' }
             };
         }
 
         // 5-8 (of lager)
         return {
             action: 'HIT',
-            explanation: 'Hand is te laag - kan niet busten, blijf kaarten nemen.'
+            message: { key: 'strategy.hard.low' }
         };
     }
 }
 
+/**
+ * Standaard tafelregels
+ * - decks: aantal decks in de shoe (1, 2, 4, 6 of 8)
+ * - dealerHitsSoft17: true = H17, false = S17
+ * - doubleAfterSplit: double toegestaan na split (DAS)
+ * - maxSplitHands: maximaal aantal handen na (re-)splitten
+ * - resplitAces: split azen mogen opnieuw gesplitst worden (RSA)
+ * - surrender: 'none', 'late' of 'early'
+ * - holeCard: 'peek' (dealer checkt op blackjack) of 'enhc' (European No Hole Card)
+ * - blackjackPayout: uitbetaling voor blackjack (1.5 = 3:2)
+ */
+BlackjackStrategy.DEFAULT_RULES = {
+    decks: 6,
+    dealerHitsSoft17: true,
+    doubleAfterSplit: true,
+    maxSplitHands: 4,
+    resplitAces: false,
+    surrender: 'late',
+    holeCard: 'peek',
+    blackjackPayout: 1.5
+};
+
+/**
+ * Compositie afhankelijke uitzonderingen op de hard totals. Elke uitzondering is
+ * nagerekend met de EV engine (die de kaarten van de hand uit de shoe haalt) voor
+ * 1 t/m 8 decks, H17 en S17 met peek, en geldt alleen waar de engine hem bevestigt.
+ * applies(values, rules) krijgt de kaartwaarden van de hand (aas = 11); messageKey is de uitleg.
+ */
+BlackjackStrategy.COMPOSITION_PLAYS = [
+    {
+        name: '16 van drie kaarten vs 10',
+        total: 16,
+        dealers: [10],
+        applies: (values, rules) => values.length === 3
+            && rules.decks <= (BlackjackStrategy.THREE_CARD_16_STANDS[BlackjackStrategy.compositionKey(values)] || 0),
+        action: 'STAND',
+        messageKey: 'strategy.composition.threeCard16'
+    },
+    {
+        name: '16 van 4+ kaarten zonder 6, 9 of 10 vs 10',
+        total: 16,
+        dealers: [10],
+        applies: (values, rules) => values.length >= 4 && rules.decks <= 8 && !values.some(value => [6, 9, 10].includes(value)),
+        action: 'STAND',
+        messageKey: 'strategy.composition.multiCard16'
+    },
+    {
+        name: '8-7 vs A',
+        total: 15,
+        dealers: [11],
+        applies: (values, rules) => rules.decks <= 2 && values.length === 2 && values.includes(8),
+        action: 'HIT',
+        messageKey: 'strategy.composition.eightSeven'
+    },
+    {
+        name: '8-4/7-5 vs 3',
+        total: 12,
+        dealers: [3],
+        applies: (values, rules) => (rules.decks === 1 || (rules.decks === 2 && rules.dealerHitsSoft17))
+            && values.length === 2 && (values.includes(8) || values.includes(7)),
+        action: 'STAND',
+        messageKey: 'strategy.composition.twelveVsThree'
+    },
+    {
+        name: '10-2 vs 4',
+        total: 12,
+        dealers: [4],
+        applies: (values, rules) => rules.decks <= 2 && values.length === 2 && values.includes(10),
+        action: 'HIT',
+        messageKey: 'strategy.composition.tenTwo'
+    },
+    {
+        name: '6-2 vs 6',
+        total: 8,
+        dealers: [6],
+        applies: (values, rules) => rules.decks === 1 && values.length === 2 && values.includes(6),
+        action: 'HIT',
+        messageKey: 'strategy.composition.sixTwo'
+    }
+];
+
+// Hard 16 van drie kaarten waarop je tegen 10 blijft staan, met het hoogste aantal decks
+// waarvoor de EV engine dat bevestigt (sleutel: gesorteerde kaartwaarden, aas = 1).
+// Met een 6 (behalve 5-5-6) of A-6-9 is een kaart nemen beter.
+BlackjackStrategy.THREE_CARD_16_STANDS = {
+    '1-5-10': 8,
+    '1-7-8': 8,
+    '2-4-10': 7,
+    '2-5-9': 8,
+    '2-7-7': 8,
+    '3-3-10': 1,
+    '3-4-9': 8,
+    '3-5-8': 8,
+    '4-4-8': 8,
+    '4-5-7': 8,
+    '5-5-6': 8
+};
+
+/**
+ * Sleutel voor een samenstelling: gesorteerde kaartwaarden met de aas als 1, bijv. '2-4-10'
+ * @param {Array<number>} values - Kaartwaarden (aas = 11)
+ * @returns {string}
+ */
+BlackjackStrategy.compositionKey = function (values) {
+    return values.map(value => value === 11 ? 1 : value).sort((a, b) => a - b).join('-');
+};
+
+/**
+ * Count afwijkingen voor Hi-Lo (true count). Vanaf de index speel je `above`, eronder `below`
+ * (null = gewone basic strategy zonder surrender). Index kan afhangen van de regels.
+ */
+BlackjackStrategy.INDEX_PLAYS = [
+    // Illustrious 18 (zonder insurance)
+    { group: 'Illustrious 18', name: '16 vs 10', total: 16, dealer: 10, index: 0, above: 'STAND', below: 'HIT' },
+    { group: 'Illustrious 18', name: '15 vs 10', total: 15, dealer: 10, index: 4, above: 'STAND', below: 'HIT' },
+    { group: 'Illustrious 18', name: '10,10 vs 5', pair: 10, dealer: 5, index: 5, above: 'SPLIT', below: 'STAND' },
+    { group: 'Illustrious 18', name: '10,10 vs 6', pair: 10, dealer: 6, index: 4, above: 'SPLIT', below: 'STAND' },
+    { group: 'Illustrious 18', name: '10 vs 10', total: 10, dealer: 10, index: 4, above: 'DOUBLE', below: 'HIT' },
+    { group: 'Illustrious 18', name: '12 vs 3', total: 12, dealer: 3, index: 2, above: 'STAND', below: 'HIT' },
+    { group: 'Illustrious 18', name: '12 vs 2', total: 12, dealer: 2, index: 3, above: 'STAND', below: 'HIT' },
+    { group: 'Illustrious 18', name: '11 vs A', total: 11, dealer: 11, index: r => (r.dealerHitsSoft17 ? -1 : 1), above: 'DOUBLE', below: 'HIT' },
+    { group: 'Illustrious 18', name: '9 vs 2', total: 9, dealer: 2, index: 1, above: 'DOUBLE', below: 'HIT' },
+    { group: 'Illustrious 18', name: '10 vs A', total: 10, dealer: 11, index: r => (r.dealerHitsSoft17 ? 3 : 4), above: 'DOUBLE', below: 'HIT' },
+    { group: 'Illustrious 18', name: '9 vs 7', total: 9, dealer: 7, index: 3, above: 'DOUBLE', below: 'HIT' },
+    { group: 'Illustrious 18', name: '16 vs 9', total: 16, dealer: 9, index: 5, above: 'STAND', below: 'HIT' },
+    { group: 'Illustrious 18', name: '13 vs 2', total: 13, dealer: 2, index: -1, above: 'STAND', below: 'HIT' },
+    { group: 'Illustrious 18', name: '12 vs 4', total: 12, dealer: 4, index: 0, above: 'STAND', below: 'HIT' },
+    { group: 'Illustrious 18', name: '12 vs 5', total: 12, dealer: 5, index: -2, above: 'STAND', below: 'HIT' },
+    { group: 'Illustrious 18', name: '12 vs 6', total: 12, dealer: 6, index: -1, above: 'STAND', below: 'HIT' },
+    { group: 'Illustrious 18', name: '13 vs 3', total: 13, dealer: 3, index: -2, above: 'STAND', below: 'HIT' },
+
+    // Fab 4 surrenders
+    { group: 'Fab 4', name: '14 vs 10', total: 14, dealer: 10, index: 3, above: 'SURRENDER', below: null },
+    { group: 'Fab 4', name: '15 vs 10', total: 15, dealer: 10, index: 0, above: 'SURRENDER', below: null },
+    { group: 'Fab 4', name: '15 vs 9', total: 15, dealer: 9, index: 2, above: 'SURRENDER', below: null },
+    { group: 'Fab 4', name: '15 vs A', total: 15, dealer: 11, index: r => (r.dealerHitsSoft17 ? -1 : 1), above: 'SURRENDER', below: null }
+];
+
+/**
+ * Illustrious 18 index voor insurance (Hi-Lo true count)
+ */
+BlackjackStrategy.INSURANCE_INDEX = 3;
+
+/**
+ * Kaarten en tienwaardige kaarten in één deck
+ * @param {Array<number>} [deck] - Kaarten per rank (index 10 = tienwaardig), standaard 52 kaarten met 16 tienen
+ * @returns {Object} - {size, tens}
+ */
+BlackjackStrategy.deckTens = function (deck) {
+    if (!deck) {
+        return { size: 52, tens: 16 };
+    }
+    return { size: deck.reduce((sum, count) => sum + count, 0), tens: deck[10] };
+};
+
+// Wat één punt Hi-Lo true count de kans op een 10 verschuift: van 4/13 naar 1/3 over de insurance index
+BlackjackStrategy.TEN_PROBABILITY_PER_COUNT = (1 / 3 - 4 / 13) / BlackjackStrategy.INSURANCE_INDEX;
+
+/**
+ * Kans op een 10 geschat uit de Hi-Lo true count: het aandeel tienen in een neutrale
+ * shoe (4/13 bij 52 kaarten), en precies 1/3 (insurance break-even) op de insurance index
+ * @param {number} trueCount
+ * @param {Array<number>} [deck] - Kaarten per rank in één deck, standaard 52 kaarten
+ * @returns {number}
+ */
+BlackjackStrategy.tenProbabilityFromCount = function (trueCount, deck) {
+    const { size, tens } = BlackjackStrategy.deckTens(deck);
+    return Math.min(Math.max(tens / size + trueCount * BlackjackStrategy.TEN_PROBABILITY_PER_COUNT, 0), 1);
+};
+
+/**
+ * True count vanaf waar insurance loont: de Illustrious 18 index bij 52 kaarten.
+ * Met minder tienen in het deck (Spanish 21) ligt de break-even hoger.
+ * @param {Array<number>} [deck]
+ * @returns {number}
+ */
+BlackjackStrategy.insuranceIndex = function (deck) {
+    const { size, tens } = BlackjackStrategy.deckTens(deck);
+    // De epsilon vangt de afrondingsfout op, zodat 52 kaarten precies de index geeft
+    return Math.ceil((1 / 3 - tens / size) / BlackjackStrategy.TEN_PROBABILITY_PER_COUNT - 1e-9);
+};
+
+// Minimaal EV verschil (in inzetten) voordat de shoe samenstelling het advies omdraait
+BlackjackStrategy.SHOE_EV_MARGIN = 1e-6;
+
+/**
+ * Benoemde tafelregel presets (de naam staat in de catalogus onder `rules.preset.<key>`)
+ */
+BlackjackStrategy.RULE_PRESETS = {
+    toto: {
+        rules: { ...BlackjackStrategy.DEFAULT_RULES }
+    },
+    vegasStrip: {
+        rules: { decks: 4, dealerHitsSoft17: false, doubleAfterSplit: true, maxSplitHands: 4, resplitAces: true, surrender: 'late', holeCard: 'peek' }
+    },
+    european: {
+        rules: { decks: 6, dealerHitsSoft17: false, doubleAfterSplit: true, maxSplitHands: 2, resplitAces: false, surrender: 'none', holeCard: 'enhc' }
+    },
+    doubleDeck: {
+        rules: { decks: 2, dealerHitsSoft17: true, doubleAfterSplit: false, maxSplitHands: 4, resplitAces: false, surrender: 'none', holeCard: 'peek' }
+    },
+    singleDeck: {
+        rules: { decks: 1, dealerHitsSoft17: true, doubleAfterSplit: false, maxSplitHands: 4, resplitAces: false, surrender: 'none', holeCard: 'peek' }
+    }
+};
+
+/**
+ * Korte omschrijving van een set tafelregels als messages, bijv. "6 decks · H17 · DAS · Split tot 4 handen · Late surrender · Peek"
+ * @param {Object} rules
+ * @returns {Array<Object>} - Messages {key, params}, om met ' · ' te verbinden
+ */
+BlackjackStrategy.describeRules = function (rules) {
+    const r = Object.assign({}, BlackjackStrategy.DEFAULT_RULES, rules);
+    return [
+        { key: 'rules.summary.decks', params: { count: r.decks } },
+        { key: r.dealerHitsSoft17 ? 'rules.summary.h17' : 'rules.summary.s17' },
+        { key: r.doubleAfterSplit ? 'rules.summary.das' : 'rules.summary.noDas' },
+        { key: r.resplitAces ? 'rules.summary.splitHandsRsa' : 'rules.summary.splitHands', params: { count: r.maxSplitHands } },
+        { key: `rules.summary.surrender.${r.surrender}` },
+        { key: r.holeCard === 'enhc' ? 'rules.summary.enhc' : 'rules.summary.peek' }
+    ];
+};
+
+/**
+ * Titel voor een ranking uit getRankedAdvice(): alleen met EV's staan alle acties van beste
+ * naar slechtste, anders volgen na de fallback keten de overige acties in de volgorde van de invoer
+ * @param {Array<Object>} ranking - [{action, rank, ev, fallback}]
+ * @returns {string} - Message key
+ */
+BlackjackStrategy.rankingTitleKey = function (ranking) {
+    return ranking.some(entry => entry.ev !== null) ? 'ranking.title' : 'ranking.titleUnordered';
+};
+
+/**
+ * Mag deze hand (opnieuw) gesplitst worden volgens de tafelregels?
+ * @param {Array<string>} cards - Kaarten van de hand
+ * @param {number} handCount - Aantal handen dat de speler nu speelt
+ * @param {boolean} splitAces - De hand komt zelf uit een split van azen
+ * @param {Object} rules
+ * @returns {boolean}
+ */
+BlackjackStrategy.canSplit = function (cards, handCount, splitAces, rules) {
+    const r = Object.assign({}, BlackjackStrategy.DEFAULT_RULES, rules);
+    return cards.length === 2
+        && BlackjackStrategy.evaluateHand(cards).isPair
+        && handCount < r.maxSplitHands
+        && (!splitAces || r.resplitAces);
+};
+
+/**
+ * Waarde van een kaart (aas telt als 11)
+ * @param {string} card - '2'-'10', 'J', 'Q', 'K' of 'A'
+ * @returns {number}
+ */
+BlackjackStrategy.cardValue = function (card) {
+    if (card === 'A') return 11;
+    if (['J', 'Q', 'K'].includes(card)) return 10;
+    return parseInt(card);
+};
+
+/**
+ * Bereken totaal, soft en pair info van een lijst kaarten
+ * @param {Array<string>} cards
+ * @returns {Object} - {total, isSoft, isPair, cards}
+ */
+BlackjackStrategy.evaluateHand = function (cards) {
+    let total = 0;
+    let aces = 0;
+
+    // Count total and aces
+    for (const card of cards) {
+        total += BlackjackStrategy.cardValue(card);
+        if (card === 'A') aces++;
+    }
+
+    // Adjust for aces (convert from 11 to 1 if needed)
+    while (total > 21 && aces > 0) {
+        total -= 10;
+        aces--;
+    }
+
+    const isSoft = aces > 0 && total <= 21;
+
+    // Check for pair
+    const isPair = cards.length === 2 &&
+        BlackjackStrategy.cardValue(cards[0]) === BlackjackStrategy.cardValue(cards[1]);
+
+    return {
+        total,
+        isSoft,
+        isPair,
+        cards
+    };
+};
+
 // Export voor gebruik in andere bestanden
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = BlackjackStrategy;
@@ -0,0 +1,220 @@
+/**
+ * Blackjack Strategy Trainer
+ *
+ * Deelt willekeurige handen tegen een dealer upcard, laat de speler een actie
+ * kiezen en beoordeelt die tegen BlackjackStrategy.getAdvice(). De score wordt
+ * per soort hand (hard/soft/pair) en per dealer upcard bijgehouden en bewaard
+ * in localStorage. Met een DrillScheduler komen de vragen uit het herhaalschema
+ * in plaats van willekeurig.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const TrainerDeps = typeof module !== 'undefined' && module.exports
+    ? { BlackjackStrategy: require('./strategy.js'), I18n: require('./i18n.js') }
+    : { BlackjackStrategy, I18n };
+
+class StrategyTrainer {
+    /**
+     * @param {BlackjackStrategy} strategy - Engine waartegen antwoorden beoordeeld worden
+     * @param {Object} [options]
+     * @param {Storage|null} [options.storage] - Opslag voor statistieken (standaard localStorage)
+     * @param {Function} [options.random=Math.random]
+     * @param {DrillScheduler|null} [options.scheduler] - Kiest de cellen om te oefenen en onthoudt de antwoorden
+     */
+    constructor(strategy, options = {}) {
+        this.strategy = strategy;
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.random = options.random || Math.random;
+        this.scheduler = options.scheduler || null;
+        this.question = null;
+
+        this.stats = this.loadStats();
+    }
+
+    /**
+     * Nieuwe vraag: kies eerst de soort hand, dan de kaarten en de dealer upcard.
+     * Met een scheduler komt de cel uit het herhaalschema.
+     * @returns {Object} - {category, cards, hand, dealerCard, availableActions, cell}
+     */
+    nextQuestion() {
+        let category, cards, dealerCard, cell = null;
+        if (this.scheduler) {
+            cell = this.scheduler.next();
+            category = cell.type;
+            cards = this.dealCellCards(cell);
+            dealerCard = this.dealCard(cell.dealer);
+        } else {
+            category = StrategyTrainer.CATEGORIES[Math.floor(this.random() * StrategyTrainer.CATEGORIES.length)];
+            cards = this.dealCards(category);
+            dealerCard = this.pick(StrategyTrainer.CARDS);
+        }
+
+        const availableActions = ['hit', 'stand', 'double'];
+        if (category === 'pair') {
+            availableActions.push('split');
+        }
+        if (this.strategy.rules.surrender !== 'none') {
+            availableActions.push('surrender');
+        }
+
+        this.question = {
+            category,
+            cards,
+            hand: TrainerDeps.BlackjackStrategy.evaluateHand(cards),
+            dealerCard,
+            availableActions,
+            cell
+        };
+        return this.question;
+    }
+
+    /**
+     * Kaarten voor een hand van de gevraagde soort
+     */
+    dealCards(category) {
+        if (category === 'pair') {
+            const card = this.pick(StrategyTrainer.CARDS);
+            return [card, card];
+        }
+
+        if (category === 'soft') {
+            // A,2 t/m A,9
+            return ['A', this.pick(['2', '3', '4', '5', '6', '7', '8', '9'])];
+        }
+
+        // Hard: twee verschillende waarden zonder aas, totaal 5-19
+        while (true) {
+            const first = this.pick(StrategyTrainer.CARDS.filter(card => card !== 'A'));
+            const second = this.pick(StrategyTrainer.CARDS.filter(card => card !== 'A'));
+            const hand = TrainerDeps.BlackjackStrategy.evaluateHand([first, second]);
+            if (!hand.isPair && hand.total <= 19) {
+                return [first, second];
+            }
+        }
+    }
+
+    /**
+     * Twee kaarten voor een cel uit het schema: een pair, een aas met een
+     * tweede kaart, of twee verschillende kaarten zonder aas
+     */
+    dealCellCards(cell) {
+        if (cell.type === 'pair') {
+            const card = this.dealCard(cell.hand);
+            return [card, card];
+        }
+
+        const total = parseInt(cell.hand);
+        if (cell.type === 'soft') {
+            return ['A', String(total - 11)];
+        }
+
+        const firstValues = [2, 3, 4, 5, 6, 7, 8, 9, 10]
+            .filter(value => total - value >= 2 && total - value <= 10 && total - value !== value);
+        const first = this.pick(firstValues);
+        return [this.dealCard(String(first)), this.dealCard(String(total - first))];
+    }
+
+    /**
+     * Een kaart van deze waarde; voor 10 ook J, Q of K
+     */
+    dealCard(value) {
+        return value === '10' ? this.pick(['10', 'J', 'Q', 'K']) : value;
+    }
+
+    /**
+     * Beoordeel het antwoord op de huidige vraag
+     * @param {string} action - 'hit', 'stand', 'double', 'split' of 'surrender'
+     * @param {number|null} [responseTime] - Bedenktijd in milliseconden, voor het herhaalschema
+     * @returns {Object} - {correct, action, advice, question}
+     */
+    answer(action, responseTime = null) {
+        if (!this.question) {
+            throw TrainerDeps.I18n.error('error.trainer.noQuestion');
+        }
+
+        const question = this.question;
+        const advice = this.strategy.getAdvice(question.hand, question.dealerCard, question.availableActions);
+        const correct = advice.action === action.toUpperCase();
+
+        this.record(question.category, StrategyTrainer.dealerKey(question.dealerCard), correct);
+        if (this.scheduler && question.cell) {
+            this.scheduler.record(question.cell, correct, responseTime);
+        }
+        this.question = null;
+
+        return { correct, action, advice, question };
+    }
+
+    record(category, dealerKey, correct) {
+        for (const bucket of [this.stats.categories[category], this.stats.dealer[dealerKey]]) {
+            bucket.total++;
+            if (correct) bucket.correct++;
+        }
+        this.saveStats();
+    }
+
+    /**
+     * Nauwkeurigheid als fractie (null als er nog geen vragen zijn)
+     */
+    static accuracy(bucket) {
+        return bucket.total > 0 ? bucket.correct / bucket.total : null;
+    }
+
+    /**
+     * J, Q en K vallen samen met 10
+     */
+    static dealerKey(card) {
+        return ['J', 'Q', 'K'].includes(card) ? '10' : card;
+    }
+
+    static emptyStats() {
+        const bucket = () => ({ correct: 0, total: 0 });
+        const stats = { categories: {}, dealer: {} };
+        StrategyTrainer.CATEGORIES.forEach(category => { stats.categories[category] = bucket(); });
+        StrategyTrainer.DEALER_KEYS.forEach(key => { stats.dealer[key] = bucket(); });
+        return stats;
+    }
+
+    loadStats() {
+        const stats = StrategyTrainer.emptyStats();
+        if (!this.storage) return stats;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(StrategyTrainer.STORAGE_KEY));
+            if (saved) {
+                Object.assign(stats.categories, saved.categories);
+                Object.assign(stats.dealer, saved.dealer);
+            }
+        } catch (error) {
+            // Beschadigde opslag: opnieuw beginnen
+        }
+        return stats;
+    }
+
+    saveStats() {
+        if (this.storage) {
+            this.storage.setItem(StrategyTrainer.STORAGE_KEY, JSON.stringify(this.stats));
+        }
+    }
+
+    resetStats() {
+        this.stats = StrategyTrainer.emptyStats();
+        this.saveStats();
+    }
+
+    pick(list) {
+        return list[Math.floor(this.random() * list.length)];
+    }
+}
+
+StrategyTrainer.STORAGE_KEY = 'blackjack-trainer-stats';
+StrategyTrainer.CATEGORIES = ['hard', 'soft', 'pair'];
+StrategyTrainer.CARDS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+StrategyTrainer.DEALER_KEYS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'A'];
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StrategyTrainer;
+}
@@ -0,0 +1,214 @@
+/**
+ * Blackjack Variants
+ *
+ * Interface voor de spelvarianten van de adviseur. Elke variant is een eigen
+ * module in js/variants/ die van BlackjackVariant erft en zich hier registreert.
+ * Een variant levert:
+ *   - deck(): hoeveel kaarten van elke rank er in één deck zitten
+ *   - getLegalActions(): welke acties de regels van de variant toelaten
+ *   - getAdvice(): het advies voor een hand, als {action, message}
+ *
+ * De tafelregels (decks, H17/S17, DAS, surrender, ...) blijven in de gedeelde
+ * BlackjackStrategy, zodat het regelpaneel voor elke variant hetzelfde werkt.
+ * Varianten zonder eigen engine spelen een tabel (static CHART) met per hard
+ * totaal, soft totaal en pair een rij codes voor dealer 2 t/m A.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const VariantDeps = typeof module !== 'undefined' && module.exports
+    ? { BlackjackStrategy: require('./strategy.js'), ExpectedValueEngine: require('./ev-engine.js'), I18n: require('./i18n.js') }
+    : { BlackjackStrategy, ExpectedValueEngine, I18n };
+
+class BlackjackVariant {
+    /**
+     * @param {BlackjackStrategy} strategy - Gedeelde engine met de tafelregels
+     */
+    constructor(strategy) {
+        this.strategy = strategy;
+    }
+
+    get id() {
+        return this.constructor.ID;
+    }
+
+    get rules() {
+        return this.strategy.rules;
+    }
+
+    /**
+     * Kan de EV engine deze variant doorrekenen? Die kent alleen de klassieke
+     * uitbetalingen; zonder EV is er geen EV tabel, insurance advies of shoe advies.
+     */
+    get supportsEv() {
+        return false;
+    }
+
+    /**
+     * Kaarten per rank in één deck, in het formaat van ExpectedValueEngine.createShoe()
+     * @returns {Array<number>} - Index 1 (aas) t/m 10 (tienwaardige kaarten)
+     */
+    deck() {
+        return VariantDeps.ExpectedValueEngine.STANDARD_DECK;
+    }
+
+    /**
+     * Beperk de beschikbare acties tot wat de variant toelaat.
+     * Standaard: double, split en surrender alleen op de eerste twee kaarten.
+     * @param {Object} hand - {cards, ...}
+     * @param {Array} availableActions
+     * @returns {Array}
+     */
+    getLegalActions(hand, availableActions) {
+        return this.strategy.getLegalActions(hand, availableActions);
+    }
+
+    /**
+     * Advies voor een hand, zie BlackjackStrategy.getAdvice()
+     * @returns {Object} - {action, message}
+     */
+    getAdvice(hand, dealerCard, availableActions, options = {}) {
+        return this.getChartAdvice(hand, dealerCard, this.getLegalActions(hand, availableActions));
+    }
+
+    /**
+     * Advies met fallback keten en ranking; dezelfde keten als de klassieke engine,
+     * maar met getAdvice() en getLegalActions() van de variant
+     */
+    getRankedAdvice(hand, dealerCard, availableActions, options = {}) {
+        return VariantDeps.BlackjackStrategy.prototype.getRankedAdvice.call(this, hand, dealerCard, availableActions, options);
+    }
+
+    /**
+     * Advies uit de tabel van de variant
+     */
+    getChartAdvice(hand, dealerCard, availableActions) {
+        const { BlackjackStrategy } = VariantDeps;
+        const chart = this.constructor.CHART;
+        const column = BlackjackStrategy.cardValue(dealerCard) - 2;
+        const cardCount = hand.cards && hand.cards.length > 0 ? hand.cards.length : 2;
+
+        if (hand.isPair && availableActions.includes('split')) {
+            const pairValue = BlackjackStrategy.cardValue(hand.cards[0]);
+            const code = BlackjackVariant.cell(chart.pair, pairValue, column);
+            if (code === 'P' || code === 'Rp') {
+                const action = code === 'Rp' && availableActions.includes('surrender') ? 'SURRENDER' : 'SPLIT';
+                return { action, message: this.getChartMessage(action, hand, dealerCard) };
+            }
+        }
+
+        const code = BlackjackVariant.cell(hand.isSoft ? chart.soft : chart.hard, hand.total, column);
+        const action = BlackjackVariant.resolveCode(code, availableActions, cardCount);
+        const { limit } = BlackjackVariant.parseCode(code);
+        return { action, message: this.getChartMessage(action, hand, dealerCard, limit) };
+    }
+
+    /**
+     * @param {number|null} [limit] - Maximaal aantal kaarten waarvoor de tabel stand of double geeft
+     */
+    getChartMessage(action, hand, dealerCard, limit = null) {
+        const params = {
+            variant: { key: `variant.${this.id}` },
+            action,
+            hand: BlackjackVariant.describeHand(hand),
+            dealer: dealerCard
+        };
+        if (limit !== null) {
+            return { key: 'variant.adviceCards', params: Object.assign(params, { max: limit }) };
+        }
+        return { key: 'variant.advice', params };
+    }
+
+    /**
+     * Message voor de hand, bijv. "soft 18" of "pair 8"
+     */
+    static describeHand(hand) {
+        if (hand.isPair) {
+            return { key: 'variant.hand.pair', params: { card: hand.cards[0] } };
+        }
+        return { key: 'variant.hand.total', params: { type: { key: hand.isSoft ? 'hand.soft' : 'hand.hard' }, total: hand.total } };
+    }
+
+    /**
+     * Code uit een rij van de tabel; totalen buiten de tabel vallen op de eerste of laatste rij
+     * @param {Object} rows - {totaal: 'H H S ...'} met tien codes voor dealer 2 t/m A
+     * @param {number} total
+     * @param {number} column - 0 (dealer 2) t/m 9 (dealer aas)
+     * @returns {string}
+     */
+    static cell(rows, total, column) {
+        const keys = Object.keys(rows).map(Number).sort((a, b) => a - b);
+        const key = Math.min(Math.max(total, keys[0]), keys[keys.length - 1]);
+        return rows[key].trim().split(/\s+/)[column];
+    }
+
+    /**
+     * Ontleed een code: letter, fallback en eventueel een maximum aantal kaarten.
+     * H hit · S stand · D double, anders hit · Ds double, anders stand · R surrender, anders hit ·
+     * Rs surrender, anders stand · P split · Rp surrender, anders split · - niet splitten.
+     * Een cijfer erachter (S4, D3, Ds4) geldt tot en met zoveel kaarten; daarboven geldt de fallback
+     * (hit, of stand bij Ds4).
+     * @returns {Object} - {base, fallback, limit}
+     */
+    static parseCode(code) {
+        const match = String(code).match(/^([HSDRP-])(s|p)?(\d)?$/);
+        return {
+            base: match[1],
+            fallback: match[2] === 's' ? 'STAND' : 'HIT',
+            limit: match[3] ? parseInt(match[3]) : null
+        };
+    }
+
+    /**
+     * Zet een code om naar een actie die beschikbaar is
+     * @param {string} code
+     * @param {Array} availableActions
+     * @param {number} [cardCount] - Aantal kaarten in de hand
+     * @returns {string} - HIT, STAND, DOUBLE of SURRENDER
+     */
+    static resolveCode(code, availableActions, cardCount = 2) {
+        const { base, fallback, limit } = BlackjackVariant.parseCode(code);
+
+        if (limit !== null && cardCount > limit) {
+            return fallback;
+        }
+        if (base === 'S') {
+            return 'STAND';
+        }
+        if (base === 'D') {
+            return availableActions.includes('double') ? 'DOUBLE' : fallback;
+        }
+        if (base === 'R') {
+            return availableActions.includes('surrender') ? 'SURRENDER' : fallback;
+        }
+        return 'HIT';
+    }
+
+    /**
+     * Registreer een variant onder zijn static ID
+     * @param {Function} VariantClass - Subclass van BlackjackVariant
+     */
+    static register(VariantClass) {
+        BlackjackVariant.VARIANTS[VariantClass.ID] = VariantClass;
+    }
+
+    /**
+     * @param {string} id - ID van een geregistreerde variant
+     * @param {BlackjackStrategy} strategy
+     * @returns {BlackjackVariant}
+     */
+    static create(id, strategy) {
+        const VariantClass = BlackjackVariant.VARIANTS[id];
+        if (!VariantClass) {
+            throw VariantDeps.I18n.error('error.variant.unknown', { variant: id });
+        }
+        return new VariantClass(strategy);
+    }
+}
+
+// Geregistreerde varianten op volgorde van registratie (de volgorde in de keuzelijst)
+BlackjackVariant.VARIANTS = {};
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BlackjackVariant;
+}
@@ -0,0 +1,91 @@
+/**
+ * Free Bet Blackjack
+ *
+ * Het casino betaalt de extra inzet van een double op hard 9, 10 en 11 en van
+ * een split van elk pair behalve tienen: verlies je die hand, dan kost de
+ * gratis inzet niets. Daar staat tegenover dat een dealer 22 gelijkspel is
+ * tegen elke hand die niet bust (behalve blackjack). Gratis acties neem je
+ * daarom bijna altijd; op lage totalen blijf je minder vaak staan omdat een
+ * dealer bust op 22 niet meer wint. Surrender wordt niet aangeboden.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const FreeBetDeps = typeof module !== 'undefined' && module.exports
+    ? { BlackjackVariant: require('../variants.js'), BlackjackStrategy: require('../strategy.js') }
+    : { BlackjackVariant, BlackjackStrategy };
+
+class FreeBetVariant extends FreeBetDeps.BlackjackVariant {
+    getLegalActions(hand, availableActions) {
+        return super.getLegalActions(hand, availableActions).filter(action => action !== 'surrender');
+    }
+
+    getAdvice(hand, dealerCard, availableActions, options = {}) {
+        const advice = super.getAdvice(hand, dealerCard, availableActions, options);
+
+        if (this.isFree(advice.action, hand)) {
+            advice.message = Object.assign({}, advice.message, { key: 'variant.freeBet.free' });
+        }
+        return advice;
+    }
+
+    /**
+     * Betaalt het casino de extra inzet van deze actie?
+     */
+    isFree(action, hand) {
+        if (action === 'DOUBLE') {
+            const twoCards = !hand.cards || hand.cards.length <= 2;
+            return twoCards && !hand.isSoft && hand.total >= 9 && hand.total <= 11;
+        }
+        if (action === 'SPLIT') {
+            return FreeBetDeps.BlackjackStrategy.cardValue(hand.cards[0]) !== 10;
+        }
+        return false;
+    }
+}
+
+FreeBetVariant.ID = 'freeBet';
+
+// Dealer:  2   3   4   5   6   7   8   9   10  A
+FreeBetVariant.CHART = {
+    hard: {
+        8: '    H   H   H   H   H   H   H   H   H   H',
+        9: '    D   D   D   D   D   D   D   D   D   D',
+        10: '   D   D   D   D   D   D   D   D   D   D',
+        11: '   D   D   D   D   D   D   D   D   D   D',
+        12: '   H   H   H   S   S   H   H   H   H   H',
+        13: '   H   S   S   S   S   H   H   H   H   H',
+        14: '   S   S   S   S   S   H   H   H   H   H',
+        15: '   S   S   S   S   S   H   H   H   H   H',
+        16: '   S   S   S   S   S   H   H   H   H   H',
+        17: '   S   S   S   S   S   S   S   S   S   S'
+    },
+    soft: {
+        13: '   H   H   H   D   D   H   H   H   H   H',
+        14: '   H   H   H   D   D   H   H   H   H   H',
+        15: '   H   H   D   D   D   H   H   H   H   H',
+        16: '   H   H   D   D   D   H   H   H   H   H',
+        17: '   H   D   D   D   D   H   H   H   H   H',
+        18: '   S   Ds  Ds  Ds  Ds  S   S   H   H   H',
+        19: '   S   S   S   S   Ds  S   S   S   S   S',
+        20: '   S   S   S   S   S   S   S   S   S   S'
+    },
+    pair: {
+        2: '    P   P   P   P   P   P   P   -   -   -',
+        3: '    P   P   P   P   P   P   P   -   -   -',
+        4: '    P   P   P   P   P   P   -   -   -   -',
+        5: '    -   -   -   -   -   -   -   -   -   -',
+        6: '    P   P   P   P   P   P   -   -   -   -',
+        7: '    P   P   P   P   P   P   P   -   -   -',
+        8: '    P   P   P   P   P   P   P   P   P   P',
+        9: '    P   P   P   P   P   -   P   P   -   -',
+        10: '   -   -   -   -   -   -   -   -   -   -',
+        11: '   P   P   P   P   P   P   P   P   P   P'
+    }
+};
+
+FreeBetDeps.BlackjackVariant.register(FreeBetVariant);
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FreeBetVariant;
+}
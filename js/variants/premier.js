@@ -0,0 +1,35 @@
+/**
+ * Premier Blackjack (TOTO)
+ *
+ * De klassieke variant als plug-in: alle advies komt uit de bestaande
+ * BlackjackStrategy, met compositie uitzonderingen, index plays, shoe EV en
+ * eigen afwijkingen. Dit is de enige variant die de EV engine doorrekent.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const PremierDeps = typeof module !== 'undefined' && module.exports
+    ? { BlackjackVariant: require('../variants.js') }
+    : { BlackjackVariant };
+
+class PremierVariant extends PremierDeps.BlackjackVariant {
+    get supportsEv() {
+        return true;
+    }
+
+    getAdvice(hand, dealerCard, availableActions, options = {}) {
+        return this.strategy.getAdvice(hand, dealerCard, availableActions, options);
+    }
+
+    getRankedAdvice(hand, dealerCard, availableActions, options = {}) {
+        return this.strategy.getRankedAdvice(hand, dealerCard, availableActions, options);
+    }
+}
+
+PremierVariant.ID = 'premier';
+
+PremierDeps.BlackjackVariant.register(PremierVariant);
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PremierVariant;
+}
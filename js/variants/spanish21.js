@@ -0,0 +1,121 @@
+/**
+ * Spanish 21
+ *
+ * Gespeeld met Spaanse decks van 48 kaarten: de tienen zijn eruit, boer,
+ * vrouw en heer blijven. Een 21 van de speler wint altijd en 21 met vijf of
+ * meer kaarten betaalt een bonus. Daarom mag je met elk aantal kaarten
+ * doublen en staat de tabel bij veel totalen alleen tot een bepaald aantal
+ * kaarten op stand: met meer kaarten loont het om op een bonus 21 te spelen.
+ * De tabel gaat uit van 6-8 decks en late surrender. Na een double mag je
+ * de hand nog opgeven (double down rescue): je verliest dan de oorspronkelijke
+ * inzet en krijgt de double terug. getRescueAdvice() rekent dat uit met de
+ * dealer kansen van de EV engine.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const Spanish21Deps = typeof module !== 'undefined' && module.exports
+    ? {
+        BlackjackVariant: require('../variants.js'),
+        BlackjackStrategy: require('../strategy.js'),
+        ExpectedValueEngine: require('../ev-engine.js'),
+        I18n: require('../i18n.js')
+    }
+    : { BlackjackVariant, BlackjackStrategy, ExpectedValueEngine, I18n };
+
+class Spanish21Variant extends Spanish21Deps.BlackjackVariant {
+    deck() {
+        return Spanish21Variant.DECK;
+    }
+
+    /**
+     * Double mag met elk aantal kaarten; split en surrender alleen op de eerste twee
+     */
+    getLegalActions(hand, availableActions) {
+        if (hand.cards && hand.cards.length > 2) {
+            return availableActions.filter(action => ['hit', 'stand', 'double'].includes(action));
+        }
+        return availableActions;
+    }
+
+    /**
+     * Double down rescue: de hand na de double opgeven of laten staan?
+     * Staan levert twee keer de EV van staan op, opgeven kost precies de oorspronkelijke inzet.
+     * @param {Array<string>} cards - De gedubbelde hand, inclusief de kaart van de double
+     * @param {string} dealerCard
+     * @param {Object} [options]
+     * @param {Array<string>} [options.removedCards] - Bekende kaarten buiten de shoe
+     * @returns {Object} - {rescue: boolean, standEv, rescueEv} in oorspronkelijke inzetten
+     */
+    getRescueAdvice(cards, dealerCard, options = {}) {
+        const { BlackjackStrategy, ExpectedValueEngine, I18n } = Spanish21Deps;
+        const hand = BlackjackStrategy.evaluateHand(cards);
+        if (cards.length < 3 || hand.total > 21) {
+            throw I18n.error('error.variant.rescueHand');
+        }
+
+        const rescueEv = -1;
+        let standEv = 2;
+        // Een 21 van de speler wint altijd
+        if (hand.total < 21) {
+            const engine = new ExpectedValueEngine(this.rules);
+            const counts = ExpectedValueEngine.removeCards(
+                ExpectedValueEngine.createShoe(this.rules.decks, this.deck()),
+                [dealerCard, ...cards, ...(options.removedCards || [])]
+            );
+            const upRank = ExpectedValueEngine.cardRank(dealerCard);
+            standEv = 2 * engine.standEV(hand.total, engine.dealerOutcomes(upRank, counts, engine.isConditioned(upRank)));
+        }
+
+        return { rescue: standEv < rescueEv, standEv, rescueEv };
+    }
+}
+
+Spanish21Variant.ID = 'spanish21';
+
+// Geen tienen: 12 tienwaardige kaarten (boer, vrouw, heer) per deck
+Spanish21Variant.DECK = [0, 4, 4, 4, 4, 4, 4, 4, 4, 4, 12];
+
+// Dealer:  2   3   4   5   6   7   8   9   10  A
+Spanish21Variant.CHART = {
+    hard: {
+        8: '    H   H   H   H   H   H   H   H   H   H',
+        9: '    H   H   H   H   D   H   H   H   H   H',
+        10: '   D   D   D   D   D   D   H   H   H   H',
+        11: '   D4  D4  D4  D5  D5  D3  D3  D3  H   H',
+        12: '   H   H   S3  S4  S4  H   H   H   H   H',
+        13: '   H   S3  S4  S4  S5  H   H   H   H   H',
+        14: '   S3  S4  S5  S6  S   H   H   H   H   H',
+        15: '   S4  S5  S6  S   S   H   H   H   H   H',
+        16: '   S5  S6  S   S   S   H   H   H   H   R',
+        17: '   S   S   S   S   S   S   S   S   S   Rs',
+        18: '   S   S   S   S   S   S   S   S   S   S'
+    },
+    soft: {
+        13: '   H   H   H   H   D3  H   H   H   H   H',
+        14: '   H   H   H   D3  D3  H   H   H   H   H',
+        15: '   H   H   D3  D4  D4  H   H   H   H   H',
+        16: '   H   H   D3  D4  D5  H   H   H   H   H',
+        17: '   H   D3  D4  D5  D5  H   H   H   H   H',
+        18: '   S   Ds4 Ds4 Ds4 Ds4 S   S   H   H   H',
+        19: '   S   S   S   S   S   S   S   S   S   S'
+    },
+    pair: {
+        2: '    P   P   P   P   P   P   -   -   -   -',
+        3: '    P   P   P   P   P   P   P   -   -   -',
+        4: '    -   -   -   -   -   -   -   -   -   -',
+        5: '    -   -   -   -   -   -   -   -   -   -',
+        6: '    -   P   P   P   P   -   -   -   -   -',
+        7: '    P   P   P   P   P   P   -   -   -   -',
+        8: '    P   P   P   P   P   P   P   P   P   Rp',
+        9: '    -   P   P   P   P   -   P   P   -   -',
+        10: '   -   -   -   -   -   -   -   -   -   -',
+        11: '   P   P   P   P   P   P   P   P   P   P'
+    }
+};
+
+Spanish21Deps.BlackjackVariant.register(Spanish21Variant);
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Spanish21Variant;
+}
@@ -0,0 +1,121 @@
+/**
+ * Blackjack Switch
+ *
+ * De speler krijgt twee handen en mag de tweede kaarten ervan omwisselen,
+ * bijv. 10-5 en 6-10 worden 10-10 en 6-5. Daar staat tegenover dat blackjack
+ * 1:1 betaalt en een dealer 22 gelijkspel is tegen elke hand die niet bust.
+ * Na de switch volgt de tabel hieronder (H17, geen surrender). Of switchen
+ * loont, rekent getSwitchAdvice() uit met de EV engine en de regels van
+ * Switch (SwitchVariant.RULES): de som van de beste EV per hand, voor beide
+ * indelingen.
+ */
+
+// In Node via require, in de browser via de <script> tags
+const SwitchDeps = typeof module !== 'undefined' && module.exports
+    ? {
+        BlackjackVariant: require('../variants.js'),
+        BlackjackStrategy: require('../strategy.js'),
+        ExpectedValueEngine: require('../ev-engine.js')
+    }
+    : { BlackjackVariant, BlackjackStrategy, ExpectedValueEngine };
+
+class SwitchVariant extends SwitchDeps.BlackjackVariant {
+    getLegalActions(hand, availableActions) {
+        return super.getLegalActions(hand, availableActions).filter(action => action !== 'surrender');
+    }
+
+    /**
+     * Moeten de tweede kaarten van de twee handen gewisseld worden?
+     * @param {Array<string>} first - Twee kaarten van de eerste hand
+     * @param {Array<string>} second - Twee kaarten van de tweede hand
+     * @param {string} dealerCard
+     * @param {Object} [options]
+     * @param {Array<string>} [options.removedCards] - Bekende kaarten buiten de shoe
+     * @returns {Object} - {switch: boolean, hands: [kaarten, kaarten], ev, otherEv}
+     */
+    getSwitchAdvice(first, second, dealerCard, options = {}) {
+        const engine = new SwitchDeps.ExpectedValueEngine(Object.assign({}, this.rules, SwitchVariant.RULES));
+        const removedCards = options.removedCards || [];
+
+        const arrangements = [
+            [first, second],
+            [[first[0], second[1]], [second[0], first[1]]]
+        ].map(hands => ({
+            hands,
+            ev: hands.reduce((sum, cards, i) => {
+                const other = hands[1 - i];
+                return sum + this.getHandEv(engine, cards, dealerCard, [...other, ...removedCards]);
+            }, 0)
+        }));
+
+        const [keep, swapped] = arrangements;
+        const best = swapped.ev > keep.ev ? swapped : keep;
+        return {
+            switch: best === swapped,
+            hands: best.hands,
+            ev: best.ev,
+            otherEv: (best === swapped ? keep : swapped).ev
+        };
+    }
+
+    /**
+     * EV van de beste actie voor een hand van twee kaarten (21 is een blackjack, ook na een switch)
+     */
+    getHandEv(engine, cards, dealerCard, removedCards) {
+        const hand = SwitchDeps.BlackjackStrategy.evaluateHand(cards);
+        const actions = hand.isPair ? ['hit', 'stand', 'double', 'split'] : ['hit', 'stand', 'double'];
+        const result = engine.calculate(hand, dealerCard, actions, { removedCards, natural: true });
+        return result.evs[result.best];
+    }
+}
+
+SwitchVariant.ID = 'switch';
+
+// Regels voor de EV engine bovenop de tafelregels: blackjack betaalt 1:1 en een dealer 22 is gelijkspel
+SwitchVariant.RULES = {
+    blackjackPayout: 1,
+    dealer22Push: true
+};
+
+// Dealer:  2   3   4   5   6   7   8   9   10  A
+SwitchVariant.CHART = {
+    hard: {
+        9: '    H   H   H   H   H   H   H   H   H   H',
+        10: '   H   D   D   D   D   D   D   H   H   H',
+        11: '   D   D   D   D   D   D   D   D   H   H',
+        12: '   H   H   H   S   S   H   H   H   H   H',
+        13: '   H   H   S   S   S   H   H   H   H   H',
+        14: '   S   S   S   S   S   H   H   H   H   H',
+        15: '   S   S   S   S   S   H   H   H   H   H',
+        16: '   S   S   S   S   S   H   H   H   H   H',
+        17: '   S   S   S   S   S   S   S   S   S   S'
+    },
+    soft: {
+        13: '   H   H   H   H   D   H   H   H   H   H',
+        14: '   H   H   H   H   D   H   H   H   H   H',
+        15: '   H   H   H   D   D   H   H   H   H   H',
+        16: '   H   H   H   D   D   H   H   H   H   H',
+        17: '   H   H   D   D   D   H   H   H   H   H',
+        18: '   S   S   S   Ds  Ds  S   S   H   H   H',
+        19: '   S   S   S   S   S   S   S   S   S   S'
+    },
+    pair: {
+        2: '    -   -   P   P   P   P   -   -   -   -',
+        3: '    -   -   P   P   P   P   -   -   -   -',
+        4: '    -   -   -   -   -   -   -   -   -   -',
+        5: '    -   -   -   -   -   -   -   -   -   -',
+        6: '    -   -   P   P   P   -   -   -   -   -',
+        7: '    P   P   P   P   P   P   -   -   -   -',
+        8: '    P   P   P   P   P   P   P   P   P   P',
+        9: '    P   P   P   P   P   -   P   P   -   -',
+        10: '   -   -   -   -   -   -   -   -   -   -',
+        11: '   P   P   P   P   P   P   P   P   P   P'
+    }
+};
+
+SwitchDeps.BlackjackVariant.register(SwitchVariant);
+
+// Export voor gebruik in andere bestanden
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SwitchVariant;
+}
@@ -0,0 +1,100 @@
+/**
+ * Blackjack Strategy Advisor - Service Worker
+ *
+ * Zet alle bestanden van de app bij de installatie in de cache, zodat de
+ * adviseur ook zonder netwerk werkt. Verhoog CACHE_VERSION bij elke release:
+ * de nieuwe worker haalt dan alles opnieuw op en de app toont een melding
+ * om bij te werken. Instellingen en geschiedenis staan in localStorage en
+ * blijven daarbij gewoon bewaard.
+ */
+
+const CACHE_VERSION = 9;
+const CACHE_NAME = `blackjack-advisor-v${CACHE_VERSION}`;
+
+// Paden relatief aan sw.js, zodat de app ook onder een submap (GitHub Pages) werkt
+const PRECACHE = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'js/locales/nl.js',
+    'js/locales/en.js',
+    'js/locales/de.js',
+    'js/i18n.js',
+    'js/strategy.js',
+    'js/ev-engine.js',
+    'js/notation.js',
+    'js/dealer-odds.js',
+    'js/variants.js',
+    'js/variants/premier.js',
+    'js/variants/spanish21.js',
+    'js/variants/free-bet.js',
+    'js/variants/switch.js',
+    'js/counting.js',
+    'js/composition.js',
+    'js/mistakes.js',
+    'js/side-bets.js',
+    'js/bankroll.js',
+    'js/drill.js',
+    'js/trainer.js',
+    'js/shoe.js',
+    'js/game.js',
+    'js/live-hand.js',
+    'js/chart.js',
+    'js/history.js',
+    'js/profiles.js',
+    'js/app.js',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png'
+];
+
+self.addEventListener('install', event => {
+    // Geen skipWaiting: de app vraagt daarom zodra de gebruiker wil bijwerken.
+    // cache: 'reload' slaat de HTTP cache over, anders kan een nieuwe versie oude scripts bewaren.
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(
+            PRECACHE.map(url => new Request(url, { cache: 'reload' }))
+        ))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('blackjack-advisor-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Cache first: de app draait altijd op de versie uit de cache tot de volgende update
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+            if (cached) return cached;
+
+            return fetch(request).catch(() => {
+                // Offline en niet in de cache: pagina's vallen terug op de app zelf
+                if (request.mode === 'navigate') {
+                    return caches.match('index.html');
+                }
+                return Response.error();
+            });
+        })
+    );
+});
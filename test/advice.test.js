@@ -0,0 +1,33 @@
+/**
+ * Opties van bin/advice.js: ongeldige waarden geven een duidelijke fout
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs } = require('../bin/advice.js');
+
+const errorKey = key => error => error.key === key;
+
+test('geldige opties worden overgenomen', () => {
+    const options = parseArgs(['--dealer', '10', '--hand', '9,7', '--decks', '2', '--surrender', 'early', '--true-count', '-1']);
+    assert.equal(options.dealer, '10');
+    assert.equal(options.hand, '9,7');
+    assert.deepEqual(options.overrides, { decks: 2, surrender: 'early' });
+    assert.equal(options.trueCount, -1);
+});
+
+test('--decks moet een geheel getal van minimaal 1 zijn', () => {
+    for (const decks of ['abc', '0', '-2', '2.5', '']) {
+        assert.throws(() => parseArgs(['--dealer', '10', '--decks', decks]), errorKey('error.cli.decks'), decks);
+    }
+});
+
+test('--surrender kent alleen none, late en early', () => {
+    assert.throws(() => parseArgs(['--surrender', 'sometimes']), errorKey('error.cli.surrender'));
+});
+
+test('een optie zonder waarde valt niet door naar de batch modus', () => {
+    assert.throws(() => parseArgs(['--dealer']), errorKey('error.cli.missingValue'));
+    assert.throws(() => parseArgs(['--dealer', '--hand', '9,7']), errorKey('error.cli.missingValue'));
+    assert.throws(() => parseArgs(['--dealer', '10', '--hand']), errorKey('error.cli.missingValue'));
+});
@@ -0,0 +1,76 @@
+/**
+ * Compositie afhankelijke uitzonderingen: elke uitzondering die het advies
+ * verandert, moet ook de beste actie volgens de EV engine zijn.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BlackjackStrategy = require('../js/strategy.js');
+const ExpectedValueEngine = require('../js/ev-engine.js');
+
+const CARDS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+
+// Alle hard handen met dit totaal en aantal kaarten (kaarten oplopend, aas = 1)
+function hardHands(total, cardCount, from = 0, cards = []) {
+    if (cards.length === cardCount) {
+        const hand = BlackjackStrategy.evaluateHand(cards);
+        return hand.total === total && !hand.isSoft ? [cards] : [];
+    }
+    const hands = [];
+    for (let i = from; i < CARDS.length; i++) {
+        hands.push(...hardHands(total, cardCount, i, [...cards, CARDS[i]]));
+    }
+    return hands;
+}
+
+function rulesFor(decks, dealerHitsSoft17) {
+    return Object.assign({}, BlackjackStrategy.RULE_PRESETS.toto.rules, { decks, dealerHitsSoft17 });
+}
+
+// Hand met de acties waarmee hij getoetst wordt
+const CASES = [
+    ...hardHands(16, 3).map(cards => ({ cards, dealer: '10', actions: ['hit', 'stand'] })),
+    ...hardHands(16, 4).map(cards => ({ cards, dealer: '10', actions: ['hit', 'stand'] })),
+    ...['A', '3', '4', '6'].flatMap(dealer => [...hardHands(15, 2), ...hardHands(12, 2), ...hardHands(8, 2)]
+        .map(cards => ({ cards, dealer, actions: ['hit', 'stand', 'double', 'surrender'] })))
+];
+
+for (const dealerHitsSoft17 of [true, false]) {
+    for (const decks of [1, 2, 6, 8]) {
+        test(`uitzonderingen kloppen met de EV engine bij ${decks} decks ${dealerHitsSoft17 ? 'H17' : 'S17'}`, () => {
+            const rules = rulesFor(decks, dealerHitsSoft17);
+            const strategy = new BlackjackStrategy(rules);
+            const engine = new ExpectedValueEngine(rules);
+
+            for (const { cards, dealer, actions } of CASES) {
+                const hand = BlackjackStrategy.evaluateHand(cards);
+                const advice = strategy.getAdvice(hand, dealer, actions);
+                if (!advice.composition) continue;
+
+                const { best } = engine.calculate(hand, dealer, actions);
+                assert.equal(advice.action, best.toUpperCase(), `${cards.join('-')} vs ${dealer}`);
+            }
+        });
+    }
+}
+
+test('de uitzonderingen doen iets bij de standaard regels (6 decks)', () => {
+    const strategy = new BlackjackStrategy(BlackjackStrategy.RULE_PRESETS.toto.rules);
+    const stand = strategy.getAdvice(BlackjackStrategy.evaluateHand(['4', '4', '8']), '10', ['hit', 'stand']);
+    assert.equal(stand.action, 'STAND');
+    assert.equal(stand.composition.totalAction, 'HIT');
+
+    const hit = strategy.getAdvice(BlackjackStrategy.evaluateHand(['4', '6', '6']), '10', ['hit', 'stand']);
+    assert.equal(hit.action, 'HIT');
+    assert.equal(hit.composition, undefined);
+});
+
+test('8-7 tegen 10 houdt surrender bij 6 decks', () => {
+    const strategy = new BlackjackStrategy(BlackjackStrategy.RULE_PRESETS.toto.rules);
+    const advice = strategy.getAdvice(BlackjackStrategy.evaluateHand(['8', '7']), '10', ['hit', 'stand', 'double', 'surrender']);
+    assert.equal(advice.action, 'SURRENDER');
+});
+
+test('compositionKey sorteert met de aas als 1', () => {
+    assert.equal(BlackjackStrategy.compositionKey([10, 11, 5]), '1-5-10');
+});
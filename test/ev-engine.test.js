@@ -0,0 +1,58 @@
+/**
+ * EV engine: bekende waarden en de cache van calculate()
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BlackjackStrategy = require('../js/strategy.js');
+const ExpectedValueEngine = require('../js/ev-engine.js');
+
+const hand = cards => BlackjackStrategy.evaluateHand(cards);
+const near = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 0.0005, `${label}: ${actual} ≠ ${expected}`);
+
+test('bekende EV waarden met 6 decks, H17 en peek', () => {
+    const engine = new ExpectedValueEngine();
+
+    const sixteen = engine.calculate(hand(['10', '6']), '10', ['hit', 'stand', 'surrender']).evs;
+    near(sixteen.stand, -0.5410, '16 vs 10 stand');
+    near(sixteen.hit, -0.5347, '16 vs 10 hit');
+    assert.equal(sixteen.surrender, -0.5);
+
+    const eleven = engine.calculate(hand(['6', '5']), '6', ['hit', 'stand', 'double']).evs;
+    near(eleven.double, 0.6799, '11 vs 6 double');
+    near(eleven.double, 2 * eleven.hit, '11 vs 6 double is twee keer de eerste kaart');
+});
+
+test('blackjack betaalt blackjackPayout en een dealer 22 kost de stand EV', () => {
+    const engine = new ExpectedValueEngine();
+    assert.deepEqual(engine.calculate(hand(['A', 'K']), '6', ['stand'], { natural: true }).evs, { stand: 1.5 });
+
+    const twenty = hand(['10', '10']);
+    const normal = engine.calculate(twenty, '6', ['stand']).evs.stand;
+    const push22 = new ExpectedValueEngine({ dealer22Push: true }).calculate(twenty, '6', ['stand']).evs.stand;
+    near(normal, 0.6766, '20 vs 6 stand');
+    assert.ok(push22 < normal);
+});
+
+test('dezelfde vraag komt uit de cache, zonder dat de aanroeper hem kan veranderen', () => {
+    const engine = new ExpectedValueEngine({ decks: 8 });
+    const first = engine.calculate(hand(['2', '2']), '2', ['hit', 'stand', 'double', 'split']);
+    first.evs.split = 99;
+
+    const started = Date.now();
+    const second = engine.calculate(hand(['2', '2']), '2', ['split', 'double', 'stand', 'hit']);
+    assert.ok(Date.now() - started < 50);
+    assert.equal(second.best, 'split');
+    assert.notEqual(second.evs.split, 99);
+});
+
+test('andere regels of een andere shoe geven een nieuwe berekening', () => {
+    const engine = new ExpectedValueEngine();
+    const sixteen = hand(['10', '6']);
+    const full = engine.calculate(sixteen, '10', ['hit', 'stand']).evs.hit;
+    const fewerSmall = engine.calculate(sixteen, '10', ['hit', 'stand'], { removedCards: ['2', '3', '4', '5'] }).evs.hit;
+    assert.ok(fewerSmall < full);
+
+    engine.setRules({ decks: 1 });
+    assert.notEqual(engine.calculate(sixteen, '10', ['hit', 'stand']).evs.hit, full);
+});
@@ -0,0 +1,49 @@
+/**
+ * Import van de beslissingshistorie: alles of niets en nooit meer dan MAX_RECORDS
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DecisionHistory = require('../js/history.js');
+
+function record(id, minute) {
+    return {
+        id,
+        timestamp: new Date(Date.UTC(2026, 0, 1, 12, minute)).toISOString(),
+        dealerCard: '10',
+        playerCards: ['10', '6'],
+        total: 16,
+        advisedAction: 'SURRENDER'
+    };
+}
+
+test('een ongeldig record importeert niets', () => {
+    const history = new DecisionHistory({ storage: null });
+    history.import(JSON.stringify([record('a', 0)]));
+
+    const broken = JSON.stringify([record('b', 1), { id: 'c' }]);
+    assert.throws(() => history.import(broken));
+    assert.deepEqual(history.records.map(entry => entry.id), ['a']);
+});
+
+test('bestaande ids worden overgeslagen en alles staat op tijd', () => {
+    const history = new DecisionHistory({ storage: null });
+    history.import(JSON.stringify([record('b', 2)]));
+
+    const added = history.import(JSON.stringify({ records: [record('b', 2), record('a', 1), record('a', 1)] }));
+    assert.equal(added, 1);
+    assert.deepEqual(history.records.map(entry => entry.id), ['a', 'b']);
+});
+
+test('import houdt alleen de nieuwste MAX_RECORDS', (t) => {
+    const max = DecisionHistory.MAX_RECORDS;
+    DecisionHistory.MAX_RECORDS = 3;
+    t.after(() => { DecisionHistory.MAX_RECORDS = max; });
+
+    const history = new DecisionHistory({ storage: null });
+    history.import(JSON.stringify([record('c', 3), record('d', 4)]));
+
+    const added = history.import(JSON.stringify([record('a', 1), record('b', 2), record('e', 5)]));
+    assert.deepEqual(history.records.map(entry => entry.id), ['c', 'd', 'e']);
+    assert.equal(added, 1);
+});
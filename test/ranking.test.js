@@ -0,0 +1,28 @@
+/**
+ * Ranking van alle acties: alleen met EV's van beste naar slechtste
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BlackjackStrategy = require('../js/strategy.js');
+const ExpectedValueEngine = require('../js/ev-engine.js');
+
+const ACTIONS = ['hit', 'stand', 'double', 'surrender'];
+
+test('met EV staan de acties na de fallback keten op EV', () => {
+    const rules = BlackjackStrategy.RULE_PRESETS.toto.rules;
+    const hand = BlackjackStrategy.evaluateHand(['10', '2']);
+    const { evs } = new ExpectedValueEngine(rules).calculate(hand, '2', ACTIONS);
+    const { ranking } = new BlackjackStrategy(rules).getRankedAdvice(hand, '2', ACTIONS, { evs });
+
+    assert.deepEqual(ranking.map(entry => entry.action), ['HIT', 'STAND', 'SURRENDER', 'DOUBLE']);
+    assert.equal(BlackjackStrategy.rankingTitleKey(ranking), 'ranking.title');
+});
+
+test('zonder EV claimt de titel geen volgorde', () => {
+    const hand = BlackjackStrategy.evaluateHand(['10', '2']);
+    const { ranking } = new BlackjackStrategy().getRankedAdvice(hand, '2', ACTIONS);
+
+    assert.deepEqual(ranking.map(entry => entry.action), ['HIT', 'STAND', 'DOUBLE', 'SURRENDER']);
+    assert.equal(BlackjackStrategy.rankingTitleKey(ranking), 'ranking.titleUnordered');
+});